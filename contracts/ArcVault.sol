@@ -2,34 +2,278 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/access/Ownable2Step.sol";
+import "./ArcVaultShares.sol";
 
 /**
  * @title ArcVault
- * @notice A secure USDC vault for deposits, withdrawals, and transfers on Arc Testnet.
+ * @notice A secure multi-stablecoin vault for deposits, withdrawals, and transfers on Arc Testnet.
  * @dev Uses OpenZeppelin SafeERC20 and ReentrancyGuard for maximum safety.
+ *      Every ledger entry is per token. The owner keeps an allowlist of
+ *      depositable tokens; USDC is listed at construction.
+ *      Invariant: for each token, the contract's holdings always cover the
+ *      sum of `balances[token]`. `transfer` only moves ledger balances; tokens
+ *      leave the vault solely through withdrawals and payouts (direct, signed
+ *      or queued), and through
+ *      `recoverERC20`, which can only take holdings above `totalLiabilities`.
+ *      Ownership moves in two steps. The owner or the guardian can pause new
+ *      deposits, transfers, streams and escrows; withdrawals and the settlement
+ *      of existing streams and escrows stay open so users can always exit.
+ *      Its ERC-4626 share token, avUSDC, is a separate ArcVaultShares contract
+ *      created alongside it (`shares`); `moveToShares` and `moveFromShares`
+ *      turn USDC ledger balances into shares and back.
+ *      Transfers and withdrawals can also be signed off-chain as EIP-712
+ *      orders and submitted by anyone (a relayer), who pays the gas.
  */
-contract ArcVault is ReentrancyGuard {
+contract ArcVault is EIP712, Nonces, ReentrancyGuard, Ownable2Step, Pausable {
     using SafeERC20 for IERC20;
 
     // ──────────────────────────────────────────────
     //  State
     // ──────────────────────────────────────────────
     IERC20 public immutable usdc;
-    mapping(address => uint256) public balances;
+    /// @notice The vault's ERC-4626 share token (avUSDC), which holds its own USDC.
+    ArcVaultShares public immutable shares;
+    /// @dev token => account => balance
+    mapping(address => mapping(address => uint256)) public balances;
+
+    struct TokenInfo {
+        bool listed;
+        bool allowed;
+        uint8 decimals;
+    }
+
+    mapping(address => TokenInfo) public tokens;
+    address[] private _listedTokens;
+
+    /// @notice May pause the vault alongside the owner; only the owner unpauses.
+    address public guardian;
+    /// @notice Per token, everything the vault owes: balances plus amounts
+    ///         locked in streams and escrows. Holdings above this are surplus.
+    mapping(address => uint256) public totalLiabilities;
+
+    /// @dev token => owner => spender => amount the spender may move
+    mapping(address => mapping(address => mapping(address => uint256))) private _allowances;
+    /// @dev Everyone an owner has ever approved, so allowances can be audited
+    mapping(address => address[]) private _spenders;
+    mapping(address => mapping(address => bool)) private _isSpender;
+
+    struct Stream {
+        address sender;
+        address recipient;
+        address token;
+        uint256 ratePerSecond;
+        uint256 startTime;
+        uint256 stopTime;
+        uint256 withdrawn;
+        bool cancelled;
+    }
+
+    uint256 public nextStreamId = 1;
+    mapping(uint256 => Stream) public streams;
+    mapping(address => uint256[]) private _outgoingStreams;
+    mapping(address => uint256[]) private _incomingStreams;
+
+    enum EscrowStatus {
+        None,
+        Open,
+        Disputed,
+        Released,
+        Refunded
+    }
+
+    struct Escrow {
+        address payer;
+        address payee;
+        address arbiter;
+        address token;
+        uint256 amount;
+        uint256 deadline;
+        EscrowStatus status;
+    }
+
+    uint256 public nextEscrowId = 1;
+    mapping(uint256 => Escrow) public escrows;
+    mapping(address => uint256[]) private _escrowsOf;
+
+    /// @notice Outflow rules an account sets for one token; zero turns a rule off.
+    struct SafetyRules {
+        uint96 dailyLimit;
+        uint96 lockThreshold;
+        uint64 delay;
+    }
+
+    struct Safety {
+        SafetyRules rules;
+        SafetyRules pending;
+        uint64 pendingAt;
+        // Outflow in the rolling window, draining at `dailyLimit` per day.
+        uint128 spent;
+        uint64 spentAt;
+    }
+
+    /// @notice An outflow held back by the time lock: a ledger transfer to
+    ///         `to` (an invoice payment when `ref` is set), or tokens sent to
+    ///         `to`, which is `account` itself for a withdrawal.
+    struct QueuedWithdrawal {
+        address account;
+        uint64 unlockAt;
+        bool isTransfer;
+        address token;
+        address to;
+        uint256 amount;
+        bytes32 ref;
+    }
+
+    /// @notice Longest time lock an account can choose.
+    uint256 public constant MAX_SAFETY_DELAY = 30 days;
+    /// @notice Shortest delay that goes with any rule, so loosening one is never instant.
+    uint256 public constant MIN_SAFETY_DELAY = 1 hours;
+
+    /// @dev token => account => rules and rolling outflow
+    mapping(address => mapping(address => Safety)) private _safety;
+    uint256 public nextWithdrawalId = 1;
+    /// @dev Deleted once executed or cancelled.
+    mapping(uint256 => QueuedWithdrawal) public queuedWithdrawals;
+    mapping(address => uint256[]) private _queuedOf;
+
+    /// @notice A ledger transfer signed by `from`; see `executeTransfer`.
+    struct TransferOrder {
+        address token;
+        address from;
+        address to;
+        uint256 amount;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    /// @notice A withdrawal to `from`'s own wallet; see `executeWithdraw`.
+    struct WithdrawOrder {
+        address token;
+        address from;
+        uint256 amount;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    bytes32 private constant TRANSFER_ORDER_TYPEHASH =
+        keccak256("TransferOrder(address token,address from,address to,uint256 amount,uint256 nonce,uint256 deadline)");
+    bytes32 private constant WITHDRAW_ORDER_TYPEHASH =
+        keccak256("WithdrawOrder(address token,address from,uint256 amount,uint256 nonce,uint256 deadline)");
 
     // ──────────────────────────────────────────────
     //  Events
     // ──────────────────────────────────────────────
-    event Deposited(address indexed user, uint256 amount, uint256 timestamp);
-    event Withdrawn(address indexed user, uint256 amount, uint256 timestamp);
+    event Deposited(address indexed user, address indexed token, uint256 amount, uint256 timestamp);
+    event Withdrawn(address indexed user, address indexed token, uint256 amount, uint256 timestamp);
     event Transferred(
         address indexed from,
         address indexed to,
+        address indexed token,
+        uint256 amount,
+        uint256 timestamp
+    );
+    event PaidOut(
+        address indexed from,
+        address indexed to,
+        address indexed token,
         uint256 amount,
         uint256 timestamp
     );
+    event InvoicePaid(
+        bytes32 indexed ref,
+        address indexed from,
+        address indexed to,
+        address token,
+        uint256 amount,
+        uint256 timestamp
+    );
+
+    event TokenAdded(address indexed token, uint8 decimals, uint256 timestamp);
+    event TokenRemoved(address indexed token, uint256 timestamp);
+
+    event GuardianChanged(address indexed previousGuardian, address indexed newGuardian, uint256 timestamp);
+    event TokensRecovered(address indexed token, address indexed to, uint256 amount, uint256 timestamp);
+
+    event Approval(
+        address indexed owner,
+        address indexed spender,
+        address indexed token,
+        uint256 amount,
+        uint256 timestamp
+    );
+
+    event OrderExecuted(address indexed from, uint256 indexed nonce, address indexed relayer, uint256 timestamp);
+    event NonceCancelled(address indexed account, uint256 nonce, uint256 timestamp);
+
+    event StreamCreated(
+        uint256 indexed streamId,
+        address indexed sender,
+        address indexed recipient,
+        address token,
+        uint256 ratePerSecond,
+        uint256 startTime,
+        uint256 stopTime
+    );
+    event StreamWithdrawn(
+        uint256 indexed streamId,
+        address indexed recipient,
+        uint256 amount,
+        uint256 timestamp
+    );
+    event StreamCancelled(
+        uint256 indexed streamId,
+        address indexed sender,
+        address indexed recipient,
+        uint256 senderRefund,
+        uint256 recipientAmount,
+        uint256 timestamp
+    );
+
+    event EscrowCreated(
+        uint256 indexed escrowId,
+        address indexed payer,
+        address indexed payee,
+        address token,
+        address arbiter,
+        uint256 amount,
+        uint256 deadline
+    );
+    event EscrowReleased(uint256 indexed escrowId, address indexed payee, uint256 amount, uint256 timestamp);
+    event EscrowRefunded(uint256 indexed escrowId, address indexed payer, uint256 amount, uint256 timestamp);
+    event EscrowDisputed(uint256 indexed escrowId, address indexed by, uint256 timestamp);
+    event EscrowResolved(uint256 indexed escrowId, address indexed arbiter, bool releasedToPayee, uint256 timestamp);
+
+    event SafetyRulesChanged(
+        address indexed account,
+        address indexed token,
+        uint256 dailyLimit,
+        uint256 lockThreshold,
+        uint256 delay,
+        uint256 effectiveAt
+    );
+    event WithdrawalQueued(
+        uint256 indexed withdrawalId,
+        address indexed account,
+        address indexed to,
+        address token,
+        uint256 amount,
+        bool isTransfer,
+        uint256 unlockAt
+    );
+    event WithdrawalExecuted(uint256 indexed withdrawalId, address indexed account, uint256 amount, uint256 timestamp);
+    event WithdrawalCancelled(uint256 indexed withdrawalId, address indexed by, uint256 timestamp);
+
+    event MovedToShares(address indexed account, uint256 amount, uint256 shares, uint256 timestamp);
+    event MovedFromShares(address indexed account, uint256 amount, uint256 shares, uint256 timestamp);
 
     // ──────────────────────────────────────────────
     //  Errors
@@ -37,13 +281,115 @@ contract ArcVault is ReentrancyGuard {
     error ZeroAmount();
     error ZeroAddress();
     error InsufficientBalance(uint256 requested, uint256 available);
+    error LengthMismatch(uint256 recipients, uint256 amounts);
+    error EmptyBatch();
+    error InvalidStreamTime(uint256 startTime, uint256 stopTime);
+    error StreamNotFound(uint256 streamId);
+    error StreamInactive(uint256 streamId);
+    error NotStreamSender(uint256 streamId);
+    error NotStreamRecipient(uint256 streamId);
+    error EscrowNotFound(uint256 escrowId);
+    error EscrowClosed(uint256 escrowId);
+    error EscrowExpired(uint256 escrowId);
+    error EscrowNotExpired(uint256 escrowId);
+    error EscrowNotDisputed(uint256 escrowId);
+    error NoArbiter(uint256 escrowId);
+    error InvalidArbiter(address arbiter);
+    error InvalidDeadline(uint256 deadline);
+    error Unauthorized(address caller);
+    error TokenNotSupported(address token);
+    error ExceedsSurplus(uint256 requested, uint256 surplus);
+    error InsufficientAllowance(uint256 requested, uint256 available);
+    error OrderExpired(uint256 deadline);
+    error InvalidSigner(address signer, address expected);
+    error DailyLimitExceeded(uint256 requested, uint256 available);
+    error AboveLockThreshold(uint256 amount, uint256 threshold);
+    error InvalidDelay(uint256 delay);
+    error WithdrawalNotFound(uint256 withdrawalId);
+    error WithdrawalLocked(uint256 withdrawalId, uint256 unlockAt);
 
     // ──────────────────────────────────────────────
     //  Constructor
     // ──────────────────────────────────────────────
-    constructor(address _usdc) {
+    /**
+     * @param _usdc  USDC: the first allowlisted token and the asset of `shares`.
+     * @param _owner Initial owner. ArcVaultFactory passes the account that created the vault.
+     */
+    constructor(address _usdc, address _owner) EIP712("ArcVault", "1") Ownable(_owner) {
         if (_usdc == address(0)) revert ZeroAddress();
         usdc = IERC20(_usdc);
+        shares = new ArcVaultShares(IERC20(_usdc));
+        _addToken(_usdc);
+    }
+
+    // ──────────────────────────────────────────────
+    //  Token Allowlist
+    // ──────────────────────────────────────────────
+
+    /**
+     * @notice Allow deposits of `token`. Its decimals are read from the token.
+     * @param token ERC20 stablecoin to list (or re-allow after removal).
+     */
+    function addToken(address token) external onlyOwner {
+        if (token == address(0)) revert ZeroAddress();
+        _addToken(token);
+    }
+
+    /**
+     * @notice Stop new deposits of `token`.
+     * @dev Existing balances stay withdrawable and transferable.
+     */
+    function removeToken(address token) external onlyOwner {
+        if (!tokens[token].allowed) revert TokenNotSupported(token);
+        tokens[token].allowed = false;
+        emit TokenRemoved(token, block.timestamp);
+    }
+
+    // ──────────────────────────────────────────────
+    //  Emergency Controls
+    // ──────────────────────────────────────────────
+
+    /**
+     * @notice Assign the guardian; `address(0)` removes it.
+     */
+    function setGuardian(address newGuardian) external onlyOwner {
+        emit GuardianChanged(guardian, newGuardian, block.timestamp);
+        guardian = newGuardian;
+    }
+
+    /**
+     * @notice Stop deposits, transfers, payouts and new streams and escrows.
+     * @dev Callable by the owner or the guardian. Withdrawals stay open.
+     */
+    function pause() external {
+        if (msg.sender != owner() && msg.sender != guardian) revert Unauthorized(msg.sender);
+        _pause();
+    }
+
+    /**
+     * @notice Resume normal operation.
+     */
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+
+    /**
+     * @notice Send tokens that reached the vault without a deposit (e.g. a
+     *         plain ERC20 transfer) to `to`.
+     * @param token The token to recover; listed or not.
+     * @param to Recipient of the recovered tokens.
+     * @param amount The amount to recover.
+     * @dev Only holdings above `totalLiabilities[token]` can be taken, so user
+     *      balances, streams and escrows are never touched.
+     */
+    function recoverERC20(address token, address to, uint256 amount) external onlyOwner nonReentrant {
+        if (to == address(0)) revert ZeroAddress();
+        if (amount == 0) revert ZeroAmount();
+        uint256 surplus = surplusOf(token);
+        if (amount > surplus) revert ExceedsSurplus(amount, surplus);
+        IERC20(token).safeTransfer(to, amount);
+
+        emit TokensRecovered(token, to, amount, block.timestamp);
     }
 
     // ──────────────────────────────────────────────
@@ -51,50 +397,801 @@ contract ArcVault is ReentrancyGuard {
     // ──────────────────────────────────────────────
 
     /**
-     * @notice Deposit USDC into the vault.
-     * @param amount The amount of USDC (in smallest unit) to deposit.
+     * @notice Deposit an allowlisted token into the vault.
+     * @param token The token to deposit.
+     * @param amount The amount (in the token's smallest unit) to deposit.
      * @dev Caller must approve this contract first.
      */
-    function deposit(uint256 amount) external nonReentrant {
+    function deposit(address token, uint256 amount) external nonReentrant whenNotPaused {
+        _ledgerDeposit(token, amount);
+    }
+
+    /**
+     * @notice Deposit in a single transaction using an EIP-2612 permit.
+     * @param token The token to deposit; it must implement EIP-2612.
+     * @param amount The amount (in the token's smallest unit) to deposit.
+     * @param deadline Permit expiry (unix seconds).
+     * @param v Signature recovery id.
+     * @param r Signature r.
+     * @param s Signature s.
+     * @dev The permit call may fail if someone front-ran it with the same
+     *      signature; the deposit still succeeds as long as the allowance is there.
+     */
+    function depositWithPermit(
+        address token,
+        uint256 amount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant whenNotPaused {
+        try
+            IERC20Permit(token).permit(msg.sender, address(this), amount, deadline, v, r, s)
+        {} catch {}
+        _ledgerDeposit(token, amount);
+    }
+
+    /**
+     * @notice Withdraw a token from the vault back to caller.
+     * @param token The token to withdraw.
+     * @param amount The amount to withdraw.
+     * @dev Above the caller's lock threshold it is queued instead; see `setSafetyRules`.
+     */
+    function withdraw(address token, uint256 amount) external nonReentrant {
+        _ledgerWithdraw(token, msg.sender, amount);
+    }
+
+    /**
+     * @notice Move vault balance to another account inside the vault.
+     * @param token The token whose balance moves.
+     * @param to Recipient address (credited in the vault ledger).
+     * @param amount The amount to transfer.
+     * @dev No tokens leave the contract. Above the caller's lock threshold
+     *      it is queued instead; see `setSafetyRules`.
+     */
+    function transfer(address token, address to, uint256 amount) external nonReentrant whenNotPaused {
+        _ledgerTransfer(token, msg.sender, to, amount, 0);
+    }
+
+    /**
+     * @notice Pay an invoice: a vault transfer tagged with the merchant's reference.
+     * @param token The token the invoice is paid in.
+     * @param to Merchant address (credited in the vault ledger).
+     * @param amount The amount to pay.
+     * @param ref Invoice reference chosen by the merchant.
+     * @dev Emits `Transferred` and `InvoicePaid`; merchants look up `ref` in the latter.
+     *      A zero `ref` makes it a plain transfer. Above the caller's lock
+     *      threshold it is queued, and both events follow its execution.
+     */
+    function payInvoice(address token, address to, uint256 amount, bytes32 ref) external nonReentrant whenNotPaused {
+        _ledgerTransfer(token, msg.sender, to, amount, ref);
+    }
+
+    /**
+     * @notice Pay tokens out of the caller's vault balance to an external wallet.
+     * @param token The token to pay out.
+     * @param to Recipient wallet (receives tokens, not vault balance).
+     * @param amount The amount to pay out.
+     * @dev Above the caller's lock threshold it is queued instead.
+     */
+    function payOut(address token, address to, uint256 amount) external nonReentrant whenNotPaused {
+        if (to == address(0)) revert ZeroAddress();
+        if (amount == 0) revert ZeroAmount();
+        if (_timeLocked(token, msg.sender, amount)) {
+            _queueWithdrawal(token, msg.sender, to, amount, false, 0);
+            return;
+        }
+        _debit(token, amount);
+        _send(token, msg.sender, to, amount);
+    }
+
+    /**
+     * @notice Move vault balance to several vault accounts in one transaction.
+     * @param token The token whose balance moves.
+     * @param recipients Recipient addresses (credited in the vault ledger).
+     * @param amounts Amount for each recipient, matched by index.
+     * @dev Emits one `Transferred` per recipient. When the total is above
+     *      the caller's lock threshold, each leg is queued instead.
+     */
+    function batchTransfer(
+        address token,
+        address[] calldata recipients,
+        uint256[] calldata amounts
+    ) external nonReentrant whenNotPaused {
+        if (_debitBatch(token, recipients, amounts, true) == 0) return;
+
+        for (uint256 i = 0; i < recipients.length; i++) {
+            balances[token][recipients[i]] += amounts[i];
+            emit Transferred(msg.sender, recipients[i], token, amounts[i], block.timestamp);
+        }
+    }
+
+    /**
+     * @notice Pay tokens out to several external wallets in one transaction.
+     * @param token The token to pay out.
+     * @param recipients Recipient wallets (receive tokens, not vault balance).
+     * @param amounts Amount for each recipient, matched by index.
+     * @dev Emits one `PaidOut` per recipient. When the total is above the
+     *      caller's lock threshold, each leg is queued instead.
+     */
+    function batchPayOut(
+        address token,
+        address[] calldata recipients,
+        uint256[] calldata amounts
+    ) external nonReentrant whenNotPaused {
+        uint256 total = _debitBatch(token, recipients, amounts, false);
+        if (total == 0) return;
+        totalLiabilities[token] -= total;
+
+        for (uint256 i = 0; i < recipients.length; i++) {
+            IERC20(token).safeTransfer(recipients[i], amounts[i]);
+            emit PaidOut(msg.sender, recipients[i], token, amounts[i], block.timestamp);
+        }
+    }
+
+    // ──────────────────────────────────────────────
+    //  Allowances
+    // ──────────────────────────────────────────────
+
+    /**
+     * @notice Let `spender` move up to `amount` of the caller's vault balance
+     *         in `token` with `transferFrom`. Approving 0 revokes.
+     * @param token The token the allowance is in.
+     * @param spender Account allowed to spend (e.g. a merchant or integration).
+     * @param amount The new allowance; `type(uint256).max` never decreases.
+     * @dev Replaces any previous allowance. Stays open while paused so
+     *      allowances can always be revoked.
+     */
+    function approve(address token, address spender, uint256 amount) external {
+        if (spender == address(0)) revert ZeroAddress();
+        _allowances[token][msg.sender][spender] = amount;
+        if (!_isSpender[msg.sender][spender]) {
+            _isSpender[msg.sender][spender] = true;
+            _spenders[msg.sender].push(spender);
+        }
+
+        emit Approval(msg.sender, spender, token, amount, block.timestamp);
+    }
+
+    /**
+     * @notice Move `amount` of `from`'s vault balance to `to`, using the
+     *         allowance `from` gave the caller.
+     * @param token The token whose balance moves.
+     * @param from Account whose vault balance is debited.
+     * @param to Recipient address (credited in the vault ledger).
+     * @param amount The amount to transfer.
+     * @dev Emits `Transferred` with `from` as the sender, like `transfer`.
+     *      Above `from`'s lock threshold it is queued in `from`'s name; the
+     *      allowance is spent either way.
+     */
+    function transferFrom(address token, address from, address to, uint256 amount) external nonReentrant whenNotPaused {
+        if (to == address(0)) revert ZeroAddress();
         if (amount == 0) revert ZeroAmount();
+        uint256 allowed = _allowances[token][from][msg.sender];
+        if (allowed < amount) revert InsufficientAllowance(amount, allowed);
+        if (allowed != type(uint256).max) _allowances[token][from][msg.sender] = allowed - amount;
+
+        _ledgerTransfer(token, from, to, amount, 0);
+    }
 
-        balances[msg.sender] += amount;
-        usdc.safeTransferFrom(msg.sender, address(this), amount);
+    // ──────────────────────────────────────────────
+    //  Signed Orders
+    // ──────────────────────────────────────────────
 
-        emit Deposited(msg.sender, amount, block.timestamp);
+    /**
+     * @notice Execute a transfer `order.from` signed off-chain. Anyone may
+     *         submit it; the submitter pays the gas.
+     * @param order The signed EIP-712 `TransferOrder`.
+     * @param signature `order.from`'s signature over the order.
+     * @dev Each order consumes `order.from`'s current nonce, so it runs once
+     *      and orders run in nonce order. Above `order.from`'s lock threshold
+     *      it is queued in their name.
+     */
+    function executeTransfer(TransferOrder calldata order, bytes calldata signature) external nonReentrant whenNotPaused {
+        bytes32 structHash = keccak256(abi.encode(
+            TRANSFER_ORDER_TYPEHASH, order.token, order.from, order.to, order.amount, order.nonce, order.deadline
+        ));
+        _useOrder(order.from, order.nonce, order.deadline, structHash, signature);
+        _ledgerTransfer(order.token, order.from, order.to, order.amount, 0);
     }
 
     /**
-     * @notice Withdraw USDC from the vault back to caller.
-     * @param amount The amount of USDC to withdraw.
+     * @notice Execute a withdrawal `order.from` signed off-chain. The tokens
+     *         go to `order.from`, never to the submitter.
+     * @param order The signed EIP-712 `WithdrawOrder`.
+     * @param signature `order.from`'s signature over the order.
+     * @dev Stays open while paused, and queues above the lock threshold,
+     *      like `withdraw`.
      */
-    function withdraw(uint256 amount) external nonReentrant {
+    function executeWithdraw(WithdrawOrder calldata order, bytes calldata signature) external nonReentrant {
+        bytes32 structHash = keccak256(abi.encode(
+            WITHDRAW_ORDER_TYPEHASH, order.token, order.from, order.amount, order.nonce, order.deadline
+        ));
+        _useOrder(order.from, order.nonce, order.deadline, structHash, signature);
+        _ledgerWithdraw(order.token, order.from, order.amount);
+    }
+
+    /**
+     * @notice Burn the caller's current nonce so an order signed with it can
+     *         no longer be executed.
+     */
+    function cancelNonce() external {
+        emit NonceCancelled(msg.sender, _useNonce(msg.sender), block.timestamp);
+    }
+
+    /**
+     * @notice The EIP-712 domain separator orders are signed under.
+     */
+    function DOMAIN_SEPARATOR() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+
+    // ──────────────────────────────────────────────
+    //  Shares
+    // ──────────────────────────────────────────────
+
+    /**
+     * @notice Turn `amount` of the caller's USDC ledger balance into avUSDC
+     *         shares, minted to the caller.
+     * @return minted Shares minted; 1:1 with `amount`.
+     * @dev The USDC moves to `shares` and leaves `totalLiabilities`. Reverts
+     *      with `ERC4626ExceededMaxDeposit` while USDC is delisted.
+     */
+    function moveToShares(uint256 amount) external nonReentrant whenNotPaused returns (uint256 minted) {
         if (amount == 0) revert ZeroAmount();
-        if (balances[msg.sender] < amount)
-            revert InsufficientBalance(amount, balances[msg.sender]);
+        _take(address(usdc), msg.sender, amount);
+        totalLiabilities[address(usdc)] -= amount;
+        usdc.forceApprove(address(shares), amount);
+        minted = shares.deposit(amount, msg.sender);
+
+        emit MovedToShares(msg.sender, amount, minted, block.timestamp);
+    }
+
+    /**
+     * @notice Redeem `shareAmount` of the caller's avUSDC shares into their
+     *         USDC ledger balance.
+     * @return amount USDC credited; 1:1 with `shareAmount`.
+     * @dev To leave while paused or with USDC delisted, redeem the shares
+     *      straight to a wallet instead.
+     */
+    function moveFromShares(uint256 shareAmount) external nonReentrant whenNotPaused returns (uint256 amount) {
+        if (!tokens[address(usdc)].allowed) revert TokenNotSupported(address(usdc));
+        amount = shares.redeemToVault(msg.sender, shareAmount);
+        balances[address(usdc)][msg.sender] += amount;
+        totalLiabilities[address(usdc)] += amount;
+
+        emit MovedFromShares(msg.sender, amount, shareAmount, block.timestamp);
+    }
+
+    // ──────────────────────────────────────────────
+    //  Streams
+    // ──────────────────────────────────────────────
+
+    /**
+     * @notice Stream vault balance to a recipient at a fixed per-second rate.
+     * @param token The token to stream.
+     * @param recipient Recipient address (credited in the vault ledger).
+     * @param ratePerSecond Amount (in the token's smallest unit) released per second.
+     * @param startTime Stream start (unix seconds); 0 starts it now.
+     * @param stopTime Stream end (unix seconds).
+     * @return streamId The id of the new stream.
+     * @dev The full `ratePerSecond * (stopTime - startTime)` is debited up front.
+     */
+    function createStream(
+        address token,
+        address recipient,
+        uint256 ratePerSecond,
+        uint256 startTime,
+        uint256 stopTime
+    ) external nonReentrant whenNotPaused returns (uint256 streamId) {
+        if (recipient == address(0)) revert ZeroAddress();
+        if (ratePerSecond == 0) revert ZeroAmount();
+        if (startTime == 0) startTime = block.timestamp;
+        if (startTime < block.timestamp || stopTime <= startTime)
+            revert InvalidStreamTime(startTime, stopTime);
 
-        balances[msg.sender] -= amount;
-        usdc.safeTransfer(msg.sender, amount);
+        _debit(token, ratePerSecond * (stopTime - startTime));
+        streamId = nextStreamId++;
+        streams[streamId] = Stream({
+            sender: msg.sender,
+            recipient: recipient,
+            token: token,
+            ratePerSecond: ratePerSecond,
+            startTime: startTime,
+            stopTime: stopTime,
+            withdrawn: 0,
+            cancelled: false
+        });
+        _outgoingStreams[msg.sender].push(streamId);
+        _incomingStreams[recipient].push(streamId);
 
-        emit Withdrawn(msg.sender, amount, block.timestamp);
+        emit StreamCreated(streamId, msg.sender, recipient, token, ratePerSecond, startTime, stopTime);
     }
 
     /**
-     * @notice Transfer USDC through the contract to another address.
-     * @param to Recipient address.
-     * @param amount The amount of USDC to transfer.
+     * @notice Move everything accrued so far into the recipient's vault balance.
+     * @param streamId The stream to withdraw from.
      */
-    function transfer(address to, uint256 amount) external nonReentrant {
+    function withdrawFromStream(uint256 streamId) external nonReentrant {
+        Stream storage st = _getStream(streamId);
+        if (msg.sender != st.recipient) revert NotStreamRecipient(streamId);
+
+        uint256 amount = _streamed(st) - st.withdrawn;
+        if (amount == 0) revert ZeroAmount();
+
+        st.withdrawn += amount;
+        balances[st.token][st.recipient] += amount;
+
+        emit StreamWithdrawn(streamId, st.recipient, amount, block.timestamp);
+    }
+
+    /**
+     * @notice Stop a stream: the recipient keeps what has accrued, the sender
+     *         gets the unstreamed remainder back in their vault balance.
+     * @param streamId The stream to cancel.
+     */
+    function cancelStream(uint256 streamId) external nonReentrant {
+        Stream storage st = _getStream(streamId);
+        if (msg.sender != st.sender) revert NotStreamSender(streamId);
+        if (st.cancelled) revert StreamInactive(streamId);
+
+        uint256 streamed = _streamed(st);
+        uint256 recipientAmount = streamed - st.withdrawn;
+        uint256 senderRefund = st.ratePerSecond * (st.stopTime - st.startTime) - streamed;
+
+        // Freeze the stream at the current point so views stay consistent.
+        st.cancelled = true;
+        st.withdrawn = streamed;
+        st.stopTime = st.startTime + streamed / st.ratePerSecond;
+
+        balances[st.token][st.recipient] += recipientAmount;
+        balances[st.token][st.sender] += senderRefund;
+
+        emit StreamCancelled(
+            streamId,
+            st.sender,
+            st.recipient,
+            senderRefund,
+            recipientAmount,
+            block.timestamp
+        );
+    }
+
+    // ──────────────────────────────────────────────
+    //  Escrow
+    // ──────────────────────────────────────────────
+
+    /**
+     * @notice Lock vault balance for a payee until the payer releases it.
+     * @param token The token to lock.
+     * @param payee Who receives the funds on release (credited in the vault ledger).
+     * @param arbiter Who settles disputes; address(0) for none.
+     * @param amount The amount to lock.
+     * @param deadline After this time an undisputed escrow can be reclaimed by the payer.
+     * @return escrowId The id of the new escrow.
+     */
+    function createEscrow(
+        address token,
+        address payee,
+        address arbiter,
+        uint256 amount,
+        uint256 deadline
+    ) external nonReentrant whenNotPaused returns (uint256 escrowId) {
+        if (payee == address(0)) revert ZeroAddress();
+        if (amount == 0) revert ZeroAmount();
+        if (arbiter == msg.sender || arbiter == payee) revert InvalidArbiter(arbiter);
+        if (deadline <= block.timestamp) revert InvalidDeadline(deadline);
+
+        _debit(token, amount);
+        escrowId = nextEscrowId++;
+        escrows[escrowId] = Escrow({
+            payer: msg.sender,
+            payee: payee,
+            arbiter: arbiter,
+            token: token,
+            amount: amount,
+            deadline: deadline,
+            status: EscrowStatus.Open
+        });
+        _escrowsOf[msg.sender].push(escrowId);
+        _escrowsOf[payee].push(escrowId);
+        if (arbiter != address(0)) _escrowsOf[arbiter].push(escrowId);
+
+        emit EscrowCreated(escrowId, msg.sender, payee, token, arbiter, amount, deadline);
+    }
+
+    /**
+     * @notice Payer releases the escrowed funds to the payee.
+     * @dev Also allowed while disputed, so a payer can concede.
+     */
+    function releaseEscrow(uint256 escrowId) external nonReentrant {
+        Escrow storage e = _getActiveEscrow(escrowId);
+        if (msg.sender != e.payer) revert Unauthorized(msg.sender);
+        _release(escrowId, e);
+    }
+
+    /**
+     * @notice Payee hands the escrowed funds back to the payer.
+     * @dev Also allowed while disputed, so a payee can concede.
+     */
+    function refundEscrow(uint256 escrowId) external nonReentrant {
+        Escrow storage e = _getActiveEscrow(escrowId);
+        if (msg.sender != e.payee) revert Unauthorized(msg.sender);
+        _refund(escrowId, e);
+    }
+
+    /**
+     * @notice Payer or payee escalates to the arbiter before the deadline.
+     *         A disputed escrow no longer expires; only the arbiter or a
+     *         conceding party can close it.
+     */
+    function disputeEscrow(uint256 escrowId) external nonReentrant {
+        Escrow storage e = _getActiveEscrow(escrowId);
+        if (msg.sender != e.payer && msg.sender != e.payee) revert Unauthorized(msg.sender);
+        if (e.arbiter == address(0)) revert NoArbiter(escrowId);
+        if (e.status == EscrowStatus.Disputed) revert EscrowClosed(escrowId);
+        if (block.timestamp > e.deadline) revert EscrowExpired(escrowId);
+
+        e.status = EscrowStatus.Disputed;
+
+        emit EscrowDisputed(escrowId, msg.sender, block.timestamp);
+    }
+
+    /**
+     * @notice Arbiter settles a dispute in favour of the payee or the payer.
+     * @param escrowId The disputed escrow.
+     * @param releaseToPayee True pays the payee, false refunds the payer.
+     */
+    function resolveEscrow(uint256 escrowId, bool releaseToPayee) external nonReentrant {
+        Escrow storage e = _getActiveEscrow(escrowId);
+        if (msg.sender != e.arbiter) revert Unauthorized(msg.sender);
+        if (e.status != EscrowStatus.Disputed) revert EscrowNotDisputed(escrowId);
+
+        emit EscrowResolved(escrowId, msg.sender, releaseToPayee, block.timestamp);
+
+        if (releaseToPayee) _release(escrowId, e);
+        else _refund(escrowId, e);
+    }
+
+    /**
+     * @notice Return an expired, undisputed escrow to the payer.
+     * @dev Callable by anyone so keepers can sweep expired escrows.
+     */
+    function reclaimEscrow(uint256 escrowId) external nonReentrant {
+        Escrow storage e = _getActiveEscrow(escrowId);
+        if (e.status == EscrowStatus.Disputed) revert EscrowClosed(escrowId);
+        if (block.timestamp <= e.deadline) revert EscrowNotExpired(escrowId);
+        _refund(escrowId, e);
+    }
+
+    // ──────────────────────────────────────────────
+    //  Safety Rules
+    // ──────────────────────────────────────────────
+
+    /**
+     * @notice Opt into outflow rules for the caller's `token` balance: outflows
+     *         draw on a `dailyLimit` allowance that refills continuously over
+     *         24 hours, and a withdrawal, transfer or payout above
+     *         `lockThreshold` is queued for `delay` seconds, during which the
+     *         caller can cancel it. Zero turns the limit or the threshold off;
+     *         with either on, `delay` must be at least MIN_SAFETY_DELAY.
+     * @dev Stricter rules (every value as strict or stricter) apply at once;
+     *      anything looser applies after the current delay, and a later
+     *      stricter call drops it. Invoice payments, batches, `transferFrom`
+     *      and signed orders queue too. Streams and escrows cannot wait in
+     *      the queue, so funding one above the threshold reverts with
+     *      `AboveLockThreshold`. USDC rules also cover avUSDC leaving the
+     *      account; see `recordShareOutflow`.
+     */
+    function setSafetyRules(address token, uint96 dailyLimit, uint96 lockThreshold, uint64 delay) external {
+        bool anyRule = dailyLimit != 0 || lockThreshold != 0;
+        if (delay > MAX_SAFETY_DELAY || (anyRule && delay < MIN_SAFETY_DELAY)) revert InvalidDelay(delay);
+        Safety storage s = _safety[token][msg.sender];
+        SafetyRules memory current = _rulesOf(s);
+        SafetyRules memory next = SafetyRules(dailyLimit, lockThreshold, delay);
+
+        bool stricter = _atMost(dailyLimit, current.dailyLimit)
+            && _atMost(lockThreshold, current.lockThreshold)
+            && delay >= current.delay;
+        uint256 effectiveAt = stricter ? block.timestamp : block.timestamp + current.delay;
+        s.rules = stricter ? next : current;
+        s.pending = next;
+        s.pendingAt = stricter ? 0 : uint64(effectiveAt);
+
+        emit SafetyRulesChanged(msg.sender, token, dailyLimit, lockThreshold, delay, effectiveAt);
+    }
+
+    /**
+     * @notice Carry out a queued outflow once its delay has passed. Anyone
+     *         may call it; the funds only go where queued.
+     * @dev Draws on the account's daily limit: only what the allowance has
+     *      room for goes out, and the rest stays queued under the same id
+     *      for a later call. Queued transfers and payouts wait while the
+     *      vault is paused; withdrawals to the account itself do not.
+     */
+    function executeWithdrawal(uint256 withdrawalId) external nonReentrant {
+        QueuedWithdrawal memory q = queuedWithdrawals[withdrawalId];
+        if (q.account == address(0)) revert WithdrawalNotFound(withdrawalId);
+        if (block.timestamp < q.unlockAt) revert WithdrawalLocked(withdrawalId, q.unlockAt);
+        if (q.isTransfer || q.to != q.account) _requireNotPaused();
+
+        uint256 amount = _drawToday(q.token, q.account, q.amount);
+        if (amount == q.amount) delete queuedWithdrawals[withdrawalId];
+        else queuedWithdrawals[withdrawalId].amount = q.amount - amount;
+
+        emit WithdrawalExecuted(withdrawalId, q.account, amount, block.timestamp);
+        if (q.isTransfer) _credit(q.token, q.account, q.to, amount, q.ref);
+        else _send(q.token, q.account, q.to, amount);
+    }
+
+    /**
+     * @notice Return a queued outflow, or what is left of it, to the account's balance.
+     * @dev Only the account, at any time; nobody else can hold its funds back.
+     */
+    function cancelWithdrawal(uint256 withdrawalId) external nonReentrant {
+        QueuedWithdrawal memory q = _closeWithdrawal(withdrawalId);
+        if (msg.sender != q.account) revert Unauthorized(msg.sender);
+        balances[q.token][q.account] += q.amount;
+
+        emit WithdrawalCancelled(withdrawalId, msg.sender, block.timestamp);
+    }
+
+    /**
+     * @notice Called by `shares` before avUSDC leaves `account` through a
+     *         redeem, a withdraw or a share transfer, so the account's USDC
+     *         safety rules cover its shares as they cover its balance.
+     * @dev Counts `assets` against the daily limit; above the lock threshold
+     *      it reverts with `AboveLockThreshold`, as shares cannot be queued.
+     *      Moving shares back into the ledger with `moveFromShares` is not
+     *      an outflow, and neither is `moveToShares`: the rules follow the funds.
+     */
+    function recordShareOutflow(address account, uint256 assets) external {
+        if (msg.sender != address(shares)) revert Unauthorized(msg.sender);
+        _applyRules(address(usdc), account, assets);
+    }
+
+    // ──────────────────────────────────────────────
+    //  Internal
+    // ──────────────────────────────────────────────
+
+    function _getActiveEscrow(uint256 escrowId) private view returns (Escrow storage e) {
+        e = escrows[escrowId];
+        if (e.status == EscrowStatus.None) revert EscrowNotFound(escrowId);
+        if (e.status != EscrowStatus.Open && e.status != EscrowStatus.Disputed)
+            revert EscrowClosed(escrowId);
+    }
+
+    function _release(uint256 escrowId, Escrow storage e) private {
+        e.status = EscrowStatus.Released;
+        balances[e.token][e.payee] += e.amount;
+        emit EscrowReleased(escrowId, e.payee, e.amount, block.timestamp);
+    }
+
+    function _refund(uint256 escrowId, Escrow storage e) private {
+        e.status = EscrowStatus.Refunded;
+        balances[e.token][e.payer] += e.amount;
+        emit EscrowRefunded(escrowId, e.payer, e.amount, block.timestamp);
+    }
+
+    function _getStream(uint256 streamId) private view returns (Stream storage st) {
+        st = streams[streamId];
+        if (st.sender == address(0)) revert StreamNotFound(streamId);
+    }
+
+    /**
+     * @dev Total released by a stream so far, withdrawn or not.
+     */
+    function _streamed(Stream storage st) private view returns (uint256) {
+        if (block.timestamp <= st.startTime) return 0;
+        uint256 end = block.timestamp < st.stopTime ? block.timestamp : st.stopTime;
+        return st.ratePerSecond * (end - st.startTime);
+    }
+
+    /**
+     * @dev Validates a batch, checks the caller's balance against the total
+     *      once, debits it and returns it. Above the lock threshold it queues
+     *      each leg instead and returns 0.
+     */
+    function _debitBatch(
+        address token,
+        address[] calldata recipients,
+        uint256[] calldata amounts,
+        bool isTransfer
+    ) private returns (uint256 total) {
+        if (recipients.length != amounts.length)
+            revert LengthMismatch(recipients.length, amounts.length);
+        if (recipients.length == 0) revert EmptyBatch();
+
+        for (uint256 i = 0; i < recipients.length; i++) {
+            if (recipients[i] == address(0)) revert ZeroAddress();
+            if (amounts[i] == 0) revert ZeroAmount();
+            total += amounts[i];
+        }
+
+        if (!_timeLocked(token, msg.sender, total)) {
+            _debit(token, total);
+            return total;
+        }
+        for (uint256 i = 0; i < recipients.length; i++) {
+            _queueWithdrawal(token, msg.sender, recipients[i], amounts[i], isTransfer, 0);
+        }
+        return 0;
+    }
+
+    /**
+     * @dev Debits the caller's `token` balance or reverts with what is available.
+     */
+    function _debit(address token, uint256 amount) private {
+        _debitFrom(token, msg.sender, amount);
+    }
+
+    /**
+     * @dev Debits an outflow, enforcing the account's safety rules.
+     */
+    function _debitFrom(address token, address account, uint256 amount) private {
+        _applyRules(token, account, amount);
+        _take(token, account, amount);
+    }
+
+    /**
+     * @dev Reverts above the lock threshold or the daily allowance, else
+     *      counts `amount` against the allowance.
+     */
+    function _applyRules(address token, address account, uint256 amount) private {
+        if (_timeLocked(token, account, amount))
+            revert AboveLockThreshold(amount, _rulesOf(_safety[token][account]).lockThreshold);
+        uint256 drawn = _drawToday(token, account, amount);
+        if (drawn < amount) revert DailyLimitExceeded(amount, drawn);
+    }
+
+    /**
+     * @dev Counts up to `amount` against the account's daily allowance and
+     *      returns how much fit; reverts when the allowance is used up.
+     */
+    function _drawToday(address token, address account, uint256 amount) private returns (uint256) {
+        Safety storage s = _safety[token][account];
+        uint256 limit = _rulesOf(s).dailyLimit;
+        if (limit == 0) return amount;
+        uint256 room = limit - _usedToday(s, limit);
+        if (room == 0) revert DailyLimitExceeded(amount, 0);
+        if (amount > room) amount = room;
+        s.spent = uint128(limit - room + amount);
+        s.spentAt = uint64(block.timestamp);
+        return amount;
+    }
+
+    function _take(address token, address account, uint256 amount) private {
+        uint256 available = balances[token][account];
+        if (available < amount) revert InsufficientBalance(amount, available);
+        balances[token][account] = available - amount;
+    }
+
+    /// @dev Queues above `from`'s lock threshold; a nonzero `ref` marks an invoice payment.
+    function _ledgerTransfer(address token, address from, address to, uint256 amount, bytes32 ref) private {
         if (to == address(0)) revert ZeroAddress();
         if (amount == 0) revert ZeroAmount();
-        if (balances[msg.sender] < amount)
-            revert InsufficientBalance(amount, balances[msg.sender]);
+        if (_timeLocked(token, from, amount)) {
+            _queueWithdrawal(token, from, to, amount, true, ref);
+            return;
+        }
+        _debitFrom(token, from, amount);
+        _credit(token, from, to, amount, ref);
+    }
+
+    function _ledgerWithdraw(address token, address account, uint256 amount) private {
+        if (amount == 0) revert ZeroAmount();
+        if (_timeLocked(token, account, amount)) {
+            _queueWithdrawal(token, account, account, amount, false, 0);
+            return;
+        }
+        _debitFrom(token, account, amount);
+        _send(token, account, account, amount);
+    }
+
+    function _credit(address token, address from, address to, uint256 amount, bytes32 ref) private {
+        balances[token][to] += amount;
+
+        emit Transferred(from, to, token, amount, block.timestamp);
+        if (ref != 0) emit InvoicePaid(ref, from, to, token, amount, block.timestamp);
+    }
+
+    /// @dev Sends debited tokens out: a withdrawal when `to` is `from`, else a payout.
+    function _send(address token, address from, address to, uint256 amount) private {
+        totalLiabilities[token] -= amount;
+        IERC20(token).safeTransfer(to, amount);
+
+        if (to == from) emit Withdrawn(from, token, amount, block.timestamp);
+        else emit PaidOut(from, to, token, amount, block.timestamp);
+    }
+
+    /**
+     * @dev Checks the deadline, consumes the nonce and verifies the signer,
+     *      then records who relayed the order.
+     */
+    function _useOrder(
+        address from,
+        uint256 nonce,
+        uint256 deadline,
+        bytes32 structHash,
+        bytes calldata signature
+    ) private {
+        if (block.timestamp > deadline) revert OrderExpired(deadline);
+        _useCheckedNonce(from, nonce);
+        address signer = ECDSA.recover(_hashTypedDataV4(structHash), signature);
+        if (signer != from) revert InvalidSigner(signer, from);
+
+        emit OrderExecuted(from, nonce, msg.sender, block.timestamp);
+    }
+
+    function _ledgerDeposit(address token, uint256 amount) private {
+        if (amount == 0) revert ZeroAmount();
+        if (!tokens[token].allowed) revert TokenNotSupported(token);
+
+        balances[token][msg.sender] += amount;
+        totalLiabilities[token] += amount;
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+
+        emit Deposited(msg.sender, token, amount, block.timestamp);
+    }
+
+    /**
+     * @dev Holds `amount` of `account`'s balance for `delay` seconds. Queued
+     *      amounts stay in `totalLiabilities` and draw on the daily limit
+     *      when executed.
+     */
+    function _queueWithdrawal(
+        address token,
+        address account,
+        address to,
+        uint256 amount,
+        bool isTransfer,
+        bytes32 ref
+    ) private {
+        _take(token, account, amount);
+        uint256 unlockAt = block.timestamp + _rulesOf(_safety[token][account]).delay;
+        uint256 id = nextWithdrawalId++;
+        queuedWithdrawals[id] = QueuedWithdrawal(account, uint64(unlockAt), isTransfer, token, to, amount, ref);
+        _queuedOf[account].push(id);
+
+        emit WithdrawalQueued(id, account, to, token, amount, isTransfer, unlockAt);
+    }
+
+    function _closeWithdrawal(uint256 withdrawalId) private returns (QueuedWithdrawal memory q) {
+        q = queuedWithdrawals[withdrawalId];
+        if (q.account == address(0)) revert WithdrawalNotFound(withdrawalId);
+        delete queuedWithdrawals[withdrawalId];
+    }
+
+    function _timeLocked(address token, address account, uint256 amount) private view returns (bool) {
+        uint256 threshold = _rulesOf(_safety[token][account]).lockThreshold;
+        return threshold != 0 && amount > threshold;
+    }
 
-        balances[msg.sender] -= amount;
-        balances[to] += amount;
-        usdc.safeTransfer(to, amount);
+    /// @dev The rules in force: pending ones once their time has come.
+    function _rulesOf(Safety storage s) private view returns (SafetyRules memory) {
+        return s.pendingAt != 0 && block.timestamp >= s.pendingAt ? s.pending : s.rules;
+    }
+
+    /// @dev Capped at `dailyLimit`, which may have been lowered since.
+    function _usedToday(Safety storage s, uint256 dailyLimit) private view returns (uint256) {
+        uint256 drained = (block.timestamp - s.spentAt) * dailyLimit / 1 days;
+        uint256 used = s.spent > drained ? s.spent - drained : 0;
+        return used < dailyLimit ? used : dailyLimit;
+    }
 
-        emit Transferred(msg.sender, to, amount, block.timestamp);
+    /// @dev `a <= b` where zero means unlimited.
+    function _atMost(uint256 a, uint256 b) private pure returns (bool) {
+        return b == 0 || (a != 0 && a <= b);
+    }
+
+    function _addToken(address token) private {
+        TokenInfo storage info = tokens[token];
+        uint8 decimals = IERC20Metadata(token).decimals();
+        if (!info.listed) _listedTokens.push(token);
+        info.listed = true;
+        info.allowed = true;
+        info.decimals = decimals;
+        emit TokenAdded(token, decimals, block.timestamp);
     }
 
     // ──────────────────────────────────────────────
@@ -102,16 +1199,102 @@ contract ArcVault is ReentrancyGuard {
     // ──────────────────────────────────────────────
 
     /**
-     * @notice Returns the vault balance for an account.
+     * @notice Returns an account's vault balance of `token`.
+     */
+    function balanceOf(address token, address account) external view returns (uint256) {
+        return balances[token][account];
+    }
+
+    /**
+     * @notice Returns every token ever listed, including removed ones
+     *         that may still hold balances. See `tokens` for status and decimals.
+     */
+    function listedTokens() external view returns (address[] memory) {
+        return _listedTokens;
+    }
+
+    /**
+     * @notice Returns the amount the recipient could withdraw from a stream now.
+     */
+    function streamWithdrawable(uint256 streamId) external view returns (uint256) {
+        Stream storage st = _getStream(streamId);
+        return _streamed(st) - st.withdrawn;
+    }
+
+    /**
+     * @notice Returns the ids of streams an account is sending.
+     */
+    function outgoingStreams(address account) external view returns (uint256[] memory) {
+        return _outgoingStreams[account];
+    }
+
+    /**
+     * @notice Returns the ids of streams an account is receiving.
+     */
+    function incomingStreams(address account) external view returns (uint256[] memory) {
+        return _incomingStreams[account];
+    }
+
+    /**
+     * @notice Returns how much of `account`'s `token` balance `spender` may move.
+     */
+    function allowance(address token, address account, address spender) external view returns (uint256) {
+        return _allowances[token][account][spender];
+    }
+
+    /**
+     * @notice Returns every spender `account` has ever approved, in any token.
+     *         Revoked spenders stay listed with a zero allowance.
+     */
+    function spendersOf(address account) external view returns (address[] memory) {
+        return _spenders[account];
+    }
+
+    /**
+     * @notice Returns the ids of escrows an account is payer, payee or arbiter of.
+     */
+    function escrowsOf(address account) external view returns (uint256[] memory) {
+        return _escrowsOf[account];
+    }
+
+    /**
+     * @notice `account`'s safety rules for `token`: those in force, a looser
+     *         set waiting until `pendingAt` (zero when none), and how much can
+     *         still leave today (`type(uint256).max` without a daily limit).
+     */
+    function safetyRules(address token, address account)
+        external
+        view
+        returns (SafetyRules memory rules, SafetyRules memory pending, uint256 pendingAt, uint256 availableToday)
+    {
+        Safety storage s = _safety[token][account];
+        rules = _rulesOf(s);
+        if (s.pendingAt > block.timestamp) (pending, pendingAt) = (s.pending, s.pendingAt);
+        availableToday = rules.dailyLimit == 0 ? type(uint256).max : rules.dailyLimit - _usedToday(s, rules.dailyLimit);
+    }
+
+    /**
+     * @notice Ids of every withdrawal `account` has queued; executed and
+     *         cancelled ones read back as empty from `queuedWithdrawals`.
+     */
+    function queuedWithdrawalsOf(address account) external view returns (uint256[] memory) {
+        return _queuedOf[account];
+    }
+
+    /**
+     * @notice Returns the contract's total holdings of `token`.
      */
-    function balanceOf(address account) external view returns (uint256) {
-        return balances[account];
+    function totalVaultBalance(address token) external view returns (uint256) {
+        return IERC20(token).balanceOf(address(this));
     }
 
     /**
-     * @notice Returns total USDC held by the contract.
+     * @notice Returns the holdings of `token` that no one is owed, i.e. what
+     *         `recoverERC20` may take.
      */
-    function totalVaultBalance() external view returns (uint256) {
-        return usdc.balanceOf(address(this));
+    function surplusOf(address token) public view returns (uint256) {
+        uint256 held = IERC20(token).balanceOf(address(this));
+        uint256 owed = totalLiabilities[token];
+        return held > owed ? held - owed : 0;
     }
 }
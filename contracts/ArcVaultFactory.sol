@@ -0,0 +1,156 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/Create2.sol";
+
+/**
+ * @title ArcVaultFactory
+ * @notice Deploys ArcVaults with CREATE2 and keeps a registry of who created which.
+ * @dev ArcVault's creation code is passed to the constructor rather than
+ *      compiled in, which keeps both contracts under the EIP-170 size limit.
+ *      It is stored as the code of data-only contracts in chunks of at most
+ *      CHUNK_SIZE bytes, each behind a STOP byte so it cannot run, and
+ *      `vaultCodeHash` lets anyone check which build a factory deploys; a
+ *      changed ArcVault needs a new factory. A vault's address depends on
+ *      the factory, the salt, the USDC address and the creator (its initial
+ *      owner), so it can be known before deployment and nobody else can take it.
+ */
+contract ArcVaultFactory {
+    // ──────────────────────────────────────────────
+    //  Constants
+    // ──────────────────────────────────────────────
+
+    /// @notice Largest chunk of creation code held by one data contract: the
+    ///         EIP-170 limit less the leading STOP byte.
+    uint256 public constant CHUNK_SIZE = 24_575;
+
+    // ──────────────────────────────────────────────
+    //  State
+    // ──────────────────────────────────────────────
+
+    /// @notice keccak256 of the ArcVault creation code this factory deploys,
+    ///         without constructor arguments.
+    bytes32 public immutable vaultCodeHash;
+
+    uint256 private immutable _codeLength;
+    address[] private _codeChunks;
+
+    /// @notice True for every vault this factory has deployed.
+    mapping(address => bool) public isVault;
+
+    mapping(address => address[]) private _vaultsOf;
+    address[] private _allVaults;
+
+    // ──────────────────────────────────────────────
+    //  Events
+    // ──────────────────────────────────────────────
+
+    event VaultCreated(address indexed creator, address indexed vault, address indexed usdc, bytes32 salt);
+
+    // ──────────────────────────────────────────────
+    //  Errors
+    // ──────────────────────────────────────────────
+
+    error EmptyCreationCode();
+    error ChunkNotStored(uint256 index);
+
+    // ──────────────────────────────────────────────
+    //  Constructor
+    // ──────────────────────────────────────────────
+
+    /**
+     * @param creationCode ArcVault's creation code (the artifact's
+     *        `bytecode`), without constructor arguments.
+     */
+    constructor(bytes memory creationCode) {
+        uint256 length = creationCode.length;
+        if (length == 0) revert EmptyCreationCode();
+        vaultCodeHash = keccak256(creationCode);
+        _codeLength = length;
+        for (uint256 offset; offset < length; offset += CHUNK_SIZE) {
+            uint256 size = length - offset < CHUNK_SIZE ? length - offset : CHUNK_SIZE;
+            _codeChunks.push(_storeChunk(creationCode, offset, size));
+        }
+    }
+
+    // ──────────────────────────────────────────────
+    //  Deployment
+    // ──────────────────────────────────────────────
+
+    /**
+     * @notice Deploy an ArcVault over `usdc`, owned by the caller.
+     * @param usdc USDC address for the new vault.
+     * @param salt Any value; reusing one for the same `usdc` reverts.
+     * @return vault Address of the new vault (see predictVaultAddress).
+     */
+    function createVault(address usdc, bytes32 salt) external returns (address vault) {
+        vault = Create2.deploy(0, salt, _initCode(usdc, msg.sender));
+        isVault[vault] = true;
+        _vaultsOf[msg.sender].push(vault);
+        _allVaults.push(vault);
+        emit VaultCreated(msg.sender, vault, usdc, salt);
+    }
+
+    /// @notice Where createVault(usdc, salt) called by `creator` deploys.
+    function predictVaultAddress(address creator, address usdc, bytes32 salt) external view returns (address) {
+        return Create2.computeAddress(salt, keccak256(_initCode(usdc, creator)));
+    }
+
+    /// @notice The ArcVault creation code this factory deploys, without
+    ///         constructor arguments; hashes to `vaultCodeHash`.
+    function vaultCreationCode() public view returns (bytes memory code) {
+        code = new bytes(_codeLength);
+        uint256 offset;
+        uint256 count = _codeChunks.length;
+        for (uint256 i; i < count; ++i) {
+            address chunk = _codeChunks[i];
+            uint256 size = chunk.code.length - 1;
+            assembly ("memory-safe") {
+                extcodecopy(chunk, add(add(code, 0x20), offset), 1, size)
+            }
+            offset += size;
+        }
+    }
+
+    // ──────────────────────────────────────────────
+    //  Registry
+    // ──────────────────────────────────────────────
+
+    /// @notice Vaults `creator` has deployed through this factory, oldest first.
+    function vaultsOf(address creator) external view returns (address[] memory) {
+        return _vaultsOf[creator];
+    }
+
+    /// @notice Number of vaults deployed through this factory.
+    function vaultCount() external view returns (uint256) {
+        return _allVaults.length;
+    }
+
+    /// @notice The `index`-th vault deployed through this factory.
+    function vaultAt(uint256 index) external view returns (address) {
+        return _allVaults[index];
+    }
+
+    // ──────────────────────────────────────────────
+    //  Internal helpers
+    // ──────────────────────────────────────────────
+
+    function _initCode(address usdc, address owner) private view returns (bytes memory) {
+        return abi.encodePacked(vaultCreationCode(), abi.encode(usdc, owner));
+    }
+
+    /// @dev Deploys `code[offset:offset + size]` behind a STOP byte as the
+    ///      runtime code of a new contract. The 10-byte prefix copies what
+    ///      follows it into memory and returns it:
+    ///      PUSH2 size+1, DUP1, PUSH1 10, RETURNDATASIZE, CODECOPY, RETURNDATASIZE, RETURN.
+    function _storeChunk(bytes memory code, uint256 offset, uint256 size) private returns (address chunk) {
+        bytes memory init = new bytes(size + 11);
+        assembly ("memory-safe") {
+            let dst := add(init, 0x20)
+            mstore(dst, or(or(shl(248, 0x61), shl(232, add(size, 1))), shl(176, 0x80600a3d393df3)))
+            mcopy(add(dst, 11), add(add(code, 0x20), offset), size)
+            chunk := create(0, dst, add(size, 11))
+        }
+        if (chunk == address(0)) revert ChunkNotStored(_codeChunks.length);
+    }
+}
@@ -0,0 +1,158 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC4626.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+
+/// @dev What ArcVaultShares reads from the vault that created it.
+interface IArcVaultGate {
+    function paused() external view returns (bool);
+    function tokens(address token) external view returns (bool listed, bool allowed, uint8 decimals);
+    function recordShareOutflow(address account, uint256 assets) external;
+}
+
+/**
+ * @title ArcVaultShares
+ * @notice avUSDC, the ERC-4626 share token of one ArcVault, with USDC as the asset.
+ * @dev Created by the ArcVault constructor and kept apart from the vault's
+ *      per-token ledger, so neither overloads the other's functions. It holds
+ *      the USDC behind its shares itself. It follows the vault: share deposits
+ *      and transfers stop while the vault is paused, and share deposits also
+ *      stop while the vault has USDC delisted; redemptions stay open. Shares
+ *      leaving an account (withdraw, redeem, transfer) count against its USDC
+ *      safety rules in the vault. The vault moves ledger balances in with a
+ *      plain `deposit` and back out with `redeemToVault`, which the rules skip.
+ */
+contract ArcVaultShares is ERC4626, ReentrancyGuard {
+    // ──────────────────────────────────────────────
+    //  State
+    // ──────────────────────────────────────────────
+
+    /// @notice The ArcVault these shares belong to.
+    address public immutable vault;
+
+    /// @dev USDC backing the shares; tracked rather than read from
+    ///      `balanceOf` so donations do not move the share price.
+    uint256 private _assets;
+
+    // ──────────────────────────────────────────────
+    //  Errors
+    // ──────────────────────────────────────────────
+    error ZeroAmount();
+    error EnforcedPause();
+    error Unauthorized(address caller);
+
+    // ──────────────────────────────────────────────
+    //  Constructor
+    // ──────────────────────────────────────────────
+    /**
+     * @param _usdc The vault's USDC, the shares' asset.
+     * @dev The caller becomes `vault`.
+     */
+    constructor(IERC20 _usdc) ERC20("ArcVault USDC", "avUSDC") ERC4626(_usdc) {
+        vault = msg.sender;
+    }
+
+    // ──────────────────────────────────────────────
+    //  Vault
+    // ──────────────────────────────────────────────
+
+    /**
+     * @notice Burn `shares` of `account`'s and send the USDC they are worth
+     *         to the vault, which credits it to `account`'s ledger balance.
+     * @dev Only the vault, on behalf of `account`, so no allowance is spent:
+     *      `Withdraw` names `account` as the sender and the vault as receiver.
+     * @return assets The USDC sent to the vault.
+     */
+    function redeemToVault(address account, uint256 shares) external returns (uint256 assets) {
+        if (msg.sender != vault) revert Unauthorized(msg.sender);
+        uint256 maxShares = maxRedeem(account);
+        if (shares > maxShares) revert ERC4626ExceededMaxRedeem(account, shares, maxShares);
+        assets = previewRedeem(shares);
+        _withdraw(account, vault, account, assets, shares);
+    }
+
+    // ──────────────────────────────────────────────
+    //  ERC-4626
+    // ──────────────────────────────────────────────
+
+    /**
+     * @notice USDC held for avUSDC shareholders.
+     * @dev The vault earns no yield, so shares and assets stay 1:1.
+     */
+    function totalAssets() public view override returns (uint256) {
+        return _assets;
+    }
+
+    /**
+     * @notice Burn `owner`'s shares for `assets` of USDC sent to `receiver`.
+     * @dev Checked against `owner`'s USDC safety rules in the vault first.
+     */
+    function withdraw(uint256 assets, address receiver, address owner) public override returns (uint256) {
+        IArcVaultGate(vault).recordShareOutflow(owner, assets);
+        return super.withdraw(assets, receiver, owner);
+    }
+
+    /**
+     * @notice Burn `shares` of `owner`'s for USDC sent to `receiver`.
+     * @dev Checked against `owner`'s USDC safety rules in the vault first.
+     */
+    function redeem(uint256 shares, address receiver, address owner) public override returns (uint256) {
+        IArcVaultGate(vault).recordShareOutflow(owner, previewRedeem(shares));
+        return super.redeem(shares, receiver, owner);
+    }
+
+    /**
+     * @notice Zero while the vault is paused or has USDC delisted, so share
+     *         deposits revert with `ERC4626ExceededMaxDeposit` then.
+     */
+    function maxDeposit(address receiver) public view override returns (uint256) {
+        return _open() ? super.maxDeposit(receiver) : 0;
+    }
+
+    /**
+     * @notice Zero while the vault is paused or has USDC delisted, like `maxDeposit`.
+     */
+    function maxMint(address receiver) public view override returns (uint256) {
+        return _open() ? super.maxMint(receiver) : 0;
+    }
+
+    function _deposit(address caller, address receiver, uint256 assets, uint256 shares) internal override nonReentrant {
+        if (assets == 0) revert ZeroAmount();
+        _assets += assets;
+        super._deposit(caller, receiver, assets, shares);
+    }
+
+    /**
+     * @dev Redemptions stay open while the vault is paused, like its withdrawals.
+     */
+    function _withdraw(
+        address caller,
+        address receiver,
+        address account,
+        uint256 assets,
+        uint256 shares
+    ) internal override nonReentrant {
+        if (assets == 0) revert ZeroAmount();
+        _assets -= assets;
+        super._withdraw(caller, receiver, account, assets, shares);
+    }
+
+    /**
+     * @dev Share transfers pause with the vault's ledger transfers and count
+     *      against the sender's USDC safety rules. Minting is gated by
+     *      `maxDeposit` and burning by `withdraw` / `redeem`, so neither is checked here.
+     */
+    function _update(address from, address to, uint256 value) internal override {
+        if (from != address(0) && to != address(0)) {
+            if (IArcVaultGate(vault).paused()) revert EnforcedPause();
+            IArcVaultGate(vault).recordShareOutflow(from, convertToAssets(value));
+        }
+        super._update(from, to, value);
+    }
+
+    function _open() private view returns (bool) {
+        (, bool allowed, ) = IArcVaultGate(vault).tokens(asset());
+        return allowed && !IArcVaultGate(vault).paused();
+    }
+}
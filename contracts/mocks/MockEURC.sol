@@ -0,0 +1,38 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title MockEURC
+ * @notice Mintable 6-decimal stand-in for EURC, used on local hardhat networks
+ *         as a second allowlisted stablecoin.
+ * @dev No EIP-2612 permit, so it also exercises the approve-then-deposit path.
+ *      Minting is open to anyone. Never deploy this outside local development.
+ */
+contract MockEURC is ERC20 {
+    // ──────────────────────────────────────────────
+    //  Constructor
+    // ──────────────────────────────────────────────
+    constructor() ERC20("Mock EURC", "EURC") {}
+
+    // ──────────────────────────────────────────────
+    //  Core Functions
+    // ──────────────────────────────────────────────
+
+    /**
+     * @notice Mint tokens to an account.
+     * @param to Recipient address.
+     * @param amount The amount of EURC (in smallest unit) to mint.
+     */
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+
+    /**
+     * @notice EURC uses 6 decimals.
+     */
+    function decimals() public pure override returns (uint8) {
+        return 6;
+    }
+}
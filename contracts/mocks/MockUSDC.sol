@@ -0,0 +1,38 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+
+/**
+ * @title MockUSDC
+ * @notice Mintable 6-decimal stand-in for USDC, used on local hardhat networks.
+ *         Supports EIP-2612 permit like Circle's USDC.
+ * @dev Minting is open to anyone. Never deploy this outside local development.
+ */
+contract MockUSDC is ERC20, ERC20Permit {
+    // ──────────────────────────────────────────────
+    //  Constructor
+    // ──────────────────────────────────────────────
+    constructor() ERC20("Mock USDC", "USDC") ERC20Permit("Mock USDC") {}
+
+    // ──────────────────────────────────────────────
+    //  Core Functions
+    // ──────────────────────────────────────────────
+
+    /**
+     * @notice Mint tokens to an account.
+     * @param to Recipient address.
+     * @param amount The amount of USDC (in smallest unit) to mint.
+     */
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+
+    /**
+     * @notice USDC uses 6 decimals.
+     */
+    function decimals() public pure override returns (uint8) {
+        return 6;
+    }
+}
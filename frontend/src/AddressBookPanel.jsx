@@ -0,0 +1,97 @@
+import { useState, useRef } from "react";
+import { isAddress } from "ethers";
+import { shortenAddr } from "./format";
+import { parseContacts, contactsToCsv, contactsToJson, lookAlikes, MAX_LABEL } from "./addressBook";
+import { downloadFile } from "./history";
+
+/* ─── Address Book Panel ──────────────────────────────── */
+// Add, relabel, remove, import and export the contacts from useAddressBook
+// (`book`). Contacts fill the Transfer tab's recipient through `onSend`.
+
+export default function AddressBookPanel({ book, onSend }) {
+  const { contacts, contactFor, save, remove, importContacts } = book;
+  const [label, setLabel] = useState("");
+  const [address, setAddress] = useState("");
+  const [editing, setEditing] = useState(null); // address of the contact being edited
+  const [error, setError] = useState("");
+  const [note, setNote] = useState("");
+  const fileRef = useRef(null);
+
+  const typed = address.trim();
+  const existing = isAddress(typed) ? contactFor(typed) : null;
+  const similar = isAddress(typed) ? lookAlikes(typed, contacts).filter((m) => m.contact.address !== editing) : [];
+  const formErr =
+    (typed && !isAddress(typed) ? "Not a valid address." : "") ||
+    (existing && existing.address !== editing ? `Already saved as "${existing.label}".` : "");
+
+  const reset = () => { setLabel(""); setAddress(""); setEditing(null); setError(""); };
+  const submit = () => {
+    try {
+      const c = save(typed, label, editing);
+      setNote(`${editing ? "Updated" : "Saved"} "${c.label}".`);
+      reset();
+    } catch (e) { setError(e.message); }
+  };
+  const edit = (c) => { setEditing(c.address); setLabel(c.label); setAddress(c.address); setError(""); setNote(""); };
+
+  const onFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    const { contacts: found, errors } = parseContacts(await file.text());
+    const { added, updated } = importContacts(found);
+    setNote(`Imported ${added} new, ${updated} relabelled.`);
+    setError(errors.length ? `Skipped ${errors.length}: ${errors.slice(0, 3).join("; ")}${errors.length > 3 ? "; …" : ""}` : "");
+  };
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  return (
+    <div className="crd">
+      <div className="cfg-h">
+        <span className="crd-lbl" style={{ margin: 0 }}>Address Book</span>
+        <div className="hs-act">
+          <button onClick={() => fileRef.current?.click()}>Import</button>
+          <button disabled={!contacts.length} onClick={() => downloadFile(`arcvault-contacts-${stamp}.csv`, contactsToCsv(contacts), "text/csv")}>CSV</button>
+          <button disabled={!contacts.length} onClick={() => downloadFile(`arcvault-contacts-${stamp}.json`, contactsToJson(contacts), "application/json")}>JSON</button>
+        </div>
+      </div>
+      <input ref={fileRef} type="file" accept=".csv,.json,text/csv,application/json" style={{ display: "none" }} onChange={onFile} />
+
+      {contacts.length ? contacts.map((c) => (
+        <div key={c.address} className="sm-row">
+          <div className="sm-top">
+            <span>
+              <span className="hs-k">{c.label}</span>
+              <span className="hs-m" title={c.address}>{shortenAddr(c.address)}</span>
+            </span>
+            <span className="hs-act">
+              <button className="sm-btn" onClick={() => onSend(c.address)}>Send</button>
+              <button className="sm-btn" onClick={() => edit(c)}>Edit</button>
+              <button className="sm-btn sm-cx" onClick={() => { remove(c.address); if (editing === c.address) reset(); }}>✕</button>
+            </span>
+          </div>
+        </div>
+      )) : <div className="hs-empty">No contacts yet. Recipients you label show up here and in the Transfer tab.</div>}
+
+      <div className="sm-sec">{editing ? "Edit Contact" : "Add a Contact"}</div>
+      <div className="fld">
+        <label className="fld-lbl">Label</label>
+        <input className="inp" placeholder="Acme Payroll" maxLength={MAX_LABEL} value={label} onChange={(e) => setLabel(e.target.value)} />
+      </div>
+      <div className="fld">
+        <label className="fld-lbl">Address</label>
+        <input className="inp" placeholder="0x..." value={address} onChange={(e) => setAddress(e.target.value)} />
+        {formErr && <div className="fld-err">{formErr}</div>}
+        {!formErr && similar.map(({ contact, distance }) => (
+          <div key={contact.address} className="fld-warn">Looks like "{contact.label}" ({shortenAddr(contact.address)}), {distance} character{distance === 1 ? "" : "s"} apart. Check it before saving.</div>
+        ))}
+      </div>
+      {error && <div className="er-b">{error}</div>}
+      {note && !error && <div className="md-hint">{note}</div>}
+      <div className="br" style={{ marginTop: 4 }}>
+        {editing && <button className="bt bt-o" onClick={reset}>Cancel</button>}
+        <button className="bt bt-p" disabled={!label.trim() || !isAddress(typed) || !!formErr} onClick={submit}>{editing ? "Save" : "Add"}</button>
+      </div>
+    </div>
+  );
+}
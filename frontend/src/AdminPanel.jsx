@@ -0,0 +1,160 @@
+import { useState, useEffect } from "react";
+import { ZeroAddress, getAddress, isAddress, parseUnits } from "ethers";
+import { shortenAddr, fmtUsdc } from "./format";
+import { loadTokenMeta, findToken } from "./tokens";
+
+/* ─── Admin Panel ─────────────────────────────────────── */
+// Shown only to the owner, pending owner or guardian. `roles` is App's
+// { owner, pendingOwner, guardian, paused } snapshot of the vault; each
+// button is offered only to the role the contract accepts it from.
+// `client` is the SDK's VaultClient and `onTx(label, fn)` is App's
+// executeTx, which resolves to true on success.
+
+const same = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+export default function AdminPanel({ client, account, roles, tokens, refreshKey, onTx }) {
+  const [guardianInput, setGuardianInput] = useState("");
+  const [ownerInput, setOwnerInput] = useState("");
+  const [recoverToken, setRecoverToken] = useState("");
+  const [recoverTo, setRecoverTo] = useState("");
+  const [recoverAmount, setRecoverAmount] = useState("");
+  const [surplus, setSurplus] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const isOwner = same(account, roles.owner);
+  const isPending = same(account, roles.pendingOwner);
+  const isGuardian = same(account, roles.guardian);
+
+  // Surplus and metadata for the token picked for recovery; it need not be listed.
+  useEffect(() => {
+    setSurplus(null);
+    if (!isOwner || !isAddress(recoverToken)) return;
+    let live = true;
+    (async () => {
+      const meta = findToken(tokens, recoverToken) || (await loadTokenMeta(recoverToken, client.runner));
+      const amount = await client.surplusOf(getAddress(recoverToken));
+      if (live) setSurplus({ ...meta, amount });
+    })().catch(() => { if (live) setError("Not an ERC20 token."); });
+    return () => { live = false; };
+  }, [isOwner, recoverToken, tokens, client, refreshKey]);
+
+  const run = async (label, fn) => {
+    setBusy(true); setError("");
+    const ok = await onTx(label, fn);
+    setBusy(false);
+    return ok;
+  };
+
+  const setGuardian = async (addr) => {
+    if (await run("Setting guardian…", () => client.setGuardian(addr))) setGuardianInput("");
+  };
+  const transferOwnership = async () => {
+    if (await run("Proposing new owner…", () => client.transferOwnership(getAddress(ownerInput)))) setOwnerInput("");
+  };
+
+  let recoverValue = 0n, recoverErr = "";
+  if (surplus && recoverAmount) {
+    try { recoverValue = parseUnits(recoverAmount, surplus.decimals); } catch { recoverErr = `Amount has more than ${surplus.decimals} decimals.`; }
+    if (recoverValue > surplus.amount) recoverErr = "Exceeds the recoverable surplus.";
+  }
+  if (recoverTo && !isAddress(recoverTo)) recoverErr = "Enter a valid recipient address.";
+  const canRecover = !busy && !recoverErr && surplus && recoverValue > 0n;
+  const recover = async () => {
+    const to = recoverTo ? getAddress(recoverTo) : account;
+    const ok = await run("Recovering tokens…", () => client.recoverERC20(surplus.address, to, recoverValue));
+    if (ok) { setRecoverAmount(""); setRecoverTo(""); }
+  };
+
+  const roleRow = (label, addr, note) => (
+    <div className="sm-top" style={{ padding: "4px 0" }}>
+      <span className="hs-m" style={{ marginTop: 0 }}>{label}</span>
+      <span className="hs-m" style={{ marginTop: 0 }}>
+        {addr && addr !== ZeroAddress ? shortenAddr(addr) : "—"}{same(account, addr) ? " (you)" : ""}{note}
+      </span>
+    </div>
+  );
+
+  return (
+    <div className="crd">
+      <div className="cfg-h">
+        <span className="crd-lbl" style={{ margin: 0 }}>Admin</span>
+        <span className={`sm-st ${roles.paused ? "sm-cancelled" : "sm-streaming"}`}>{roles.paused ? "Paused" : "Active"}</span>
+      </div>
+
+      <div className="sm-row">
+        {roleRow("Owner", roles.owner)}
+        {roles.pendingOwner !== ZeroAddress && roleRow("Pending owner", roles.pendingOwner, " · must accept")}
+        {roleRow("Guardian", roles.guardian)}
+      </div>
+      <div className="md-hint" style={{ marginTop: 8 }}>
+        Pausing stops deposits, transfers, payouts and new streams and escrows. Withdrawals and settling
+        existing streams and escrows stay open. The owner or guardian can pause; only the owner can unpause.
+      </div>
+
+      {error && <div className="er-b">{error}</div>}
+
+      <div className="br" style={{ marginTop: 4 }}>
+        {!roles.paused && (isOwner || isGuardian) && (
+          <button className="bt bt-o" disabled={busy} onClick={() => run("Pausing vault…", () => client.pause())}>Pause</button>
+        )}
+        {roles.paused && isOwner && (
+          <button className="bt bt-p" disabled={busy} onClick={() => run("Unpausing vault…", () => client.unpause())}>Unpause</button>
+        )}
+        {isPending && (
+          <button className="bt bt-p" disabled={busy} onClick={() => run("Accepting ownership…", () => client.acceptOwnership())}>Accept Ownership</button>
+        )}
+      </div>
+
+      {isOwner && (
+        <>
+          <div className="sm-sec">Guardian</div>
+          <div className="ai-row" style={{ marginTop: 0 }}>
+            <input className="inp" placeholder="0x... new guardian" value={guardianInput} onChange={(e) => setGuardianInput(e.target.value)} />
+            <button className="bt bt-p" disabled={busy || !isAddress(guardianInput)} onClick={() => setGuardian(getAddress(guardianInput))}>Set</button>
+          </div>
+          {roles.guardian !== ZeroAddress && (
+            <button className="sm-btn sm-cx" style={{ marginTop: 8 }} disabled={busy} onClick={() => setGuardian(ZeroAddress)}>Remove guardian</button>
+          )}
+
+          <div className="sm-sec">Transfer Ownership</div>
+          <div className="ai-row" style={{ marginTop: 0 }}>
+            <input className="inp" placeholder="0x... new owner" value={ownerInput} onChange={(e) => setOwnerInput(e.target.value)} />
+            <button className="bt bt-p" disabled={busy || !isAddress(ownerInput)} onClick={transferOwnership}>Propose</button>
+          </div>
+          <div className="md-hint" style={{ marginTop: 8, marginBottom: 0 }}>The new owner takes over once they accept from their own wallet.</div>
+
+          <div className="sm-sec">Recover Tokens</div>
+          <div className="tabs tabs-sm">
+            {tokens.map((t) => (
+              <button key={t.address} className={`tb ${same(recoverToken, t.address) ? "on" : ""}`} onClick={() => { setRecoverToken(t.address); setError(""); }}>{t.symbol}</button>
+            ))}
+          </div>
+          <div className="fld">
+            <label className="fld-lbl">Token Address</label>
+            <input className="inp" placeholder="0x... any ERC20 sent here by mistake" value={recoverToken} onChange={(e) => { setRecoverToken(e.target.value); setError(""); }} />
+          </div>
+          {surplus && (
+            <div className="md-hint">
+              Recoverable: {fmtUsdc(surplus.amount, surplus.decimals)} {surplus.symbol}. Only holdings above what users are owed can leave.
+            </div>
+          )}
+          <div className="sm-2">
+            <div className="fld">
+              <label className="fld-lbl">Amount</label>
+              <input className="inp" type="number" min="0" step="0.01" placeholder="0.00" value={recoverAmount} onChange={(e) => setRecoverAmount(e.target.value)} />
+            </div>
+            <div className="fld">
+              <label className="fld-lbl">Send To (blank = you)</label>
+              <input className="inp" placeholder="0x..." value={recoverTo} onChange={(e) => setRecoverTo(e.target.value)} />
+            </div>
+          </div>
+          {recoverErr && <div className="er-b">{recoverErr}</div>}
+          <div className="br" style={{ marginTop: 4 }}>
+            <button className="bt bt-o" disabled={!canRecover} onClick={recover}>Recover</button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
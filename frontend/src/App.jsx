@@ -1,37 +1,85 @@
-import { useState, useEffect, useCallback } from "react";
-import { BrowserProvider, Contract, formatUnits, parseUnits, getAddress, isAddress } from "ethers";
-import deployment from "./deployment.json";
-
-/* ─── Arc Testnet Config ──────────────────────────────── */
-const ARC_TESTNET = {
-  chainId: "0x4CEF52",
-  chainName: "Arc Network Testnet",
-  rpcUrls: ["https://rpc.testnet.arc.network"],
-  nativeCurrency: { name: "USDC", symbol: "USDC", decimals: 18 },
-  blockExplorerUrls: ["https://testnet.arcscan.app"],
-};
-
-const USDC_ABI = [
-  "function balanceOf(address) view returns (uint256)",
-  "function decimals() view returns (uint8)",
-  "function symbol() view returns (string)",
-  "function approve(address spender, uint256 amount) returns (bool)",
-  "function allowance(address owner, address spender) view returns (uint256)",
-];
-
-const VAULT_ABI = deployment.abi;
-const USDC_ADDRESS = deployment.usdc;
+import { useState, useEffect, useCallback, useMemo } from "react";
+import { Contract, parseUnits, getAddress, isAddress } from "ethers";
+import { VaultClient, VaultFactory, PreflightSigner, ERC20_ABI, connectWallet as connectInjected, discoverWallets, errorMessage } from "../../sdk/index.js";
+import { shortenAddr, fmtUsdc } from "./format";
+import HistoryPanel from "./HistoryPanel";
+import BatchTransfer from "./BatchTransfer";
+import StreamsPanel from "./StreamsPanel";
+import EscrowsPanel from "./EscrowsPanel";
+import PaymentRequestPanel from "./PaymentRequestPanel";
+import AdminPanel from "./AdminPanel";
+import SpendersPanel from "./SpendersPanel";
+import WatchPanel from "./WatchPanel";
+import TxQueuePanel from "./TxQueuePanel";
+import AddressBookPanel from "./AddressBookPanel";
+import SecurityPanel from "./SecurityPanel";
+import { lookAlikes } from "./addressBook";
+import { useAddressBook } from "./useAddressBook";
+import { useLiveUpdates } from "./liveUpdates";
+import { useTxQueue } from "./txQueue";
+import { parsePaymentRequest, refToBytes32, requestAmount } from "./paymentRequest";
+import { loadPermitDomain, signPermit } from "./permit";
+import { relayOrder } from "./orders";
+import { NETWORKS, DEFAULT_NETWORK, networkByChainId, switchWalletNetwork } from "./networks";
+import { latestDeployment, newestDeploymentNetwork, factoryFor } from "./deployments";
+import { loadTokenMeta, findToken } from "./tokens";
+import { parseAmount, rescale, amountText } from "./amounts";
+
+/* ─── Network Selection ───────────────────────────────── */
+// Last network picked in the app, else VITE_NETWORK, else the network of
+// the most recent deployment record.
+const SAVED_NETWORK_KEY = "arcvault_network";
+
+function initialNetwork() {
+  const saved = localStorage.getItem(SAVED_NETWORK_KEY);
+  const key = [saved, import.meta.env.VITE_NETWORK, newestDeploymentNetwork()].find((k) => k && NETWORKS[k]);
+  return key || DEFAULT_NETWORK;
+}
+
 const SAVED_VAULT_KEY = "arcvault_address";
-const NATIVE_DEC = 18;
-const ERC20_DEC = 6;
 
-/* ─── Helpers ─────────────────────────────────────────── */
-function shortenAddr(a) {
-  return a ? `${a.slice(0, 6)}···${a.slice(-4)}` : "";
+// Incoming-funds toasts: at most this many at once, each shown this long.
+const MAX_TOASTS = 3;
+const TOAST_MS = 6000;
+
+// "Max" leaves this much in the wallet when the token is also the gas token
+// (USDC on Arc), so the transaction it fills in can still pay for itself.
+const GAS_RESERVE = "0.05";
+
+/* ─── Wallet Selection ────────────────────────────────── */
+// The rdns (e.g. "io.metamask") of the last EIP-6963 wallet used is kept for
+// auto-reconnect. The older "connected" flag predates discovery and meant
+// whatever sat at window.ethereum.
+const SAVED_WALLET_KEY = "arcvault_wallet";
+const LEGACY_CONNECTED_KEY = "arcvault_connected";
+
+function savedWallet(wallets) {
+  const rdns = localStorage.getItem(SAVED_WALLET_KEY);
+  if (rdns) return wallets.find((w) => w.info.rdns === rdns) || null;
+  if (localStorage.getItem(LEGACY_CONNECTED_KEY) !== "1") return null;
+  return wallets.find((w) => w.provider === window.ethereum) || wallets[0] || null;
 }
-function fmtUsdc(raw, dec = 18) {
-  const val = Number(formatUnits(raw, dec));
-  return val.toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 4 });
+
+// ?watch=0x… opens the read-only view of that address.
+function initialWatch() {
+  const a = new URLSearchParams(window.location.search).get("watch");
+  return a && isAddress(a) ? getAddress(a) : "";
+}
+
+// Each network uses the deployment record for its own chain.
+function recordFor(key) {
+  return latestDeployment(NETWORKS[key].chainId);
+}
+
+// Vault addresses pasted in the app are remembered per network; the old
+// unscoped key predates network switching and was always Arc Testnet.
+function savedVault(key) {
+  try {
+    const saved = localStorage.getItem(`${SAVED_VAULT_KEY}:${key}`)
+      ?? (key === DEFAULT_NETWORK ? localStorage.getItem(SAVED_VAULT_KEY) : null);
+    if (saved && isAddress(saved)) return getAddress(saved);
+  } catch {}
+  return recordFor(key)?.address || "";
 }
 
 /* ─── Component ───────────────────────────────────────── */
@@ -39,126 +87,436 @@ export default function App() {
   const [provider, setProvider] = useState(null);
   const [signer, setSigner] = useState(null);
   const [account, setAccount] = useState("");
+  const [wallets, setWallets] = useState([]); // EIP-6963 { info, provider } entries
+  const [wallet, setWallet] = useState(null); // the one in use
+  const [showPicker, setShowPicker] = useState(false);
+  const [watchAddress, setWatchAddress] = useState(initialWatch);
+  const [watchInput, setWatchInput] = useState("");
+  const [networkKey, setNetworkKey] = useState(initialNetwork);
   const [chainId, setChainId] = useState(null);
-  const [isCorrectNetwork, setIsCorrectNetwork] = useState(false);
-  const [usdcBalance, setUsdcBalance] = useState("0");
+  const [tokens, setTokens] = useState([]);
+  const [tokenAddr, setTokenAddr] = useState("");
+  const [pendingRequest, setPendingRequest] = useState(null);
+  const [roles, setRoles] = useState(null);
+  const [walletBalance, setWalletBalance] = useState("0");
   const [vaultBalance, setVaultBalance] = useState("0");
+  const [shares, setShares] = useState(null); // { balance, assets, symbol } of ERC-4626 shares; null before 4626 vaults
+  const [safety, setSafety] = useState(null); // the account's safety rules for the selected token; null before they existed
   const [allowance, setAllowance] = useState("0");
+  const [permitDomain, setPermitDomain] = useState(null);
   const [amount, setAmount] = useState("");
   const [recipient, setRecipient] = useState("");
-  const [txHash, setTxHash] = useState("");
+  const [invoiceRef, setInvoiceRef] = useState("");
+  const [recipientCode, setRecipientCode] = useState(null); // bytecode at the typed recipient; null until read
+  const [recipientAck, setRecipientAck] = useState(false);
+  const [contactLabel, setContactLabel] = useState("");
+  const [toasts, setToasts] = useState([]);
+  const book = useAddressBook();
   const [loading, setLoading] = useState("");
   const [error, setError] = useState("");
   const [tab, setTab] = useState("deposit");
-  const [vaultAddress, setVaultAddress] = useState(() => {
-    try {
-      const saved = localStorage.getItem(SAVED_VAULT_KEY);
-      if (saved && isAddress(saved)) return getAddress(saved);
-    } catch {}
-    const def = deployment.address;
-    return def.includes("YOUR") ? "" : def;
-  });
+  const [historyNonce, setHistoryNonce] = useState(0);
+  const [transferMode, setTransferMode] = useState("internal");
+  const [batchMode, setBatchMode] = useState(false);
+  const [gasless, setGasless] = useState(false);
+  const [vaultAddress, setVaultAddress] = useState(() => savedVault(initialNetwork()));
   const [vaultInput, setVaultInput] = useState("");
   const [showConfig, setShowConfig] = useState(false);
+  const [myVaults, setMyVaults] = useState(null); // from the factory registry; null until loaded
   const vaultDeployed = !!vaultAddress && isAddress(vaultAddress);
+  // Transactions go through txSigner, which simulates each one before the
+  // wallet prompts, so a revert costs no gas and arrives with its reason.
+  const txSigner = useMemo(() => (signer ? new PreflightSigner(signer) : null), [signer]);
+  // Every vault call goes through the SDK client; null without a wallet or vault.
+  const client = useMemo(() => (txSigner && vaultDeployed ? new VaultClient(vaultAddress, txSigner) : null), [txSigner, vaultAddress, vaultDeployed]);
 
-  /* ─── Wallet ─────────────────────────────────────────── */
-  const connectWallet = useCallback(async (silent = false) => {
+  const network = NETWORKS[networkKey];
+  const record = recordFor(networkKey);
+  const isCorrectNetwork = !!account && chainId === network.chainId;
+  const usdcAddress = record?.constructorArgs.usdc || network.usdc.address;
+  // Until the token list loads, the registry's USDC entry stands in.
+  const token = findToken(tokens, tokenAddr) || tokens[0]
+    || { address: usdcAddress, symbol: "USDC", decimals: network.usdc.decimals, allowed: true };
+  const isUsdc = !!usdcAddress && token.address?.toLowerCase() === usdcAddress.toLowerCase();
+  // On Arc the wallet's USDC is the gas token, so it is read as native balance.
+  const nativeWallet = network.nativeUsdc && isUsdc;
+  const walletDec = nativeWallet ? network.nativeCurrency.decimals : token.decimals;
+  const explorerUrl = network.explorer || "";
+  // A factory in the registry entry wins over the one deploy.js recorded.
+  const factoryAddress = network.factory || factoryFor(network.chainId);
+  const floorBlock = record && vaultAddress === record.address ? record.blockNumber || 0 : 0;
+  // Plain withdrawals and ledger transfers can be signed as EIP-712 orders and relayed.
+  const relayerUrl = import.meta.env.VITE_RELAYER_URL || network.relayerUrl || "";
+  const canSign = !!relayerUrl && vaultDeployed &&
+    (tab === "withdraw" || (tab === "transfer" && transferMode === "internal" && !invoiceRef));
+  const signing = canSign && gasless;
+
+  /* ─── Network ────────────────────────────────────────── */
+  const selectNetwork = useCallback((key) => {
+    if (!NETWORKS[key]) return;
+    setNetworkKey(key);
+    localStorage.setItem(SAVED_NETWORK_KEY, key);
+  }, []);
+
+  // Each network has its own vault and balances.
+  useEffect(() => {
+    setVaultAddress(savedVault(networkKey));
+    setTokens([]); setTokenAddr("");
+    setWalletBalance("0"); setVaultBalance("0"); setAllowance("0"); setShares(null);
+    setShowConfig(false);
+  }, [networkKey]);
+
+  // `ethereum` defaults to the connected wallet's EIP-1193 provider.
+  const switchNetwork = useCallback(async (net, ethereum = wallet?.provider) => {
     try {
       setError("");
-      if (!window.ethereum) { if (!silent) throw new Error("Install MetaMask to continue."); return; }
-      const bp = new BrowserProvider(window.ethereum);
+      await switchWalletNetwork(ethereum, net);
+    } catch (e) {
+      if (e.code === 4001) setError("Network switch rejected.");
+      else setError(e.message || `Could not switch to ${net.label}.`);
+    }
+  }, [wallet]);
+
+  // Picking a network moves the wallet along; without a wallet it only changes what the app reads.
+  const changeNetwork = useCallback((key) => {
+    selectNetwork(key);
+    if (account && wallet) switchNetwork(NETWORKS[key]);
+  }, [account, wallet, selectNetwork, switchNetwork]);
+
+  /* ─── Wallet ─────────────────────────────────────────── */
+  // `w` is a discovered { info, provider }.
+  const connectWallet = useCallback(async (w, silent = false) => {
+    try {
+      setError(""); setShowPicker(false);
       // silent = use eth_accounts (no popup), manual = use eth_requestAccounts (popup)
-      const accs = silent
-        ? await bp.send("eth_accounts", [])
-        : await bp.send("eth_requestAccounts", []);
-      if (!accs.length) return; // not connected yet
-      const s = await bp.getSigner();
-      const addr = await s.getAddress();
-      const { chainId: cid } = await bp.getNetwork();
-      const target = parseInt(ARC_TESTNET.chainId, 16);
-      const ok = Number(cid) === target;
-      setProvider(bp); setSigner(s); setAccount(addr);
-      setChainId(Number(cid)); setIsCorrectNetwork(ok);
-      localStorage.setItem("arcvault_connected", "1");
-      if (!ok && !silent) {
-        try {
-          await window.ethereum.request({ method: "wallet_switchEthereumChain", params: [{ chainId: ARC_TESTNET.chainId }] });
-        } catch (e) {
-          if (e.code === 4902 || e.code === -32603) {
-            try { await window.ethereum.request({ method: "wallet_addEthereumChain", params: [ARC_TESTNET] }); }
-            catch { setError("Could not add Arc Testnet."); }
-          }
-        }
-      }
+      const conn = await connectInjected(w.provider, { silent });
+      if (!conn) return; // not connected yet
+      // Follow the wallet onto any registered network; offer a switch otherwise.
+      const known = networkByChainId(conn.chainId);
+      if (known) selectNetwork(known.key);
+      setWallet(w); setProvider(conn.provider); setSigner(conn.signer); setAccount(conn.account);
+      setChainId(conn.chainId);
+      localStorage.setItem(SAVED_WALLET_KEY, w.info.rdns);
+      localStorage.removeItem(LEGACY_CONNECTED_KEY);
+      // selectNetwork persists the choice, so initialNetwork() is the current one.
+      if (!known && !silent) await switchNetwork(NETWORKS[initialNetwork()], w.provider);
     } catch (e) { if (!silent) setError(e.message || "Connection failed"); }
-  }, []);
+  }, [selectNetwork, switchNetwork]);
+
+  // One wallet connects straight away; several open the picker.
+  const startConnect = useCallback(async () => {
+    setError("");
+    const found = wallets.length ? wallets : await discoverWallets();
+    setWallets(found);
+    if (!found.length) return setError("No wallet found. Install a browser wallet such as MetaMask to continue.");
+    if (found.length === 1) return connectWallet(found[0]);
+    setShowPicker(true);
+  }, [wallets, connectWallet]);
 
   const disconnect = useCallback(() => {
-    setAccount(""); setSigner(null); setProvider(null);
-    setChainId(null); setIsCorrectNetwork(false);
-    setUsdcBalance("0"); setVaultBalance("0"); setAllowance("0");
-    setTxHash(""); setError(""); setLoading("");
-    localStorage.removeItem("arcvault_connected");
+    setAccount(""); setSigner(null); setProvider(null); setWallet(null);
+    setChainId(null);
+    setTokens([]);
+    setWalletBalance("0"); setVaultBalance("0"); setAllowance("0"); setShares(null);
+    setError(""); setLoading("");
+    localStorage.removeItem(SAVED_WALLET_KEY);
+    localStorage.removeItem(LEGACY_CONNECTED_KEY);
   }, []);
 
-  const switchToArc = useCallback(async () => {
-    try {
-      setError("");
-      await window.ethereum.request({ method: "wallet_switchEthereumChain", params: [{ chainId: ARC_TESTNET.chainId }] });
-    } catch (e) {
-      if (e.code === 4902 || e.code === -32603) {
-        try { await window.ethereum.request({ method: "wallet_addEthereumChain", params: [ARC_TESTNET] }); }
-        catch { setError("Could not add Arc Testnet."); }
-      } else if (e.code === 4001) setError("Network switch rejected.");
-      else setError(e.message || "Failed to switch");
+  const stopWatching = useCallback(() => {
+    setWatchAddress("");
+    const params = new URLSearchParams(window.location.search);
+    if (params.has("watch")) {
+      params.delete("watch");
+      const rest = params.toString();
+      window.history.replaceState(null, "", window.location.pathname + (rest ? `?${rest}` : ""));
     }
   }, []);
 
-  const refreshBalances = useCallback(async () => {
+  /* ─── Tokens ─────────────────────────────────────────── */
+  // The vault's listed tokens, or just USDC for direct sends without a vault.
+  useEffect(() => {
     if (!signer || !isCorrectNetwork) return;
+    let live = true;
+    const load = async () => {
+      if (client) {
+        try { return await client.listTokens(); } catch (e) { console.error(e); }
+      }
+      return usdcAddress ? [await loadTokenMeta(usdcAddress, signer)] : [];
+    };
+    load()
+      .then((list) => { if (live) setTokens(list); })
+      .catch((e) => { if (live) { setTokens([]); console.error(e); } });
+    return () => { live = false; };
+  }, [signer, isCorrectNetwork, client, usdcAddress]);
+
+  /* ─── Roles ──────────────────────────────────────────── */
+  // Owner, pending owner, guardian and pause state; null for vaults that
+  // predate access control.
+  useEffect(() => {
+    if (!client || !isCorrectNetwork) { setRoles(null); return; }
+    let live = true;
+    client.roles()
+      .then((r) => { if (live) setRoles(r); })
+      .catch(() => { if (live) setRoles(null); });
+    return () => { live = false; };
+  }, [client, isCorrectNetwork, historyNonce]);
+  const isAdmin = !!roles && [roles.owner, roles.pendingOwner, roles.guardian].some((a) => a.toLowerCase() === account.toLowerCase());
+  const paused = vaultDeployed && !!roles?.paused;
+
+  const selectToken = useCallback((addr) => {
+    setTokenAddr(addr);
+    setWalletBalance("0"); setVaultBalance("0"); setAllowance("0"); setSafety(null);
+    setAmount(""); setError("");
+  }, []);
+
+  const refreshBalances = useCallback(async () => {
+    if (!signer || !isCorrectNetwork || !token.address) return;
     try {
       const addr = await signer.getAddress();
-      const bal = await signer.provider.getBalance(addr);
-      setUsdcBalance(bal.toString());
-      if (vaultDeployed) {
-        try { const v = new Contract(vaultAddress, VAULT_ABI, signer); setVaultBalance((await v.balanceOf(addr)).toString()); } catch { setVaultBalance("0"); }
-        try { const u = new Contract(USDC_ADDRESS, USDC_ABI, signer); setAllowance((await u.allowance(addr, vaultAddress)).toString()); } catch { setAllowance("0"); }
+      const bal = nativeWallet
+        ? await signer.provider.getBalance(addr)
+        : await new Contract(token.address, ERC20_ABI, signer).balanceOf(addr);
+      setWalletBalance(bal.toString());
+      if (client) {
+        try { setVaultBalance((await client.balanceOf(token.address, addr)).toString()); } catch { setVaultBalance("0"); }
+        // ERC-4626 shares are USDC-only and independent of the selected token.
+        try { setShares(await client.shares(addr)); } catch { setShares(null); }
+        try { setAllowance((await client.depositAllowance(token.address, addr)).toString()); } catch { setAllowance("0"); }
+        try { setSafety(await client.safetyRules(token.address, addr)); } catch { setSafety(null); }
       }
     } catch (e) { console.error(e); }
-  }, [signer, isCorrectNetwork, vaultAddress, vaultDeployed]);
+  }, [signer, isCorrectNetwork, token.address, nativeWallet, client]);
+
+  // Find the installed wallets and reconnect to the last one used, without a popup.
+  useEffect(() => {
+    let live = true;
+    discoverWallets().then((found) => {
+      if (!live) return;
+      setWallets(found);
+      const last = savedWallet(found);
+      if (last) connectWallet(last, true);
+    });
+    return () => { live = false; };
+    // Only on first load; later connections go through startConnect.
+  }, []);
+
+  useEffect(() => { refreshBalances(); }, [refreshBalances]);
+
+  /* ─── Live Updates ───────────────────────────────────── */
+  // Balances and history reload when the account's vault or token logs show
+  // up (see liveUpdates.js); funds from someone else also raise a toast.
+  const notify = useCallback((text) => {
+    const id = `${Date.now()}-${Math.random()}`;
+    setToasts((list) => [...list.slice(-(MAX_TOASTS - 1)), { id, text }]);
+    setTimeout(() => setToasts((list) => list.filter((t) => t.id !== id)), TOAST_MS);
+  }, []);
+
+  const onIncoming = useCallback((e) => {
+    const t = findToken(tokens, e.source === "token" ? e.address : e.args.token);
+    const amt = t ? `${fmtUsdc(e.args.amount ?? e.args.value, t.decimals)} ${t.symbol}` : "Funds";
+    if (e.name === "EscrowReleased") notify(`Escrow #${e.args.escrowId} was released to you.`);
+    else if (e.source === "token") notify(`${amt} arrived in your wallet from ${book.nameOf(e.args.from)}.`);
+    else if (e.name === "PaidOut") notify(`${book.nameOf(e.args.from)} paid ${amt} out to your wallet.`);
+    else notify(`${amt} received in the vault from ${book.nameOf(e.args.from)}${e.name === "InvoicePaid" ? " (invoice)" : ""}.`);
+  }, [tokens, book.nameOf, notify]);
+
+  const liveTokens = useMemo(() => (tokens.length ? tokens.map((t) => t.address) : usdcAddress ? [usdcAddress] : []), [tokens, usdcAddress]);
+  const liveMode = useLiveUpdates({
+    provider: isCorrectNetwork ? signer?.provider : null,
+    wsUrl: network.wsUrl,
+    account,
+    vaultAddress: vaultDeployed ? vaultAddress : "",
+    tokens: liveTokens,
+    onChange: (events) => { refreshBalances(); if (events !== undefined) setHistoryNonce((n) => n + 1); },
+    onIncoming,
+  });
+
+  // Detect EIP-2612 support once per token; null → approve-then-deposit.
+  useEffect(() => {
+    setPermitDomain(null);
+    if (!signer || !isCorrectNetwork || !token.address) return;
+    let live = true;
+    loadPermitDomain(token.address, signer).then((d) => { if (live) setPermitDomain(d); });
+    return () => { live = false; };
+  }, [signer, isCorrectNetwork, token.address]);
+  useEffect(() => {
+    const eth = wallet?.provider;
+    if (!eth?.on) return;
+    const hc = () => connectWallet(wallet);
+    const ha = (a) => { if (!a.length) disconnect(); else connectWallet(wallet); };
+    eth.on("chainChanged", hc); eth.on("accountsChanged", ha);
+    return () => { eth.removeListener("chainChanged", hc); eth.removeListener("accountsChanged", ha); };
+  }, [wallet, connectWallet, disconnect]);
+
+  /* ─── Vault Registry ─────────────────────────────────── */
+  // The vaults the account has created through this network's factory, read
+  // while the config card is open; picking one saves it like a pasted address.
+  useEffect(() => {
+    setMyVaults(null);
+    if (!showConfig || !signer || !isCorrectNetwork || !factoryAddress) return;
+    let live = true;
+    new VaultFactory(factoryAddress, signer.provider).vaultsOf(account)
+      .then((list) => { if (live) setMyVaults(list.reverse()); })
+      .catch((e) => { if (live) { setMyVaults([]); console.error(e); } });
+    return () => { live = false; };
+  }, [showConfig, signer, isCorrectNetwork, factoryAddress, account]);
+
+  const saveVault = useCallback((address) => {
+    const a = getAddress(address);
+    setVaultAddress(a); localStorage.setItem(`${SAVED_VAULT_KEY}:${networkKey}`, a);
+    setVaultInput(""); setShowConfig(false);
+  }, [networkKey]);
+
+  /* ─── Payment Requests ───────────────────────────────── */
+  // The amount can only be scaled once the request's token has loaded, so
+  // the request waits in pendingRequest until then.
+  const openRequest = useCallback((req) => {
+    setTab("transfer"); setTransferMode("internal"); setBatchMode(false);
+    setRecipient(req.to); setAmount(""); setInvoiceRef(req.ref);
+    setPendingRequest(req);
+    const target = req.chainId && req.chainId !== network.chainId ? networkByChainId(req.chainId) : null;
+    if (target) { changeNetwork(target.key); setError(""); }
+    else if (req.chainId && req.chainId !== network.chainId) setError(`This request is for chain ${req.chainId}, which is not a registered network.`);
+    else if (req.target && vaultAddress && req.target !== vaultAddress) setError(`This request targets vault ${shortenAddr(req.target)}; you are connected to ${shortenAddr(vaultAddress)}.`);
+    else setError("");
+  }, [vaultAddress, network, changeNetwork]);
 
-  // Auto-reconnect on page load if previously connected
   useEffect(() => {
-    if (localStorage.getItem("arcvault_connected") === "1") connectWallet(true);
-  }, [connectWallet]);
+    const req = pendingRequest;
+    if (!req || !tokens.length || (req.chainId && req.chainId !== network.chainId)) return;
+    setPendingRequest(null);
+    const t = findToken(tokens, req.token || usdcAddress);
+    if (!t) return setError(`This request is paid in ${shortenAddr(req.token)}, which this vault does not list.`);
+    try {
+      const value = requestAmount(req, t.decimals);
+      selectToken(t.address);
+      setAmount(value);
+    } catch (e) { setError(`Payment request: ${e.message}`); }
+  }, [pendingRequest, tokens, network, usdcAddress, selectToken]);
 
-  useEffect(() => { refreshBalances(); const id = setInterval(refreshBalances, 12000); return () => clearInterval(id); }, [refreshBalances]);
+  // Links like ?to=0x…&token=0x…&amount=12.5&ref=INV-42 (or ?uri=ethereum:…) prefill the Transfer tab.
   useEffect(() => {
-    if (!window.ethereum) return;
-    const hc = () => connectWallet();
-    const ha = (a) => { if (!a.length) disconnect(); else connectWallet(); };
-    window.ethereum.on("chainChanged", hc); window.ethereum.on("accountsChanged", ha);
-    return () => { window.ethereum.removeListener("chainChanged", hc); window.ethereum.removeListener("accountsChanged", ha); };
-  }, [connectWallet, disconnect]);
-
-  const executeTx = async (label, fn) => {
-    try { setError(""); setTxHash(""); setLoading(label); const tx = await fn(); setTxHash(tx.hash); await tx.wait(); await refreshBalances(); setAmount(""); setRecipient(""); }
-    catch (e) { setError(e?.reason || e?.info?.error?.message || e?.message || "Transaction failed"); }
+    try {
+      const req = parsePaymentRequest(window.location.search);
+      if (req) openRequest(req);
+    } catch (e) { setError(`Payment link: ${e.message}`); }
+    // Only on first load; later requests come through the Request Payment card.
+  }, []);
+
+  /* ─── Transactions ───────────────────────────────────── */
+  // `loading` only covers the wallet prompt: once sent, a transaction waits
+  // in the queue (which survives reloads) and the form is free for the next.
+  // executeTx still resolves to true once it is mined successfully. `summary`
+  // names the entry in the queue; it defaults to the prompt label.
+  const onSettled = useCallback(() => { refreshBalances(); setHistoryNonce((n) => n + 1); }, [refreshBalances]);
+  const txQueue = useTxQueue({ signer, account, chainId: isCorrectNetwork ? chainId : null, onSettled });
+
+  const executeTx = async (label, fn, summary = label.replace(/…$/, "")) => {
+    let tx, startBlock;
+    try { setError(""); setLoading(label); startBlock = await signer.provider.getBlockNumber(); tx = await fn(); }
+    catch (e) { setError(errorMessage(e, token)); return false; }
     finally { setLoading(""); }
+    setAmount(""); setRecipient("");
+    return txQueue.track(tx, summary, startBlock);
+  };
+
+  /* ─── Input Checks ───────────────────────────────────── */
+  // Checked as the user types; the buttons stay disabled while either is set.
+  // Deposits and direct sends spend the wallet, everything else the vault balance.
+  const parsed = parseAmount(amount, token.decimals);
+  const fromWallet = tab === "deposit" || (tab === "transfer" && !vaultDeployed);
+  const gasReserve = fromWallet && nativeWallet ? parseUnits(GAS_RESERVE, walletDec) : 0n;
+  const spendable = fromWallet
+    ? rescale(BigInt(walletBalance) > gasReserve ? BigInt(walletBalance) - gasReserve : 0n, walletDec, token.decimals)
+    : BigInt(vaultBalance);
+  // Above the lock threshold every outflow sent from this form is queued,
+  // and draws on the daily limit only once it is executed.
+  const rules = !fromWallet && safety ? safety.rules : null;
+  const queues = !!rules?.lockThreshold && parsed.value !== null && parsed.value > rules.lockThreshold;
+  const amountError = parsed.error || (parsed.value !== null && parsed.value > spendable
+    ? `More than your ${fromWallet ? "wallet" : "vault"} balance of ${amountText(spendable, token.decimals)} ${token.symbol}${gasReserve ? ` after ${GAS_RESERVE} kept for gas` : ""}.`
+    : !queues && rules?.dailyLimit && parsed.value !== null && parsed.value > safety.availableToday
+    ? `More than the ${amountText(safety.availableToday, token.decimals)} ${token.symbol} your daily limit allows right now.`
+    : "");
+  const typedTo = recipient.trim().toLowerCase();
+  const recipientError = tab !== "transfer" || !typedTo ? ""
+    : !isAddress(typedTo) ? "Not a valid address."
+    : typedTo === vaultAddress.toLowerCase() ? "That is the vault contract itself. Enter the recipient's own address."
+    : [usdcAddress, ...tokens.map((t) => t.address)].some((a) => a?.toLowerCase() === typedTo) ? "That is a token contract, not an account."
+    : "";
+  // Warnings below never block a send, except that a look-alike of a saved
+  // contact has to be acknowledged first.
+  const recipientOk = tab === "transfer" && !!typedTo && !recipientError;
+  const recipientContact = recipientOk ? book.contactFor(typedTo) : null;
+  const recipientLookAlikes = recipientOk && !recipientContact ? lookAlikes(typedTo, book.contacts) : [];
+  const recipientIsContract = recipientOk && !!recipientCode && recipientCode !== "0x";
+  const recipientNeedsAck = recipientLookAlikes.length > 0 && !recipientAck;
+
+  useEffect(() => {
+    setRecipientCode(null); setRecipientAck(false);
+    if (tab !== "transfer" || !isAddress(typedTo) || !signer || !isCorrectNetwork) return;
+    let live = true;
+    signer.provider.getCode(typedTo).then((c) => { if (live) setRecipientCode(c); }, () => {});
+    return () => { live = false; };
+  }, [tab, typedTo, signer, isCorrectNetwork]);
+
+  const saveRecipient = () => {
+    try { book.save(typedTo, contactLabel); setContactLabel(""); }
+    catch (e) { setError(e.message); }
+  };
+  const sendTo = (address) => {
+    setTab("transfer"); setBatchMode(false); setRecipient(address); setError("");
   };
+  const fillMax = () => setAmount(amountText(spendable, token.decimals));
 
-  const handleApprove = () => { if (!vaultDeployed) return setError("Vault not deployed."); executeTx("Approving…", () => { const u = new Contract(getAddress(USDC_ADDRESS), USDC_ABI, signer); return u.approve(getAddress(vaultAddress), parseUnits(amount||"0", ERC20_DEC)); }); };
-  const handleDeposit = () => { if (!vaultDeployed) return setError("Vault not deployed."); executeTx("Depositing…", () => { const v = new Contract(getAddress(vaultAddress), VAULT_ABI, signer); return v.deposit(parseUnits(amount||"0", ERC20_DEC)); }); };
-  const handleWithdraw = () => { if (!vaultDeployed) return setError("Vault not deployed."); executeTx("Withdrawing…", () => { const v = new Contract(getAddress(vaultAddress), VAULT_ABI, signer); return v.withdraw(parseUnits(amount||"0", ERC20_DEC)); }); };
+  const amountLabel = `${amount.trim()} ${token.symbol}`;
+  const handleApprove = () => { if (!client) return setError("Vault not deployed."); executeTx("Approving…", () => client.approveDeposit(token.address, parsed.value), `Approve ${amountLabel}`); };
+  const handleDeposit = () => {
+    if (!client) return setError("Vault not deployed.");
+    if (!token.allowed) return setError(`${token.symbol} is no longer accepted for deposits.`);
+    const value = parsed.value;
+    executeTx(permitDomain ? "Sign permit, then confirm deposit…" : "Depositing…", async () => {
+      // Check the live allowance; the polled `allowance` state may be stale.
+      if ((await client.depositAllowance(token.address, account)) >= value) return client.deposit(token.address, value);
+      if (!permitDomain) { await refreshBalances(); throw new Error("Allowance too low. Approve first."); }
+      return client.depositWithPermit(token.address, value, await signPermit(signer, token.address, permitDomain, client.address, value));
+    }, `Deposit ${amountLabel}`);
+  };
+  const relay = async (kind, fields) => relayOrder(relayerUrl, await client.signOrder(kind, fields), signer.provider);
+  const handleWithdraw = () => {
+    if (!client) return setError("Vault not deployed.");
+    const value = parsed.value;
+    if (signing) return executeTx("Sign the withdrawal order…", () => relay("withdraw", { token: token.address, amount: value }), `Withdraw ${amountLabel} (relayed)`);
+    executeTx("Withdrawing…", () => client.withdraw(token.address, value), `Withdraw ${amountLabel}`);
+  };
   const handleTransfer = () => {
-    if (!recipient || !isAddress(recipient)) return setError("Enter a valid recipient address.");
-    const to = getAddress(recipient);
-    if (vaultDeployed) executeTx("Transferring…", () => { const v = new Contract(getAddress(vaultAddress), VAULT_ABI, signer); return v.transfer(to, parseUnits(amount||"0", ERC20_DEC)); });
-    else executeTx("Sending USDC…", () => signer.sendTransaction({ to, value: parseUnits(amount||"0", NATIVE_DEC) }));
+    if (!recipient || !isAddress(recipient.trim())) return setError("Enter a valid recipient address.");
+    const to = getAddress(recipient.trim());
+    const value = parsed.value;
+    const toLabel = `${amountLabel} to ${book.nameOf(to)}`;
+    if (client && transferMode === "payout") executeTx("Paying out…", () => client.payOut(token.address, to, value), `Pay out ${toLabel}`);
+    else if (client && invoiceRef) {
+      executeTx("Paying invoice…", () => client.payInvoice(token.address, to, value, refToBytes32(invoiceRef)), `Pay invoice ${invoiceRef}: ${toLabel}`)
+        .then((ok) => { if (ok) { setInvoiceRef(""); window.history.replaceState(null, "", window.location.pathname); } });
+    }
+    else if (signing) executeTx("Sign the transfer order…", () => relay("transfer", { token: token.address, to, amount: value }), `Transfer ${toLabel} (relayed)`);
+    else if (client) executeTx("Transferring…", () => client.transfer(token.address, to, value), `Transfer ${toLabel}`);
+    else if (nativeWallet) executeTx(`Sending ${token.symbol}…`, () => txSigner.sendTransaction({ to, value: rescale(value, token.decimals, walletDec) }), `Send ${toLabel}`);
+    else executeTx(`Sending ${token.symbol}…`, () => { const u = new Contract(getAddress(token.address), ERC20_ABI, txSigner); return u.transfer(to, value); }, `Send ${toLabel}`);
   };
 
-  const needsApproval = tab === "deposit" && amount && BigInt(allowance) < parseUnits(amount || "0", ERC20_DEC);
+  const handleBatch = (recipients, amounts) => executeTx(
+    `${transferMode === "payout" ? "Paying out" : "Transferring"} to ${recipients.length} recipients…`,
+    () => transferMode === "payout" ? client.batchPayOut(token.address, recipients, amounts) : client.batchTransfer(token.address, recipients, amounts),
+    `Batch ${transferMode === "payout" ? "pay out" : "transfer"} to ${recipients.length} recipients`
+  );
+  const batchExclude = useMemo(() => [vaultAddress, usdcAddress, ...tokens.map((t) => t.address)], [vaultAddress, usdcAddress, tokens]);
+  const showBatch = tab === "transfer" && vaultDeployed && batchMode;
+  const showBasicForm = !showBatch && tab !== "streams" && tab !== "escrows";
+
+  const needsApproval = tab === "deposit" && parsed.value !== null && !permitDomain && BigInt(allowance) < parsed.value;
+  const amountBlocked = parsed.value === null || !!amountError;
 
   /* ─── Render ───────────────────────────────────────── */
   return (
@@ -214,6 +572,8 @@ export default function App() {
           background:rgba(34,211,238,.06);border:1px solid rgba(34,211,238,.1);
           padding:4px 14px;border-radius:999px;
         }
+        .hdr-net{appearance:none;cursor:pointer;outline:none;text-align:center}
+        .hdr-net option{background:var(--bg);color:var(--text);text-transform:none}
 
         /* ── Card ── */
         .crd{
@@ -272,6 +632,12 @@ export default function App() {
         }
         .bx-val{font-family:var(--mono);font-size:24px;font-weight:700;line-height:1}
         .bx-u{font-size:11px;color:var(--dim);font-weight:500;margin-left:5px;letter-spacing:.3px}
+        .bx-sh{
+          display:flex;justify-content:space-between;align-items:baseline;margin-top:10px;
+          padding:10px 16px;border:1px solid var(--border);border-radius:12px;
+          font-family:var(--mono);font-size:12px;color:var(--text);
+        }
+        .bx-sh > span:first-child{font-family:var(--sans);font-size:9px;color:var(--dim);font-weight:700;text-transform:uppercase;letter-spacing:1.2px}
 
         /* ── Tabs ── */
         .tabs{
@@ -281,7 +647,7 @@ export default function App() {
         }
         .tb{
           flex:1;background:none;border:none;color:var(--dim);
-          font-family:var(--sans);font-size:13px;font-weight:600;
+          font-family:var(--sans);font-size:12px;font-weight:600;
           padding:10px 0;border-radius:9px;cursor:pointer;transition:all .2s;
         }
         .tb:hover{color:var(--text)}
@@ -289,6 +655,9 @@ export default function App() {
           background:rgba(34,211,238,.07);color:var(--accent);
           box-shadow:0 0 10px rgba(34,211,238,.04);
         }
+        .tabs-sm{margin-bottom:8px}
+        .tabs-sm .tb{font-size:11px;padding:7px 0}
+        .md-hint{font-size:11px;color:var(--dim);line-height:1.5;margin-bottom:14px}
 
         /* ── Inputs ── */
         .fld{margin-bottom:12px}
@@ -302,6 +671,19 @@ export default function App() {
         }
         .inp::placeholder{color:#1f2d42}
         .inp:focus{border-color:rgba(34,211,238,.25);box-shadow:0 0 0 3px rgba(34,211,238,.05)}
+        .fld-err{font-size:11px;color:var(--red);line-height:1.5;margin-top:6px}
+        .fld-warn{font-size:11px;color:var(--orange);line-height:1.5;margin-top:6px}
+        .fld-ok{font-size:11px;color:var(--green);line-height:1.5;margin-top:6px}
+        .fld-ack{display:flex;align-items:center;gap:6px;font-size:11px;color:var(--text);margin-top:8px;cursor:pointer}
+        .fld-save{display:flex;gap:6px;margin-top:8px}
+        .fld-save .inp{flex:1;padding:8px 12px;font-size:12px}
+        .fld-save .sm-btn{flex:0 0 auto}
+        .fld-max{
+          float:right;background:none;border:none;padding:0;
+          color:var(--accent);font-family:var(--sans);font-size:10px;font-weight:700;
+          letter-spacing:.8px;text-transform:uppercase;cursor:pointer;
+        }
+        .fld-max:disabled{color:var(--dim);cursor:default}
 
         /* ── Buttons ── */
         .br{display:flex;gap:8px;margin-top:16px}
@@ -328,15 +710,16 @@ export default function App() {
         .bt-con:active{transform:translateY(0)}
 
         /* ── Status ── */
-        .tx-b{
-          background:rgba(52,211,153,.05);border:1px solid rgba(52,211,153,.1);
-          border-radius:10px;padding:12px 14px;margin-bottom:12px;
-          font-family:var(--mono);font-size:11px;color:var(--green);
-          word-break:break-all;line-height:1.6;
-        }
-        .tx-b a{color:var(--green);text-decoration:none;opacity:.85}
-        .tx-b a:hover{opacity:1;text-decoration:underline}
         .tx-l{font-size:9px;opacity:.5;display:block;margin-bottom:4px;text-transform:uppercase;letter-spacing:1px;font-weight:600}
+        .txq{margin-bottom:12px}
+        .txq .sm-top + .sm-top{margin-top:4px}
+        .txq-st{font-family:var(--mono);font-size:10px;font-weight:700;letter-spacing:.4px}
+        .txq-wait{color:var(--orange)}
+        .txq-ok{color:var(--green)}
+        .txq-bad{color:var(--red)}
+        .txq-off{color:var(--dim)}
+        .txq-x{background:none;border:none;color:var(--dim);cursor:pointer;font-size:11px;padding:0 2px}
+        .txq-x:hover{color:var(--red)}
         .er-b{
           background:rgba(248,113,113,.05);border:1px solid rgba(248,113,113,.1);
           border-radius:10px;padding:12px 14px;margin-bottom:12px;
@@ -388,6 +771,8 @@ export default function App() {
         .stp-d code{background:rgba(34,211,238,.05);color:var(--accent);padding:1px 5px;border-radius:3px;font-family:var(--mono);font-size:10px}
         .stp-a{color:var(--accent);font-size:11px;font-weight:600;text-decoration:none;margin-top:2px;display:inline-block}
         .stp-a:hover{text-decoration:underline}
+        .cfg-vs{margin-top:14px;display:flex;flex-direction:column;gap:6px}
+        .cfg-vs .sm-top{padding:8px 12px;background:rgba(255,255,255,.02);border:1px solid var(--border);border-radius:8px}
         .ai-row{display:flex;gap:8px;margin-top:14px}
         .ai-row .inp{flex:1}
         .ai-row .bt{flex:0 0 auto;padding:13px 24px}
@@ -407,6 +792,78 @@ export default function App() {
         }
         .v-tag button:hover{opacity:1}
 
+        /* ── Batch ── */
+        .bh-hd{display:flex;justify-content:space-between;align-items:baseline}
+        .bh-up{font-size:11px;font-weight:600;color:var(--accent);cursor:pointer;opacity:.75}
+        .bh-up:hover{opacity:1}
+        .bh-ta{resize:vertical;font-size:12px;line-height:1.6;min-height:96px}
+        .bh-list{display:flex;flex-direction:column;gap:2px;max-height:200px;overflow-y:auto;margin-bottom:10px}
+        .bh-row{
+          display:grid;grid-template-columns:28px 1fr auto;gap:8px;align-items:center;
+          padding:6px 10px;border-radius:7px;background:rgba(8,12,22,.5);
+          font-family:var(--mono);font-size:11px;
+        }
+        .bh-row.bad{background:rgba(248,113,113,.05);color:var(--red)}
+        .bh-ln{color:var(--dim)}
+        .bh-ad{overflow:hidden;text-overflow:ellipsis;white-space:nowrap}
+        .bh-sum{display:flex;justify-content:space-between;font-family:var(--mono);font-size:11px;color:var(--dim);margin-bottom:10px}
+        .bh-sum .bad{color:var(--red)}
+
+        /* ── Streams ── */
+        .sm-2{display:grid;grid-template-columns:1fr 1fr;gap:8px}
+        .sm-2 .inp{font-size:11px;padding:11px 10px;color-scheme:dark}
+        .sm-sec{font-size:10px;font-weight:700;text-transform:uppercase;letter-spacing:1.4px;color:var(--dim);margin:20px 0 8px}
+        .sm-row{padding:10px 12px;background:rgba(8,12,22,.5);border:1px solid var(--border);border-radius:9px;margin-bottom:4px}
+        .sm-top{display:flex;justify-content:space-between;align-items:center;gap:8px}
+        .sm-st{font-family:var(--mono);font-size:9px;font-weight:700;text-transform:uppercase;letter-spacing:.6px;color:var(--dim)}
+        .sm-streaming{color:var(--green)}
+        .sm-scheduled{color:var(--orange)}
+        .sm-cancelled{color:var(--red)}
+        .sm-bar{height:3px;background:rgba(255,255,255,.04);border-radius:2px;overflow:hidden;margin:8px 0 6px}
+        .sm-bar div{height:100%;background:linear-gradient(90deg,var(--accent-2),var(--accent));transition:width 1s linear}
+        .sm-btn{
+          background:rgba(34,211,238,.07);color:var(--accent);border:1px solid rgba(34,211,238,.15);
+          padding:4px 10px;border-radius:6px;font-size:10px;font-weight:700;cursor:pointer;font-family:var(--sans);
+          white-space:nowrap;
+        }
+        .sm-btn:disabled{opacity:.3;cursor:not-allowed}
+        .sm-cx{background:rgba(248,113,113,.07);color:var(--red);border-color:rgba(248,113,113,.15)}
+        .es-open{color:var(--accent)}
+        .es-disputed{color:var(--orange)}
+        .es-released{color:var(--green)}
+        .es-refunded{color:var(--dim)}
+
+        /* ── Payment Request ── */
+        .pr-box{
+          display:flex;flex-direction:column;align-items:center;gap:10px;
+          padding:14px;background:rgba(8,12,22,.5);border:1px solid var(--border);border-radius:10px;margin-bottom:10px;
+        }
+        .pr-box img{border-radius:8px}
+        .pr-txt{font-family:var(--mono);font-size:10px;color:var(--dim);word-break:break-all;text-align:center;line-height:1.5}
+
+        /* ── History ── */
+        .hs-act{display:flex;gap:4px}
+        .hs-act button{
+          background:rgba(255,255,255,.03);border:1px solid var(--border);color:var(--dim);
+          font-family:var(--mono);font-size:10px;font-weight:600;padding:4px 9px;border-radius:6px;
+          cursor:pointer;transition:all .15s;
+        }
+        .hs-act button:hover:not(:disabled){color:var(--accent);border-color:var(--border-h)}
+        .hs-act button:disabled{opacity:.3;cursor:not-allowed}
+        .hs-list{display:flex;flex-direction:column;gap:4px;max-height:360px;overflow-y:auto}
+        .hs-row{
+          display:flex;justify-content:space-between;align-items:center;gap:10px;
+          padding:10px 12px;background:rgba(8,12,22,.5);
+          border:1px solid var(--border);border-radius:9px;
+        }
+        .hs-k{display:block;font-size:12px;font-weight:600}
+        .hs-m{display:block;font-family:var(--mono);font-size:10px;color:var(--dim);margin-top:2px;text-decoration:none}
+        a.hs-m:hover{color:var(--accent)}
+        .hs-a{display:block;font-family:var(--mono);font-size:13px;font-weight:700}
+        .hs-in{color:var(--green)}
+        .hs-out{color:var(--text)}
+        .hs-empty{font-size:12px;color:var(--dim);text-align:center;padding:18px 0}
+
         /* ── Connect Card ── */
         .con-crd{text-align:center;padding:52px 24px}
         .con-ico{
@@ -418,6 +875,18 @@ export default function App() {
           box-shadow:0 0 30px rgba(34,211,238,.06);
         }
         .con-txt{color:var(--dim);font-size:14px;margin-bottom:28px;line-height:1.6}
+        .con-or{color:var(--dim);font-size:11px;margin-top:28px;letter-spacing:.3px}
+
+        /* ── Wallet Picker ── */
+        .wp{display:flex;flex-direction:column;gap:8px;max-width:280px;margin:0 auto}
+        .wp-btn{
+          display:flex;align-items:center;gap:12px;padding:12px 16px;border-radius:12px;cursor:pointer;
+          background:var(--surface-2);border:1px solid var(--border-h);color:var(--text);
+          font-family:var(--sans);font-size:14px;font-weight:600;transition:border-color .2s;
+        }
+        .wp-btn:hover{border-color:var(--accent)}
+        .wp-btn img,.wp-ph{width:24px;height:24px;border-radius:6px;flex:0 0 auto}
+        .wp-ph{display:flex;align-items:center;justify-content:center;color:var(--accent)}
 
         /* ── Footer ── */
         .ftr{
@@ -425,6 +894,16 @@ export default function App() {
           color:var(--dim);font-size:10px;font-family:var(--mono);
           letter-spacing:1px;opacity:.4;
         }
+        .lv{float:right;font-family:var(--mono);font-size:9px;letter-spacing:.6px;text-transform:none;font-weight:600}
+        .lv-live{color:var(--green)}
+        .lv-polling{color:var(--orange)}
+        .lv-off{display:none}
+        .tst{position:fixed;right:18px;bottom:18px;z-index:50;display:flex;flex-direction:column;gap:8px;max-width:320px}
+        .tst-i{
+          padding:12px 14px;border-radius:10px;cursor:pointer;
+          background:var(--surface);border:1px solid rgba(52,211,153,.25);color:var(--green);
+          font-size:12px;line-height:1.5;box-shadow:0 8px 24px rgba(0,0,0,.4);
+        }
 
         @media(max-width:540px){
           .app{padding:28px 14px 64px}
@@ -442,22 +921,54 @@ export default function App() {
             <span className="hdr-name">ArcVault</span>
           </div>
           <br />
-          <span className="hdr-badge">Testnet</span>
+          <select className="hdr-badge hdr-net" value={networkKey} onChange={(e) => changeNetwork(e.target.value)} title="Network">
+            {Object.values(NETWORKS).map((n) => <option key={n.key} value={n.key}>{n.badge} · {n.label}</option>)}
+          </select>
         </div>
 
+        {/* ── Watching (read-only) ── */}
+        {watchAddress && (
+          <WatchPanel
+            network={network}
+            vaultAddress={vaultDeployed ? vaultAddress : ""}
+            floorBlock={floorBlock}
+            address={watchAddress}
+            onClose={stopWatching}
+            nameOf={book.nameOf}
+          />
+        )}
+
         {/* ── Not Connected ── */}
-        {!account && (
+        {!watchAddress && !account && (
           <div className="crd con-crd">
             <div className="con-ico">◈</div>
             <div className="con-txt">
-              Connect your wallet to manage<br />USDC on Arc Testnet
+              Connect your wallet to manage<br />stablecoins on {network.label}
+            </div>
+            {showPicker ? (
+              <div className="wp">
+                {wallets.map((w) => (
+                  <button key={w.info.uuid} className="wp-btn" onClick={() => connectWallet(w)}>
+                    {w.info.icon ? <img src={w.info.icon} alt="" /> : <span className="wp-ph">◈</span>}
+                    <span>{w.info.name}</span>
+                  </button>
+                ))}
+              </div>
+            ) : (
+              <button className="bt-con" onClick={startConnect}>Connect Wallet</button>
+            )}
+            {error && <div className="er-b" style={{ marginTop: 14 }}>{error}</div>}
+            <div className="con-or">or watch any address, read-only</div>
+            <div className="ai-row">
+              <input className="inp" placeholder="0x... address" value={watchInput} onChange={(e) => setWatchInput(e.target.value)} />
+              <button className="bt bt-p" disabled={!isAddress(watchInput)}
+                onClick={() => { setWatchAddress(getAddress(watchInput)); setWatchInput(""); }}>Watch</button>
             </div>
-            <button className="bt-con" onClick={connectWallet}>Connect Wallet</button>
           </div>
         )}
 
         {/* ── Connected ── */}
-        {account && (
+        {!watchAddress && account && (
           <>
             <div className="crd">
               <div className="w-row" style={{ marginBottom: 0 }}>
@@ -467,9 +978,9 @@ export default function App() {
                 </div>
                 <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
                   <span className={`bdg ${isCorrectNetwork ? "bdg-ok" : "bdg-bad"}`}>
-                    {isCorrectNetwork ? "Arc Testnet" : `Chain ${chainId}`}
+                    {isCorrectNetwork ? network.label : `Chain ${chainId}`}
                   </span>
-                  {!isCorrectNetwork && <button className="sw-btn" onClick={switchToArc}>Switch</button>}
+                  {!isCorrectNetwork && <button className="sw-btn" onClick={() => switchNetwork(network)}>Switch</button>}
                   <button className="dc-btn" onClick={disconnect} title="Disconnect">✕</button>
                 </div>
               </div>
@@ -479,82 +990,299 @@ export default function App() {
               <>
                 {/* Balances */}
                 <div className="crd">
-                  <div className="crd-lbl">Balances</div>
+                  <div className="crd-lbl">
+                    Balances
+                    <span className={`lv lv-${liveMode}`} title={liveMode === "live" ? "Updates as soon as a block mentions your account" : "Refreshing on a timer"}>
+                      {liveMode === "live" ? "● live" : "○ polling"}
+                    </span>
+                  </div>
+                  {tokens.length > 1 && (
+                    <div className="tabs tabs-sm">
+                      {tokens.map((t) => (
+                        <button key={t.address} className={`tb ${t.address === token.address ? "on" : ""}`} title={t.address}
+                          onClick={() => selectToken(t.address)}>
+                          {t.symbol}{t.allowed ? "" : " · delisted"}
+                        </button>
+                      ))}
+                    </div>
+                  )}
                   <div className="bg">
                     <div className="bx">
                       <div className="bx-lbl">Wallet</div>
                       <div className="bx-val">
-                        {fmtUsdc(usdcBalance, NATIVE_DEC)}
-                        <span className="bx-u">USDC</span>
+                        {fmtUsdc(walletBalance, walletDec)}
+                        <span className="bx-u">{token.symbol}</span>
                       </div>
                     </div>
                     <div className="bx">
                       <div className="bx-lbl">Vault</div>
                       <div className="bx-val">
                         {vaultDeployed
-                          ? <>{fmtUsdc(vaultBalance, ERC20_DEC)}<span className="bx-u">USDC</span></>
+                          ? <>{fmtUsdc(vaultBalance, token.decimals)}<span className="bx-u">{token.symbol}</span></>
                           : <span style={{ fontSize: 12, color: "var(--dim)", fontFamily: "var(--sans)", fontWeight: 500 }}>—</span>
                         }
                       </div>
                     </div>
                   </div>
+                  {vaultDeployed && shares && (
+                    <div className="bx-sh" title="ERC-4626 vault shares: transferable ERC-20 tokens redeemable for USDC">
+                      <span>{shares.symbol} shares</span>
+                      <span>
+                        {fmtUsdc(shares.balance, network.usdc.decimals)} {shares.symbol}
+                        <span className="bx-u">≈ {fmtUsdc(shares.assets, network.usdc.decimals)} USDC</span>
+                      </span>
+                    </div>
+                  )}
                 </div>
 
                 {/* Operations */}
                 <div className="crd">
                   <div className="crd-lbl">Operations</div>
                   <div className="tabs">
-                    {["deposit", "withdraw", "transfer"].map((t) => (
+                    {["deposit", "withdraw", "transfer", "streams", "escrows"].map((t) => (
                       <button key={t} className={`tb ${tab === t ? "on" : ""}`}
-                        onClick={() => { setTab(t); setError(""); setTxHash(""); }}>
+                        onClick={() => { setTab(t); setError(""); }}>
                         {t.charAt(0).toUpperCase() + t.slice(1)}
                       </button>
                     ))}
                   </div>
 
-                  {!vaultDeployed && (tab === "deposit" || tab === "withdraw") && (
+                  {paused && (
+                    <div className="ntc">
+                      <p>The vault is paused. Deposits, transfers and new streams and escrows are on hold; withdrawals stay open.</p>
+                    </div>
+                  )}
+                  {!vaultDeployed && tab !== "transfer" && (
                     <div className="ntc">
                       <p>Vault not connected yet. Use Transfer for direct sends.</p>
                       <button className="ntc-btn" onClick={() => setShowConfig(true)}>Connect Vault</button>
                     </div>
                   )}
 
-                  {txHash && (
-                    <div className="tx-b">
-                      <span className="tx-l">Transaction</span>
-                      <a href={`${ARC_TESTNET.blockExplorerUrls[0]}/tx/${txHash}`} target="_blank" rel="noreferrer">{txHash}</a>
-                    </div>
-                  )}
+                  <TxQueuePanel
+                    entries={txQueue.entries}
+                    head={txQueue.head}
+                    account={account}
+                    explorerUrl={explorerUrl}
+                    onReplace={txQueue.replace}
+                    onResend={txQueue.resend}
+                    onDismiss={txQueue.dismiss}
+                  />
                   {error && <div className="er-b">{error}</div>}
                   {loading && <div className="ld-p">{loading}</div>}
 
-                  {tab === "transfer" && (
+                  {tab === "deposit" && vaultDeployed && !token.allowed && (
+                    <div className="md-hint">{token.symbol} has been delisted: deposits are closed, but existing balances can still be withdrawn or moved.</div>
+                  )}
+                  {tab === "deposit" && vaultDeployed && token.allowed && permitDomain && (
+                    <div className="md-hint">One-step deposit: you sign a permit, then confirm a single transaction.</div>
+                  )}
+                  {tab === "transfer" && vaultDeployed && (
+                    <>
+                      <div className="tabs tabs-sm">
+                        {[["internal", "Vault → Vault"], ["payout", "Pay Out to Wallet"]].map(([m, label]) => (
+                          <button key={m} className={`tb ${transferMode === m ? "on" : ""}`} onClick={() => setTransferMode(m)}>{label}</button>
+                        ))}
+                      </div>
+                      <div className="tabs tabs-sm">
+                        {[[false, "Single"], [true, "Batch (CSV)"]].map(([b, label]) => (
+                          <button key={label} className={`tb ${batchMode === b ? "on" : ""}`} onClick={() => setBatchMode(b)}>{label}</button>
+                        ))}
+                      </div>
+                      <div className="md-hint">
+                        {transferMode === "internal"
+                          ? "Moves balance to the recipient's vault account. No tokens leave the vault."
+                          : `Sends ${token.symbol} from your vault balance to the recipient's wallet.`}
+                      </div>
+                    </>
+                  )}
+                  {showBatch && (
+                    <BatchTransfer
+                      decimals={token.decimals}
+                      symbol={token.symbol}
+                      vaultBalance={vaultBalance}
+                      exclude={batchExclude}
+                      payout={transferMode === "payout"}
+                      loading={!!loading}
+                      onSubmit={handleBatch}
+                      nameOf={book.nameOf}
+                    />
+                  )}
+                  {tab === "transfer" && !showBatch && (
                     <div className="fld">
                       <label className="fld-lbl">Recipient Address</label>
-                      <input className="inp" placeholder="0x..." value={recipient} onChange={(e) => setRecipient(e.target.value)} />
+                      <input className="inp" placeholder="0x... or pick a contact" list="ab-contacts" value={recipient} onChange={(e) => setRecipient(e.target.value)} />
+                      <datalist id="ab-contacts">
+                        {book.contacts.map((c) => <option key={c.address} value={c.address}>{c.label}</option>)}
+                      </datalist>
+                      {recipientError && <div className="fld-err">{recipientError}</div>}
+                      {recipientContact && <div className="fld-ok">✓ {recipientContact.label}</div>}
+                      {recipientLookAlikes.map(({ contact, distance }) => (
+                        <div key={contact.address} className="fld-warn">
+                          ⚠ This is not your contact "{contact.label}" ({shortenAddr(contact.address)}): {distance} character{distance === 1 ? " differs" : "s differ"}. Check every character.
+                        </div>
+                      ))}
+                      {recipientOk && !recipientContact && !recipientLookAlikes.length && (
+                        <>
+                          <div className="fld-warn">New recipient: not in your address book.</div>
+                          <div className="fld-save">
+                            <input className="inp" placeholder="Label to save it as" value={contactLabel} onChange={(e) => setContactLabel(e.target.value)} />
+                            <button className="sm-btn" disabled={!contactLabel.trim()} onClick={saveRecipient}>Save contact</button>
+                          </div>
+                        </>
+                      )}
+                      {recipientIsContract && (
+                        <div className="fld-warn">
+                          {vaultDeployed && transferMode === "internal"
+                            ? "This address is a contract. Its vault balance can only be moved by code that calls the vault."
+                            : `This address is a contract, not a wallet. Make sure it can handle ${token.symbol}.`}
+                        </div>
+                      )}
+                      {recipientLookAlikes.length > 0 && (
+                        <label className="fld-ack">
+                          <input type="checkbox" checked={recipientAck} onChange={(e) => setRecipientAck(e.target.checked)} />
+                          I have checked this address and want to send to it
+                        </label>
+                      )}
                     </div>
                   )}
-                  <div className="fld">
-                    <label className="fld-lbl">Amount (USDC)</label>
-                    <input className="inp" type="number" min="0" step="0.01" placeholder="0.00" value={amount} onChange={(e) => setAmount(e.target.value)} />
-                  </div>
+                  {tab === "transfer" && !showBatch && vaultDeployed && transferMode === "internal" && (
+                    <div className="fld">
+                      <label className="fld-lbl">Invoice Reference (optional)</label>
+                      <input className="inp" placeholder="INV-0042" value={invoiceRef} onChange={(e) => setInvoiceRef(e.target.value)} />
+                    </div>
+                  )}
+                  {tab === "streams" && vaultDeployed && (
+                    <StreamsPanel
+                      client={client}
+                      account={account}
+                      token={token}
+                      tokens={tokens}
+                      vaultBalance={vaultBalance}
+                      refreshKey={historyNonce}
+                      onTx={executeTx}
+                      nameOf={book.nameOf}
+                    />
+                  )}
+                  {tab === "escrows" && vaultDeployed && (
+                    <EscrowsPanel
+                      client={client}
+                      account={account}
+                      token={token}
+                      tokens={tokens}
+                      vaultBalance={vaultBalance}
+                      refreshKey={historyNonce}
+                      onTx={executeTx}
+                      nameOf={book.nameOf}
+                    />
+                  )}
+                  {showBasicForm && (
+                    <div className="fld">
+                      <label className="fld-lbl">
+                        Amount ({token.symbol})
+                        <button className="fld-max" disabled={!spendable} onClick={fillMax}
+                          title={gasReserve ? `Your whole balance minus ${GAS_RESERVE} ${token.symbol} for gas` : "Your whole balance"}>Max</button>
+                      </label>
+                      <input className="inp" type="number" min="0" step="0.01" placeholder="0.00" value={amount} onChange={(e) => setAmount(e.target.value)} />
+                      {amountError && <div className="fld-err">{amountError}</div>}
+                      {!amountError && queues && (
+                        <div className="fld-warn">
+                          Above your {amountText(rules.lockThreshold, token.decimals)} {token.symbol} time-lock threshold: this is queued for {Math.ceil(rules.delay / 3600)} h, then executed from the Security panel{rules.dailyLimit ? " as your daily limit allows" : ""}.
+                        </div>
+                      )}
+                    </div>
+                  )}
+
+                  {showBasicForm && canSign && (
+                    <div className="tabs tabs-sm">
+                      {[[false, "Send transaction"], [true, "Sign instead (gasless)"]].map(([g, label]) => (
+                        <button key={label} className={`tb ${gasless === g ? "on" : ""}`} onClick={() => setGasless(g)}>{label}</button>
+                      ))}
+                    </div>
+                  )}
+                  {showBasicForm && signing && (
+                    <div className="md-hint">You only sign an order; the relayer at {relayerUrl} submits it and pays the gas.</div>
+                  )}
 
-                  <div className="br">
+                  {showBasicForm && <div className="br">
                     {tab === "deposit" && needsApproval && (
-                      <button className="bt bt-o" disabled={!!loading || !amount || !vaultDeployed} onClick={handleApprove}>Approve</button>
+                      <button className="bt bt-o" disabled={!!loading || amountBlocked || !vaultDeployed} onClick={handleApprove}>Approve</button>
                     )}
                     {tab === "deposit" && (
-                      <button className="bt bt-p" disabled={!!loading || !amount || needsApproval || !vaultDeployed} onClick={handleDeposit}>Deposit</button>
+                      <button className="bt bt-p" disabled={!!loading || amountBlocked || needsApproval || !vaultDeployed || !token.allowed || paused} onClick={handleDeposit}>Deposit</button>
                     )}
                     {tab === "withdraw" && (
-                      <button className="bt bt-p" disabled={!!loading || !amount || !vaultDeployed} onClick={handleWithdraw}>Withdraw</button>
+                      <button className="bt bt-p" disabled={!!loading || amountBlocked || !vaultDeployed} onClick={handleWithdraw}>{signing ? "Sign Withdrawal" : "Withdraw"}</button>
                     )}
                     {tab === "transfer" && (
-                      <button className="bt bt-p" disabled={!!loading || !amount || !recipient} onClick={handleTransfer}>{vaultDeployed ? "Transfer" : "Send USDC"}</button>
+                      <button className="bt bt-p" disabled={!!loading || amountBlocked || !recipient || !!recipientError || recipientNeedsAck || paused} onClick={handleTransfer}>{!vaultDeployed ? `Send ${token.symbol}` : transferMode === "payout" ? "Pay Out" : invoiceRef ? "Pay Invoice" : signing ? "Sign Transfer" : "Transfer"}</button>
                     )}
-                  </div>
+                  </div>}
                 </div>
 
+                {vaultDeployed && (
+                  <PaymentRequestPanel
+                    client={client}
+                    account={account}
+                    chainId={network.chainId}
+                    token={token}
+                    tokens={tokens}
+                    explorerUrl={explorerUrl}
+                    floorBlock={floorBlock}
+                    onOpen={openRequest}
+                    nameOf={book.nameOf}
+                  />
+                )}
+
+                <AddressBookPanel book={book} onSend={sendTo} />
+
+                {vaultDeployed && (
+                  <SecurityPanel
+                    client={client}
+                    account={account}
+                    token={token}
+                    tokens={tokens}
+                    refreshKey={historyNonce}
+                    onTx={executeTx}
+                    nameOf={book.nameOf}
+                  />
+                )}
+
+                {vaultDeployed && (
+                  <SpendersPanel
+                    client={client}
+                    account={account}
+                    token={token}
+                    tokens={tokens}
+                    refreshKey={historyNonce}
+                    onTx={executeTx}
+                    nameOf={book.nameOf}
+                  />
+                )}
+
+                {vaultDeployed && (
+                  <HistoryPanel
+                    client={client}
+                    account={account}
+                    token={token}
+                    explorerUrl={explorerUrl}
+                    floorBlock={floorBlock}
+                    refreshKey={historyNonce}
+                    nameOf={book.nameOf}
+                  />
+                )}
+
+                {vaultDeployed && isAdmin && (
+                  <AdminPanel
+                    client={client}
+                    account={account}
+                    roles={roles}
+                    tokens={tokens}
+                    refreshKey={historyNonce}
+                    onTx={executeTx}
+                  />
+                )}
+
                 {/* ── Vault Config ── */}
                 {!vaultDeployed && !showConfig && (
                   <div className="crd" style={{ textAlign: "center", padding: "28px 24px" }}>
@@ -584,25 +1312,35 @@ export default function App() {
                         <span className="stp-n">2</span>
                         <div>
                           <span className="stp-t">Deploy Contract</span>
-                          <span className="stp-d">Click "Deploy ArcVault" and confirm in MetaMask</span>
+                          <span className="stp-d">Click "Deploy ArcVault" and confirm in your wallet</span>
                         </div>
                       </div>
                       <div className="stp">
                         <span className="stp-n">3</span>
                         <div>
-                          <span className="stp-t">Paste Address Below</span>
-                          <span className="stp-d">Copy the deployed contract address and paste it here</span>
+                          <span className="stp-t">Pick Your Vault</span>
+                          <span className="stp-d">{factoryAddress ? "Vaults you deploy through the factory are listed below" : "Copy the deployed contract address and paste it below"}</span>
                         </div>
                       </div>
                     </div>
+                    {factoryAddress && (
+                      <div className="cfg-vs">
+                        <span className="tx-l">Your vaults</span>
+                        {!account || !isCorrectNetwork ? <span className="stp-d">Connect a wallet on {network.label} to list them.</span>
+                          : myVaults === null ? <span className="stp-d">Loading…</span>
+                          : !myVaults.length ? <span className="stp-d">None yet on {network.label}.</span>
+                          : myVaults.map((v) => (
+                            <div key={v} className="sm-top">
+                              <span className="hs-m" title={v}>{shortenAddr(v)}</span>
+                              {v === vaultAddress ? <span className="hs-m">in use</span>
+                                : <button className="sm-btn" onClick={() => saveVault(v)}>Use</button>}
+                            </div>
+                          ))}
+                      </div>
+                    )}
                     <div className="ai-row">
                       <input className="inp" placeholder="0x... contract address" value={vaultInput} onChange={(e) => setVaultInput(e.target.value)} />
-                      <button className="bt bt-p" disabled={!vaultInput || !isAddress(vaultInput)}
-                        onClick={() => {
-                          const a = getAddress(vaultInput);
-                          setVaultAddress(a); localStorage.setItem(SAVED_VAULT_KEY, a);
-                          setVaultInput(""); setShowConfig(false); refreshBalances();
-                        }}>Save</button>
+                      <button className="bt bt-p" disabled={!vaultInput || !isAddress(vaultInput)} onClick={() => saveVault(vaultInput)}>Save</button>
                     </div>
                     {vaultInput && !isAddress(vaultInput) && (
                       <span style={{ color: "var(--red)", fontSize: 10, marginTop: 4, display: "block" }}>Invalid address</span>
@@ -623,6 +1361,14 @@ export default function App() {
         )}
 
         <div className="ftr">ARCVAULT · {new Date().getFullYear()}</div>
+
+        {toasts.length > 0 && (
+          <div className="tst">
+            {toasts.map((t) => (
+              <div key={t.id} className="tst-i" onClick={() => setToasts((list) => list.filter((x) => x.id !== t.id))}>{t.text}</div>
+            ))}
+          </div>
+        )}
       </div>
     </>
   );
@@ -0,0 +1,69 @@
+import { useState, useMemo } from "react";
+import { shortenAddr, fmtUsdc } from "./format";
+import { BATCH_MAX_ROWS, parseBatchCsv } from "./batch";
+
+/* ─── Batch Transfer ──────────────────────────────────── */
+// Paste or upload `address,amount` rows; everything is validated locally
+// and the submit button stays disabled until the whole batch is sendable.
+// `onSubmit` resolves to true once the transaction is confirmed.
+export default function BatchTransfer({ decimals, symbol, vaultBalance, exclude, payout, loading, onSubmit, nameOf = shortenAddr }) {
+  const [text, setText] = useState("");
+  const parsed = useMemo(() => parseBatchCsv(text, decimals, { exclude }), [text, decimals, exclude]);
+  const overBalance = parsed.total > BigInt(vaultBalance);
+  const canSubmit = parsed.valid.length > 0 && !parsed.invalidCount && !overBalance && !parsed.tooMany && !loading;
+
+  const onFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (file) setText(await file.text());
+    e.target.value = "";
+  };
+
+  const submit = async () => {
+    const ok = await onSubmit(parsed.valid.map((r) => r.address), parsed.valid.map((r) => r.amount));
+    if (ok) setText("");
+  };
+
+  return (
+    <>
+      <div className="fld">
+        <div className="bh-hd">
+          <label className="fld-lbl">Recipients (address,amount)</label>
+          <label className="bh-up">
+            Upload CSV
+            <input type="file" accept=".csv,.txt,text/csv,text/plain" onChange={onFile} hidden />
+          </label>
+        </div>
+        <textarea className="inp bh-ta" rows={5} placeholder={"0xAbc…,125.50\n0xDef…,80"} value={text} onChange={(e) => setText(e.target.value)} />
+      </div>
+
+      {parsed.rows.length > 0 && (
+        <div className="bh-list">
+          {parsed.rows.map((r) => (
+            <div key={r.line} className={`bh-row ${r.error ? "bad" : ""}`}>
+              <span className="bh-ln">{r.line}</span>
+              <span className="bh-ad">{r.error && !r.amount ? r.address || "—" : nameOf(r.address)}</span>
+              <span className="bh-am">{r.error ? r.error : fmtUsdc(r.amount, decimals)}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {parsed.rows.length > 0 && (
+        <div className="bh-sum">
+          <span>{parsed.valid.length} recipient{parsed.valid.length === 1 ? "" : "s"}{parsed.invalidCount ? ` · ${parsed.invalidCount} to fix` : ""}</span>
+          <span className={overBalance ? "bad" : ""}>
+            {fmtUsdc(parsed.total, decimals)} / {fmtUsdc(vaultBalance, decimals)} {symbol}
+          </span>
+        </div>
+      )}
+      {parsed.tooMany && <div className="er-b">At most {BATCH_MAX_ROWS} rows per batch. Split the file.</div>}
+      {overBalance && <div className="er-b">Batch total exceeds your vault balance.</div>}
+
+      <div className="br">
+        <button className="bt bt-p" disabled={!canSubmit} onClick={submit}>
+          {payout ? "Pay Out" : "Transfer"} to {parsed.valid.length || ""} Recipients
+        </button>
+      </div>
+    </>
+  );
+}
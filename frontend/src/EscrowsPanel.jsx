@@ -0,0 +1,146 @@
+import { useState, useEffect, useCallback } from "react";
+import { ZeroAddress, getAddress, isAddress, parseUnits } from "ethers";
+import { shortenAddr, fmtUsdc, fmtTime } from "./format";
+import { findToken } from "./tokens";
+
+/* ─── Escrows Panel ───────────────────────────────────── */
+// Creates escrows and lists every escrow the account is payer, payee or
+// arbiter of, offering only the actions the contract allows for that role.
+// `client` is the SDK's VaultClient and `onTx(label, fn)` is App's
+// executeTx, which resolves to true on success.
+// New escrows use the selected `token`; each listed escrow is shown in its own.
+
+function roleOf(e, account) {
+  const a = account.toLowerCase();
+  if (e.payer.toLowerCase() === a) return "payer";
+  if (e.payee.toLowerCase() === a) return "payee";
+  return "arbiter";
+}
+
+export default function EscrowsPanel({ client, account, token, tokens, vaultBalance, refreshKey, onTx, nameOf = shortenAddr }) {
+  const { decimals, symbol } = token;
+  const [escrows, setEscrows] = useState([]);
+  const [payee, setPayee] = useState("");
+  const [arbiter, setArbiter] = useState("");
+  const [amount, setAmount] = useState("");
+  const [deadlineAt, setDeadlineAt] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const now = Math.floor(Date.now() / 1000);
+
+  const load = useCallback(async () => {
+    try {
+      setEscrows(await client.escrowsOf(account));
+      setError("");
+    } catch (e) {
+      setError(e?.shortMessage || e?.message || "Could not load escrows");
+    }
+  }, [client, account]);
+
+  useEffect(() => { load(); }, [load, refreshKey]);
+
+  /* ─── Create ─────────────────────────────────────────── */
+  const deadline = deadlineAt ? Math.floor(new Date(deadlineAt).getTime() / 1000) : 0;
+  let value = 0n, parseErr = "";
+  try { if (amount) value = parseUnits(amount, decimals); } catch { parseErr = `Amount has more than ${decimals} decimals.`; }
+  const formErr =
+    parseErr ||
+    (payee && !isAddress(payee) ? "Enter a valid payee address." : "") ||
+    (arbiter && !isAddress(arbiter) ? "Enter a valid arbiter address, or leave it blank." : "") ||
+    (arbiter && isAddress(arbiter) && [account, payee].some((a) => a && a.toLowerCase() === arbiter.toLowerCase())
+      ? "The arbiter must be a third party." : "") ||
+    (deadline && deadline <= now ? "Deadline must be in the future." : "") ||
+    (value > BigInt(vaultBalance) ? "Exceeds your vault balance." : "");
+  const canCreate = !busy && !formErr && isAddress(payee) && value > 0n && deadline > now;
+
+  const run = async (label, fn) => {
+    setBusy(true);
+    const ok = await onTx(label, fn);
+    setBusy(false);
+    return ok;
+  };
+
+  const create = async () => {
+    const arb = arbiter ? getAddress(arbiter) : ZeroAddress;
+    const ok = await run("Locking escrow…", () => client.createEscrow(token.address, getAddress(payee), arb, value, deadline));
+    if (ok) { setPayee(""); setArbiter(""); setAmount(""); setDeadlineAt(""); }
+  };
+
+  /* ─── Render ─────────────────────────────────────────── */
+  const actions = (e) => {
+    const role = roleOf(e, account);
+    const active = e.status === "Open" || e.status === "Disputed";
+    const expired = now > e.deadline;
+    const btn = (label, fn, cls = "") => (
+      <button key={label} className={`sm-btn ${cls}`} disabled={busy} onClick={() => run(`${label}…`, fn)}>{label}</button>
+    );
+    if (!active) return [];
+    const list = [];
+    if (role === "payer") list.push(btn("Release", () => client.releaseEscrow(e.id)));
+    if (role === "payee") list.push(btn("Refund", () => client.refundEscrow(e.id), "sm-cx"));
+    if (role !== "arbiter" && e.status === "Open" && e.arbiter !== ZeroAddress && !expired)
+      list.push(btn("Dispute", () => client.disputeEscrow(e.id), "sm-cx"));
+    if (role === "arbiter" && e.status === "Disputed") {
+      list.push(btn("Pay payee", () => client.resolveEscrow(e.id, true)));
+      list.push(btn("Refund payer", () => client.resolveEscrow(e.id, false), "sm-cx"));
+    }
+    if (e.status === "Open" && expired) list.push(btn("Reclaim", () => client.reclaimEscrow(e.id)));
+    return list;
+  };
+
+  return (
+    <>
+      <div className="fld">
+        <label className="fld-lbl">Payee Address</label>
+        <input className="inp" placeholder="0x..." value={payee} onChange={(e) => setPayee(e.target.value)} />
+      </div>
+      <div className="fld">
+        <label className="fld-lbl">Arbiter (optional)</label>
+        <input className="inp" placeholder="0x... settles disputes" value={arbiter} onChange={(e) => setArbiter(e.target.value)} />
+      </div>
+      <div className="sm-2">
+        <div className="fld">
+          <label className="fld-lbl">Amount ({symbol})</label>
+          <input className="inp" type="number" min="0" step="0.01" placeholder="0.00" value={amount} onChange={(e) => setAmount(e.target.value)} />
+        </div>
+        <div className="fld">
+          <label className="fld-lbl">Deadline</label>
+          <input className="inp" type="datetime-local" value={deadlineAt} onChange={(e) => setDeadlineAt(e.target.value)} />
+        </div>
+      </div>
+      <div className="md-hint">
+        Funds leave your vault balance now. Release pays the payee; after the deadline an undisputed escrow returns to you.
+      </div>
+      {formErr && <div className="er-b">{formErr}</div>}
+      {error && <div className="er-b">{error}</div>}
+      <div className="br" style={{ marginTop: 4 }}>
+        <button className="bt bt-p" disabled={!canCreate} onClick={create}>Lock in Escrow</button>
+      </div>
+
+      <div className="sm-sec">Your Escrows</div>
+      {escrows.length ? escrows.map((e) => {
+        const role = roleOf(e, account);
+        const expired = e.status === "Open" && now > e.deadline;
+        const t = findToken(tokens, e.token) || token;
+        return (
+          <div key={e.id.toString()} className="sm-row">
+            <div className="sm-top">
+              <span className="hs-k">
+                #{e.id.toString()} · {role === "payer" ? `to ${nameOf(e.payee)}` : role === "payee" ? `from ${nameOf(e.payer)}` : `${nameOf(e.payer)} → ${nameOf(e.payee)}`}
+              </span>
+              <span className={`sm-st es-${e.status.toLowerCase()}`}>{expired ? "Expired" : e.status}</span>
+            </div>
+            <div className="sm-top" style={{ marginTop: 6 }}>
+              <span className="hs-m">
+                {fmtUsdc(e.amount, t.decimals)} {t.symbol} · {role}
+                {e.arbiter !== ZeroAddress && role !== "arbiter" && <> · arbiter {nameOf(e.arbiter)}</>}
+              </span>
+              <span style={{ display: "flex", gap: 4 }}>{actions(e)}</span>
+            </div>
+            <span className="hs-m">Deadline {fmtTime(e.deadline)}</span>
+          </div>
+        );
+      }) : <div className="hs-empty">No escrows yet.</div>}
+    </>
+  );
+}
@@ -0,0 +1,96 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import { shortenAddr, fmtUsdc, fmtTime } from "./format";
+import {
+  HISTORY_FILTERS, sortHistory, filterHistory,
+  historyToCsv, historyToJson, downloadFile,
+} from "./history";
+
+/* ─── History Panel ───────────────────────────────────── */
+// Per-account activity in the selected `token`, built from the vault's event logs.
+// `refreshKey` changes after each confirmed tx to pull in the newest page;
+// `nameOf` names counterparties (address-book labels in the dApp); `client`
+// is the SDK's VaultClient, over a provider or signer.
+export default function HistoryPanel({ client, account, token, explorerUrl, floorBlock = 0, refreshKey, nameOf = shortenAddr }) {
+  const [entries, setEntries] = useState([]);
+  const [nextToBlock, setNextToBlock] = useState(null);
+  const [filter, setFilter] = useState("all");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const reqId = useRef(0);
+
+  const load = useCallback(async (toBlock) => {
+    const id = ++reqId.current;
+    setLoading(true); setError("");
+    try {
+      const page = await client.history(account, token.address, { toBlock, floorBlock });
+      if (id !== reqId.current) return;
+      setEntries((prev) => (toBlock === undefined ? page.entries : sortHistory([...prev, ...page.entries])));
+      setNextToBlock(page.nextToBlock);
+    } catch (e) {
+      if (id === reqId.current) setError(e?.shortMessage || e?.message || "Could not load history");
+    } finally {
+      if (id === reqId.current) setLoading(false);
+    }
+  }, [client, account, token.address, floorBlock]);
+
+  useEffect(() => { setEntries([]); setNextToBlock(null); load(); }, [load, refreshKey]);
+
+  const visible = filterHistory(entries, filter);
+  const stamp = new Date().toISOString().slice(0, 10);
+  const exportAs = (kind) => {
+    const name = `arcvault-${account.slice(0, 8)}-${token.symbol}-${filter}-${stamp}.${kind}`;
+    if (kind === "csv") downloadFile(name, historyToCsv(visible, token), "text/csv");
+    else downloadFile(name, historyToJson(visible, token), "application/json");
+  };
+
+  return (
+    <div className="crd">
+      <div className="cfg-h">
+        <span className="crd-lbl" style={{ margin: 0 }}>History</span>
+        <div className="hs-act">
+          <button disabled={!visible.length} onClick={() => exportAs("csv")}>CSV</button>
+          <button disabled={!visible.length} onClick={() => exportAs("json")}>JSON</button>
+          <button disabled={loading} onClick={() => load()}>↻</button>
+        </div>
+      </div>
+
+      <div className="tabs tabs-sm">
+        {Object.entries(HISTORY_FILTERS).map(([k, label]) => (
+          <button key={k} className={`tb ${filter === k ? "on" : ""}`} onClick={() => setFilter(k)}>{label}</button>
+        ))}
+      </div>
+
+      {error && <div className="er-b">{error}</div>}
+
+      <div className="hs-list">
+        {visible.map((e) => (
+          <div key={e.id} className="hs-row">
+            <div>
+              <span className="hs-k">{e.label}</span>
+              <span className="hs-m">
+                {fmtTime(e.timestamp)}
+                {e.counterparty && <> · {e.direction === "in" ? "from" : "to"} <span title={e.counterparty}>{nameOf(e.counterparty)}</span></>}
+              </span>
+            </div>
+            <div style={{ textAlign: "right" }}>
+              <span className={`hs-a ${e.direction === "in" ? "hs-in" : "hs-out"}`}>
+                {e.direction === "in" ? "+" : "−"}{fmtUsdc(e.amount, token.decimals)}
+              </span>
+              {explorerUrl
+                ? <a className="hs-m" href={`${explorerUrl}/tx/${e.txHash}`} target="_blank" rel="noreferrer">{shortenAddr(e.txHash)} ↗</a>
+                : <span className="hs-m">{shortenAddr(e.txHash)}</span>}
+            </div>
+          </div>
+        ))}
+        {!visible.length && !loading && <div className="hs-empty">No activity in the scanned blocks.</div>}
+      </div>
+
+      {loading && <div className="ld-p">Scanning blocks…</div>}
+      {!loading && nextToBlock !== null && (
+        <button className="bt bt-o" style={{ width: "100%", marginTop: 10, padding: "10px 0", fontSize: 12 }} onClick={() => load(nextToBlock)}>
+          Load older (before block {nextToBlock + 1})
+        </button>
+      )}
+    </div>
+  );
+}
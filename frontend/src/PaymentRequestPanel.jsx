@@ -0,0 +1,138 @@
+import { useState, useEffect } from "react";
+import QRCode from "qrcode";
+import { shortenAddr, fmtUsdc, fmtTime } from "./format";
+import { findToken } from "./tokens";
+import {
+  buildPaymentLink, buildPaymentUri, findInvoicePayments, isValidRef, parsePaymentRequest,
+} from "./paymentRequest";
+
+/* ─── Payment Request Panel ───────────────────────────── */
+// Merchant side: build a link / EIP-681 QR asking someone to pay the
+// connected account in the selected `token`, and check whether an invoice
+// reference has been paid. Payer side: paste a link or URI and `onOpen`
+// routes it into the Transfer tab. `client` is the SDK's VaultClient.
+export default function PaymentRequestPanel({ client, account, chainId, token, tokens, explorerUrl, floorBlock = 0, onOpen, nameOf = shortenAddr }) {
+  const { decimals, symbol } = token;
+  const [amount, setAmount] = useState("");
+  const [ref, setRef] = useState("");
+  const [mode, setMode] = useState("link");
+  const [qr, setQr] = useState("");
+  const [copied, setCopied] = useState("");
+  const [paste, setPaste] = useState("");
+  const [payments, setPayments] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const [error, setError] = useState("");
+
+  let link = "", uri = "", formErr = "";
+  try {
+    if (ref && !isValidRef(ref)) formErr = "Reference must be at most 31 bytes.";
+    else if (amount) {
+      link = buildPaymentLink({ baseUrl: window.location.href, token: token.address, to: account, amount, ref });
+      uri = buildPaymentUri({ vault: client.address, chainId, token: token.address, to: account, amount, decimals, ref });
+    }
+  } catch { formErr = `Amount has more than ${decimals} decimals.`; }
+  const shown = mode === "link" ? link : uri;
+
+  useEffect(() => {
+    let live = true;
+    if (!shown) { setQr(""); return; }
+    QRCode.toDataURL(shown, { margin: 1, width: 220, color: { dark: "#060910", light: "#e8edf5" } })
+      .then((d) => { if (live) setQr(d); })
+      .catch(() => { if (live) setQr(""); });
+    return () => { live = false; };
+  }, [shown]);
+
+  useEffect(() => { setPayments(null); }, [ref]);
+
+  const copy = (text, what) => {
+    navigator.clipboard.writeText(text).then(() => { setCopied(what); setTimeout(() => setCopied(""), 1500); });
+  };
+
+  const check = async () => {
+    setChecking(true); setError("");
+    try {
+      setPayments(await findInvoicePayments(client, ref, account, { floorBlock }));
+    } catch (e) {
+      setError(e?.shortMessage || e?.message || "Lookup failed");
+    } finally { setChecking(false); }
+  };
+
+  const open = () => {
+    setError("");
+    try {
+      const req = parsePaymentRequest(paste);
+      if (!req) return setError("No payment request found in that text.");
+      onOpen(req);
+      setPaste("");
+    } catch (e) { setError(e.message); }
+  };
+
+  return (
+    <div className="crd">
+      <div className="crd-lbl">Request Payment</div>
+      <div className="sm-2">
+        <div className="fld">
+          <label className="fld-lbl">Amount ({symbol})</label>
+          <input className="inp" type="number" min="0" step="0.01" placeholder="0.00" value={amount} onChange={(e) => setAmount(e.target.value)} />
+        </div>
+        <div className="fld">
+          <label className="fld-lbl">Invoice Reference</label>
+          <input className="inp" placeholder="INV-0042" maxLength={64} value={ref} onChange={(e) => setRef(e.target.value)} />
+        </div>
+      </div>
+      {formErr && <div className="er-b">{formErr}</div>}
+
+      {shown && (
+        <>
+          <div className="tabs tabs-sm">
+            {[["link", "dApp Link"], ["uri", "EIP-681 URI"]].map(([m, label]) => (
+              <button key={m} className={`tb ${mode === m ? "on" : ""}`} onClick={() => setMode(m)}>{label}</button>
+            ))}
+          </div>
+          <div className="pr-box">
+            {qr && <img src={qr} alt="Payment request QR code" width={160} height={160} />}
+            <div className="pr-txt">{shown}</div>
+            <button className="sm-btn" onClick={() => copy(shown, mode)}>{copied === mode ? "✓ Copied" : "Copy"}</button>
+          </div>
+          <div className="md-hint">
+            Pays {shortenAddr(account)} inside the vault{ref ? ` and records reference "${ref}" on-chain` : ""}.
+          </div>
+        </>
+      )}
+
+      {ref && isValidRef(ref) && (
+        <div className="br" style={{ marginTop: 4 }}>
+          <button className="bt bt-o" disabled={checking} onClick={check}>{checking ? "Checking…" : `Check "${ref}" paid`}</button>
+        </div>
+      )}
+      {payments && (
+        <div className="hs-list" style={{ marginTop: 10 }}>
+          {payments.length ? payments.map((p) => {
+            const t = findToken(tokens, p.token) || token;
+            return (
+              <div key={p.txHash} className="hs-row">
+                <div>
+                  <span className="hs-k">Paid by {nameOf(p.from)}</span>
+                  <span className="hs-m">{fmtTime(p.timestamp)}</span>
+                </div>
+                <div style={{ textAlign: "right" }}>
+                  <span className="hs-a hs-in">+{fmtUsdc(p.amount, t.decimals)} {t.symbol}</span>
+                  {explorerUrl
+                    ? <a className="hs-m" href={`${explorerUrl}/tx/${p.txHash}`} target="_blank" rel="noreferrer">{shortenAddr(p.txHash)} ↗</a>
+                    : <span className="hs-m">{shortenAddr(p.txHash)}</span>}
+                </div>
+              </div>
+            );
+          }) : <div className="hs-empty">No payment found for this reference yet.</div>}
+        </div>
+      )}
+
+      <div className="sm-sec">Pay a Request</div>
+      <div className="ai-row" style={{ marginTop: 0 }}>
+        <input className="inp" placeholder="Paste link or ethereum: URI" value={paste} onChange={(e) => setPaste(e.target.value)} />
+        <button className="bt bt-p" disabled={!paste} onClick={open}>Open</button>
+      </div>
+      {error && <div className="er-b" style={{ marginTop: 10 }}>{error}</div>}
+    </div>
+  );
+}
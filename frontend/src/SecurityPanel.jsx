@@ -0,0 +1,223 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import { ZeroHash } from "ethers";
+import { shortenAddr, fmtUsdc, fmtTime } from "./format";
+import { findToken } from "./tokens";
+import { parseAmount, amountText } from "./amounts";
+
+/* ─── Security Panel ──────────────────────────────────── */
+// The account's safety rules for the selected `token` (a rolling daily limit
+// on outflows, and a threshold above which outflows wait in a time-lock
+// queue) and its queued withdrawals in every token. Tightening a rule
+// applies at once; loosening one waits out the current delay, so a stolen
+// key cannot lift the rules and drain the account straight away. The form
+// starts from the rules in force, and loosening needs an explicit tick.
+// USDC rules also cover avUSDC shares leaving the account.
+// `client` is the SDK's VaultClient and `onTx(label, fn)` is App's
+// executeTx, which resolves to true on success.
+
+const MIN_DELAY_HOURS = 1;
+const MAX_DELAY_HOURS = 30 * 24;
+
+function fmtDelay(seconds) {
+  if (!seconds) return "none";
+  const d = Math.floor(seconds / 86400), h = Math.floor((seconds % 86400) / 3600), m = Math.floor((seconds % 3600) / 60);
+  return [d && `${d} d`, h && `${h} h`, m && `${m} min`].filter(Boolean).join(" ") || `${seconds} s`;
+}
+
+export default function SecurityPanel({ client, account, token, tokens, refreshKey, onTx, nameOf = shortenAddr }) {
+  const { decimals, symbol } = token;
+  const [safety, setSafety] = useState(null);
+  const [queued, setQueued] = useState([]);
+  const [dailyLimit, setDailyLimit] = useState("");
+  const [threshold, setThreshold] = useState("");
+  const [delayHours, setDelayHours] = useState("");
+  const [ackFor, setAckFor] = useState(""); // the loosening the user ticked to confirm
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const filledFor = useRef(""); // account and token the form was last filled for
+  const now = Math.floor(Date.now() / 1000);
+
+  const load = useCallback(async () => {
+    try {
+      const [rules, entries] = await Promise.all([client.safetyRules(token.address, account), client.queuedWithdrawals(account)]);
+      setSafety(rules);
+      setQueued(entries.reverse());
+      setError("");
+      // Fill the form from the rules in force, but not over edits on a refresh.
+      const key = `${account}:${token.address}`;
+      if (filledFor.current !== key) {
+        filledFor.current = key;
+        const text = (v) => (v === 0n ? "" : amountText(v, decimals));
+        setDailyLimit(text(rules.rules.dailyLimit));
+        setThreshold(text(rules.rules.lockThreshold));
+        setDelayHours(rules.rules.delay ? String(rules.rules.delay / 3600) : "");
+      }
+    } catch (e) {
+      setError(e?.shortMessage || e?.message || "Could not load safety rules");
+    }
+  }, [client, account, token.address, decimals]);
+
+  useEffect(() => { load(); }, [load, refreshKey]);
+
+  /* ─── Rules ──────────────────────────────────────────── */
+  // A blank or zero limit or threshold means none; anything else is checked
+  // like App's amount fields.
+  const ruleAmount = (text) => {
+    const s = text.trim();
+    if (s.startsWith("-")) return { value: 0n, error: "Cannot be negative. Leave it blank for none." };
+    const { value, error } = parseAmount(s, decimals);
+    return !s || value === 0n ? { value: 0n, error: "" } : { value: value ?? 0n, error };
+  };
+  const limit = ruleAmount(dailyLimit), lock = ruleAmount(threshold);
+  const limitValue = limit.value, thresholdValue = lock.value;
+  const hours = Number(delayHours || 0);
+  const delay = Math.round(hours * 3600);
+  const delayErr =
+    hours < 0 ? "Cannot be negative."
+    : !(hours <= MAX_DELAY_HOURS) ? `At most ${MAX_DELAY_HOURS} hours (30 days).`
+    : (limitValue > 0n || thresholdValue > 0n) && delay < MIN_DELAY_HOURS * 3600
+    ? `A daily limit or time-lock threshold needs a delay of at least ${MIN_DELAY_HOURS} hour.`
+    : "";
+  const formErr = limit.error || lock.error || delayErr;
+
+  // Mirrors the contract: every field at most as permissive as before, where
+  // zero means unlimited, applies at once. Anything looser is spelled out.
+  const current = safety?.rules;
+  const atMost = (a, b) => b === 0n || (a !== 0n && a <= b);
+  const limitText = (v) => (v === 0n ? "none" : `${fmtUsdc(v, decimals)} ${symbol}`);
+  const loosened = !current ? [] : [
+    !atMost(limitValue, current.dailyLimit) &&
+      (limitValue ? `raises the daily limit from ${limitText(current.dailyLimit)} to ${limitText(limitValue)}` : `removes the ${limitText(current.dailyLimit)} daily limit`),
+    !atMost(thresholdValue, current.lockThreshold) &&
+      (thresholdValue ? `raises the time-lock threshold from ${limitText(current.lockThreshold)} to ${limitText(thresholdValue)}` : `removes the ${limitText(current.lockThreshold)} time-lock`),
+    delay < current.delay && `shortens the delay from ${fmtDelay(current.delay)} to ${fmtDelay(delay)}`,
+  ].filter(Boolean);
+  const stricter = !!current && loosened.length === 0;
+  const unchanged = !!current && limitValue === current.dailyLimit && thresholdValue === current.lockThreshold && delay === current.delay;
+  const formKey = `${limitValue}:${thresholdValue}:${delay}`;
+  const needsAck = !stricter && ackFor !== formKey;
+
+  const run = async (label, fn) => {
+    setBusy(true);
+    const ok = await onTx(label, fn);
+    setBusy(false);
+    return ok;
+  };
+
+  // On success the form is refilled from what is now in force.
+  const save = async () => {
+    const ok = await run("Saving safety rules…", () => client.setSafetyRules(token.address, { dailyLimit: limitValue, lockThreshold: thresholdValue, delay }));
+    if (ok) { filledFor.current = ""; setAckFor(""); load(); }
+  };
+  const execute = (q) => run("Executing withdrawal…", () => client.executeWithdrawal(q.id));
+  const cancel = (q) => run("Cancelling withdrawal…", () => client.cancelWithdrawal(q.id));
+
+  /* ─── Render ─────────────────────────────────────────── */
+  const kind = (q) =>
+    q.isTransfer ? `${q.ref !== ZeroHash ? "invoice payment" : "transfer"} to ${nameOf(q.to)}`
+    : q.to === q.account ? "withdrawal"
+    : `payout to ${nameOf(q.to)}`;
+  const row = (q) => {
+    const t = findToken(tokens, q.token) || token;
+    const locked = now < q.unlockAt;
+    return (
+      <div key={q.id.toString()} className="sm-row">
+        <div className="sm-top">
+          <span className="hs-k">
+            #{q.id.toString()} · {kind(q)}
+          </span>
+          <span className={`sm-st ${locked ? "sm-scheduled" : "sm-streaming"}`}>{locked ? "Locked" : "Ready"}</span>
+        </div>
+        <div className="sm-top" style={{ marginTop: 6 }}>
+          <span className="hs-m">{fmtUsdc(q.amount, t.decimals)} {t.symbol} · {locked ? "unlocks" : "unlocked"} {fmtTime(q.unlockAt)}</span>
+          <span style={{ display: "flex", gap: 4 }}>
+            <button className="sm-btn" disabled={busy || locked} onClick={() => execute(q)}>Execute</button>
+            <button className="sm-btn sm-cx" disabled={busy} onClick={() => cancel(q)}>Cancel</button>
+          </span>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="crd">
+      <div className="crd-lbl">Security</div>
+      <div className="md-hint">
+        Cap how much {symbol} can leave your vault balance per day, and hold outflows above a threshold for a
+        delay, so you can cancel them if your key is compromised. Withdrawals, transfers, payouts, invoice
+        payments, batches, spender pulls and signed orders above the threshold are queued. Streams and escrows
+        cannot be queued, so creating one above it is refused, as is moving avUSDC shares out under USDC rules.
+        Queued amounts then leave no faster than the daily limit allows.
+      </div>
+
+      {safety && (
+        <>
+          <div className="sm-row">
+            <div className="sm-top"><span className="hs-k">Daily limit</span><span className="hs-m" style={{ marginTop: 0 }}>{limitText(safety.rules.dailyLimit)}</span></div>
+            <div className="sm-top"><span className="hs-k">Time-lock above</span><span className="hs-m" style={{ marginTop: 0 }}>{limitText(safety.rules.lockThreshold)}</span></div>
+            <div className="sm-top"><span className="hs-k">Delay</span><span className="hs-m" style={{ marginTop: 0 }}>{fmtDelay(safety.rules.delay)}</span></div>
+            {safety.rules.dailyLimit !== 0n && (
+              <div className="sm-top">
+                <span className="hs-k">Available now</span>
+                <span className="hs-m" style={{ marginTop: 0 }}>{fmtUsdc(safety.availableToday, decimals)} {symbol}</span>
+              </div>
+            )}
+          </div>
+          {safety.pendingAt !== 0 && (
+            <div className="md-hint">
+              Pending from {fmtTime(safety.pendingAt)}: daily limit {limitText(safety.pending.dailyLimit)},
+              time-lock above {limitText(safety.pending.lockThreshold)}, delay {fmtDelay(safety.pending.delay)}.
+            </div>
+          )}
+        </>
+      )}
+
+      <div className="sm-sec">Change Rules</div>
+      <div className="sm-2">
+        <div className="fld">
+          <label className="fld-lbl">Daily Limit ({symbol})</label>
+          <input className="inp" type="number" min="0" step="0.01" placeholder="none" value={dailyLimit} onChange={(e) => setDailyLimit(e.target.value)} />
+          {limit.error && <div className="fld-err">{limit.error}</div>}
+        </div>
+        <div className="fld">
+          <label className="fld-lbl">Time-Lock Above ({symbol})</label>
+          <input className="inp" type="number" min="0" step="0.01" placeholder="none" value={threshold} onChange={(e) => setThreshold(e.target.value)} />
+          {lock.error && <div className="fld-err">{lock.error}</div>}
+        </div>
+      </div>
+      <div className="fld">
+        <label className="fld-lbl">Delay (hours)</label>
+        <input className="inp" type="number" min="0" max={MAX_DELAY_HOURS} step="1" placeholder="0" value={delayHours} onChange={(e) => setDelayHours(e.target.value)} />
+        {delayErr && <div className="fld-err">{delayErr}</div>}
+      </div>
+      {current && !formErr && stricter && !unchanged && (
+        <div className="md-hint">
+          These rules are at least as strict as the current ones and apply immediately{safety.pendingAt ? ", dropping the pending change" : ""}.
+        </div>
+      )}
+      {current && !formErr && !stricter && (
+        <>
+          <div className="fld-warn">
+            This loosens your rules: it {loosened.join(", ")}. It takes effect after your current delay
+            ({fmtDelay(current.delay)}). If you did not start this change, your key may be compromised: do not save,
+            and move your funds.
+          </div>
+          <label className="fld-ack">
+            <input type="checkbox" checked={!needsAck} onChange={(e) => setAckFor(e.target.checked ? formKey : "")} />
+            I want to loosen my safety rules
+          </label>
+        </>
+      )}
+      {error && <div className="er-b">{error}</div>}
+      <div className="br" style={{ marginTop: 4 }}>
+        <button className="bt bt-p" disabled={busy || !!formErr || !current || unchanged || needsAck} onClick={save}>Save Rules</button>
+      </div>
+
+      <div className="sm-sec">Queued Withdrawals</div>
+      {queued.length > 0 && (
+        <div className="md-hint">Execute releases only what the token's daily limit has room for; the rest stays queued for later.</div>
+      )}
+      {queued.length ? queued.map(row) : <div className="hs-empty">Nothing waiting in the queue.</div>}
+    </div>
+  );
+}
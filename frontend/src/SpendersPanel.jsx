@@ -0,0 +1,105 @@
+import { useState, useEffect, useCallback } from "react";
+import { MaxUint256, getAddress, isAddress, parseUnits } from "ethers";
+import { shortenAddr, fmtUsdc } from "./format";
+
+/* ─── Spenders Panel ──────────────────────────────────── */
+// Vault-ledger allowances: who may move the account's vault balance with
+// `transferFrom`, in which token and how much. Grants use the selected
+// `token`; the list covers every token, so nothing is hidden from the audit.
+// `client` is the SDK's VaultClient and `onTx(label, fn)` is App's
+// executeTx, which resolves to true on success.
+
+export default function SpendersPanel({ client, account, token, tokens, refreshKey, onTx, nameOf = shortenAddr }) {
+  const [grants, setGrants] = useState([]);
+  const [spender, setSpender] = useState("");
+  const [amount, setAmount] = useState("");
+  const [unlimited, setUnlimited] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  // One row per spender and token with a non-zero allowance.
+  const load = useCallback(async () => {
+    try {
+      const spenders = await client.spendersOf(account);
+      const rows = await Promise.all(spenders.flatMap((s) => tokens.map(async (t) => ({
+        spender: s, token: t, amount: await client.allowance(t.address, account, s),
+      }))));
+      setGrants(rows.filter((r) => r.amount > 0n));
+      setError("");
+    } catch (e) {
+      setError(e?.shortMessage || e?.message || "Could not load spenders");
+    }
+  }, [client, account, tokens]);
+
+  useEffect(() => { load(); }, [load, refreshKey]);
+
+  /* ─── Grant ──────────────────────────────────────────── */
+  let value = 0n, parseErr = "";
+  if (unlimited) value = MaxUint256;
+  else try { if (amount) value = parseUnits(amount, token.decimals); } catch { parseErr = `Amount has more than ${token.decimals} decimals.`; }
+  const formErr =
+    parseErr ||
+    (spender && !isAddress(spender) ? "Enter a valid spender address." : "") ||
+    (isAddress(spender) && getAddress(spender) === getAddress(account) ? "You cannot approve yourself." : "");
+  const canGrant = !busy && !formErr && isAddress(spender) && value > 0n;
+
+  const run = async (label, fn) => {
+    setBusy(true);
+    const ok = await onTx(label, fn);
+    setBusy(false);
+    return ok;
+  };
+
+  const grant = async () => {
+    const ok = await run("Approving spender…", () => client.approve(token.address, getAddress(spender), value));
+    if (ok) { setSpender(""); setAmount(""); setUnlimited(false); }
+  };
+  const revoke = (g) => run("Revoking…", () => client.approve(g.token.address, g.spender, 0));
+
+  return (
+    <div className="crd">
+      <div className="crd-lbl">Spenders</div>
+      <div className="md-hint">
+        A spender can move up to its allowance out of your vault balance with <code>transferFrom</code>,
+        e.g. a merchant pulling a subscription. Revoke anything you no longer use.
+      </div>
+
+      {grants.length ? grants.map((g) => (
+        <div key={`${g.spender}-${g.token.address}`} className="sm-row">
+          <div className="sm-top">
+            <span className="hs-k" title={g.spender}>{nameOf(g.spender)}</span>
+            <span style={{ display: "flex", alignItems: "center", gap: 8 }}>
+              <span className="hs-m" style={{ marginTop: 0 }}>
+                {g.amount === MaxUint256 ? "Unlimited" : fmtUsdc(g.amount, g.token.decimals)} {g.token.symbol}
+              </span>
+              <button className="sm-btn sm-cx" disabled={busy} onClick={() => revoke(g)}>Revoke</button>
+            </span>
+          </div>
+        </div>
+      )) : <div className="hs-empty">No one can spend from your vault balance.</div>}
+
+      <div className="sm-sec">Approve a Spender</div>
+      <div className="fld">
+        <label className="fld-lbl">Spender Address</label>
+        <input className="inp" placeholder="0x..." value={spender} onChange={(e) => setSpender(e.target.value)} />
+      </div>
+      <div className="tabs tabs-sm">
+        {[[false, "Limited"], [true, "Unlimited"]].map(([u, label]) => (
+          <button key={label} className={`tb ${unlimited === u ? "on" : ""}`} onClick={() => setUnlimited(u)}>{label}</button>
+        ))}
+      </div>
+      {!unlimited && (
+        <div className="fld">
+          <label className="fld-lbl">Allowance ({token.symbol})</label>
+          <input className="inp" type="number" min="0" step="0.01" placeholder="0.00" value={amount} onChange={(e) => setAmount(e.target.value)} />
+        </div>
+      )}
+      {unlimited && <div className="md-hint">The spender can move your whole {token.symbol} vault balance until you revoke.</div>}
+      {formErr && <div className="er-b">{formErr}</div>}
+      {error && <div className="er-b">{error}</div>}
+      <div className="br" style={{ marginTop: 4 }}>
+        <button className="bt bt-p" disabled={!canGrant} onClick={grant}>Approve</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,157 @@
+import { useState, useEffect, useCallback } from "react";
+import { getAddress, isAddress, parseUnits } from "ethers";
+import { shortenAddr, fmtUsdc, fmtTime } from "./format";
+import { findToken } from "./tokens";
+
+/* ─── Streams Panel ───────────────────────────────────── */
+// Lists the account's outgoing and incoming streams with amounts that tick
+// every second, and wraps createStream / withdrawFromStream / cancelStream.
+// `client` is the SDK's VaultClient and `onTx(label, fn)` is App's
+// executeTx, which resolves to true on success.
+// New streams use the selected `token`; each listed stream is shown in its own.
+
+function streamed(st, now) {
+  if (now <= st.startTime) return 0n;
+  return st.ratePerSecond * BigInt(Math.min(now, st.stopTime) - st.startTime);
+}
+
+function status(st, now) {
+  if (st.cancelled) return "Cancelled";
+  if (now < st.startTime) return "Scheduled";
+  if (now < st.stopTime) return "Streaming";
+  return "Ended";
+}
+
+function toUnix(local) {
+  return local ? Math.floor(new Date(local).getTime() / 1000) : 0;
+}
+
+export default function StreamsPanel({ client, account, token, tokens, vaultBalance, refreshKey, onTx, nameOf = shortenAddr }) {
+  const { decimals, symbol } = token;
+  const [outgoing, setOutgoing] = useState([]);
+  const [incoming, setIncoming] = useState([]);
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
+  const [recipient, setRecipient] = useState("");
+  const [total, setTotal] = useState("");
+  const [startAt, setStartAt] = useState("");
+  const [stopAt, setStopAt] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const load = useCallback(async () => {
+    try {
+      const { outgoing: o, incoming: i } = await client.streamsOf(account);
+      setOutgoing(o); setIncoming(i); setError("");
+    } catch (e) {
+      setError(e?.shortMessage || e?.message || "Could not load streams");
+    }
+  }, [client, account]);
+
+  useEffect(() => { load(); }, [load, refreshKey]);
+  useEffect(() => {
+    const id = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(id);
+  }, []);
+
+  /* ─── Create ─────────────────────────────────────────── */
+  const start = toUnix(startAt);
+  const stop = toUnix(stopAt);
+  const duration = stop - (start || now);
+  let rate = 0n, parseErr = "";
+  try {
+    if (total && duration > 0) rate = parseUnits(total, decimals) / BigInt(duration);
+  } catch { parseErr = `Amount has more than ${decimals} decimals.`; }
+  const locked = rate * BigInt(Math.max(duration, 0));
+  const formErr =
+    parseErr ||
+    (recipient && !isAddress(recipient) ? "Enter a valid recipient address." : "") ||
+    (start && start <= now ? "Start time is in the past." : "") ||
+    (stopAt && duration <= 0 ? "End time must be after the start." : "") ||
+    (total && duration > 0 && rate === 0n ? "Amount too small for this duration." : "") ||
+    (locked > BigInt(vaultBalance) ? "Exceeds your vault balance." : "");
+  const canCreate = !busy && !formErr && isAddress(recipient) && rate > 0n;
+
+  const run = async (label, fn) => {
+    setBusy(true);
+    const ok = await onTx(label, fn);
+    setBusy(false);
+    return ok;
+  };
+
+  const create = async () => {
+    const ok = await run("Creating stream…", () => client.createStream(token.address, getAddress(recipient), rate, start, stop));
+    if (ok) { setRecipient(""); setTotal(""); setStartAt(""); setStopAt(""); }
+  };
+
+  /* ─── Render ─────────────────────────────────────────── */
+  const row = (st, dir) => {
+    const done = streamed(st, now);
+    const full = st.ratePerSecond * BigInt(st.stopTime - st.startTime);
+    const claimable = done - st.withdrawn;
+    const pct = full > 0n ? Number((done * 10000n) / full) / 100 : 100;
+    const t = findToken(tokens, st.token) || token;
+    return (
+      <div key={`${dir}-${st.id}`} className="sm-row">
+        <div className="sm-top">
+          <span className="hs-k">#{st.id.toString()} · {dir === "out" ? "to" : "from"} {nameOf(dir === "out" ? st.recipient : st.sender)}</span>
+          <span className={`sm-st sm-${status(st, now).toLowerCase()}`}>{status(st, now)}</span>
+        </div>
+        <div className="sm-bar"><div style={{ width: `${pct}%` }} /></div>
+        <div className="sm-top">
+          <span className="hs-m">
+            {fmtUsdc(done, t.decimals)} / {fmtUsdc(full, t.decimals)} {t.symbol} · {fmtUsdc(st.ratePerSecond * 86400n, t.decimals)}/day
+          </span>
+          {dir === "in" && claimable > 0n && (
+            <button className="sm-btn" disabled={busy} onClick={() => run("Withdrawing from stream…", () => client.withdrawFromStream(st.id))}>
+              Withdraw {fmtUsdc(claimable, t.decimals)}
+            </button>
+          )}
+          {dir === "out" && !st.cancelled && now < st.stopTime && (
+            <button className="sm-btn sm-cx" disabled={busy} onClick={() => run("Cancelling stream…", () => client.cancelStream(st.id))}>
+              Cancel
+            </button>
+          )}
+        </div>
+        <span className="hs-m">{fmtTime(st.startTime)} → {fmtTime(st.stopTime)}</span>
+      </div>
+    );
+  };
+
+  return (
+    <>
+      <div className="fld">
+        <label className="fld-lbl">Recipient Address</label>
+        <input className="inp" placeholder="0x..." value={recipient} onChange={(e) => setRecipient(e.target.value)} />
+      </div>
+      <div className="fld">
+        <label className="fld-lbl">Total Amount ({symbol})</label>
+        <input className="inp" type="number" min="0" step="0.01" placeholder="0.00" value={total} onChange={(e) => setTotal(e.target.value)} />
+      </div>
+      <div className="sm-2">
+        <div className="fld">
+          <label className="fld-lbl">Start (blank = now)</label>
+          <input className="inp" type="datetime-local" value={startAt} onChange={(e) => setStartAt(e.target.value)} />
+        </div>
+        <div className="fld">
+          <label className="fld-lbl">End</label>
+          <input className="inp" type="datetime-local" value={stopAt} onChange={(e) => setStopAt(e.target.value)} />
+        </div>
+      </div>
+      {rate > 0n && !formErr && (
+        <div className="md-hint">
+          Streams {fmtUsdc(rate * 86400n, decimals)} {symbol}/day · locks ≈{fmtUsdc(locked, decimals)} {symbol} from your vault balance now.
+        </div>
+      )}
+      {formErr && <div className="er-b">{formErr}</div>}
+      {error && <div className="er-b">{error}</div>}
+      <div className="br" style={{ marginTop: 4 }}>
+        <button className="bt bt-p" disabled={!canCreate} onClick={create}>Create Stream</button>
+      </div>
+
+      <div className="sm-sec">Outgoing</div>
+      {outgoing.length ? outgoing.map((st) => row(st, "out")) : <div className="hs-empty">No outgoing streams.</div>}
+      <div className="sm-sec">Incoming</div>
+      {incoming.length ? incoming.map((st) => row(st, "in")) : <div className="hs-empty">No incoming streams.</div>}
+    </>
+  );
+}
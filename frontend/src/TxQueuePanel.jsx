@@ -0,0 +1,86 @@
+import { useState } from "react";
+import { errorMessage } from "../../sdk/index.js";
+import { shortenAddr } from "./format";
+import { confirmations, isOpen, MAX_CONFIRMATIONS } from "./txQueue";
+
+/* ─── Transaction Queue Panel ─────────────────────────── */
+// Recent transactions from useTxQueue, newest first: every pending or
+// dropped one and the last few settled. Pending transactions from the
+// connected account can be sped up or cancelled, and dropped ones re-sent;
+// relayed ones belong to the relayer and can only be cleared.
+
+const SHOWN_SETTLED = 4;
+
+const STATUS = {
+  pending: ["Pending", "txq-wait"],
+  confirmed: ["Confirmed", "txq-ok"],
+  failed: ["Failed", "txq-bad"],
+  "sped-up": ["Sped up", "txq-off"],
+  cancelled: ["Cancelled", "txq-off"],
+  replaced: ["Replaced", "txq-off"],
+  dropped: ["Dropped", "txq-bad"],
+};
+
+export default function TxQueuePanel({ entries, head, account, explorerUrl, onReplace, onResend, onDismiss }) {
+  const [busy, setBusy] = useState("");
+  const [error, setError] = useState("");
+  let settled = 0;
+  const shown = entries.filter((e) => isOpen(e) || ++settled <= SHOWN_SETTLED);
+  if (!shown.length) return null;
+
+  const act = async (entry, fn) => {
+    setBusy(entry.hash); setError("");
+    try { await fn(); }
+    catch (e) { setError(errorMessage(e)); }
+    finally { setBusy(""); }
+  };
+  const replace = (entry, cancel) => act(entry, () => onReplace(entry, { cancel }));
+
+  const link = (hash) => (explorerUrl
+    ? <a className="hs-m" href={`${explorerUrl}/tx/${hash}`} target="_blank" rel="noreferrer" title={hash}>{shortenAddr(hash)}</a>
+    : <span className="hs-m" title={hash}>{shortenAddr(hash)}</span>);
+
+  return (
+    <div className="txq">
+      <span className="tx-l">Transactions</span>
+      {shown.map((e) => {
+        const [label, cls] = STATUS[e.status] || STATUS.pending;
+        const own = e.nonce != null && e.from?.toLowerCase() === account.toLowerCase();
+        const confs = confirmations(e, head);
+        return (
+          <div key={e.hash} className="sm-row">
+            <div className="sm-top">
+              <span className="hs-k">{e.label}</span>
+              <span style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                <span className={`txq-st ${cls}`}>{label}</span>
+                <button className="txq-x" title={e.status === "pending" ? "Stop tracking" : "Remove"} onClick={() => onDismiss(e.hash)}>✕</button>
+              </span>
+            </div>
+            <div className="sm-top">
+              <span style={{ display: "flex", gap: 8 }}>
+                {link(e.hash)}
+                {e.replacedBy && <span className="hs-m">→ {link(e.replacedBy)}</span>}
+              </span>
+              {e.status === "confirmed" && (
+                <span className="hs-m">{confs >= MAX_CONFIRMATIONS ? `${MAX_CONFIRMATIONS}+` : confs} confirmation{confs === 1 ? "" : "s"}</span>
+              )}
+              {e.status === "pending" && own && (
+                <span className="hs-act">
+                  <button className="sm-btn" disabled={!!busy} onClick={() => replace(e, false)}>Speed up</button>
+                  <button className="sm-btn sm-cx" disabled={!!busy} onClick={() => replace(e, true)}>Cancel</button>
+                </span>
+              )}
+              {e.status === "dropped" && (
+                <span className="hs-act">
+                  {own && <button className="sm-btn" disabled={!!busy} onClick={() => act(e, () => onResend(e))}>Resend</button>}
+                  <button className="sm-btn sm-cx" disabled={!!busy} onClick={() => onDismiss(e.hash)}>Clear</button>
+                </span>
+              )}
+            </div>
+          </div>
+        );
+      })}
+      {error && <div className="er-b">{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,116 @@
+import { useState, useEffect, useMemo, useCallback } from "react";
+import { JsonRpcProvider } from "ethers";
+import { VaultClient } from "../../sdk/index.js";
+import { shortenAddr, fmtUsdc } from "./format";
+import { findToken } from "./tokens";
+import HistoryPanel from "./HistoryPanel";
+import { useLiveUpdates } from "./liveUpdates";
+
+/* ─── Watch Panel ─────────────────────────────────────── */
+// Read-only view of any `address` over the network's own RPC, no wallet
+// needed: vault balance per token, ERC-4626 shares and history. Nothing here
+// can send a transaction. Support staff open it with ?watch=0x….
+
+export default function WatchPanel({ network, vaultAddress, floorBlock, address, onClose, nameOf = shortenAddr }) {
+  const [tokens, setTokens] = useState([]);
+  const [tokenAddr, setTokenAddr] = useState("");
+  const [balance, setBalance] = useState(null);
+  const [shares, setShares] = useState(null);
+  const [error, setError] = useState("");
+
+  const provider = useMemo(() => new JsonRpcProvider(network.rpcUrl, network.chainId, { staticNetwork: true }), [network]);
+  useEffect(() => () => provider.destroy(), [provider]);
+  const client = useMemo(() => (vaultAddress ? new VaultClient(vaultAddress, provider) : null), [vaultAddress, provider]);
+  const token = findToken(tokens, tokenAddr) || tokens[0];
+
+  useEffect(() => {
+    setTokens([]); setTokenAddr(""); setError("");
+    if (!client) return;
+    let live = true;
+    client.listTokens()
+      .then((list) => { if (live) setTokens(list); })
+      .catch((e) => { if (live) setError(e?.shortMessage || e?.message || `Could not reach the vault on ${network.label}`); });
+    return () => { live = false; };
+  }, [client, network]);
+
+  const refresh = useCallback(async () => {
+    if (!client || !token) return;
+    try { setBalance(await client.balanceOf(token.address, address)); } catch { setBalance(null); }
+    // Vaults from before ERC-4626 have no shares.
+    try { setShares(await client.shares(address)); } catch { setShares(null); }
+  }, [client, token?.address, address]);
+
+  useEffect(() => { refresh(); }, [refresh]);
+  const liveTokens = useMemo(() => tokens.map((t) => t.address), [tokens]);
+  useLiveUpdates({ provider: client ? provider : null, wsUrl: network.wsUrl, account: address, vaultAddress: client?.address, tokens: liveTokens, onChange: refresh });
+
+  return (
+    <>
+      <div className="crd">
+        <div className="w-row" style={{ marginBottom: 0 }}>
+          <div>
+            <div className="crd-lbl" style={{ marginBottom: 6 }}>Watching · read-only</div>
+            <span className="w-addr" title={address}>{nameOf(address)}</span>
+          </div>
+          <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+            <span className="bdg bdg-ok">{network.label}</span>
+            <button className="dc-btn" onClick={onClose} title="Stop watching">✕</button>
+          </div>
+        </div>
+      </div>
+
+      {!client && (
+        <div className="crd">
+          <div className="hs-empty">No vault is configured for {network.label}. Pick another network in the header.</div>
+        </div>
+      )}
+
+      {client && (
+        <div className="crd">
+          <div className="crd-lbl">Balances</div>
+          {tokens.length > 1 && (
+            <div className="tabs tabs-sm">
+              {tokens.map((t) => (
+                <button key={t.address} className={`tb ${t.address === token?.address ? "on" : ""}`} title={t.address}
+                  onClick={() => { setTokenAddr(t.address); setBalance(null); }}>
+                  {t.symbol}{t.allowed ? "" : " · delisted"}
+                </button>
+              ))}
+            </div>
+          )}
+          {error && <div className="er-b">{error}</div>}
+          {token && (
+            <div className="bg">
+              <div className="bx">
+                <div className="bx-lbl">Vault</div>
+                <div className="bx-val">
+                  {balance === null ? "—" : fmtUsdc(balance, token.decimals)}
+                  <span className="bx-u">{token.symbol}</span>
+                </div>
+              </div>
+              <div className="bx">
+                <div className="bx-lbl">{shares?.symbol || "Shares"}</div>
+                <div className="bx-val">
+                  {shares ? fmtUsdc(shares.assets, network.usdc.decimals) : "—"}
+                  <span className="bx-u">USDC</span>
+                </div>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {client && token && (
+        <HistoryPanel
+          client={client}
+          account={address}
+          token={token}
+          explorerUrl={network.explorer || ""}
+          floorBlock={floorBlock}
+          refreshKey={0}
+          nameOf={nameOf}
+        />
+      )}
+    </>
+  );
+}
@@ -0,0 +1,105 @@
+import { getAddress, isAddress } from "ethers";
+import { shortenAddr } from "./format.js";
+
+/* ─── Address Book ────────────────────────────────────── */
+// Contacts as { address, label }: validation, CSV / JSON import-export and
+// look-alike detection. Storage lives in useAddressBook.js; this module has
+// no React so the mocha tests can import it (hence the ".js" specifier).
+// Export writes JSON or CSV (label,address); import reads either back.
+
+export const MAX_LABEL = 40;
+// Addresses this many hex digits or fewer apart are flagged as look-alikes.
+export const NEAR_DISTANCE = 4;
+
+/** { address, label } with a checksummed address and a trimmed label, or throws. */
+export function toContact(address, label) {
+  const a = String(address ?? "").trim();
+  const l = String(label ?? "").trim();
+  if (!isAddress(a)) throw new Error(`"${a}" is not a valid address`);
+  if (!l) throw new Error("Label is empty");
+  if (l.length > MAX_LABEL) throw new Error(`Label is longer than ${MAX_LABEL} characters`);
+  return { address: getAddress(a), label: l };
+}
+
+/**
+ * Contacts from an export: a JSON array of { address, label }, or CSV rows
+ * holding a label and an address in either order (a header row is skipped).
+ * Returns { contacts, errors } with one message per rejected row.
+ */
+export function parseContacts(text) {
+  const contacts = [];
+  const errors = [];
+  const trimmed = text.trim();
+  if (trimmed.startsWith("[")) {
+    let rows;
+    try { rows = JSON.parse(trimmed); } catch { return { contacts, errors: ["Not valid JSON"] }; }
+    rows.forEach((r, i) => {
+      try { contacts.push(toContact(r?.address, r?.label)); } catch (e) { errors.push(`Entry ${i + 1}: ${e.message}`); }
+    });
+    return { contacts, errors };
+  }
+  trimmed.split(/\r?\n/).forEach((line, i) => {
+    const cells = csvCells(line);
+    if (!line.trim() || (i === 0 && !cells.some((c) => isAddress(c)))) return;
+    const at = cells.findIndex((c) => isAddress(c));
+    try {
+      if (at < 0) throw new Error("no address");
+      contacts.push(toContact(cells[at], cells.filter((_, j) => j !== at).join(", ")));
+    } catch (e) { errors.push(`Line ${i + 1}: ${e.message}`); }
+  });
+  return { contacts, errors };
+}
+
+// One CSV line's cells, trimmed; quoted cells may hold commas and "" for a quote.
+function csvCells(line) {
+  const cells = [];
+  let cell = "", quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted && ch === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+    else if (ch === '"') quoted = !quoted;
+    else if (ch === "," && !quoted) { cells.push(cell.trim()); cell = ""; }
+    else cell += ch;
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+function csvCell(v) {
+  return /[",\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+}
+
+export function contactsToCsv(contacts) {
+  return ["label,address", ...contacts.map((c) => `${csvCell(c.label)},${c.address}`)].join("\n");
+}
+
+export function contactsToJson(contacts) {
+  return JSON.stringify(contacts.map(({ label, address }) => ({ label, address })), null, 2);
+}
+
+/* ─── Look-alikes ─────────────────────────────────────── */
+
+/** Number of hex digits in which two addresses differ (case-insensitive). */
+export function addressDistance(a, b) {
+  const x = a.toLowerCase().slice(2);
+  const y = b.toLowerCase().slice(2);
+  let d = 0;
+  for (let i = 0; i < x.length; i++) if (x[i] !== y[i]) d++;
+  return d;
+}
+
+/**
+ * Saved contacts that `address` could be mistaken for: a few digits apart
+ * (a typo), or sharing the start and end that shortenAddr shows (the usual
+ * address-poisoning trick). Closest first, as [{ contact, distance }].
+ */
+export function lookAlikes(address, contacts) {
+  const typed = String(address).toLowerCase();
+  if (!isAddress(typed)) return [];
+  const short = shortenAddr(typed);
+  return contacts
+    .map((contact) => ({ contact, distance: addressDistance(typed, contact.address) }))
+    .filter(({ contact, distance }) => distance > 0
+      && (distance <= NEAR_DISTANCE || shortenAddr(contact.address).toLowerCase() === short))
+    .sort((a, b) => a.distance - b.distance);
+}
@@ -0,0 +1,27 @@
+import { formatUnits, parseUnits } from "ethers";
+
+/* ─── Amount Input ────────────────────────────────────── */
+
+/**
+ * Parse a typed amount without throwing. Returns { value, error }: value is
+ * null while the field is empty or invalid, and error says why it is invalid.
+ */
+export function parseAmount(text, decimals) {
+  const s = (text ?? "").trim();
+  if (!s) return { value: null, error: "" };
+  if (!/^(\d+\.?\d*|\.\d+)$/.test(s)) return { value: null, error: "Enter a plain number, like 12.5." };
+  const fraction = s.split(".")[1] || "";
+  if (fraction.length > decimals) return { value: null, error: `At most ${decimals} decimal places.` };
+  const value = parseUnits(s, decimals);
+  return { value, error: value === 0n ? "Enter an amount greater than zero." : "" };
+}
+
+/** Move a raw amount between decimal scales, rounding down. */
+export function rescale(value, from, to) {
+  return from >= to ? value / 10n ** BigInt(from - to) : value * 10n ** BigInt(to - from);
+}
+
+/** A raw amount as input text: "12.5", not "12.50" or "12.5000". */
+export function amountText(value, decimals) {
+  return formatUnits(value, decimals).replace(/\.0$/, "");
+}
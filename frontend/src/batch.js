@@ -0,0 +1,53 @@
+import { getAddress, isAddress, parseUnits } from "ethers";
+
+/* ─── Batch CSV ───────────────────────────────────────── */
+export const BATCH_MAX_ROWS = 200; // keeps a batch well inside the block gas limit
+
+/**
+ * Parse `address,amount` lines (comma, semicolon or tab separated).
+ * Blank lines, `#` comments and a leading header row are skipped.
+ * Every row comes back with an `error` string when it can't be sent;
+ * repeated addresses are flagged on every occurrence after the first.
+ */
+export function parseBatchCsv(text, decimals, { exclude = [] } = {}) {
+  const excluded = new Set(exclude.filter(Boolean).map((a) => a.toLowerCase()));
+  const seen = new Map();
+  const rows = [];
+
+  text.split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.trim();
+    if (!line || line.startsWith("#")) return;
+    const [addr = "", amt = "", ...rest] = line.split(/[,;\t]/).map((c) => c.trim());
+    if (!rows.length && !isAddress(addr) && /address/i.test(addr)) return;
+
+    const row = { line: i + 1, address: addr, amountText: amt, amount: 0n, error: "" };
+    if (rest.some(Boolean)) row.error = "Too many columns";
+    else if (!isAddress(addr)) row.error = "Invalid address";
+    else if (excluded.has(addr.toLowerCase())) row.error = "Cannot send to this address";
+    else {
+      row.address = getAddress(addr);
+      try {
+        row.amount = parseUnits(amt, decimals);
+        if (row.amount <= 0n) row.error = "Amount must be positive";
+      } catch {
+        row.error = amt ? `Invalid amount (max ${decimals} decimals)` : "Missing amount";
+      }
+    }
+
+    if (!row.error) {
+      const key = row.address.toLowerCase();
+      if (seen.has(key)) row.error = `Duplicate of line ${seen.get(key)}`;
+      else seen.set(key, row.line);
+    }
+    rows.push(row);
+  });
+
+  const valid = rows.filter((r) => !r.error);
+  return {
+    rows,
+    valid,
+    invalidCount: rows.length - valid.length,
+    total: valid.reduce((sum, r) => sum + r.amount, 0n),
+    tooMany: rows.length > BATCH_MAX_ROWS,
+  };
+}
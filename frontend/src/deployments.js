@@ -0,0 +1,27 @@
+/* ─── Deployment Records ──────────────────────────────── */
+// scripts/deploy.js appends to deployments/<network>.json at the repo root;
+// the newest entry in the file whose chainId matches is the live vault.
+
+const files = import.meta.glob("../../deployments/*.json", { eager: true, import: "default" });
+const RECORDS = Object.values(files);
+
+/** Latest deployment on `chainId`, with its network name, or null. */
+export function latestDeployment(chainId) {
+  const file = RECORDS.find((r) => r.chainId === Number(chainId) && r.deployments.length);
+  return file ? { network: file.network, ...file.deployments.at(-1) } : null;
+}
+
+/** The ArcVaultFactory recorded on `chainId` by scripts/deploy.js, or null. */
+export function factoryFor(chainId) {
+  return RECORDS.find((r) => r.chainId === Number(chainId))?.factory?.address || null;
+}
+
+/** Network name of the most recent deployment across all records, or null. */
+export function newestDeploymentNetwork() {
+  let best = null;
+  for (const r of RECORDS) {
+    const d = r.deployments.at(-1);
+    if (d && (!best || d.timestamp > best.timestamp)) best = { network: r.network, timestamp: d.timestamp };
+  }
+  return best?.network || null;
+}
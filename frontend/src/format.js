@@ -0,0 +1,12 @@
+import { formatUnits } from "ethers";
+
+export function shortenAddr(a) {
+  return a ? `${a.slice(0, 6)}···${a.slice(-4)}` : "";
+}
+export function fmtUsdc(raw, dec = 18) {
+  const val = Number(formatUnits(raw, dec));
+  return val.toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 4 });
+}
+export function fmtTime(ts) {
+  return new Date(ts * 1000).toLocaleString("en-US", { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" });
+}
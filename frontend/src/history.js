@@ -0,0 +1,57 @@
+import { formatUnits } from "ethers";
+
+// Fetching and paging live in the SDK; this module adds the UI filters and export.
+export { HISTORY_PAGE_BLOCKS, HISTORY_PAGES_PER_LOAD, fetchHistoryPage, sortHistory } from "../../sdk/index.js";
+
+export const HISTORY_FILTERS = {
+  all: "All",
+  deposit: "Deposits",
+  withdraw: "Withdrawals",
+  in: "Incoming",
+  out: "Outgoing",
+};
+
+export function filterHistory(entries, filter) {
+  if (filter === "all") return entries;
+  if (filter === "in" || filter === "out") return entries.filter((e) => e.direction === filter);
+  return entries.filter((e) => e.kind === filter);
+}
+
+/* ─── Export ──────────────────────────────────────────── */
+// `token` is the { address, symbol, decimals } the entries were fetched for.
+function toRecord(e, token) {
+  return {
+    date: new Date(e.timestamp * 1000).toISOString(),
+    type: e.label,
+    direction: e.direction,
+    counterparty: e.counterparty,
+    token: token.symbol,
+    amount: formatUnits(e.amount, token.decimals),
+    txHash: e.txHash,
+    block: e.blockNumber,
+  };
+}
+
+function csvCell(v) {
+  const s = String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function historyToCsv(entries, token) {
+  const rows = entries.map((e) => toRecord(e, token));
+  const header = ["date", "type", "direction", "counterparty", "token", "amount", "txHash", "block"];
+  return [header.join(","), ...rows.map((r) => header.map((k) => csvCell(r[k])).join(","))].join("\n");
+}
+
+export function historyToJson(entries, token) {
+  return JSON.stringify(entries.map((e) => toRecord(e, token)), null, 2);
+}
+
+export function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,85 @@
+import { useState, useEffect, useRef } from "react";
+import { WebSocketProvider } from "ethers";
+import { watchAccount } from "../../sdk/index.js";
+
+/* ─── Live Updates ────────────────────────────────────── */
+// Balances refresh when the chain reports something for the account, not on
+// a timer. On a network with a WebSocket (`wsUrl` in networks.json),
+// watchAccount follows the blocks it pushes and hands over the account's
+// vault and token logs. A hidden tab stops following blocks and catches up
+// from where it left off when shown again.
+//
+// Without a wsUrl, or if the subscription fails, the hook polls instead:
+// every POLL_MS while the tab is visible, doubling up to POLL_MAX_MS while
+// it is hidden. Following blocks through `provider` would ask the wallet for
+// the block number every few seconds. Showing the tab again retries a
+// failed subscription.
+
+const POLL_MS = 12_000;
+const POLL_MAX_MS = 300_000;
+
+/**
+ * `onChange(events)` runs after logs involving `account` (events is null
+ * when a long gap was skipped, undefined for a polling tick or the tab
+ * coming back); `onIncoming(event)` runs for each one that brought funds.
+ * Returns the mode: "live", "polling" or "off" (no provider or account).
+ */
+export function useLiveUpdates({ provider, wsUrl, account, vaultAddress, tokens, onChange, onIncoming }) {
+  const preferred = wsUrl ? "live" : "polling";
+  const [mode, setMode] = useState(preferred);
+  const [visible, setVisible] = useState(() => !document.hidden);
+  const changeRef = useRef(onChange);
+  const incomingRef = useRef(onIncoming);
+  changeRef.current = onChange;
+  incomingRef.current = onIncoming;
+  const resume = useRef(null); // last block handled, kept while the tab is hidden
+  const tokensKey = (tokens || []).join(",");
+
+  useEffect(() => {
+    const onVisibility = () => {
+      const shown = !document.hidden;
+      setVisible(shown);
+      if (shown) { changeRef.current?.(); setMode(preferred); }
+    };
+    document.addEventListener("visibilitychange", onVisibility);
+    return () => document.removeEventListener("visibilitychange", onVisibility);
+  }, [preferred]);
+
+  // A different account, vault or token set starts from the next block.
+  useEffect(() => { resume.current = null; setMode(preferred); }, [provider, preferred, account, vaultAddress, tokensKey]);
+
+  useEffect(() => {
+    if (!provider || !account || !wsUrl || mode !== "live" || !visible) return;
+    const fail = (e) => { console.error("Live updates unavailable, polling instead:", e); setMode("polling"); };
+    let socket;
+    try {
+      const ws = new WebSocket(wsUrl);
+      ws.addEventListener("error", fail);
+      socket = new WebSocketProvider(ws);
+    } catch (e) { fail(e); return; }
+    const sub = watchAccount(socket, { vault: vaultAddress || null, tokens: tokensKey ? tokensKey.split(",") : [], account, fromBlock: resume.current },
+      (events) => {
+        changeRef.current?.(events);
+        for (const e of events || []) if (e.incoming) incomingRef.current?.(e);
+      }, fail);
+    return () => {
+      resume.current = sub.stop();
+      socket.destroy();
+    };
+  }, [provider, wsUrl, account, vaultAddress, tokensKey, mode, visible]);
+
+  useEffect(() => {
+    if (!provider || !account || mode !== "polling") return;
+    let delay = POLL_MS;
+    let id;
+    const tick = () => {
+      changeRef.current?.();
+      delay = document.hidden ? Math.min(delay * 2, POLL_MAX_MS) : POLL_MS;
+      id = setTimeout(tick, delay);
+    };
+    id = setTimeout(tick, delay);
+    return () => clearTimeout(id);
+  }, [provider, account, mode]);
+
+  return provider && account ? mode : "off";
+}
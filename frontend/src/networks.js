@@ -0,0 +1,20 @@
+import registry from "../../networks.json";
+
+/* ─── Network Registry ────────────────────────────────── */
+// networks.json at the repo root is the single source of chain details;
+// Hardhat, the deploy script and deployer.html read the same file.
+// `nativeUsdc` marks chains where the gas token is USDC itself (Arc);
+// elsewhere the wallet balance is read from the USDC ERC20.
+
+export const NETWORKS = Object.fromEntries(
+  Object.entries(registry).map(([key, net]) => [key, { key, ...net }])
+);
+
+export const DEFAULT_NETWORK = "arcTestnet";
+
+export function networkByChainId(chainId) {
+  return Object.values(NETWORKS).find((n) => n.chainId === Number(chainId)) || null;
+}
+
+// Wallet connection and chain switching live in the SDK.
+export { chainParams, switchWalletNetwork } from "../../sdk/index.js";
@@ -0,0 +1,31 @@
+/* ─── Relayer ─────────────────────────────────────────── */
+// Transfers and withdrawals signed in the dApp are executed by ArcVault when a
+// relayer (scripts/relayer.js) submits them; the relayer pays the gas.
+// VaultClient.signOrder produces the { kind, order, signature } posted here.
+
+/**
+ * Post a signed order to the relayer. Resolves to a tx-like { hash, wait }
+ * so it drops into the same flow as a wallet transaction.
+ */
+export async function relayOrder(relayerUrl, signed, provider) {
+  let res;
+  try {
+    res = await fetch(`${relayerUrl.replace(/\/$/, "")}/orders`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(signed),
+    });
+  } catch {
+    throw new Error(`Relayer unreachable at ${relayerUrl}`);
+  }
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(`Relayer rejected the order: ${body.error || res.status}`);
+  return {
+    hash: body.txHash,
+    wait: async () => {
+      const receipt = await provider.waitForTransaction(body.txHash);
+      if (!receipt || receipt.status !== 1) throw new Error("Relayed transaction reverted");
+      return receipt;
+    },
+  };
+}
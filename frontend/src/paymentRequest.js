@@ -0,0 +1,157 @@
+import {
+  decodeBytes32String, encodeBytes32String, formatUnits, getAddress, isAddress, isHexString, parseUnits,
+} from "ethers";
+import { HISTORY_PAGE_BLOCKS } from "../../sdk/index.js";
+
+/* ─── Invoice References ──────────────────────────────── */
+// Short human references ("INV-0042") are packed into bytes32; anything
+// that is already a 32-byte hex string is used as-is.
+
+export function refToBytes32(ref) {
+  if (!ref) return null;
+  if (isHexString(ref, 32)) return ref.toLowerCase();
+  return encodeBytes32String(ref); // throws if longer than 31 bytes
+}
+
+export function bytes32ToRef(b) {
+  try { return decodeBytes32String(b); } catch { return b; }
+}
+
+export function isValidRef(ref) {
+  try { refToBytes32(ref); return true; } catch { return false; }
+}
+
+/* ─── Building ────────────────────────────────────────── */
+
+/**
+ * EIP-681 URI for `payInvoice` (or `transfer` when there is no reference)
+ * on the vault. Parameters follow the function's argument order, so the
+ * token comes first: `ethereum:0xVault@5042002/payInvoice?address=0xToken&address=0xPayee&uint256=1500000&bytes32=0x…`.
+ */
+export function buildPaymentUri({ vault, chainId, token, to, amount, decimals, ref }) {
+  const raw = parseUnits(amount, decimals).toString();
+  const fn = ref ? "payInvoice" : "transfer";
+  const params = new URLSearchParams();
+  params.append("address", getAddress(token));
+  params.append("address", getAddress(to));
+  params.set("uint256", raw);
+  if (ref) params.set("bytes32", refToBytes32(ref));
+  return `ethereum:${getAddress(vault)}@${Number(chainId)}/${fn}?${params}`;
+}
+
+/**
+ * Link back into this dApp with the request in the query string.
+ */
+export function buildPaymentLink({ baseUrl, token, to, amount, ref }) {
+  const url = new URL(baseUrl);
+  url.search = "";
+  url.hash = "";
+  url.searchParams.set("to", getAddress(to));
+  url.searchParams.set("token", getAddress(token));
+  if (amount) url.searchParams.set("amount", amount);
+  if (ref) url.searchParams.set("ref", ref);
+  return url.toString();
+}
+
+/* ─── Parsing ─────────────────────────────────────────── */
+
+// EIP-681 allows scientific notation for numbers ("2.014e18").
+function parseSciUint(v) {
+  const m = /^(\d+)(?:\.(\d+))?(?:e(\d+))?$/i.exec(v);
+  if (!m) throw new Error(`Invalid number "${v}"`);
+  const [, int, frac = "", exp = "0"] = m;
+  const shift = Number(exp) - frac.length;
+  if (shift < 0) throw new Error(`"${v}" is not an integer`);
+  return BigInt(int + frac) * 10n ** BigInt(shift);
+}
+
+function parseEip681(uri) {
+  const m = /^ethereum:(?:pay-)?(0x[0-9a-fA-F]{40})(?:@(\d+))?(?:\/(\w+))?(?:\?(.*))?$/.exec(uri.trim());
+  if (!m) throw new Error("Not an EIP-681 payment URI");
+  const [, target, chainId, fn, query = ""] = m;
+  const q = new URLSearchParams(query);
+  if (!fn) throw new Error("Plain native sends are not vault payments");
+  if (!["payInvoice", "transfer", "payOut"].includes(fn)) throw new Error(`Unsupported function "${fn}"`);
+
+  // A single address is a request from before multi-token vaults: recipient only, paid in USDC.
+  const addresses = q.getAll("address");
+  const [token, to] = addresses.length > 1 ? addresses : [null, addresses[0]];
+  const raw = q.get("uint256");
+  const ref = q.get("bytes32");
+  return {
+    to: to || "",
+    token,
+    amount: "",
+    rawAmount: raw ? parseSciUint(raw).toString() : "",
+    ref: ref ? bytes32ToRef(ref) : "",
+    chainId: chainId ? Number(chainId) : null,
+    target: getAddress(target),
+  };
+}
+
+/**
+ * Accepts an EIP-681 URI, a dApp link / query string (`?to=&token=&amount=&ref=`),
+ * or a link whose `uri` param carries an EIP-681 URI.
+ * Returns null when the input holds no request; throws when it is malformed.
+ * `token` is null when the request names none (the vault's USDC). The amount
+ * stays unscaled until the token's decimals are known; see requestAmount.
+ */
+export function parsePaymentRequest(input) {
+  const text = (input || "").trim();
+  if (!text) return null;
+  if (text.startsWith("ethereum:")) return validate(parseEip681(text));
+
+  const query = text.includes("?") ? text.slice(text.indexOf("?") + 1) : text.replace(/^[?#]/, "");
+  const q = new URLSearchParams(query.split("#")[0]);
+  if (q.get("uri")) return validate(parseEip681(q.get("uri")));
+  if (!q.get("to")) return null;
+  return validate({
+    to: q.get("to"), token: q.get("token"), amount: q.get("amount") || "", rawAmount: "",
+    ref: q.get("ref") || "", chainId: null, target: null,
+  });
+}
+
+function validate(req) {
+  if (!isAddress(req.to)) throw new Error("Payment request has an invalid recipient");
+  if (req.token && !isAddress(req.token)) throw new Error("Payment request has an invalid token");
+  if (req.amount && !/^(\d+\.?\d*|\.\d+)$/.test(req.amount)) throw new Error(`Invalid amount "${req.amount}"`);
+  if (req.ref && !isValidRef(req.ref)) throw new Error("Invoice reference is longer than 31 bytes");
+  return { ...req, to: getAddress(req.to), token: req.token ? getAddress(req.token) : null };
+}
+
+/**
+ * The request's amount as a decimal string in a token with `decimals`.
+ * Throws when a link's amount has more decimals than the token.
+ */
+export function requestAmount(req, decimals) {
+  if (req.rawAmount) return formatUnits(req.rawAmount, decimals);
+  if (!req.amount) return "";
+  try { parseUnits(req.amount, decimals); } catch { throw new Error(`Amount has more than ${decimals} decimals`); }
+  return req.amount;
+}
+
+/* ─── Lookup ──────────────────────────────────────────── */
+
+/**
+ * Find InvoicePaid events for `ref` paid to `payee`, scanning back in
+ * HISTORY_PAGE_BLOCKS windows from the head until `floorBlock` or `maxPages`.
+ * `client` is the SDK's VaultClient.
+ */
+export async function findInvoicePayments(client, ref, payee, { floorBlock = 0, maxPages = 10 } = {}) {
+  const topic = refToBytes32(ref);
+  let end = await client.provider.getBlockNumber();
+  const found = [];
+  for (let i = 0; i < maxPages && end >= floorBlock; i++) {
+    const start = Math.max(floorBlock, end - HISTORY_PAGE_BLOCKS + 1);
+    const logs = await client.queryEvents("InvoicePaid", [topic, null, payee], start, end);
+    found.push(...logs.map((l) => ({
+      from: l.args.from,
+      token: l.args.token,
+      amount: l.args.amount.toString(),
+      timestamp: Number(l.args.timestamp),
+      txHash: l.transactionHash,
+    })));
+    end = start - 1;
+  }
+  return found;
+}
@@ -0,0 +1,66 @@
+import { Contract, Signature, TypedDataEncoder } from "ethers";
+
+/* ─── EIP-2612 Permit ─────────────────────────────────── */
+const PERMIT_ABI = [
+  "function name() view returns (string)",
+  "function version() view returns (string)",
+  "function nonces(address owner) view returns (uint256)",
+  "function DOMAIN_SEPARATOR() view returns (bytes32)",
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+];
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+export const PERMIT_TTL = 20 * 60; // seconds a permit signature stays valid
+
+/**
+ * Work out the token's EIP-712 domain, or return null when it has no permit.
+ * Prefers EIP-5267 `eip712Domain()`; otherwise tries `name()` with `version()`
+ * (Circle's USDC exposes it) or "1", and only accepts the candidate whose
+ * hash matches the token's own DOMAIN_SEPARATOR.
+ */
+export async function loadPermitDomain(tokenAddress, runner) {
+  const token = new Contract(tokenAddress, PERMIT_ABI, runner);
+  try {
+    await token.nonces(tokenAddress);
+    const separator = await token.DOMAIN_SEPARATOR();
+    const { chainId } = await runner.provider.getNetwork();
+
+    const candidates = [];
+    try {
+      const d = await token.eip712Domain();
+      candidates.push({ name: d.name, version: d.version, chainId: d.chainId, verifyingContract: d.verifyingContract });
+    } catch {}
+    const name = await token.name();
+    let version = "1";
+    try { version = await token.version(); } catch {}
+    candidates.push({ name, version, chainId, verifyingContract: tokenAddress });
+    if (version !== "1") candidates.push({ name, version: "1", chainId, verifyingContract: tokenAddress });
+
+    return candidates.find((d) => TypedDataEncoder.hashDomain(d) === separator) || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Ask the wallet to sign a permit for `spender` and split it into v, r, s.
+ */
+export async function signPermit(signer, tokenAddress, domain, spender, value) {
+  const owner = await signer.getAddress();
+  const token = new Contract(tokenAddress, PERMIT_ABI, signer);
+  const nonce = await token.nonces(owner);
+  const deadline = Math.floor(Date.now() / 1000) + PERMIT_TTL;
+  const sig = Signature.from(
+    await signer.signTypedData(domain, PERMIT_TYPES, { owner, spender, value, nonce, deadline })
+  );
+  return { deadline, v: sig.v, r: sig.r, s: sig.s };
+}
@@ -0,0 +1,11 @@
+/* ─── Vault Tokens ────────────────────────────────────── */
+// Symbol and decimals come from each token contract; nothing about a token
+// is hardcoded in the app. Entries are { address, symbol, decimals, allowed };
+// a vault's list comes from VaultClient.listTokens().
+
+export { loadTokenMeta } from "../../sdk/index.js";
+
+export function findToken(tokens, address) {
+  if (!address) return null;
+  return tokens.find((t) => t.address.toLowerCase() === address.toLowerCase()) || null;
+}
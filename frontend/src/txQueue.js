@@ -0,0 +1,228 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import { TransactionResponse } from "ethers";
+
+/* ─── Transaction Queue ───────────────────────────────── */
+// Every transaction the dApp sends is kept in localStorage per chain and
+// account, so a reload picks up tracking where it left off. Entries hold
+// what is needed to rebuild an ethers TransactionResponse (to detect
+// replacements) and to re-send the same nonce (speed up / cancel):
+//
+//   { hash, label, from, to, nonce, data, value, gasLimit, gasPrice,
+//     maxFeePerGas, maxPriorityFeePerGas, chainId, startBlock, submittedAt,
+//     status, blockNumber, replacedBy }
+//
+// status is pending | confirmed | failed | sped-up | cancelled | replaced | dropped.
+// Relayed orders have no nonce of ours and are followed by hash alone.
+// A pending entry the node has forgotten, with its nonce still unused, is
+// marked dropped after DROP_AFTER; it can then be re-sent or cleared. It
+// still turns confirmed if it is mined after all.
+
+const STORAGE_KEY = "arcvault_txs";
+const MAX_ENTRIES = 20;
+export const MAX_CONFIRMATIONS = 12; // counts stop updating past this
+const FEE_BUMP = 12n; // replacements pay at least 1.2× (tenths), above the usual 10% minimum
+const DROP_AFTER = 5 * 60 * 1000; // ms before an unknown pending tx counts as dropped
+
+const big = (v) => (v == null ? null : BigInt(v));
+const str = (v) => (v == null ? null : v.toString());
+
+function load(key) {
+  try { return JSON.parse(localStorage.getItem(key)) || []; } catch { return []; }
+}
+
+/** Entries that wait on the user or the chain: never pruned, always shown. */
+export const isOpen = (e) => e.status === "pending" || e.status === "dropped";
+
+// Newest first; settled entries beyond MAX_ENTRIES are pruned, open ones never.
+function prune(list) {
+  let settled = 0;
+  return list.filter((e) => isOpen(e) || ++settled <= MAX_ENTRIES);
+}
+
+function toEntry(tx, label, startBlock) {
+  return {
+    hash: tx.hash, label,
+    from: tx.from ?? null, to: tx.to ?? null, nonce: tx.nonce ?? null,
+    data: tx.data ?? "0x", value: str(tx.value ?? 0n), gasLimit: str(tx.gasLimit),
+    gasPrice: str(tx.gasPrice), maxFeePerGas: str(tx.maxFeePerGas), maxPriorityFeePerGas: str(tx.maxPriorityFeePerGas),
+    chainId: tx.chainId == null ? null : Number(tx.chainId),
+    startBlock, submittedAt: Date.now(),
+    status: "pending", blockNumber: null, replacedBy: null,
+  };
+}
+
+// A TransactionResponse from stored fields, with replacement detection from startBlock.
+function rebuild(entry, provider) {
+  return new TransactionResponse({
+    hash: entry.hash, from: entry.from, to: entry.to, nonce: entry.nonce, data: entry.data,
+    value: big(entry.value), gasLimit: big(entry.gasLimit), gasPrice: big(entry.gasPrice),
+    maxFeePerGas: big(entry.maxFeePerGas), maxPriorityFeePerGas: big(entry.maxPriorityFeePerGas),
+    chainId: big(entry.chainId), type: entry.maxFeePerGas ? 2 : 0,
+    blockNumber: null, blockHash: null, index: 0, signature: null,
+  }, provider).replaceableTransaction(entry.startBlock);
+}
+
+// Unknown to the node and, for our own transactions, its nonce still unused.
+// A used nonce means it was replaced, which the wait in `watch` reports.
+async function isDropped(entry, provider) {
+  if (await provider.getTransaction(entry.hash)) return false;
+  if (entry.nonce == null) return true;
+  return (await provider.getTransactionCount(entry.from, "latest")) <= entry.nonce;
+}
+
+const bump = (old, now) => {
+  const min = (big(old) ?? 0n) * FEE_BUMP / 10n;
+  return now != null && now > min ? now : min;
+};
+
+/**
+ * The queue for `account` on `chainId`. `track(tx, label)` adds a sent
+ * transaction and resolves to true once it (or a sped-up copy) is mined
+ * successfully, or to false once it fails or is dropped; `onSettled` runs
+ * whenever any entry is mined.
+ */
+export function useTxQueue({ signer, account, chainId, onSettled }) {
+  const provider = signer?.provider;
+  const key = account && chainId ? `${STORAGE_KEY}:${chainId}:${account.toLowerCase()}` : null;
+  const [state, setState] = useState({ key: null, list: [] });
+  const [head, setHead] = useState(null);
+  const watching = useRef(new Map()); // hash → promise of the outcome
+  const drops = useRef(new Map()); // hash → resolves its outcome as dropped
+  const checking = useRef(new Set()); // hashes with a drop check in flight
+  const settledRef = useRef(onSettled);
+  settledRef.current = onSettled;
+
+  useEffect(() => {
+    watching.current = new Map();
+    drops.current = new Map();
+    setState({ key, list: key ? load(key) : [] });
+  }, [key]);
+
+  useEffect(() => {
+    if (state.key) localStorage.setItem(state.key, JSON.stringify(state.list));
+  }, [state]);
+
+  const add = useCallback((entry) => {
+    setState((s) => (s.list.some((e) => e.hash === entry.hash) ? s : { ...s, list: prune([entry, ...s.list]) }));
+  }, []);
+  const update = useCallback((hash, patch) => {
+    setState((s) => ({ ...s, list: s.list.map((e) => (e.hash === hash ? { ...e, ...patch } : e)) }));
+  }, []);
+  const dismiss = useCallback((hash) => {
+    setState((s) => ({ ...s, list: s.list.filter((e) => e.hash !== hash) }));
+  }, []);
+
+  const watch = useCallback((entry) => {
+    if (watching.current.has(entry.hash)) return watching.current.get(entry.hash);
+    const mined = (receipt) => {
+      update(entry.hash, { status: receipt.status === 1 ? "confirmed" : "failed", blockNumber: receipt.blockNumber });
+      settledRef.current?.();
+      return receipt.status === 1;
+    };
+    const waiting = entry.nonce == null
+      ? provider.waitForTransaction(entry.hash).then(mined)
+      : rebuild(entry, provider).wait(1).then(mined, (e) => {
+        if (e.code === "CALL_EXCEPTION" && e.receipt) return mined(e.receipt);
+        if (e.code !== "TRANSACTION_REPLACED") throw e;
+        // Replaced in the dApp or straight from the wallet: track the replacement too.
+        const status = e.reason === "repriced" ? "sped-up" : e.reason === "cancelled" ? "cancelled" : "replaced";
+        update(entry.hash, { status, replacedBy: e.replacement.hash });
+        add({
+          ...toEntry(e.replacement, e.reason === "cancelled" ? `Cancel: ${entry.label}` : entry.label, entry.startBlock),
+          status: e.receipt.status === 1 ? "confirmed" : "failed", blockNumber: e.receipt.blockNumber,
+        });
+        settledRef.current?.();
+        return e.reason === "repriced" && e.receipt.status === 1;
+      });
+    const dropped = new Promise((resolve) => drops.current.set(entry.hash, () => resolve(false)));
+    const outcome = Promise.race([waiting, dropped]).catch((e) => {
+      console.error(e);
+      return false;
+    });
+    watching.current.set(entry.hash, outcome);
+    return outcome;
+  }, [provider, add, update]);
+
+  // Resume entries left pending by a reload or an account switch.
+  useEffect(() => {
+    if (!provider || state.key !== key) return;
+    state.list.filter((e) => e.status === "pending").forEach(watch);
+  }, [provider, state, key, watch]);
+
+  // On each new head, look for pending entries that have been gone too long.
+  useEffect(() => {
+    if (!provider || head == null || state.key !== key) return;
+    const due = (e) => e.status === "pending" && Date.now() - e.submittedAt > DROP_AFTER && !checking.current.has(e.hash);
+    state.list.filter(due).forEach(async (e) => {
+      checking.current.add(e.hash);
+      try {
+        if (!(await isDropped(e, provider))) return;
+        const mark = (x) => (x.hash === e.hash && x.status === "pending" ? { ...x, status: "dropped" } : x);
+        setState((s) => (s.key === key ? { ...s, list: s.list.map(mark) } : s));
+        drops.current.get(e.hash)?.();
+      } catch { /* RPC hiccup: try again next block */ } finally {
+        checking.current.delete(e.hash);
+      }
+    });
+  }, [provider, head, state, key]);
+
+  // Confirmation counts follow the chain head while any entry is young enough to care.
+  const counting = state.list.some((e) => e.status === "pending"
+    || (e.blockNumber != null && (head == null || head - e.blockNumber + 1 < MAX_CONFIRMATIONS)));
+  useEffect(() => {
+    if (!provider || !counting) return;
+    let live = true;
+    const poll = () => provider.getBlockNumber().then((n) => { if (live) setHead(n); }, () => {});
+    poll();
+    const id = setInterval(poll, 4000);
+    return () => { live = false; clearInterval(id); };
+  }, [provider, counting]);
+
+  const track = useCallback(async (tx, label, startBlock) => {
+    const entry = toEntry(tx, label, startBlock ?? (await provider.getBlockNumber()));
+    add(entry);
+    return watch(entry);
+  }, [provider, add, watch]);
+
+  /**
+   * Re-send a pending entry's nonce with higher fees: the same call to speed
+   * it up, or a 0-value self-transfer to cancel it. The original then settles
+   * as sped-up or cancelled once the replacement is mined.
+   */
+  const replace = useCallback(async (entry, { cancel = false } = {}) => {
+    const fees = await provider.getFeeData();
+    const tx = cancel
+      ? { to: entry.from, value: 0n, data: "0x" }
+      : { to: entry.to, value: big(entry.value), data: entry.data, gasLimit: big(entry.gasLimit) };
+    tx.nonce = entry.nonce;
+    if (entry.maxFeePerGas) {
+      tx.maxFeePerGas = bump(entry.maxFeePerGas, fees.maxFeePerGas);
+      tx.maxPriorityFeePerGas = bump(entry.maxPriorityFeePerGas, fees.maxPriorityFeePerGas);
+    } else {
+      tx.gasPrice = bump(entry.gasPrice, fees.gasPrice);
+    }
+    const sent = await signer.sendTransaction(tx);
+    const next = toEntry(sent, cancel ? `Cancel: ${entry.label}` : entry.label, entry.startBlock);
+    add(next);
+    return watch(next);
+  }, [provider, signer, add, watch]);
+
+  /**
+   * Send a dropped entry's call again as a new transaction; the wallet picks
+   * the nonce and fees. The dropped entry is cleared once the wallet has sent it.
+   */
+  const resend = useCallback(async (entry) => {
+    const sent = await signer.sendTransaction({ to: entry.to, value: big(entry.value), data: entry.data });
+    dismiss(entry.hash);
+    return track(sent, entry.label);
+  }, [signer, dismiss, track]);
+
+  const entries = state.key === key ? state.list : [];
+  return { entries, head, track, replace, resend, dismiss };
+}
+
+/** Blocks on top of and including the entry's block, capped at MAX_CONFIRMATIONS. */
+export function confirmations(entry, head) {
+  if (entry.blockNumber == null || head == null) return 0;
+  return Math.min(Math.max(head - entry.blockNumber + 1, 1), MAX_CONFIRMATIONS);
+}
@@ -0,0 +1,66 @@
+import { useState, useEffect, useCallback, useMemo } from "react";
+import { isAddress } from "ethers";
+import { shortenAddr } from "./format";
+import { toContact } from "./addressBook";
+
+/* ─── Address Book Storage ────────────────────────────── */
+// Labelled contacts in localStorage as [{ address, label }], sorted by label.
+// One book serves every network: an account has the same address on each.
+
+const STORAGE_KEY = "arcvault_contacts";
+
+function load() {
+  try {
+    const list = JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+    return list.filter((c) => c && isAddress(c.address) && c.label);
+  } catch { return []; }
+}
+
+const byLabel = (a, b) => a.label.localeCompare(b.label, undefined, { sensitivity: "base" });
+
+/* ─── Hook ────────────────────────────────────────────── */
+
+/**
+ * The address book. `nameOf(address)` is the contact's label, or the
+ * shortened address for strangers; `contactFor` returns the entry or null.
+ * `save` adds or relabels, `importContacts` merges a parsed list and
+ * returns { added, updated }.
+ */
+export function useAddressBook() {
+  const [contacts, setContacts] = useState(load);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(contacts));
+  }, [contacts]);
+
+  const index = useMemo(() => new Map(contacts.map((c) => [c.address.toLowerCase(), c])), [contacts]);
+  const contactFor = useCallback((address) => (address ? index.get(address.toLowerCase()) || null : null), [index]);
+  const nameOf = useCallback((address) => contactFor(address)?.label || shortenAddr(address), [contactFor]);
+
+  const merge = useCallback((list, entries) => {
+    const next = new Map(list.map((c) => [c.address.toLowerCase(), c]));
+    for (const c of entries) next.set(c.address.toLowerCase(), c);
+    return [...next.values()].sort(byLabel);
+  }, []);
+
+  const save = useCallback((address, label, replacing) => {
+    const contact = toContact(address, label);
+    setContacts((list) => merge(
+      replacing ? list.filter((c) => c.address.toLowerCase() !== replacing.toLowerCase()) : list,
+      [contact],
+    ));
+    return contact;
+  }, [merge]);
+
+  const remove = useCallback((address) => {
+    setContacts((list) => list.filter((c) => c.address.toLowerCase() !== address.toLowerCase()));
+  }, []);
+
+  const importContacts = useCallback((entries) => {
+    const added = entries.filter((c) => !index.has(c.address.toLowerCase())).length;
+    setContacts((list) => merge(list, entries));
+    return { added, updated: entries.length - added };
+  }, [index, merge]);
+
+  return { contacts, contactFor, nameOf, save, remove, importContacts };
+}
@@ -1,7 +1,94 @@
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
+import { existsSync, readFileSync, readdirSync } from "fs";
+import { fileURLToPath } from "url";
+
+const REGISTRY = fileURLToPath(new URL("../networks.json", import.meta.url));
+const DEPLOYMENTS_DIR = fileURLToPath(new URL("../deployments/", import.meta.url));
+const SDK_DIR = fileURLToPath(new URL("../sdk/", import.meta.url));
+const ARTIFACTS_DIR = fileURLToPath(new URL("../artifacts/contracts/", import.meta.url));
+const CONTRACTS = ["ArcVault", "ArcVaultFactory"];
+
+// public/deployer.html is a static page, so it fetches the network registry
+// as /networks.json and the deployment records (for each network's factory)
+// as /deployments/<network>.json: served from the repo root in dev, emitted on build.
+function networkRegistry() {
+  const records = () => (existsSync(DEPLOYMENTS_DIR) ? readdirSync(DEPLOYMENTS_DIR).filter((f) => f.endsWith(".json")) : []);
+  return {
+    name: "network-registry",
+    configureServer(server) {
+      server.middlewares.use("/networks.json", (_req, res) => {
+        res.setHeader("Content-Type", "application/json");
+        res.end(readFileSync(REGISTRY));
+      });
+      server.middlewares.use("/deployments", (req, res, next) => {
+        const file = req.url.slice(1).split("?")[0];
+        if (!records().includes(file)) return next();
+        res.setHeader("Content-Type", "application/json");
+        res.end(readFileSync(DEPLOYMENTS_DIR + file));
+      });
+    },
+    generateBundle() {
+      this.emitFile({ type: "asset", fileName: "networks.json", source: readFileSync(REGISTRY, "utf8") });
+      for (const f of records()) this.emitFile({ type: "asset", fileName: `deployments/${f}`, source: readFileSync(DEPLOYMENTS_DIR + f, "utf8") });
+    },
+  };
+}
+
+// deployer.html deploys the Hardhat-built bytecode, never its own compile:
+// /artifacts/<Contract>.json is { contractName, abi, bytecode } from
+// `npx hardhat compile`, which has to run before `vite build`.
+function contractArtifacts() {
+  const read = (name) => {
+    const file = `${ARTIFACTS_DIR}${name}.sol/${name}.json`;
+    if (!existsSync(file)) return null;
+    const { contractName, abi, bytecode } = JSON.parse(readFileSync(file, "utf8"));
+    return JSON.stringify({ contractName, abi, bytecode });
+  };
+  return {
+    name: "contract-artifacts",
+    configureServer(server) {
+      server.middlewares.use("/artifacts", (req, res, next) => {
+        const name = req.url.slice(1).split("?")[0].replace(/\.json$/, "");
+        const json = CONTRACTS.includes(name) && read(name);
+        if (!json) return next();
+        res.setHeader("Content-Type", "application/json");
+        res.end(json);
+      });
+    },
+    generateBundle() {
+      for (const name of CONTRACTS) {
+        const json = read(name);
+        if (json) this.emitFile({ type: "asset", fileName: `artifacts/${name}.json`, source: json });
+        else this.warn(`No ${name} artifact; run \`npx hardhat compile\` first or deployer.html cannot deploy.`);
+      }
+    },
+  };
+}
+
+// The same goes for the client SDK, which deployer.html imports unbundled
+// from /sdk/index.js with "ethers" mapped to a CDN build.
+function vaultSdk() {
+  const files = () => readdirSync(SDK_DIR).filter((f) => f.endsWith(".js"));
+  return {
+    name: "vault-sdk",
+    configureServer(server) {
+      server.middlewares.use("/sdk", (req, res, next) => {
+        const file = req.url.slice(1).split("?")[0];
+        if (!files().includes(file)) return next();
+        res.setHeader("Content-Type", "text/javascript");
+        res.end(readFileSync(SDK_DIR + file));
+      });
+    },
+    generateBundle() {
+      for (const f of files()) this.emitFile({ type: "asset", fileName: `sdk/${f}`, source: readFileSync(SDK_DIR + f, "utf8") });
+    },
+  };
+}
 
 export default defineConfig({
-  plugins: [react()],
-  server: { port: 3000 },
+  plugins: [react(), networkRegistry(), contractArtifacts(), vaultSdk()],
+  // The app imports ../sdk, which must share the app's copy of ethers.
+  resolve: { dedupe: ["ethers"] },
+  server: { port: 3000, fs: { allow: [".."] } },
 });
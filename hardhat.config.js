@@ -1,20 +1,33 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
+require("./tasks/reconcile");
+require("./tasks/vault");
+const registry = require("./networks.json");
+
+// Every entry in networks.json becomes a Hardhat network of the same name.
+// `rpcEnv` names an env var that overrides the registry RPC URL; remote
+// networks sign with PRIVATE_KEY, local ones use the node's own accounts.
+function hardhatNetworks() {
+  const networks = {};
+  for (const [name, net] of Object.entries(registry)) {
+    networks[name] = {
+      url: (net.rpcEnv && process.env[net.rpcEnv]) || net.rpcUrl,
+      chainId: net.chainId,
+    };
+    if (!net.local) networks[name].accounts = process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [];
+  }
+  return networks;
+}
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
-    version: "0.8.20",
+    version: "0.8.24",
     settings: {
       optimizer: { enabled: true, runs: 200 },
       viaIR: true,
+      evmVersion: "cancun",
     },
   },
-  networks: {
-    arcTestnet: {
-      url: process.env.ARC_RPC_URL || "https://rpc.testnet.arc.network",
-      chainId: 5042002,
-      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
-    },
-  },
+  networks: hardhatNetworks(),
 };
@@ -1,49 +1,231 @@
 const hre = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+const registry = require("../networks.json");
+const { readRecords, updateRecords } = require("../tasks/deployments");
+
+const LOCAL_FUNDING = "10000"; // of each mock stablecoin, minted to each local test account
+
+// Records go to deployments/<network>.json (see tasks/deployments.js); the
+// frontend uses the last vault for the matching chain.
+//
+// DRY_RUN=1 stops before sending any transaction.
+// FORCE=1 deploys even when the latest record is an identical, live deployment.
+// VAULT_SALT picks the vault's CREATE2 salt: 32 bytes of hex as-is, any other
+// text hashed with keccak256; a random salt when unset.
+const DRY_RUN = process.env.DRY_RUN === "1";
+const FORCE = process.env.FORCE === "1";
+
+async function hasCode(address) {
+  return !!address && (await hre.ethers.provider.getCode(address)) !== "0x";
+}
+
+async function compilerInfo() {
+  const build = await hre.artifacts.getBuildInfo("contracts/ArcVault.sol:ArcVault");
+  const { optimizer, viaIR = false, evmVersion } = build.input.settings;
+  return { version: build.solcLongVersion, optimizer, viaIR, evmVersion };
+}
+
+/* ─── USDC ────────────────────────────────────────────── */
+
+async function deployMock(contractName) {
+  const Mock = await hre.ethers.getContractFactory(contractName);
+  const token = await Mock.deploy();
+  await token.waitForDeployment();
+
+  const tokenAddress = await token.getAddress();
+  console.log(`🪙 ${contractName} deployed to:`, tokenAddress);
+
+  const signers = await hre.ethers.getSigners();
+  const amount = hre.ethers.parseUnits(LOCAL_FUNDING, await token.decimals());
+  for (const signer of signers) {
+    await (await token.mint(signer.address, amount)).wait();
+  }
+  console.log(`💰 Minted ${LOCAL_FUNDING} ${await token.symbol()} to ${signers.length} test accounts`);
+
+  return tokenAddress;
+}
+
+// Returns the constructor's USDC and the extra stablecoins to allowlist.
+// Local networks get MockUSDC + MockEURC, reused from the latest record while
+// the node still has them so redeploying the vault keeps the funded accounts.
+async function resolveTokens(net, latest) {
+  if (!net.local) return { usdc: process.env.USDC_ADDRESS || net.usdc.address, extra: [] };
+  const previous = latest?.constructorArgs.usdc;
+  if (await hasCode(previous)) return { usdc: previous, extra: latest.extraTokens || [] };
+  if (DRY_RUN) return { usdc: null, extra: [] };
+  return { usdc: await deployMock("MockUSDC"), extra: [await deployMock("MockEURC")] };
+}
+
+/* ─── Factory ─────────────────────────────────────────── */
+
+// The recorded factory is reused while it has code, was built from the
+// current artifact and deploys the current ArcVault build: it is given
+// ArcVault's creation code once, so a changed vault needs a new factory.
+// Returns null on a dry run that would deploy one.
+async function resolveFactory(name, chainId, records, factoryHash, vaultCode, ephemeral) {
+  const recorded = records?.factory;
+  if (recorded?.artifactHash === factoryHash && (await hasCode(recorded.address))) {
+    const current = await hre.ethers.getContractAt("ArcVaultFactory", recorded.address);
+    if ((await current.vaultCodeHash()) === hre.ethers.keccak256(vaultCode)) {
+      console.log("🏭 Using ArcVaultFactory at:", recorded.address);
+      return recorded.address;
+    }
+  }
+  if (DRY_RUN) return null;
+
+  const factory = await (await hre.ethers.getContractFactory("ArcVaultFactory")).deploy(vaultCode);
+  await factory.waitForDeployment();
+  const address = await factory.getAddress();
+  const receipt = await factory.deploymentTransaction().wait();
+  console.log("🏭 ArcVaultFactory deployed to:", address);
+  if (!ephemeral) {
+    updateRecords(name, chainId, (r) => {
+      r.factory = { address, txHash: receipt.hash, blockNumber: receipt.blockNumber, artifactHash: factoryHash, timestamp: new Date().toISOString() };
+    });
+  }
+  return address;
+}
+
+function vaultSalt(randomSalt) {
+  const salt = process.env.VAULT_SALT;
+  if (!salt) return randomSalt();
+  return hre.ethers.isHexString(salt, 32) ? salt : hre.ethers.id(salt);
+}
+
+/* ─── Smoke checks ────────────────────────────────────── */
+
+// Reads go through the client SDK, so they also exercise the ABI the dApp uses.
+async function smokeCheck(vault, factory, usdcAddress, deployer) {
+  if (!(await vault.isDeployed())) throw new Error(`No code at ${vault.address}`);
+  if (!(await factory.isVault(vault.address))) throw new Error(`Factory ${factory.address} does not list ${vault.address}`);
+  const usdc = await vault.usdc();
+  if (usdc.toLowerCase() !== usdcAddress.toLowerCase()) {
+    throw new Error(`usdc() returned ${usdc}, expected ${usdcAddress}`);
+  }
+  if (!(await vault.tokenInfo(usdc)).allowed) throw new Error("USDC is not on the allowlist");
+  const shares = await vault.sharesContract();
+  const asset = await shares.asset();
+  if (asset !== usdc) throw new Error(`shares asset() returned ${asset}, expected usdc() ${usdc}`);
+  if ((await shares.vault()) !== vault.address) throw new Error(`shares vault() is not ${vault.address}`);
+  const { owner, paused } = await vault.roles();
+  if (owner !== deployer) throw new Error(`owner() returned ${owner}, expected the deployer ${deployer}`);
+  if (paused) throw new Error("Vault is paused");
+  const total = await vault.totalVaultBalance(usdc);
+  console.log(`🔎 Smoke checks passed: code present, registered in the factory, usdc() = shares asset() = ${usdc}, owner() = deployer, not paused, totalVaultBalance(usdc) = ${total}`);
+}
+
+/* ─── Main ────────────────────────────────────────────── */
 
 async function main() {
+  const name = hre.network.name;
+  // The in-process "hardhat" network is not in the registry; treat it like
+  // localhost, but it disappears with the process so no record is kept.
+  const net = registry[name] || (name === "hardhat" ? registry.localhost : null);
+  if (!net) throw new Error(`Network "${name}" is not in networks.json`);
+  const ephemeral = name === "hardhat";
+
   const [deployer] = await hre.ethers.getSigners();
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  if (!ephemeral && Number(chainId) !== net.chainId) {
+    throw new Error(`RPC for ${name} reports chain ${chainId}, registry says ${net.chainId}`);
+  }
+  console.log(`Network: ${name} (chain ${chainId})${DRY_RUN ? " · DRY RUN" : ""}`);
   console.log("Deploying with account:", deployer.address);
 
+  // The native gas token: USDC on Arc, ETH on a local node.
+  const native = net.nativeCurrency;
   const balance = await hre.ethers.provider.getBalance(deployer.address);
-  console.log("Account balance:", hre.ethers.formatEther(balance), "ETH");
+  console.log("Account balance:", hre.ethers.formatUnits(balance, native.decimals), native.symbol);
 
-  // ── USDC address on Arc Testnet (replace with actual address) ──
-  const USDC_ADDRESS =
-    process.env.USDC_ADDRESS || "0x3600000000000000000000000000000000000000";
+  const vaultCode = (await hre.artifacts.readArtifact("ArcVault")).bytecode;
+  const artifactHash = hre.ethers.keccak256(vaultCode);
+  const factoryHash = hre.ethers.keccak256((await hre.artifacts.readArtifact("ArcVaultFactory")).bytecode);
+  const compiler = await compilerInfo();
+  const { VaultClient, VaultFactory, randomSalt } = await import("../sdk/index.js");
 
-  console.log("Using USDC at:", USDC_ADDRESS);
+  // ── USDC: MockUSDC locally, the registry address otherwise ──
+  const records = readRecords(name);
+  const latest = records?.deployments.at(-1);
+  const { usdc: USDC_ADDRESS, extra: extraTokens } = await resolveTokens(net, latest);
+  if (!USDC_ADDRESS && !(net.local && DRY_RUN)) throw new Error(`No USDC address for ${name}; set USDC_ADDRESS`);
+  console.log("Using USDC at:", USDC_ADDRESS || "(new MockUSDC)");
 
-  // ── Deploy ──
-  const ArcVault = await hre.ethers.getContractFactory("ArcVault");
-  const vault = await ArcVault.deploy(USDC_ADDRESS);
-  await vault.waitForDeployment();
+  // ── Refuse an identical redeploy ──
+  const identical =
+    latest &&
+    latest.artifactHash === artifactHash &&
+    latest.constructorArgs.usdc.toLowerCase() === (USDC_ADDRESS || "").toLowerCase() &&
+    (await hasCode(latest.address));
+  if (identical && !FORCE && !DRY_RUN) {
+    console.log(`⏭️  ${latest.address} already runs this exact build with the same arguments. Set FORCE=1 to deploy again.`);
+    return;
+  }
 
-  const vaultAddress = await vault.getAddress();
-  console.log("✅ ArcVault deployed to:", vaultAddress);
+  // ── Factory: the recorded one if it is current, else a new one ──
+  const factoryAddress = await resolveFactory(name, Number(chainId), records, factoryHash, vaultCode, ephemeral);
+  const salt = vaultSalt(randomSalt);
 
-  // ── Write deployment info for the frontend ──
-  const artifact = await hre.artifacts.readArtifact("ArcVault");
+  if (DRY_RUN) {
+    // Estimate whichever step comes next: the factory when it would be
+    // (re)deployed, the vault through it otherwise. A placeholder keeps the
+    // vault's zero-address check happy when no MockUSDC exists yet.
+    let tx, step;
+    if (factoryAddress) {
+      const factory = new VaultFactory(factoryAddress, deployer);
+      const predicted = await factory.predictAddress(deployer.address, USDC_ADDRESS || deployer.address, salt);
+      tx = await factory.contract.createVault.populateTransaction(USDC_ADDRESS || deployer.address, salt);
+      step = `ArcVault via the factory at ${predicted}`;
+    } else {
+      tx = await (await hre.ethers.getContractFactory("ArcVaultFactory")).getDeployTransaction(vaultCode);
+      step = "ArcVaultFactory (the vault follows through it)";
+    }
+    const gas = await hre.ethers.provider.estimateGas({ ...tx, from: deployer.address });
+    const { gasPrice } = await hre.ethers.provider.getFeeData();
+    console.log(`Would deploy ${step} with:`, JSON.stringify({ constructorArgs: { usdc: USDC_ADDRESS, owner: deployer.address }, salt, compiler, artifactHash }, null, 2));
+    console.log(`Estimated gas: ${gas}${gasPrice ? ` (~${hre.ethers.formatUnits(gas * gasPrice, native.decimals)} ${native.symbol})` : ""}`);
+    if (identical) console.log("Note: identical to the latest record; a real run would need FORCE=1.");
+    return;
+  }
 
-  const deploymentInfo = {
-    address: vaultAddress,
-    abi: artifact.abi,
-    network: hre.network.name,
-    usdc: USDC_ADDRESS,
-    deployer: deployer.address,
-    timestamp: new Date().toISOString(),
-  };
+  // ── Deploy through the factory ──
+  const factory = new VaultFactory(factoryAddress, deployer);
+  const predicted = await factory.predictAddress(deployer.address, USDC_ADDRESS, salt);
+  const receipt = await (await factory.createVault(USDC_ADDRESS, salt)).wait();
+  const vaultAddress = factory.vaultFromReceipt(receipt);
+  if (vaultAddress !== predicted) throw new Error(`Factory deployed to ${vaultAddress}, predicted ${predicted}`);
+  console.log("✅ ArcVault deployed to:", vaultAddress, `(salt ${salt})`);
 
-  const outDir = path.join(__dirname, "..", "frontend", "src");
-  if (!fs.existsSync(outDir)) fs.mkdirSync(outDir, { recursive: true });
+  const vault = new VaultClient(vaultAddress, deployer);
+  for (const token of extraTokens) {
+    await (await vault.addToken(token)).wait();
+    console.log("➕ Allowlisted token:", token);
+  }
 
-  fs.writeFileSync(
-    path.join(outDir, "deployment.json"),
-    JSON.stringify(deploymentInfo, null, 2)
-  );
+  try {
+    await smokeCheck(vault, factory, USDC_ADDRESS, deployer.address);
+  } catch (e) {
+    throw new Error(`Smoke checks failed for ${vaultAddress}; no record written. ${e.message}`);
+  }
 
-  console.log("📄 Deployment info written to frontend/src/deployment.json");
+  // ── Record the deployment ──
+  // The dApp's ABI lives in sdk/abi.js; the SDK tests check it against the artifact.
+  if (ephemeral) {
+    console.log("ℹ️  In-process hardhat network: nothing written.");
+    return;
+  }
+  updateRecords(name, Number(chainId), (r) => r.deployments.push({
+    address: vaultAddress,
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    deployer: deployer.address,
+    factory: factoryAddress,
+    salt,
+    constructorArgs: { usdc: USDC_ADDRESS, owner: deployer.address },
+    extraTokens,
+    compiler,
+    artifactHash,
+    timestamp: new Date().toISOString(),
+  }));
+  console.log(`📄 Deployment recorded in deployments/${name}.json`);
 }
 
 main().catch((error) => {
@@ -0,0 +1,142 @@
+const hre = require("hardhat");
+const http = require("http");
+const { vaultRecord } = require("../tasks/deployments");
+
+// Accepts EIP-712 orders signed in the dApp and submits them to ArcVault,
+// paying the gas from the first configured account.
+//
+//   POST /orders   { "kind": "transfer" | "withdraw", "order": {...}, "signature": "0x..." }
+//                  → 202 { "txHash": "0x..." }, or 4xx { "error": "..." } without sending anything
+//   GET  /health   → { "relayer", "vault", "chainId" }
+//
+// VAULT_ADDRESS overrides the latest deployments/<network>.json record.
+// RELAYER_PORT sets the port (default 8787). Tests start it in-process with
+// `startRelayer`.
+
+const PORT = Number(process.env.RELAYER_PORT || 8787);
+const MAX_BODY = 16 * 1024;
+
+/* ─── Orders ──────────────────────────────────────────── */
+// Order kinds and their fields come from the client SDK (sdk/orders.js).
+
+class BadRequest extends Error {}
+
+// Normalise a posted { kind, order, signature } before it reaches the vault.
+function parseOrder(body, kinds) {
+  const spec = kinds[body?.kind];
+  if (!spec) throw new BadRequest(`kind must be one of: ${Object.keys(kinds).join(", ")}`);
+  if (!hre.ethers.isHexString(body.signature)) throw new BadRequest("signature must be a hex string");
+
+  const order = {};
+  for (const field of spec.fields) {
+    const value = body.order?.[field];
+    if (["token", "from", "to"].includes(field)) {
+      if (!hre.ethers.isAddress(value)) throw new BadRequest(`order.${field} must be an address`);
+      order[field] = hre.ethers.getAddress(value);
+    } else {
+      try { order[field] = BigInt(value); } catch { throw new BadRequest(`order.${field} must be an integer`); }
+    }
+  }
+  return { kind: body.kind, order, signature: body.signature };
+}
+
+// Prefer the vault's custom error (e.g. "InvalidSigner(0x…, 0x…)") over ethers' wording.
+function revertReason(e, decodeVaultError) {
+  const decoded = decodeVaultError(e);
+  return decoded ? `${decoded.name}(${decoded.args.join(", ")})` : e.shortMessage || e.message;
+}
+
+/* ─── HTTP ────────────────────────────────────────────── */
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    // The dApp runs on another origin (the Vite dev server).
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", (chunk) => {
+      data += chunk;
+      if (data.length > MAX_BODY) reject(new BadRequest("body too large"));
+    });
+    req.on("end", () => {
+      try { resolve(JSON.parse(data)); } catch { reject(new BadRequest("body must be JSON")); }
+    });
+    req.on("error", reject);
+  });
+}
+
+/* ─── Server ──────────────────────────────────────────── */
+
+/**
+ * Serve the vault at `address`, signing with `signer` (default: the network's
+ * first account). Resolves to the listening `http.Server` once it accepts
+ * connections; `port` 0 picks a free one.
+ */
+async function startRelayer({ address, port = PORT, signer } = {}) {
+  const { VaultClient, ORDER_KINDS, decodeVaultError } = await import("../sdk/index.js");
+  const relayer = signer || (await hre.ethers.getSigners())[0];
+  const vault = new VaultClient(address, relayer);
+  if (!(await vault.isDeployed())) throw new Error(`No code at ${address} on ${hre.network.name}`);
+  const { chainId } = await hre.ethers.provider.getNetwork();
+
+  // One submission at a time so the relayer's own nonces never collide.
+  // The client simulates each order first, so a bad one costs no gas.
+  let queue = Promise.resolve();
+  const submit = (signed) => {
+    const run = queue.then(() => vault.executeOrder(signed));
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const server = http.createServer(async (req, res) => {
+    if (req.method === "OPTIONS") return send(res, 204);
+    if (req.method === "GET" && req.url === "/health") {
+      return send(res, 200, { relayer: relayer.address, vault: vault.address, chainId: Number(chainId) });
+    }
+    if (req.method !== "POST" || req.url !== "/orders") return send(res, 404, { error: "not found" });
+
+    try {
+      const parsed = parseOrder(await readJson(req), ORDER_KINDS);
+      const tx = await submit(parsed);
+      console.log(`📨 ${ORDER_KINDS[parsed.kind].method} for ${parsed.order.from} → ${tx.hash}`);
+      send(res, 202, { txHash: tx.hash });
+    } catch (e) {
+      if (e instanceof BadRequest) return send(res, 400, { error: e.message });
+      const reason = revertReason(e, decodeVaultError);
+      console.log(`⛔ Rejected order: ${reason}`);
+      send(res, 422, { error: reason });
+    }
+  });
+
+  await new Promise((resolve, reject) => server.once("error", reject).listen(port, resolve));
+  console.log(`Network: ${hre.network.name} (chain ${chainId})`);
+  console.log(`🛰️  Relaying to ArcVault ${vault.address} from ${relayer.address}`);
+  console.log(`Listening on http://127.0.0.1:${server.address().port}`);
+  return server;
+}
+
+/* ─── Main ────────────────────────────────────────────── */
+
+async function main() {
+  const name = hre.network.name;
+  const address = process.env.VAULT_ADDRESS || vaultRecord(name)?.address;
+  if (!address) throw new Error(`No vault for ${name}: deploy first or set VAULT_ADDRESS`);
+  await startRelayer({ address });
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { startRelayer };
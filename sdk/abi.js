@@ -0,0 +1,212 @@
+/* ─── ABIs ────────────────────────────────────────────── */
+// Human-readable fragments for everything the SDK and the dApp call.
+// test/VaultClient.test.js checks every fragment against the compiled artifact.
+
+export const VAULT_ABI = [
+  "function deposit(address token, uint256 amount) external",
+  "function depositWithPermit(address token, uint256 amount, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external",
+  "function withdraw(address token, uint256 amount) external",
+  "function transfer(address token, address to, uint256 amount) external",
+  "function payOut(address token, address to, uint256 amount) external",
+  "function payInvoice(address token, address to, uint256 amount, bytes32 ref) external",
+  "function batchTransfer(address token, address[] recipients, uint256[] amounts) external",
+  "function batchPayOut(address token, address[] recipients, uint256[] amounts) external",
+  "function approve(address token, address spender, uint256 amount) external",
+  "function transferFrom(address token, address from, address to, uint256 amount) external",
+  "function allowance(address token, address account, address spender) external view returns (uint256)",
+  "function spendersOf(address account) external view returns (address[])",
+  "function executeTransfer((address token, address from, address to, uint256 amount, uint256 nonce, uint256 deadline) order, bytes signature) external",
+  "function executeWithdraw((address token, address from, uint256 amount, uint256 nonce, uint256 deadline) order, bytes signature) external",
+  "function cancelNonce() external",
+  "function nonces(address owner) external view returns (uint256)",
+  "function DOMAIN_SEPARATOR() external view returns (bytes32)",
+  "function eip712Domain() external view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+  "function createStream(address token, address recipient, uint256 ratePerSecond, uint256 startTime, uint256 stopTime) external returns (uint256)",
+  "function withdrawFromStream(uint256 streamId) external",
+  "function cancelStream(uint256 streamId) external",
+  "function streams(uint256 streamId) external view returns (address sender, address recipient, address token, uint256 ratePerSecond, uint256 startTime, uint256 stopTime, uint256 withdrawn, bool cancelled)",
+  "function streamWithdrawable(uint256 streamId) external view returns (uint256)",
+  "function outgoingStreams(address account) external view returns (uint256[])",
+  "function incomingStreams(address account) external view returns (uint256[])",
+  "function createEscrow(address token, address payee, address arbiter, uint256 amount, uint256 deadline) external returns (uint256)",
+  "function releaseEscrow(uint256 escrowId) external",
+  "function refundEscrow(uint256 escrowId) external",
+  "function disputeEscrow(uint256 escrowId) external",
+  "function resolveEscrow(uint256 escrowId, bool releaseToPayee) external",
+  "function reclaimEscrow(uint256 escrowId) external",
+  "function escrows(uint256 escrowId) external view returns (address payer, address payee, address arbiter, address token, uint256 amount, uint256 deadline, uint8 status)",
+  "function escrowsOf(address account) external view returns (uint256[])",
+  "function setSafetyRules(address token, uint96 dailyLimit, uint96 lockThreshold, uint64 delay) external",
+  "function safetyRules(address token, address account) external view returns ((uint96 dailyLimit, uint96 lockThreshold, uint64 delay) rules, (uint96 dailyLimit, uint96 lockThreshold, uint64 delay) pending, uint256 pendingAt, uint256 availableToday)",
+  "function MAX_SAFETY_DELAY() external view returns (uint256)",
+  "function MIN_SAFETY_DELAY() external view returns (uint256)",
+  "function executeWithdrawal(uint256 withdrawalId) external",
+  "function cancelWithdrawal(uint256 withdrawalId) external",
+  "function queuedWithdrawals(uint256 withdrawalId) external view returns (address account, uint64 unlockAt, bool isTransfer, address token, address to, uint256 amount, bytes32 ref)",
+  "function queuedWithdrawalsOf(address account) external view returns (uint256[])",
+  "function addToken(address token) external",
+  "function removeToken(address token) external",
+  "function tokens(address token) external view returns (bool listed, bool allowed, uint8 decimals)",
+  "function listedTokens() external view returns (address[])",
+  "function owner() external view returns (address)",
+  "function pendingOwner() external view returns (address)",
+  "function transferOwnership(address newOwner) external",
+  "function acceptOwnership() external",
+  "function guardian() external view returns (address)",
+  "function setGuardian(address newGuardian) external",
+  "function paused() external view returns (bool)",
+  "function pause() external",
+  "function unpause() external",
+  "function recoverERC20(address token, address to, uint256 amount) external",
+  "function surplusOf(address token) external view returns (uint256)",
+  "function totalLiabilities(address token) external view returns (uint256)",
+  "function balanceOf(address token, address account) external view returns (uint256)",
+  "function totalVaultBalance(address token) external view returns (uint256)",
+  "function usdc() external view returns (address)",
+  "function shares() external view returns (address)",
+  "function moveToShares(uint256 amount) external returns (uint256)",
+  "function moveFromShares(uint256 shareAmount) external returns (uint256)",
+  "event Deposited(address indexed user, address indexed token, uint256 amount, uint256 timestamp)",
+  "event Withdrawn(address indexed user, address indexed token, uint256 amount, uint256 timestamp)",
+  "event Transferred(address indexed from, address indexed to, address indexed token, uint256 amount, uint256 timestamp)",
+  "event PaidOut(address indexed from, address indexed to, address indexed token, uint256 amount, uint256 timestamp)",
+  "event InvoicePaid(bytes32 indexed ref, address indexed from, address indexed to, address token, uint256 amount, uint256 timestamp)",
+  "event Approval(address indexed owner, address indexed spender, address indexed token, uint256 amount, uint256 timestamp)",
+  "event OrderExecuted(address indexed from, uint256 indexed nonce, address indexed relayer, uint256 timestamp)",
+  "event NonceCancelled(address indexed account, uint256 nonce, uint256 timestamp)",
+  "event TokenAdded(address indexed token, uint8 decimals, uint256 timestamp)",
+  "event TokenRemoved(address indexed token, uint256 timestamp)",
+  "event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner)",
+  "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)",
+  "event GuardianChanged(address indexed previousGuardian, address indexed newGuardian, uint256 timestamp)",
+  "event Paused(address account)",
+  "event Unpaused(address account)",
+  "event TokensRecovered(address indexed token, address indexed to, uint256 amount, uint256 timestamp)",
+  "event StreamCreated(uint256 indexed streamId, address indexed sender, address indexed recipient, address token, uint256 ratePerSecond, uint256 startTime, uint256 stopTime)",
+  "event StreamWithdrawn(uint256 indexed streamId, address indexed recipient, uint256 amount, uint256 timestamp)",
+  "event StreamCancelled(uint256 indexed streamId, address indexed sender, address indexed recipient, uint256 senderRefund, uint256 recipientAmount, uint256 timestamp)",
+  "event EscrowCreated(uint256 indexed escrowId, address indexed payer, address indexed payee, address token, address arbiter, uint256 amount, uint256 deadline)",
+  "event EscrowReleased(uint256 indexed escrowId, address indexed payee, uint256 amount, uint256 timestamp)",
+  "event EscrowRefunded(uint256 indexed escrowId, address indexed payer, uint256 amount, uint256 timestamp)",
+  "event EscrowDisputed(uint256 indexed escrowId, address indexed by, uint256 timestamp)",
+  "event EscrowResolved(uint256 indexed escrowId, address indexed arbiter, bool releasedToPayee, uint256 timestamp)",
+  "event SafetyRulesChanged(address indexed account, address indexed token, uint256 dailyLimit, uint256 lockThreshold, uint256 delay, uint256 effectiveAt)",
+  "event WithdrawalQueued(uint256 indexed withdrawalId, address indexed account, address indexed to, address token, uint256 amount, bool isTransfer, uint256 unlockAt)",
+  "event WithdrawalExecuted(uint256 indexed withdrawalId, address indexed account, uint256 amount, uint256 timestamp)",
+  "event WithdrawalCancelled(uint256 indexed withdrawalId, address indexed by, uint256 timestamp)",
+  "event MovedToShares(address indexed account, uint256 amount, uint256 shares, uint256 timestamp)",
+  "event MovedFromShares(address indexed account, uint256 amount, uint256 shares, uint256 timestamp)",
+  // Custom errors, so reverts decode to e.g. InvalidAccountNonce(account, nonce).
+  "error AboveLockThreshold(uint256 amount, uint256 threshold)",
+  "error DailyLimitExceeded(uint256 requested, uint256 available)",
+  "error ECDSAInvalidSignature()",
+  "error ECDSAInvalidSignatureLength(uint256 length)",
+  "error ECDSAInvalidSignatureS(bytes32 s)",
+  "error EmptyBatch()",
+  "error EnforcedPause()",
+  "error EscrowClosed(uint256 escrowId)",
+  "error EscrowExpired(uint256 escrowId)",
+  "error EscrowNotDisputed(uint256 escrowId)",
+  "error EscrowNotExpired(uint256 escrowId)",
+  "error EscrowNotFound(uint256 escrowId)",
+  "error ExceedsSurplus(uint256 requested, uint256 surplus)",
+  "error ExpectedPause()",
+  "error InsufficientAllowance(uint256 requested, uint256 available)",
+  "error InsufficientBalance(uint256 requested, uint256 available)",
+  "error InvalidAccountNonce(address account, uint256 currentNonce)",
+  "error InvalidArbiter(address arbiter)",
+  "error InvalidDeadline(uint256 deadline)",
+  "error InvalidDelay(uint256 delay)",
+  "error InvalidShortString()",
+  "error InvalidSigner(address signer, address expected)",
+  "error InvalidStreamTime(uint256 startTime, uint256 stopTime)",
+  "error LengthMismatch(uint256 recipients, uint256 amounts)",
+  "error NoArbiter(uint256 escrowId)",
+  "error NotStreamRecipient(uint256 streamId)",
+  "error NotStreamSender(uint256 streamId)",
+  "error OrderExpired(uint256 deadline)",
+  "error OwnableInvalidOwner(address owner)",
+  "error OwnableUnauthorizedAccount(address account)",
+  "error ReentrancyGuardReentrantCall()",
+  "error SafeERC20FailedOperation(address token)",
+  "error StreamInactive(uint256 streamId)",
+  "error StreamNotFound(uint256 streamId)",
+  "error StringTooLong(string str)",
+  "error TokenNotSupported(address token)",
+  "error Unauthorized(address caller)",
+  "error WithdrawalLocked(uint256 withdrawalId, uint256 unlockAt)",
+  "error WithdrawalNotFound(uint256 withdrawalId)",
+  "error ZeroAddress()",
+  "error ZeroAmount()",
+];
+
+// ArcVaultShares: the vault's avUSDC share token, at `shares()` on the vault.
+export const SHARES_ABI = [
+  "function vault() external view returns (address)",
+  "function asset() external view returns (address)",
+  "function totalAssets() external view returns (uint256)",
+  "function deposit(uint256 assets, address receiver) external returns (uint256)",
+  "function mint(uint256 shares, address receiver) external returns (uint256)",
+  "function withdraw(uint256 assets, address receiver, address owner) external returns (uint256)",
+  "function redeem(uint256 shares, address receiver, address owner) external returns (uint256)",
+  "function convertToShares(uint256 assets) external view returns (uint256)",
+  "function convertToAssets(uint256 shares) external view returns (uint256)",
+  "function previewDeposit(uint256 assets) external view returns (uint256)",
+  "function previewMint(uint256 shares) external view returns (uint256)",
+  "function previewWithdraw(uint256 assets) external view returns (uint256)",
+  "function previewRedeem(uint256 shares) external view returns (uint256)",
+  "function maxDeposit(address receiver) external view returns (uint256)",
+  "function maxMint(address receiver) external view returns (uint256)",
+  "function maxWithdraw(address owner) external view returns (uint256)",
+  "function maxRedeem(address owner) external view returns (uint256)",
+  "function name() external view returns (string)",
+  "function symbol() external view returns (string)",
+  "function decimals() external view returns (uint8)",
+  "function totalSupply() external view returns (uint256)",
+  "function balanceOf(address account) external view returns (uint256)",
+  "function transfer(address to, uint256 value) external returns (bool)",
+  "function transferFrom(address from, address to, uint256 value) external returns (bool)",
+  "function approve(address spender, uint256 value) external returns (bool)",
+  "function allowance(address owner, address spender) external view returns (uint256)",
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+  "event Approval(address indexed owner, address indexed spender, uint256 value)",
+  "event Deposit(address indexed sender, address indexed owner, uint256 assets, uint256 shares)",
+  "event Withdraw(address indexed sender, address indexed receiver, address indexed owner, uint256 assets, uint256 shares)",
+  "error EnforcedPause()",
+  "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+  "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+  "error ERC20InvalidApprover(address approver)",
+  "error ERC20InvalidReceiver(address receiver)",
+  "error ERC20InvalidSender(address sender)",
+  "error ERC20InvalidSpender(address spender)",
+  "error ERC4626ExceededMaxDeposit(address receiver, uint256 assets, uint256 max)",
+  "error ERC4626ExceededMaxMint(address receiver, uint256 shares, uint256 max)",
+  "error ERC4626ExceededMaxRedeem(address owner, uint256 shares, uint256 max)",
+  "error ERC4626ExceededMaxWithdraw(address owner, uint256 assets, uint256 max)",
+  "error ReentrancyGuardReentrantCall()",
+  "error SafeERC20FailedOperation(address token)",
+  "error Unauthorized(address caller)",
+  "error ZeroAmount()",
+];
+
+export const ERC20_ABI = [
+  "function balanceOf(address account) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function transfer(address to, uint256 amount) returns (bool)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+  "event Approval(address indexed owner, address indexed spender, uint256 value)",
+];
+
+export const FACTORY_ABI = [
+  "function createVault(address usdc, bytes32 salt) returns (address vault)",
+  "function predictVaultAddress(address creator, address usdc, bytes32 salt) view returns (address)",
+  "function vaultsOf(address creator) view returns (address[])",
+  "function isVault(address vault) view returns (bool)",
+  "function vaultCount() view returns (uint256)",
+  "function vaultAt(uint256 index) view returns (address)",
+  "function vaultCodeHash() view returns (bytes32)",
+  "event VaultCreated(address indexed creator, address indexed vault, address indexed usdc, bytes32 salt)",
+];
@@ -0,0 +1,107 @@
+import { Interface, formatUnits } from "ethers";
+import { VAULT_ABI, SHARES_ABI } from "./abi.js";
+
+/* ─── Errors ──────────────────────────────────────────── */
+// Reverts arrive as raw data in a different place depending on who threw:
+// ethers (e.data, e.info.error.data), browser wallets (e.error.data) or
+// Hardhat over JSON-RPC (e.data.data). decodeVaultError finds it and parses
+// it against the vault ABI, which also lists the OpenZeppelin errors
+// (SafeERC20, ReentrancyGuard, Ownable, ECDSA), plus the share token's
+// errors (ERC20, ERC4626), which also surface through the vault.
+
+const VAULT_INTERFACE = new Interface([...VAULT_ABI, ...SHARES_ABI.filter((f) => f.startsWith("error "))]);
+
+function revertData(e) {
+  const candidates = [e?.data, e?.data?.data, e?.info?.error?.data, e?.info?.error?.data?.data, e?.error?.data, e?.error?.data?.data];
+  return candidates.find((d) => typeof d === "string" && /^0x[0-9a-fA-F]{8}/.test(d)) || null;
+}
+
+/**
+ * The custom error behind a failed call or transaction, as { name, args },
+ * or null when `e` carries no revert data the interface knows. Plain
+ * require messages come back as Error(reason) and panics as Panic(code).
+ */
+export function decodeVaultError(e, iface = VAULT_INTERFACE) {
+  if (e?.revert?.name) return { name: e.revert.name, args: [...e.revert.args] };
+  const data = revertData(e);
+  if (!data) return null;
+  try {
+    const parsed = iface.parseError(data);
+    return parsed ? { name: parsed.name, args: [...parsed.args] } : null;
+  } catch {
+    return null;
+  }
+}
+
+// One sentence per error. `amt` formats a raw amount in the token at hand.
+const MESSAGES = {
+  InsufficientBalance: ([requested, available], amt) => `Insufficient vault balance: ${amt(requested)} requested, ${amt(available)} available.`,
+  InsufficientAllowance: ([requested, available], amt) => `Allowance too low: ${amt(requested)} requested, ${amt(available)} approved.`,
+  ExceedsSurplus: ([requested, surplus], amt) => `Only ${amt(surplus)} of surplus can be recovered, ${amt(requested)} requested.`,
+  ZeroAmount: () => "Enter an amount greater than zero.",
+  ZeroAddress: () => "The zero address cannot be used here.",
+  TokenNotSupported: ([token]) => `Token ${token} is not accepted by this vault.`,
+  EmptyBatch: () => "The batch has no recipients.",
+  LengthMismatch: ([recipients, amounts]) => `The batch has ${recipients} recipients but ${amounts} amounts.`,
+  EnforcedPause: () => "The vault is paused. Withdrawals still work.",
+  ExpectedPause: () => "The vault is not paused.",
+  Unauthorized: ([caller]) => `${caller} is not allowed to do this.`,
+  OwnableUnauthorizedAccount: ([account]) => `Only the vault owner can do this, and ${account} is not.`,
+  OwnableInvalidOwner: ([owner]) => `${owner} cannot become the owner.`,
+  InvalidAccountNonce: ([account, nonce]) => `This order was already used or cancelled; the next nonce for ${account} is ${nonce}.`,
+  OrderExpired: ([deadline]) => `The order expired at ${new Date(Number(deadline) * 1000).toLocaleString()}.`,
+  InvalidSigner: ([signer, expected]) => `The order was signed by ${signer}, not by ${expected}.`,
+  InvalidDeadline: ([deadline]) => `The deadline ${new Date(Number(deadline) * 1000).toLocaleString()} is in the past.`,
+  InvalidStreamTime: () => "The stream must stop after it starts, and start no earlier than now.",
+  StreamNotFound: ([id]) => `Stream #${id} does not exist.`,
+  StreamInactive: ([id]) => `Stream #${id} has already ended or been cancelled.`,
+  NotStreamSender: ([id]) => `Only the sender of stream #${id} can do this.`,
+  NotStreamRecipient: ([id]) => `Only the recipient of stream #${id} can do this.`,
+  InvalidArbiter: ([arbiter]) => `${arbiter} cannot arbitrate this escrow.`,
+  EscrowNotFound: ([id]) => `Escrow #${id} does not exist.`,
+  EscrowClosed: ([id]) => `Escrow #${id} is already settled or under dispute.`,
+  EscrowExpired: ([id]) => `Escrow #${id} is past its deadline.`,
+  EscrowNotExpired: ([id]) => `Escrow #${id} has not expired yet.`,
+  EscrowNotDisputed: ([id]) => `Escrow #${id} is not under dispute.`,
+  NoArbiter: ([id]) => `Escrow #${id} has no arbiter.`,
+  DailyLimitExceeded: ([requested, available], amt) => `Daily limit reached: ${amt(requested)} requested, ${amt(available)} left for now.`,
+  AboveLockThreshold: ([amount, threshold], amt) => `${amt(amount)} is above your ${amt(threshold)} time-lock threshold; streams, escrows and avUSDC share exits that large cannot wait in the queue.`,
+  InvalidDelay: ([delay]) => `A delay of ${delay} seconds is not allowed: it must be at most 30 days, and at least 1 hour with a daily limit or lock threshold.`,
+  WithdrawalNotFound: ([id]) => `Queued withdrawal #${id} does not exist or was already executed or cancelled.`,
+  WithdrawalLocked: ([id, unlockAt]) => `Queued withdrawal #${id} unlocks at ${new Date(Number(unlockAt) * 1000).toLocaleString()}.`,
+  ReentrancyGuardReentrantCall: () => "The vault blocked a reentrant call.",
+  SafeERC20FailedOperation: ([token]) => `The token contract ${token} rejected the transfer.`,
+  ERC20InsufficientBalance: ([, balance, needed], amt) => `Wallet balance too low: ${amt(needed)} needed, ${amt(balance)} held.`,
+  ERC20InsufficientAllowance: ([, allowance, needed], amt) => `Token approval too low: ${amt(needed)} needed, ${amt(allowance)} approved. Approve the vault first.`,
+  ERC20InvalidReceiver: ([receiver]) => `${receiver} cannot receive tokens.`,
+  ERC4626ExceededMaxDeposit: ([, assets, max], amt) => `Share deposit of ${amt(assets)} exceeds the current limit of ${amt(max)}.`,
+  ERC4626ExceededMaxMint: ([, shares, max]) => `Minting ${shares} shares exceeds the current limit of ${max}.`,
+  ERC4626ExceededMaxRedeem: ([, shares, max], amt) => `Cannot redeem ${amt(shares)} shares, at most ${amt(max)}.`,
+  ERC4626ExceededMaxWithdraw: ([, assets, max], amt) => `Cannot withdraw ${amt(assets)}, at most ${amt(max)}.`,
+  ECDSAInvalidSignature: () => "The signature is invalid.",
+  ECDSAInvalidSignatureLength: () => "The signature is invalid.",
+  ECDSAInvalidSignatureS: () => "The signature is invalid.",
+  Error: ([reason]) => reason,
+  Panic: ([code]) => `The contract panicked (code 0x${code.toString(16)}).`,
+};
+
+/**
+ * A readable sentence for a vault revert, or null when `e` is not one.
+ * Amounts are formatted in `token` ({ symbol, decimals }).
+ */
+export function describeVaultError(e, { symbol = "", decimals = 18 } = {}) {
+  const err = decodeVaultError(e);
+  if (!err) return null;
+  const amt = (value) => `${formatUnits(value, decimals)}${symbol ? ` ${symbol}` : ""}`;
+  const describe = MESSAGES[err.name];
+  return describe ? describe(err.args, amt) : `${err.name}(${err.args.join(", ")})`;
+}
+
+/**
+ * What to show for any failed wallet action: the decoded revert when there
+ * is one, otherwise the wallet's or ethers' own message.
+ */
+export function errorMessage(e, token) {
+  if (e?.code === "ACTION_REJECTED" || e?.info?.error?.code === 4001 || e?.error?.code === 4001) return "Rejected in the wallet.";
+  return describeVaultError(e, token) || e?.reason || e?.info?.error?.message || e?.shortMessage || e?.message || "Transaction failed";
+}
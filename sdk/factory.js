@@ -0,0 +1,61 @@
+import { Contract, getAddress, hexlify, randomBytes } from "ethers";
+import { FACTORY_ABI } from "./abi.js";
+import { PreflightSigner } from "./preflight.js";
+
+/* ─── VaultFactory ────────────────────────────────────── */
+// An ArcVaultFactory deployment: creates vaults at CREATE2 addresses and
+// lists the vaults each creator has made. Like VaultClient, `runner` is a
+// Provider for reads or a Signer, which is wrapped in a PreflightSigner.
+
+/** A fresh random CREATE2 salt. */
+export function randomSalt() {
+  return hexlify(randomBytes(32));
+}
+
+export class VaultFactory {
+  constructor(address, runner, { preflight = true } = {}) {
+    const wrap = preflight && typeof runner?.sendTransaction === "function" && !(runner instanceof PreflightSigner);
+    this.address = getAddress(address);
+    this.runner = wrap ? new PreflightSigner(runner) : runner;
+    this.contract = new Contract(this.address, FACTORY_ABI, this.runner);
+  }
+
+  /** False when nothing is deployed at the address on the runner's chain. */
+  async isDeployed() {
+    return (await this.runner.provider.getCode(this.address)) !== "0x";
+  }
+
+  /** Vaults `creator` has deployed through this factory, oldest first. */
+  async vaultsOf(creator) {
+    return [...(await this.contract.vaultsOf(creator))];
+  }
+
+  isVault(address) {
+    return this.contract.isVault(address);
+  }
+
+  /** keccak256 of the ArcVault creation code the factory deploys, to compare with a build. */
+  vaultCodeHash() {
+    return this.contract.vaultCodeHash();
+  }
+
+  /** Where createVault(usdc, salt) sent by `creator` will deploy. */
+  predictAddress(creator, usdc, salt) {
+    return this.contract.predictVaultAddress(creator, usdc, salt);
+  }
+
+  /** Deploy a vault over `usdc` owned by the signer; see vaultFromReceipt. */
+  createVault(usdc, salt = randomSalt()) {
+    return this.contract.createVault(usdc, salt);
+  }
+
+  /** The vault address from a createVault receipt's VaultCreated event, or null. */
+  vaultFromReceipt(receipt) {
+    for (const log of receipt.logs) {
+      if (log.address !== this.address) continue;
+      const parsed = this.contract.interface.parseLog(log);
+      if (parsed?.name === "VaultCreated") return parsed.args.vault;
+    }
+    return null;
+  }
+}
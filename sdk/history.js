@@ -0,0 +1,79 @@
+/* ─── Event History ───────────────────────────────────── */
+// Per-account activity in one token, rebuilt from the vault's event logs.
+
+// Many RPCs (Arc included) cap eth_getLogs at 10k blocks per call.
+export const HISTORY_PAGE_BLOCKS = 10_000;
+export const HISTORY_PAGES_PER_LOAD = 5;
+
+// kind → [label, direction]
+const KINDS = {
+  deposit: ["Deposit", "in"],
+  withdraw: ["Withdraw", "out"],
+  "transfer-in": ["Transfer in", "in"],
+  "transfer-out": ["Transfer out", "out"],
+  "payout-in": ["Payout in", "in"],
+  "payout-out": ["Payout out", "out"],
+};
+
+function toEntry(kind, log, counterparty) {
+  const [label, direction] = KINDS[kind];
+  return {
+    id: `${log.transactionHash}-${log.index}`,
+    kind,
+    label,
+    direction,
+    counterparty,
+    amount: log.args.amount.toString(),
+    timestamp: Number(log.args.timestamp),
+    txHash: log.transactionHash,
+    blockNumber: log.blockNumber,
+    logIndex: log.index,
+  };
+}
+
+/**
+ * Collect every vault event in `token` that touches `account` in [fromBlock, toBlock].
+ * Self-transfers match both the `from` and `to` filters; the first match wins.
+ */
+async function fetchRange(vault, account, token, fromBlock, toBlock) {
+  const f = vault.filters;
+  const queries = [
+    ["deposit", f.Deposited(account, token), () => ""],
+    ["withdraw", f.Withdrawn(account, token), () => ""],
+    ["transfer-out", f.Transferred(account, null, token), (l) => l.args.to],
+    ["transfer-in", f.Transferred(null, account, token), (l) => l.args.from],
+    ["payout-out", f.PaidOut(account, null, token), (l) => l.args.to],
+    ["payout-in", f.PaidOut(null, account, token), (l) => l.args.from],
+  ];
+
+  const results = await Promise.all(queries.map(([, filter]) => vault.queryFilter(filter, fromBlock, toBlock)));
+  const seen = new Map();
+  results.forEach((logs, i) => {
+    const [kind, , counterparty] = queries[i];
+    for (const log of logs) {
+      const entry = toEntry(kind, log, counterparty(log));
+      if (!seen.has(entry.id)) seen.set(entry.id, entry);
+    }
+  });
+  return [...seen.values()];
+}
+
+/**
+ * Walk backwards from `toBlock` in HISTORY_PAGE_BLOCKS windows.
+ * Returns the entries found (newest first) and the block to resume from,
+ * or `nextToBlock: null` once `floorBlock` has been reached.
+ */
+export async function fetchHistoryPage(vault, account, token, { toBlock, floorBlock = 0, pages = HISTORY_PAGES_PER_LOAD } = {}) {
+  let end = toBlock ?? (await vault.runner.provider.getBlockNumber());
+  const entries = [];
+  for (let i = 0; i < pages && end >= floorBlock; i++) {
+    const start = Math.max(floorBlock, end - HISTORY_PAGE_BLOCKS + 1);
+    entries.push(...(await fetchRange(vault, account, token, start, end)));
+    end = start - 1;
+  }
+  return { entries: sortHistory(entries), nextToBlock: end >= floorBlock ? end : null };
+}
+
+export function sortHistory(entries) {
+  return [...entries].sort((a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex);
+}
@@ -0,0 +1,13 @@
+// ArcVault client SDK: shared by the dApp, public/deployer.html and the
+// Hardhat scripts. Plain ES modules on top of ethers v6.
+
+export { VaultClient, ESCROW_STATUS, loadTokenMeta } from "./vaultClient.js";
+export { VaultFactory, randomSalt } from "./factory.js";
+export { VAULT_ABI, SHARES_ABI, ERC20_ABI, FACTORY_ABI } from "./abi.js";
+export { PreflightSigner } from "./preflight.js";
+export { decodeVaultError, describeVaultError, errorMessage } from "./errors.js";
+export { ORDER_TYPES, ORDER_KINDS, ORDER_TTL } from "./orders.js";
+export { HISTORY_PAGE_BLOCKS, HISTORY_PAGES_PER_LOAD, fetchHistoryPage, sortHistory } from "./history.js";
+export { LIVE_MAX_RANGE, watchAccount } from "./live.js";
+export { reconcile } from "./reconcile.js";
+export { chainParams, switchWalletNetwork, connectWallet, discoverWallets } from "./wallet.js";
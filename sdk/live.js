@@ -0,0 +1,114 @@
+import { Interface, getAddress } from "ethers";
+import { VAULT_ABI, ERC20_ABI } from "./abi.js";
+
+/* ─── Live Updates ────────────────────────────────────── */
+// Follows new blocks and reports the vault and token logs that involve one
+// account, so a UI can refresh when something happened instead of on a
+// timer. Over a WebSocketProvider new blocks are pushed (eth_subscribe);
+// HTTP and injected providers poll eth_blockNumber, and either way there is
+// one eth_getLogs per new block range, never per balance shown.
+
+// Catch-ups longer than this (a tab hidden for hours) are not replayed:
+// onEvents gets null instead and the caller re-reads everything.
+export const LIVE_MAX_RANGE = 2_000;
+
+const VAULT_INTERFACE = new Interface(VAULT_ABI);
+const TOKEN_INTERFACE = new Interface(ERC20_ABI);
+
+// Every vault event with an address in it, and the tokens' Transfer / Approval.
+const TOPICS = [...new Set([VAULT_INTERFACE, TOKEN_INTERFACE].flatMap((iface) => {
+  const events = [];
+  iface.forEachEvent((e) => { if (e.inputs.some((i) => i.type === "address")) events.push(e.topicHash); });
+  return events;
+}))];
+
+// Value that reached `account` from someone else: ledger credits, payouts,
+// released escrows and plain token transfers (the account's own vault
+// withdrawals excepted).
+function isIncoming(ev, account, vault) {
+  const a = ev.args;
+  if (ev.source === "token") return ev.name === "Transfer" && a.to === account && a.from !== account && a.from !== vault;
+  switch (ev.name) {
+    case "Transferred":
+    case "PaidOut":
+    case "InvoicePaid":
+      return a.to === account && a.from !== account;
+    case "EscrowReleased":
+      return a.payee === account;
+    default:
+      return false;
+  }
+}
+
+function decode(log, vault) {
+  const source = log.address === vault ? "vault" : "token";
+  let parsed;
+  try { parsed = (source === "vault" ? VAULT_INTERFACE : TOKEN_INTERFACE).parseLog(log); } catch { return null; }
+  if (!parsed) return null;
+  return {
+    source,
+    address: log.address,
+    name: parsed.name,
+    args: parsed.args,
+    addresses: parsed.fragment.inputs.flatMap((input, i) => (input.type === "address" ? [parsed.args[i]] : [])),
+    blockNumber: log.blockNumber,
+    transactionHash: log.transactionHash,
+    index: log.index,
+  };
+}
+
+/**
+ * Watch `vault` and `tokens` for logs naming `account`. After each new
+ * block range, `onEvents(events, blockNumber)` receives the matching ones,
+ * oldest first, as { source: "vault" | "token", address, name, args,
+ * incoming, blockNumber, transactionHash, index }; it is not called when
+ * nothing matched, and gets `null` when the range was too long to replay.
+ * `fromBlock` resumes after a block already seen; by default watching
+ * starts at the next block. Returns { stop(), lastBlock }.
+ */
+export function watchAccount(provider, { vault, tokens = [], account, fromBlock = null }, onEvents, onError = console.error) {
+  const me = getAddress(account);
+  const vaultAddr = vault ? getAddress(vault) : null;
+  const addresses = [...new Set([vaultAddr, ...tokens.map((t) => getAddress(t))].filter(Boolean))];
+  let last = fromBlock;
+  let stopped = false;
+  let queue = Promise.resolve();
+
+  const catchUp = async (head) => {
+    if (stopped || head <= last) return;
+    if (!addresses.length) { last = head; return; }
+    if (head - last > LIVE_MAX_RANGE) {
+      last = head;
+      onEvents(null, head);
+      return;
+    }
+    const logs = await provider.getLogs({ address: addresses, topics: [TOPICS], fromBlock: last + 1, toBlock: head });
+    if (stopped) return;
+    last = head;
+    const events = logs
+      .map((log) => decode(log, vaultAddr))
+      .filter((ev) => ev && ev.addresses.includes(me))
+      .map(({ addresses: _, ...ev }) => ({ ...ev, incoming: isIncoming(ev, me, vaultAddr) }));
+    if (events.length) onEvents(events, head);
+  };
+
+  // Blocks are handled one range at a time, in order.
+  const onBlock = (n) => {
+    queue = queue.then(() => catchUp(n)).catch((e) => { if (!stopped) onError(e); });
+  };
+  // Start from the current block, or catch up at once when resuming.
+  queue = provider.getBlockNumber().then((head) => {
+    if (last === null) last = head;
+    else return catchUp(head);
+  }).catch((e) => { if (!stopped) onError(e); });
+  Promise.resolve(provider.on("block", onBlock)).catch((e) => { if (!stopped) onError(e); });
+
+  return {
+    stop() {
+      stopped = true;
+      Promise.resolve(provider.off("block", onBlock)).catch(() => {});
+      return last;
+    },
+    get lastBlock() { return last; },
+  };
+}
@@ -0,0 +1,37 @@
+/* ─── EIP-712 Signed Orders ───────────────────────────── */
+// Types must match TransferOrder / WithdrawOrder in ArcVault.sol. Each kind
+// maps to the vault function that executes it; `fields` is the struct order.
+
+export const ORDER_TYPES = {
+  transfer: {
+    TransferOrder: [
+      { name: "token", type: "address" },
+      { name: "from", type: "address" },
+      { name: "to", type: "address" },
+      { name: "amount", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+  },
+  withdraw: {
+    WithdrawOrder: [
+      { name: "token", type: "address" },
+      { name: "from", type: "address" },
+      { name: "amount", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+  },
+};
+
+const METHODS = { transfer: "executeTransfer", withdraw: "executeWithdraw" };
+
+// kind → { method, fields }, e.g. for validating orders posted to a relayer.
+export const ORDER_KINDS = Object.fromEntries(
+  Object.entries(ORDER_TYPES).map(([kind, types]) => [
+    kind,
+    { method: METHODS[kind], fields: Object.values(types)[0].map((f) => f.name) },
+  ])
+);
+
+export const ORDER_TTL = 20 * 60; // seconds a signed order stays valid
@@ -0,0 +1,39 @@
+import { AbstractSigner } from "ethers";
+
+/* ─── Pre-flight ──────────────────────────────────────── */
+// Wraps a signer so that every transaction first runs as an eth_call from
+// the same account. A revert rejects with its revert data before the wallet
+// prompts and before any gas is spent. Contracts built on the wrapper need no
+// changes, so the dApp's panels get it by receiving the wrapped signer.
+
+export class PreflightSigner extends AbstractSigner {
+  constructor(signer) {
+    super(signer.provider);
+    this.signer = signer;
+  }
+
+  connect(provider) {
+    return new PreflightSigner(this.signer.connect(provider));
+  }
+
+  getAddress() {
+    return this.signer.getAddress();
+  }
+
+  signTransaction(tx) {
+    return this.signer.signTransaction(tx);
+  }
+
+  signMessage(message) {
+    return this.signer.signMessage(message);
+  }
+
+  signTypedData(domain, types, value) {
+    return this.signer.signTypedData(domain, types, value);
+  }
+
+  async sendTransaction(tx) {
+    await this.call(tx);
+    return this.signer.sendTransaction(tx);
+  }
+}
@@ -0,0 +1,216 @@
+import { Contract, Interface, getAddress } from "ethers";
+import { VAULT_ABI, ERC20_ABI } from "./abi.js";
+import { HISTORY_PAGE_BLOCKS } from "./history.js";
+
+/* ─── Reconciliation ──────────────────────────────────── */
+// Rebuilds the vault's books from its own event logs and checks them against
+// the chain: every account's `balanceOf`, `totalLiabilities` per token, and
+// whether the vault's token holdings cover what it owes. Everything is read
+// at one block so a busy vault still gives a consistent snapshot.
+//
+// Liabilities per token are ledger balances plus amounts locked in streams,
+// escrows and the withdrawal time-lock queue, the same sum the contract keeps
+// in `totalLiabilities`. USDC behind avUSDC shares is held by the share token,
+// so moving a balance into or out of shares counts as leaving or entering the vault.
+
+const VAULT_INTERFACE = new Interface(VAULT_ABI);
+
+/** Holds bigint amounts by key, starting from zero. */
+class Tally extends Map {
+  add(key, amount) {
+    this.set(key, (this.get(key) ?? 0n) + amount);
+  }
+}
+
+// What each ledger event does to the books. `b` is account balances by
+// "token:account", `locked` the stream, escrow and queued totals by token,
+// and `ids` remembers what later events about a stream, escrow or queued
+// withdrawal omit. An event about an id created before the replay started
+// cannot be placed: it is skipped and listed in `unknown` instead.
+function apply({ name, args: a }, { b, locked, ids, unknown, usdc }, log) {
+  const bal = (token, account) => `${token}:${account}`;
+  const origin = (kind, id) => {
+    const found = ids.get(`${kind}:${id}`);
+    if (found === undefined) {
+      unknown.push({ event: name, kind, id: id.toString(), blockNumber: log.blockNumber, transactionHash: log.transactionHash });
+    }
+    return found;
+  };
+  switch (name) {
+    case "Deposited":
+      b.add(bal(a.token, a.user), a.amount);
+      break;
+    case "Withdrawn":
+      b.add(bal(a.token, a.user), -a.amount);
+      break;
+    case "Transferred":
+      b.add(bal(a.token, a.from), -a.amount);
+      b.add(bal(a.token, a.to), a.amount);
+      break;
+    case "PaidOut":
+      b.add(bal(a.token, a.from), -a.amount);
+      break;
+    case "StreamCreated": {
+      const total = a.ratePerSecond * (a.stopTime - a.startTime);
+      ids.set(`stream:${a.streamId}`, a.token);
+      b.add(bal(a.token, a.sender), -total);
+      locked.add(a.token, total);
+      break;
+    }
+    case "StreamWithdrawn": {
+      const token = origin("stream", a.streamId);
+      if (!token) break;
+      b.add(bal(token, a.recipient), a.amount);
+      locked.add(token, -a.amount);
+      break;
+    }
+    case "StreamCancelled": {
+      const token = origin("stream", a.streamId);
+      if (!token) break;
+      b.add(bal(token, a.sender), a.senderRefund);
+      b.add(bal(token, a.recipient), a.recipientAmount);
+      locked.add(token, -(a.senderRefund + a.recipientAmount));
+      break;
+    }
+    case "EscrowCreated":
+      ids.set(`escrow:${a.escrowId}`, a.token);
+      b.add(bal(a.token, a.payer), -a.amount);
+      locked.add(a.token, a.amount);
+      break;
+    case "EscrowReleased":
+    case "EscrowRefunded": {
+      const token = origin("escrow", a.escrowId);
+      if (!token) break;
+      b.add(bal(token, name === "EscrowReleased" ? a.payee : a.payer), a.amount);
+      locked.add(token, -a.amount);
+      break;
+    }
+    // Queued amounts leave the balance at once; executing gives back what it
+    // releases for the Withdrawn / PaidOut / Transferred that follows (the
+    // rest stays queued), cancelling gives back what is left for good.
+    case "WithdrawalQueued":
+      ids.set(`queued:${a.withdrawalId}`, { token: a.token, account: a.account, amount: a.amount });
+      b.add(bal(a.token, a.account), -a.amount);
+      locked.add(a.token, a.amount);
+      break;
+    case "WithdrawalExecuted":
+    case "WithdrawalCancelled": {
+      const q = origin("queued", a.withdrawalId);
+      if (!q) break;
+      const amount = name === "WithdrawalExecuted" ? a.amount : q.amount;
+      q.amount -= amount;
+      b.add(bal(q.token, q.account), amount);
+      locked.add(q.token, -amount);
+      break;
+    }
+    case "MovedToShares":
+      b.add(bal(usdc, a.account), -a.amount);
+      break;
+    case "MovedFromShares":
+      b.add(bal(usdc, a.account), a.amount);
+      break;
+    default:
+      return false;
+  }
+  return true;
+}
+
+/**
+ * Replay every ledger event of the vault at `vaultAddress` in
+ * [fromBlock, toBlock] (toBlock defaults to the latest block) and compare the
+ * result with on-chain state at toBlock. `fromBlock` should be the vault's
+ * deployment block; starting later leaves earlier activity out and reports
+ * it as mismatches. Events about streams, escrows or queued withdrawals
+ * created before `fromBlock` are skipped and listed under `unknownOrigin`
+ * as { event, kind, id, blockNumber, transactionHash }.
+ *
+ * Returns a JSON-safe report: amounts are decimal strings in each token's
+ * smallest unit, and `ok` is false when any account balance or liability
+ * total disagrees, when holdings fall short of liabilities, or when any
+ * event had an unknown origin. Holdings
+ * above liabilities (a positive `difference`, e.g. tokens sent to the vault
+ * without a deposit) are reported but are not a mismatch.
+ */
+export async function reconcile(provider, vaultAddress, { fromBlock = 0, toBlock } = {}) {
+  const address = getAddress(vaultAddress);
+  const vault = new Contract(address, VAULT_ABI, provider);
+  const end = toBlock ?? (await provider.getBlockNumber());
+  const at = { blockTag: end };
+
+  const state = {
+    b: new Tally(),
+    locked: new Tally(),
+    ids: new Map(),
+    unknown: [],
+    usdc: getAddress(await vault.usdc(at)),
+  };
+  let events = 0;
+  for (let start = fromBlock; start <= end; start += HISTORY_PAGE_BLOCKS) {
+    const logs = await provider.getLogs({ address, fromBlock: start, toBlock: Math.min(end, start + HISTORY_PAGE_BLOCKS - 1) });
+    for (const log of logs) {
+      let parsed = null;
+      try { parsed = VAULT_INTERFACE.parseLog(log); } catch { /* not a vault event */ }
+      if (parsed && apply(parsed, state, log)) events++;
+    }
+  }
+
+  // Every listed token, plus any that only shows up in the logs.
+  const tokenSet = new Set([state.usdc, ...(await vault.listedTokens(at)).map((t) => getAddress(t))]);
+  for (const key of state.b.keys()) tokenSet.add(key.split(":")[0]);
+  for (const token of state.locked.keys()) tokenSet.add(token);
+
+  const tokens = [];
+  for (const token of tokenSet) {
+    const erc20 = new Contract(token, ERC20_ABI, provider);
+    const [symbol, decimals, holdings, onChainLiabilities] = await Promise.all([
+      erc20.symbol(at).catch(() => null),
+      erc20.decimals(at).then(Number).catch(() => null),
+      erc20.balanceOf(address, at),
+      vault.totalLiabilities(token, at),
+    ]);
+
+    const mismatches = [];
+    let accounts = 0;
+    let ledger = 0n;
+    for (const [key, expected] of state.b) {
+      const [t, account] = key.split(":");
+      if (t !== token) continue;
+      const actual = await vault.balanceOf(token, account, at);
+      accounts++;
+      ledger += expected;
+      if (actual !== expected) {
+        mismatches.push({ account, expected: expected.toString(), actual: actual.toString(), difference: (actual - expected).toString() });
+      }
+    }
+
+    const locked = state.locked.get(token) ?? 0n;
+    const liabilities = ledger + locked;
+    const difference = holdings - liabilities;
+    tokens.push({
+      token,
+      symbol,
+      decimals,
+      accounts,
+      ledger: ledger.toString(),
+      locked: locked.toString(),
+      liabilities: liabilities.toString(),
+      onChainLiabilities: onChainLiabilities.toString(),
+      holdings: holdings.toString(),
+      difference: difference.toString(),
+      solvent: difference >= 0n,
+      mismatches,
+      ok: !mismatches.length && liabilities === onChainLiabilities && difference >= 0n,
+    });
+  }
+
+  return {
+    vault: address,
+    chainId: Number((await provider.getNetwork()).chainId),
+    fromBlock,
+    toBlock: end,
+    events,
+    ok: tokens.every((t) => t.ok) && !state.unknown.length,
+    tokens,
+    unknownOrigin: state.unknown,
+  };
+}
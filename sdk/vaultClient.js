@@ -0,0 +1,442 @@
+import { Contract, ZeroAddress, getAddress } from "ethers";
+import { VAULT_ABI, SHARES_ABI, ERC20_ABI } from "./abi.js";
+import { ORDER_TYPES, ORDER_KINDS, ORDER_TTL } from "./orders.js";
+import { fetchHistoryPage } from "./history.js";
+import { PreflightSigner } from "./preflight.js";
+
+/* ─── Tokens ──────────────────────────────────────────── */
+// Symbol and decimals come from each token contract; nothing about a token
+// is hardcoded. Entries are { address, symbol, decimals, allowed }.
+
+export async function loadTokenMeta(address, runner) {
+  const token = new Contract(address, ERC20_ABI, runner);
+  const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+  return { address: getAddress(address), symbol, decimals: Number(decimals), allowed: true };
+}
+
+/** Escrow status names, indexed by the contract's `EscrowStatus`. */
+export const ESCROW_STATUS = ["None", "Open", "Disputed", "Released", "Refunded"];
+
+/* ─── VaultClient ─────────────────────────────────────── */
+// One ArcVault deployment behind typed methods. `runner` is an ethers
+// Provider for reads or a Signer for reads and writes; write methods return
+// the ethers transaction response, so callers decide when to `wait()`.
+// Token arguments are addresses and amounts are raw integers (bigint).
+// Signers are wrapped in a PreflightSigner, so a write that would revert
+// rejects before the wallet prompt; decode the rejection with describeVaultError.
+
+export class VaultClient {
+  #shares = null;
+
+  /**
+   * `abi` defaults to VAULT_ABI; pass the compiled artifact's ABI to reach
+   * functions the SDK leaves out through `client.contract`. `preflight: false`
+   * sends transactions without simulating them first.
+   */
+  constructor(address, runner, { abi = VAULT_ABI, preflight = true } = {}) {
+    const wrap = preflight && typeof runner?.sendTransaction === "function" && !(runner instanceof PreflightSigner);
+    this.address = getAddress(address);
+    this.runner = wrap ? new PreflightSigner(runner) : runner;
+    this.preflight = preflight;
+    this.contract = new Contract(this.address, abi, this.runner);
+  }
+
+  /** Same vault through another provider or signer. */
+  connect(runner) {
+    return new VaultClient(this.address, runner, { abi: this.contract.interface, preflight: this.preflight });
+  }
+
+  get provider() {
+    return this.runner.provider;
+  }
+
+  async #account() {
+    if (typeof this.runner.getAddress !== "function") throw new Error("VaultClient needs a signer to send transactions");
+    return this.runner.getAddress();
+  }
+
+  #erc20(token) {
+    return new Contract(getAddress(token), ERC20_ABI, this.runner);
+  }
+
+  /** The vault's ArcVaultShares token, looked up once. */
+  sharesContract() {
+    this.#shares ??= this.contract.shares().then((address) => new Contract(address, SHARES_ABI, this.runner));
+    return this.#shares;
+  }
+
+  /* ─── Reads ────────────────────────────────────────── */
+
+  /** False when nothing is deployed at the address on the runner's chain. */
+  async isDeployed() {
+    return (await this.provider.getCode(this.address)) !== "0x";
+  }
+
+  usdc() {
+    return this.contract.usdc();
+  }
+
+  /** Owner, pending owner, guardian and pause state. */
+  async roles() {
+    const v = this.contract;
+    const [owner, pendingOwner, guardian, paused] = await Promise.all([v.owner(), v.pendingOwner(), v.guardian(), v.paused()]);
+    return { owner, pendingOwner, guardian, paused };
+  }
+
+  /**
+   * Every token the vault has ever listed, including delisted ones: balances
+   * in a delisted token can still be withdrawn and moved, only deposits stop.
+   */
+  async listTokens() {
+    const addresses = await this.contract.listedTokens();
+    return Promise.all(addresses.map(async (address) => {
+      const [meta, info] = await Promise.all([loadTokenMeta(address, this.runner), this.contract.tokens(address)]);
+      return { ...meta, allowed: info.allowed };
+    }));
+  }
+
+  /** Allowlist entry: { listed, allowed, decimals }. */
+  async tokenInfo(token) {
+    const { listed, allowed, decimals } = await this.contract.tokens(token);
+    return { listed, allowed, decimals: Number(decimals) };
+  }
+
+  /** `account`'s ledger balance in `token`. */
+  balanceOf(token, account) {
+    return this.contract.balanceOf(token, account);
+  }
+
+  totalLiabilities(token) {
+    return this.contract.totalLiabilities(token);
+  }
+
+  totalVaultBalance(token) {
+    return this.contract.totalVaultBalance(token);
+  }
+
+  /** How much of `token` the vault may still pull from `owner`'s wallet. */
+  depositAllowance(token, owner) {
+    return this.#erc20(token).allowance(owner, this.address);
+  }
+
+  /** Ledger allowance `account` has granted `spender` in `token`. */
+  allowance(token, account, spender) {
+    return this.contract.allowance(token, account, spender);
+  }
+
+  spendersOf(account) {
+    return this.contract.spendersOf(account);
+  }
+
+  /**
+   * `account`'s safety rules in `token`: { rules, pending, pendingAt,
+   * availableToday }, where rules and pending are { dailyLimit,
+   * lockThreshold, delay } (zero = off) and pendingAt is 0 with nothing
+   * pending. availableToday is MaxUint256 without a daily limit.
+   */
+  async safetyRules(token, account) {
+    const [rules, pending, pendingAt, availableToday] = await this.contract.safetyRules(token, account);
+    const plain = (r) => ({ dailyLimit: r.dailyLimit, lockThreshold: r.lockThreshold, delay: Number(r.delay) });
+    return { rules: plain(rules), pending: plain(pending), pendingAt: Number(pendingAt), availableToday };
+  }
+
+  /**
+   * `account`'s outflows still waiting in the time-lock queue, oldest first,
+   * as { id, account, token, to, amount, isTransfer, ref, unlockAt }. `amount`
+   * is what is left after partial executions; a transfer with a nonzero `ref`
+   * is an invoice payment, and tokens sent to anyone but `account` a payout.
+   */
+  async queuedWithdrawals(account) {
+    const ids = await this.contract.queuedWithdrawalsOf(account);
+    const entries = await Promise.all(ids.map(async (id) => ({ id, q: await this.contract.queuedWithdrawals(id) })));
+    return entries
+      .filter(({ q }) => q.account !== ZeroAddress)
+      .map(({ id, q }) => ({
+        id, account: q.account, token: q.token, to: q.to, amount: q.amount, isTransfer: q.isTransfer, ref: q.ref, unlockAt: Number(q.unlockAt),
+      }));
+  }
+
+  /**
+   * Streams `account` sends and receives, newest first, as { outgoing,
+   * incoming } lists of { id, sender, recipient, token, ratePerSecond,
+   * startTime, stopTime, withdrawn, cancelled } with times in seconds.
+   */
+  async streamsOf(account) {
+    const v = this.contract;
+    const load = async (ids) => Promise.all([...ids].reverse().map(async (id) => {
+      const s = await v.streams(id);
+      return {
+        id, sender: s.sender, recipient: s.recipient, token: s.token, ratePerSecond: s.ratePerSecond,
+        startTime: Number(s.startTime), stopTime: Number(s.stopTime), withdrawn: s.withdrawn, cancelled: s.cancelled,
+      };
+    }));
+    const [outIds, inIds] = await Promise.all([v.outgoingStreams(account), v.incomingStreams(account)]);
+    const [outgoing, incoming] = await Promise.all([load(outIds), load(inIds)]);
+    return { outgoing, incoming };
+  }
+
+  /**
+   * Escrows `account` is payer, payee or arbiter of, newest first, as
+   * { id, payer, payee, arbiter, token, amount, deadline, status } with
+   * status one of ESCROW_STATUS.
+   */
+  async escrowsOf(account) {
+    const ids = [...(await this.contract.escrowsOf(account))].reverse();
+    return Promise.all(ids.map(async (id) => {
+      const e = await this.contract.escrows(id);
+      return {
+        id, payer: e.payer, payee: e.payee, arbiter: e.arbiter, token: e.token,
+        amount: e.amount, deadline: Number(e.deadline), status: ESCROW_STATUS[Number(e.status)],
+      };
+    }));
+  }
+
+  /** The vault's holdings of `token` above what it owes; what `recoverERC20` may send. */
+  surplusOf(token) {
+    return this.contract.surplusOf(token);
+  }
+
+  /** ERC-4626 share balance, what it redeems for in USDC, and the share symbol. */
+  async shares(account) {
+    const shares = await this.sharesContract();
+    const balance = await shares.balanceOf(account);
+    const [assets, symbol] = await Promise.all([shares.convertToAssets(balance), shares.symbol()]);
+    return { balance, assets, symbol };
+  }
+
+  /* ─── Writes ───────────────────────────────────────── */
+
+  /** ERC20 approval letting the vault pull `amount` of `token` on deposit. */
+  approveDeposit(token, amount) {
+    return this.#erc20(token).approve(this.address, amount);
+  }
+
+  deposit(token, amount) {
+    return this.contract.deposit(token, amount);
+  }
+
+  /** `permit` is { deadline, v, r, s } signed for this vault as spender. */
+  depositWithPermit(token, amount, { deadline, v, r, s }) {
+    return this.contract.depositWithPermit(token, amount, deadline, v, r, s);
+  }
+
+  withdraw(token, amount) {
+    return this.contract.withdraw(token, amount);
+  }
+
+  transfer(token, to, amount) {
+    return this.contract.transfer(token, to, amount);
+  }
+
+  /** `ref` is the invoice reference as bytes32. */
+  payInvoice(token, to, amount, ref) {
+    return this.contract.payInvoice(token, to, amount, ref);
+  }
+
+  payOut(token, to, amount) {
+    return this.contract.payOut(token, to, amount);
+  }
+
+  batchTransfer(token, recipients, amounts) {
+    return this.contract.batchTransfer(token, recipients, amounts);
+  }
+
+  batchPayOut(token, recipients, amounts) {
+    return this.contract.batchPayOut(token, recipients, amounts);
+  }
+
+  approve(token, spender, amount) {
+    return this.contract.approve(token, spender, amount);
+  }
+
+  transferFrom(token, from, to, amount) {
+    return this.contract.transferFrom(token, from, to, amount);
+  }
+
+  /** ERC20 approval letting the share token pull `amount` of USDC on a share deposit. */
+  async approveShares(amount) {
+    const shares = await this.sharesContract();
+    return this.#erc20(await this.usdc()).approve(await shares.getAddress(), amount);
+  }
+
+  /** Deposit USDC from the wallet for avUSDC shares; `receiver` defaults to the signer. */
+  async depositShares(assets, receiver) {
+    const shares = await this.sharesContract();
+    return shares.deposit(assets, receiver ?? (await this.#account()));
+  }
+
+  /** Burn shares for USDC; `receiver` and `owner` default to the signer. */
+  async redeemShares(amount, receiver, owner) {
+    const account = receiver && owner ? null : await this.#account();
+    return (await this.sharesContract()).redeem(amount, receiver ?? account, owner ?? account);
+  }
+
+  /** Turn `amount` of the signer's USDC ledger balance into shares. */
+  moveToShares(amount) {
+    return this.contract.moveToShares(amount);
+  }
+
+  /** Redeem `amount` of the signer's shares into their USDC ledger balance. */
+  moveFromShares(amount) {
+    return this.contract.moveFromShares(amount);
+  }
+
+  /** Stream `ratePerSecond` of `token` to `recipient` from `startTime` (0 = now) to `stopTime`. */
+  createStream(token, recipient, ratePerSecond, startTime, stopTime) {
+    return this.contract.createStream(token, recipient, ratePerSecond, startTime, stopTime);
+  }
+
+  withdrawFromStream(id) {
+    return this.contract.withdrawFromStream(id);
+  }
+
+  cancelStream(id) {
+    return this.contract.cancelStream(id);
+  }
+
+  /** Lock `amount` of `token` for `payee`; `arbiter` may be ZeroAddress. */
+  createEscrow(token, payee, arbiter, amount, deadline) {
+    return this.contract.createEscrow(token, payee, arbiter, amount, deadline);
+  }
+
+  releaseEscrow(id) {
+    return this.contract.releaseEscrow(id);
+  }
+
+  refundEscrow(id) {
+    return this.contract.refundEscrow(id);
+  }
+
+  disputeEscrow(id) {
+    return this.contract.disputeEscrow(id);
+  }
+
+  /** Arbiter only: settle a disputed escrow to the payee or back to the payer. */
+  resolveEscrow(id, releaseToPayee) {
+    return this.contract.resolveEscrow(id, releaseToPayee);
+  }
+
+  reclaimEscrow(id) {
+    return this.contract.reclaimEscrow(id);
+  }
+
+  /**
+   * Set the signer's safety rules in `token`; omitted values are off. With
+   * a limit or threshold on, `delay` must be at least MIN_SAFETY_DELAY.
+   * Stricter rules apply at once, looser ones after the current delay.
+   */
+  setSafetyRules(token, { dailyLimit = 0n, lockThreshold = 0n, delay = 0 } = {}) {
+    return this.contract.setSafetyRules(token, dailyLimit, lockThreshold, delay);
+  }
+
+  /** Carry out a queued withdrawal or transfer once unlocked; anyone may. */
+  executeWithdrawal(id) {
+    return this.contract.executeWithdrawal(id);
+  }
+
+  /** Return one of the signer's queued withdrawals to their balance; only the account may. */
+  cancelWithdrawal(id) {
+    return this.contract.cancelWithdrawal(id);
+  }
+
+  addToken(token) {
+    return this.contract.addToken(token);
+  }
+
+  removeToken(token) {
+    return this.contract.removeToken(token);
+  }
+
+  /** Owner only; `address(0)` removes the guardian. */
+  setGuardian(guardian) {
+    return this.contract.setGuardian(guardian);
+  }
+
+  /** Owner only: propose `newOwner`, who takes over with acceptOwnership. */
+  transferOwnership(newOwner) {
+    return this.contract.transferOwnership(newOwner);
+  }
+
+  acceptOwnership() {
+    return this.contract.acceptOwnership();
+  }
+
+  /** Owner only: send up to surplusOf(token) to `to`. */
+  recoverERC20(token, to, amount) {
+    return this.contract.recoverERC20(token, to, amount);
+  }
+
+  pause() {
+    return this.contract.pause();
+  }
+
+  unpause() {
+    return this.contract.unpause();
+  }
+
+  /* ─── Signed Orders ────────────────────────────────── */
+
+  /** EIP-712 domain of this vault, as reported by eip712Domain(). */
+  async domain() {
+    const d = await this.contract.eip712Domain();
+    return { name: d.name, version: d.version, chainId: d.chainId, verifyingContract: d.verifyingContract };
+  }
+
+  /**
+   * Sign a `kind` ("transfer" | "withdraw") order from the signer's vault
+   * balance. `fields` holds token, amount and, for transfers, to. Returns
+   * { kind, order, signature } with stringified integers, ready to post as JSON.
+   */
+  async signOrder(kind, fields, { ttl = ORDER_TTL } = {}) {
+    if (!ORDER_TYPES[kind]) throw new Error(`Unknown order kind "${kind}"`);
+    const from = await this.#account();
+    const order = {
+      ...fields,
+      from,
+      nonce: await this.contract.nonces(from),
+      deadline: Math.floor(Date.now() / 1000) + ttl,
+    };
+    const signature = await this.runner.signTypedData(await this.domain(), ORDER_TYPES[kind], order);
+    const json = Object.fromEntries(Object.entries(order).map(([k, v]) => [k, v.toString()]));
+    return { kind, order: json, signature };
+  }
+
+  /** Dry-run a signed order; rejects with the vault's revert if it would fail. */
+  async simulateOrder(signed) {
+    const { method, args } = orderCall(signed);
+    await this.contract[method].staticCall(...args);
+  }
+
+  /** Submit a signed order; whoever runs this pays the gas. */
+  executeOrder(signed) {
+    const { method, args } = orderCall(signed);
+    return this.contract[method](...args);
+  }
+
+  /** Invalidate the signer's next order nonce. */
+  cancelNonce() {
+    return this.contract.cancelNonce();
+  }
+
+  /* ─── Events ───────────────────────────────────────── */
+
+  /**
+   * A page of `account`'s activity in `token`, newest first.
+   * See fetchHistoryPage for the `toBlock`, `floorBlock` and `pages` options.
+   */
+  history(account, token, options) {
+    return fetchHistoryPage(this.contract, account, token, options);
+  }
+
+  /** Raw logs of `event`, filtered on its indexed arguments in order (null = any). */
+  queryEvents(event, args = [], fromBlock = 0, toBlock = "latest") {
+    return this.contract.queryFilter(this.contract.filters[event](...args), fromBlock, toBlock);
+  }
+}
+
+// Struct tuple in field order plus the signature.
+function orderCall({ kind, order, signature }) {
+  const spec = ORDER_KINDS[kind];
+  if (!spec) throw new Error(`Unknown order kind "${kind}"`);
+  return { method: spec.method, args: [spec.fields.map((f) => order[f]), signature] };
+}
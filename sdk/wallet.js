@@ -0,0 +1,72 @@
+import { BrowserProvider } from "ethers";
+
+/* ─── Wallet & Network ────────────────────────────────── */
+// `ethereum` is an EIP-1193 provider (one found by discoverWallets) and
+// `net` a networks.json entry: { chainId, chainName, rpcUrl, nativeCurrency, explorer }.
+
+/** wallet_addEthereumChain parameters for a registry entry. */
+export function chainParams(net) {
+  return {
+    chainId: "0x" + net.chainId.toString(16),
+    chainName: net.chainName,
+    rpcUrls: [net.rpcUrl],
+    nativeCurrency: net.nativeCurrency,
+    ...(net.explorer ? { blockExplorerUrls: [net.explorer] } : {}),
+  };
+}
+
+/**
+ * Ask the wallet to switch to `net`, adding the chain first if the wallet
+ * does not know it. Rejections and other wallet errors are rethrown.
+ */
+export async function switchWalletNetwork(ethereum, net) {
+  const params = chainParams(net);
+  try {
+    await ethereum.request({ method: "wallet_switchEthereumChain", params: [{ chainId: params.chainId }] });
+  } catch (e) {
+    if (e.code !== 4902 && e.code !== -32603) throw e;
+    await ethereum.request({ method: "wallet_addEthereumChain", params: [params] });
+  }
+}
+
+/**
+ * EIP-6963 discovery: ask every installed wallet to announce itself and
+ * collect the answers for `timeout` ms. Resolves to
+ * [{ info: { uuid, name, icon, rdns }, provider }]. When nothing announces,
+ * a legacy `window.ethereum` is offered as rdns "injected".
+ */
+export function discoverWallets({ timeout = 200, target = globalThis.window } = {}) {
+  if (!target) return Promise.resolve([]);
+  return new Promise((resolve) => {
+    const found = new Map();
+    const onAnnounce = (e) => {
+      const { info, provider } = e.detail || {};
+      if (info?.uuid && provider) found.set(info.uuid, { info, provider });
+    };
+    target.addEventListener("eip6963:announceProvider", onAnnounce);
+    target.dispatchEvent(new Event("eip6963:requestProvider"));
+    setTimeout(() => {
+      target.removeEventListener("eip6963:announceProvider", onAnnounce);
+      const wallets = [...found.values()];
+      if (!wallets.length && target.ethereum) {
+        wallets.push({ info: { uuid: "injected", name: "Browser wallet", icon: "", rdns: "injected" }, provider: target.ethereum });
+      }
+      resolve(wallets);
+    }, timeout);
+  });
+}
+
+/**
+ * Connect to the wallet's current account. `silent` only reads accounts the
+ * site is already authorised for (no popup) and resolves to null when there
+ * are none. Resolves to { provider, signer, account, chainId }.
+ */
+export async function connectWallet(ethereum, { silent = false } = {}) {
+  if (!ethereum) throw new Error("No wallet found. Install a browser wallet to continue.");
+  const provider = new BrowserProvider(ethereum);
+  const accounts = await provider.send(silent ? "eth_accounts" : "eth_requestAccounts", []);
+  if (!accounts.length) return null;
+  const signer = await provider.getSigner();
+  const { chainId } = await provider.getNetwork();
+  return { provider, signer, account: await signer.getAddress(), chainId: Number(chainId) };
+}
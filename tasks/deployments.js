@@ -0,0 +1,38 @@
+const fs = require("fs");
+const path = require("path");
+
+// Deployment records written by scripts/deploy.js: deployments/<network>.json
+// lists every vault deployed on that network, oldest first, and the
+// ArcVaultFactory they came from under `factory`. The deploy script, the
+// relayer and the tasks all read them through here.
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+function recordPath(network) {
+  return path.join(DEPLOYMENTS_DIR, `${network}.json`);
+}
+
+function readRecords(network) {
+  const file = recordPath(network);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+}
+
+/** Apply `change` to the network's records (created if missing) and write them back. */
+function updateRecords(network, chainId, change) {
+  const records = readRecords(network) || { network, chainId, deployments: [] };
+  change(records);
+  fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+  fs.writeFileSync(recordPath(network), JSON.stringify(records, null, 2) + "\n");
+}
+
+/**
+ * The record for vault `address` on `network`, or the latest one when no
+ * address is given. Null when nothing matches.
+ */
+function vaultRecord(network, address) {
+  const deployments = readRecords(network)?.deployments || [];
+  if (!address) return deployments.at(-1) || null;
+  return deployments.findLast((d) => d.address.toLowerCase() === address.toLowerCase()) || null;
+}
+
+module.exports = { DEPLOYMENTS_DIR, readRecords, updateRecords, vaultRecord };
@@ -0,0 +1,32 @@
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const { vaultRecord } = require("./deployments");
+
+// npx hardhat reconcile --network <name> [--vault 0x…] [--from-block N] [--to-block N] [--out report.json]
+//
+// Replays the vault's ledger events from its deployment block, rebuilds every
+// account's balance and checks it, the liability totals and the vault's token
+// holdings against the chain (sdk/reconcile.js). Prints the report as JSON
+// and exits with code 1 when anything disagrees, so it can run on a schedule.
+
+task("reconcile", "Check the vault's ledger against its events and token holdings")
+  .addOptionalParam("vault", "Vault address (default: the latest in deployments/<network>.json)")
+  .addOptionalParam("fromBlock", "First block to replay (default: the vault's deployment block)", undefined, types.int)
+  .addOptionalParam("toBlock", "Block to reconcile at (default: the latest)", undefined, types.int)
+  .addOptionalParam("out", "Also write the report to this file")
+  .setAction(async ({ vault, fromBlock, toBlock, out }, hre) => {
+    const name = hre.network.name;
+    const record = vaultRecord(name, vault);
+    const address = vault || record?.address;
+    if (!address) throw new Error(`No vault for ${name}: deploy first or pass --vault`);
+    const start = fromBlock ?? record?.blockNumber;
+    if (start === undefined) throw new Error(`No deployment record for ${address} on ${name}: pass --from-block`);
+
+    const { reconcile } = await import("../sdk/index.js");
+    const report = await reconcile(hre.ethers.provider, address, { fromBlock: start, toBlock });
+    const json = JSON.stringify(report, null, 2);
+    console.log(json);
+    if (out) fs.writeFileSync(out, json + "\n");
+    if (!report.ok) process.exitCode = 1;
+    return report;
+  });
@@ -0,0 +1,275 @@
+const { scope, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { vaultRecord } = require("./deployments");
+
+// Operator CLI: the vault's everyday calls as Hardhat tasks, for scripts and
+// incident response.
+//
+//   npx hardhat vault deposit   --network <name> --amount 10.5
+//   npx hardhat vault withdraw  --network <name> --amount 2
+//   npx hardhat vault transfer  --network <name> --to 0x… --amount 1.25
+//   npx hardhat vault execute   --network <name> --id 3
+//   npx hardhat vault cancel    --network <name> --id 3
+//   npx hardhat vault balance   --network <name> [--account 0x…]
+//   npx hardhat vault allowance --network <name> [--owner 0x…] [--spender 0x…]
+//   npx hardhat vault total     --network <name>
+//
+// Amounts are in whole tokens ("10.5" USDC) and scaled by the token's
+// decimals. Every task takes --vault (default: the latest vault in
+// deployments/<network>.json) and --token (default: the vault's USDC);
+// writes take --from to pick one of the network's accounts (default: the
+// first), and reads work without a key when given --account / --owner.
+// Writes are simulated first, so a revert is reported as the vault's custom
+// error in words and nothing is sent.
+
+const PLUGIN = "vault";
+
+const vault = scope(PLUGIN, "Operate an ArcVault deployment");
+
+function fail(message) {
+  return new HardhatPluginError(PLUGIN, message);
+}
+
+/* ─── Setup ───────────────────────────────────────────── */
+
+async function pickSigner(hre, from) {
+  const signers = await hre.ethers.getSigners();
+  if (!from) return signers[0] || null;
+  const signer = signers.find((s) => s.address.toLowerCase() === from.toLowerCase());
+  if (!signer) throw fail(`${from} is not one of the accounts configured for ${hre.network.name}`);
+  return signer;
+}
+
+// The vault client, the signer (null when the network has no account) and
+// the token as { address, symbol, decimals }.
+async function open(hre, { vault, token, from }) {
+  const name = hre.network.name;
+  const vaultAddress = vault ? toAddress(hre, vault, "vault") : vaultRecord(name)?.address;
+  if (!vaultAddress) throw fail(`No vault for ${name}: deploy first or pass --vault`);
+
+  const sdk = await import("../sdk/index.js");
+  const signer = await pickSigner(hre, from);
+  const client = new sdk.VaultClient(vaultAddress, signer || hre.ethers.provider);
+  if (!(await client.isDeployed())) throw fail(`No code at ${vaultAddress} on ${name}`);
+  const meta = await sdk.loadTokenMeta(token ? toAddress(hre, token, "token") : await client.usdc(), hre.ethers.provider);
+  return { sdk, client, signer, meta };
+}
+
+// Writes need a signer; reads default to its address.
+function caller({ signer }, hre, flag) {
+  if (!signer) throw fail(`No account configured for ${hre.network.name}: set PRIVATE_KEY${flag ? ` or pass --${flag}` : ""}`);
+  return signer.address;
+}
+
+function toAddress(hre, value, flag) {
+  if (!hre.ethers.isAddress(value)) throw fail(`--${flag} ${value} is not an address`);
+  return hre.ethers.getAddress(value);
+}
+
+/** Whole-token amount ("10.5") in the token's smallest unit. */
+function toUnits(hre, amount, { symbol, decimals }) {
+  const text = String(amount).trim();
+  if (!/^\d+(\.\d+)?$/.test(text)) throw fail(`--amount ${amount} is not a positive number of ${symbol}`);
+  const [, fraction = ""] = text.split(".");
+  if (fraction.length > decimals) throw fail(`${symbol} has ${decimals} decimals; --amount ${amount} has more`);
+  const units = hre.ethers.parseUnits(text, decimals);
+  if (units === 0n) throw fail("--amount must be greater than zero");
+  return units;
+}
+
+function format(hre, units, { symbol, decimals }) {
+  return `${hre.ethers.formatUnits(units, decimals)} ${symbol}`;
+}
+
+// Send one write and wait for it, or fail with the decoded revert.
+async function send(label, write, { sdk, meta }) {
+  try {
+    const tx = await write();
+    console.log(`⏳ ${label}: ${tx.hash}`);
+    return await tx.wait();
+  } catch (e) {
+    const decoded = sdk.decodeVaultError(e);
+    const reason = sdk.errorMessage(e, meta);
+    throw fail(`${label} failed: ${reason}${decoded ? ` (${decoded.name})` : ""}`);
+  }
+}
+
+// The first vault event called `name` in a receipt, parsed, or null.
+function eventIn(receipt, client, name) {
+  for (const log of receipt.logs) {
+    if (log.address !== client.address) continue;
+    const parsed = client.contract.interface.parseLog(log);
+    if (parsed?.name === name) return parsed;
+  }
+  return null;
+}
+
+// Withdrawals and transfers above the account's lock threshold are queued
+// instead of carried out; returns { id, unlockAt } for those.
+function queuedIn(receipt, client) {
+  const parsed = eventIn(receipt, client, "WithdrawalQueued");
+  return parsed && { id: parsed.args.withdrawalId, unlockAt: Number(parsed.args.unlockAt) };
+}
+
+function reportQueued({ id, unlockAt }) {
+  console.log(`⏸️  Above the account's lock threshold: queued as #${id}, executable from ${new Date(unlockAt * 1000).toISOString()}`);
+  console.log(`   Run \`vault execute --id ${id}\` then, or \`vault cancel --id ${id}\` to keep the funds in the vault.`);
+}
+
+/* ─── Writes ──────────────────────────────────────────── */
+
+vault.task("deposit", "Approve the vault if needed, then deposit into the caller's balance")
+  .addParam("amount", "Amount in whole tokens, e.g. 10.5")
+  .addOptionalParam("token", "Token address (default: the vault's USDC)")
+  .addOptionalParam("vault", "Vault address (default: the latest in deployments/<network>.json)")
+  .addOptionalParam("from", "Account to send from (default: the first configured)")
+  .setAction(async (args, hre) => {
+    const ctx = await open(hre, args);
+    const { client, meta } = ctx;
+    const from = caller(ctx, hre);
+    const amount = toUnits(hre, args.amount, meta);
+
+    if ((await client.depositAllowance(meta.address, from)) < amount) {
+      await send(`Approve ${format(hre, amount, meta)}`, () => client.approveDeposit(meta.address, amount), ctx);
+    }
+    const receipt = await send(`Deposit ${format(hre, amount, meta)}`, () => client.deposit(meta.address, amount), ctx);
+    const balance = await client.balanceOf(meta.address, from);
+    console.log(`✅ Deposited ${format(hre, amount, meta)} for ${from}; vault balance ${format(hre, balance, meta)}`);
+    return { txHash: receipt.hash, amount, balance };
+  });
+
+vault.task("withdraw", "Withdraw from the caller's vault balance to their wallet")
+  .addParam("amount", "Amount in whole tokens, e.g. 10.5")
+  .addOptionalParam("token", "Token address (default: the vault's USDC)")
+  .addOptionalParam("vault", "Vault address (default: the latest in deployments/<network>.json)")
+  .addOptionalParam("from", "Account to send from (default: the first configured)")
+  .setAction(async (args, hre) => {
+    const ctx = await open(hre, args);
+    const { client, meta } = ctx;
+    const from = caller(ctx, hre);
+    const amount = toUnits(hre, args.amount, meta);
+
+    const receipt = await send(`Withdraw ${format(hre, amount, meta)}`, () => client.withdraw(meta.address, amount), ctx);
+    const balance = await client.balanceOf(meta.address, from);
+    const queued = queuedIn(receipt, client);
+    if (queued) reportQueued(queued);
+    else console.log(`✅ Withdrew ${format(hre, amount, meta)} to ${from}; vault balance ${format(hre, balance, meta)}`);
+    return { txHash: receipt.hash, amount, balance, queued };
+  });
+
+vault.task("transfer", "Move vault balance to another account inside the vault")
+  .addParam("to", "Recipient address")
+  .addParam("amount", "Amount in whole tokens, e.g. 10.5")
+  .addOptionalParam("token", "Token address (default: the vault's USDC)")
+  .addOptionalParam("vault", "Vault address (default: the latest in deployments/<network>.json)")
+  .addOptionalParam("from", "Account to send from (default: the first configured)")
+  .setAction(async (args, hre) => {
+    const ctx = await open(hre, args);
+    const { client, meta } = ctx;
+    const from = caller(ctx, hre);
+    const to = toAddress(hre, args.to, "to");
+    const amount = toUnits(hre, args.amount, meta);
+
+    const receipt = await send(`Transfer ${format(hre, amount, meta)} to ${to}`, () => client.transfer(meta.address, to, amount), ctx);
+    const balance = await client.balanceOf(meta.address, from);
+    const queued = queuedIn(receipt, client);
+    if (queued) reportQueued(queued);
+    else console.log(`✅ Transferred ${format(hre, amount, meta)} to ${to}; vault balance ${format(hre, balance, meta)}`);
+    return { txHash: receipt.hash, amount, balance, queued };
+  });
+
+vault.task("execute", "Carry out a queued withdrawal or transfer whose delay has passed")
+  .addParam("id", "Queued withdrawal id", undefined, types.int)
+  .addOptionalParam("vault", "Vault address (default: the latest in deployments/<network>.json)")
+  .addOptionalParam("from", "Account to send from (default: the first configured)")
+  .setAction(async (args, hre) => {
+    const ctx = await open(hre, args);
+    const { sdk, client } = ctx;
+    caller(ctx, hre);
+    const receipt = await send(`Execute #${args.id}`, () => client.executeWithdrawal(args.id), ctx);
+    // Only what the account's daily limit has room for goes out; the rest stays queued.
+    const { amount } = eventIn(receipt, client, "WithdrawalExecuted").args;
+    const left = await client.contract.queuedWithdrawals(args.id);
+    if (left.amount) {
+      const meta = await sdk.loadTokenMeta(left.token, hre.ethers.provider);
+      console.log(`✅ Released ${format(hre, amount, meta)} of queued withdrawal #${args.id}; ${format(hre, left.amount, meta)} waits for room in the daily limit`);
+    } else {
+      console.log(`✅ Executed queued withdrawal #${args.id}`);
+    }
+    return { txHash: receipt.hash, amount, remaining: left.amount };
+  });
+
+vault.task("cancel", "Return one of your queued withdrawals or transfers to your balance")
+  .addParam("id", "Queued withdrawal id", undefined, types.int)
+  .addOptionalParam("vault", "Vault address (default: the latest in deployments/<network>.json)")
+  .addOptionalParam("from", "Account to send from (default: the first configured)")
+  .setAction(async (args, hre) => {
+    const ctx = await open(hre, args);
+    caller(ctx, hre);
+    const receipt = await send(`Cancel #${args.id}`, () => ctx.client.cancelWithdrawal(args.id), ctx);
+    console.log(`✅ Cancelled queued withdrawal #${args.id}; the amount is back in the account's vault balance`);
+    return { txHash: receipt.hash };
+  });
+
+/* ─── Reads ───────────────────────────────────────────── */
+
+vault.task("balance", "Show an account's wallet and vault balances")
+  .addOptionalParam("account", "Account to inspect (default: the first configured)")
+  .addOptionalParam("token", "Token address (default: every listed token)")
+  .addOptionalParam("vault", "Vault address (default: the latest in deployments/<network>.json)")
+  .setAction(async (args, hre) => {
+    const ctx = await open(hre, args);
+    const { sdk, client, meta } = ctx;
+    const account = args.account ? toAddress(hre, args.account, "account") : caller(ctx, hre, "account");
+    const tokens = args.token ? [meta] : await client.listTokens();
+
+    console.log(`Balances of ${account} in vault ${client.address}`);
+    const rows = [];
+    for (const t of tokens) {
+      const [wallet, vaultBalance] = await Promise.all([
+        new hre.ethers.Contract(t.address, sdk.ERC20_ABI, hre.ethers.provider).balanceOf(account),
+        client.balanceOf(t.address, account),
+      ]);
+      console.log(`  ${t.symbol.padEnd(6)} wallet ${format(hre, wallet, t)}, vault ${format(hre, vaultBalance, t)}`);
+      rows.push({ token: t.address, symbol: t.symbol, wallet, vault: vaultBalance });
+    }
+    return rows;
+  });
+
+vault.task("allowance", "Show the vault's deposit approval and, with --spender, a ledger allowance")
+  .addOptionalParam("owner", "Account that granted the allowances (default: the first configured)")
+  .addOptionalParam("spender", "Spender to check the vault-ledger allowance for")
+  .addOptionalParam("token", "Token address (default: the vault's USDC)")
+  .addOptionalParam("vault", "Vault address (default: the latest in deployments/<network>.json)")
+  .setAction(async (args, hre) => {
+    const ctx = await open(hre, args);
+    const { client, meta } = ctx;
+    const owner = args.owner ? toAddress(hre, args.owner, "owner") : caller(ctx, hre, "owner");
+
+    const deposit = await client.depositAllowance(meta.address, owner);
+    console.log(`Deposit approval ${owner} → vault: ${deposit === hre.ethers.MaxUint256 ? "unlimited" : format(hre, deposit, meta)}`);
+    if (!args.spender) return { deposit };
+
+    const spender = toAddress(hre, args.spender, "spender");
+    const ledger = await client.allowance(meta.address, owner, spender);
+    console.log(`Ledger allowance ${owner} → ${spender}: ${ledger === hre.ethers.MaxUint256 ? "unlimited" : format(hre, ledger, meta)}`);
+    return { deposit, ledger };
+  });
+
+vault.task("total", "Show the vault's holdings, what it owes and the surplus, per token")
+  .addOptionalParam("token", "Token address (default: every listed token)")
+  .addOptionalParam("vault", "Vault address (default: the latest in deployments/<network>.json)")
+  .setAction(async (args, hre) => {
+    const { client, meta } = await open(hre, args);
+    const tokens = args.token ? [meta] : await client.listTokens();
+
+    console.log(`Vault ${client.address}`);
+    const rows = [];
+    for (const t of tokens) {
+      const [holdings, liabilities] = await Promise.all([client.totalVaultBalance(t.address), client.totalLiabilities(t.address)]);
+      const surplus = holdings > liabilities ? holdings - liabilities : 0n;
+      console.log(`  ${t.symbol.padEnd(6)} totalVaultBalance ${format(hre, holdings, t)}, owed ${format(hre, liabilities, t)}, surplus ${format(hre, surplus, t)}`);
+      rows.push({ token: t.address, symbol: t.symbol, totalVaultBalance: holdings, totalLiabilities: liabilities, surplus });
+    }
+    return rows;
+  });
@@ -0,0 +1,1235 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+
+const usdc = (n) => ethers.parseUnits(String(n), 6);
+
+describe("ArcVault", function () {
+  async function deployFixture() {
+    const [alice, bob, carol, dave] = await ethers.getSigners();
+
+    const token = await (await ethers.getContractFactory("MockUSDC")).deploy();
+    const vault = await (await ethers.getContractFactory("ArcVault")).deploy(await token.getAddress(), alice.address);
+    const vaultAddress = await vault.getAddress();
+    const shares = await ethers.getContractAt("ArcVaultShares", await vault.shares());
+
+    for (const user of [alice, bob, carol]) {
+      await token.mint(user.address, usdc(1000));
+      await token.connect(user).approve(vaultAddress, ethers.MaxUint256);
+      await token.connect(user).approve(shares, ethers.MaxUint256);
+    }
+
+    // dave holds USDC but has never approved the vault
+    await token.mint(dave.address, usdc(1000));
+
+    return { vault, shares, token, alice, bob, carol, dave, users: [alice, bob, carol, dave] };
+  }
+
+  async function signPermit(token, owner, spender, value, deadline) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = {
+      name: await token.name(),
+      version: "1",
+      chainId,
+      verifyingContract: await token.getAddress(),
+    };
+    const types = {
+      Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+      ],
+    };
+    const message = { owner: owner.address, spender, value, nonce: await token.nonces(owner.address), deadline };
+    return ethers.Signature.from(await owner.signTypedData(domain, types, message));
+  }
+
+  async function deadlineIn(seconds) {
+    return (await ethers.provider.getBlock("latest")).timestamp + seconds;
+  }
+
+  const ORDER_TYPES = {
+    TransferOrder: [
+      { name: "token", type: "address" },
+      { name: "from", type: "address" },
+      { name: "to", type: "address" },
+      { name: "amount", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+    WithdrawOrder: [
+      { name: "token", type: "address" },
+      { name: "from", type: "address" },
+      { name: "amount", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+  };
+
+  async function signOrder(vault, signer, kind, order) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = { name: "ArcVault", version: "1", chainId, verifyingContract: await vault.getAddress() };
+    return signer.signTypedData(domain, { [kind]: ORDER_TYPES[kind] }, order);
+  }
+
+  async function expectSolvent(vault, token, users) {
+    let liabilities = 0n;
+    for (const user of users) liabilities += await vault.balanceOf(token, user.address);
+    const owed = await vault.totalLiabilities(token);
+    expect(owed).to.be.gte(liabilities);
+    expect(await vault.totalVaultBalance(token)).to.be.gte(owed);
+    return liabilities;
+  }
+
+  describe("depositWithPermit", function () {
+    it("deposits in one transaction without a prior approve", async function () {
+      const { vault, token, dave } = await loadFixture(deployFixture);
+      const deadline = await deadlineIn(3600);
+      const sig = await signPermit(token, dave, await vault.getAddress(), usdc(200), deadline);
+
+      await expect(vault.connect(dave).depositWithPermit(token, usdc(200), deadline, sig.v, sig.r, sig.s))
+        .to.emit(vault, "Deposited")
+        .withArgs(dave.address, token, usdc(200), anyValue);
+
+      expect(await vault.balanceOf(token, dave.address)).to.equal(usdc(200));
+      expect(await token.balanceOf(dave.address)).to.equal(usdc(800));
+      expect(await token.allowance(dave.address, await vault.getAddress())).to.equal(0);
+    });
+
+    it("still deposits when the permit was front-run", async function () {
+      const { vault, token, bob, dave } = await loadFixture(deployFixture);
+      const vaultAddress = await vault.getAddress();
+      const deadline = await deadlineIn(3600);
+      const sig = await signPermit(token, dave, vaultAddress, usdc(50), deadline);
+
+      await token.connect(bob).permit(dave.address, vaultAddress, usdc(50), deadline, sig.v, sig.r, sig.s);
+      await vault.connect(dave).depositWithPermit(token, usdc(50), deadline, sig.v, sig.r, sig.s);
+
+      expect(await vault.balanceOf(token, dave.address)).to.equal(usdc(50));
+    });
+
+    it("reverts when the permit has expired and there is no allowance", async function () {
+      const { vault, token, dave } = await loadFixture(deployFixture);
+      const deadline = await deadlineIn(-1);
+      const sig = await signPermit(token, dave, await vault.getAddress(), usdc(10), deadline);
+
+      await expect(vault.connect(dave).depositWithPermit(token, usdc(10), deadline, sig.v, sig.r, sig.s))
+        .to.be.revertedWithCustomError(token, "ERC20InsufficientAllowance");
+    });
+
+    it("reverts on zero amount", async function () {
+      const { vault, token, dave } = await loadFixture(deployFixture);
+      const deadline = await deadlineIn(3600);
+      const sig = await signPermit(token, dave, await vault.getAddress(), 0n, deadline);
+
+      await expect(vault.connect(dave).depositWithPermit(token, 0, deadline, sig.v, sig.r, sig.s))
+        .to.be.revertedWithCustomError(vault, "ZeroAmount");
+    });
+  });
+
+  describe("transfer", function () {
+    it("moves ledger balance without sending tokens", async function () {
+      const { vault, token, alice, bob } = await loadFixture(deployFixture);
+      await vault.connect(alice).deposit(token, usdc(100));
+
+      await expect(vault.connect(alice).transfer(token, bob.address, usdc(40)))
+        .to.emit(vault, "Transferred")
+        .withArgs(alice.address, bob.address, token, usdc(40), anyValue);
+
+      expect(await vault.balanceOf(token, alice.address)).to.equal(usdc(60));
+      expect(await vault.balanceOf(token, bob.address)).to.equal(usdc(40));
+      expect(await token.balanceOf(bob.address)).to.equal(usdc(1000));
+      expect(await vault.totalVaultBalance(token)).to.equal(usdc(100));
+    });
+
+    it("lets the recipient withdraw what they were sent", async function () {
+      const { vault, token, alice, bob } = await loadFixture(deployFixture);
+      await vault.connect(alice).deposit(token, usdc(100));
+      await vault.connect(alice).transfer(token, bob.address, usdc(100));
+
+      await vault.connect(bob).withdraw(token, usdc(100));
+      expect(await token.balanceOf(bob.address)).to.equal(usdc(1100));
+      expect(await vault.totalVaultBalance(token)).to.equal(0);
+    });
+
+    it("reverts on insufficient balance", async function () {
+      const { vault, token, alice, bob } = await loadFixture(deployFixture);
+      await vault.connect(alice).deposit(token, usdc(10));
+
+      await expect(vault.connect(alice).transfer(token, bob.address, usdc(11)))
+        .to.be.revertedWithCustomError(vault, "InsufficientBalance")
+        .withArgs(usdc(11), usdc(10));
+    });
+  });
+
+  describe("payInvoice", function () {
+    it("transfers and records the invoice reference", async function () {
+      const { vault, token, alice, bob } = await loadFixture(deployFixture);
+      await vault.connect(alice).deposit(token, usdc(100));
+      const ref = ethers.encodeBytes32String("INV-2026-0042");
+
+      const tx = vault.connect(alice).payInvoice(token, bob.address, usdc(42), ref);
+      await expect(tx).to.emit(vault, "InvoicePaid").withArgs(ref, alice.address, bob.address, token, usdc(42), anyValue);
+      await expect(tx).to.emit(vault, "Transferred").withArgs(alice.address, bob.address, token, usdc(42), anyValue);
+
+      expect(await vault.balanceOf(token, bob.address)).to.equal(usdc(42));
+      const logs = await vault.queryFilter(vault.filters.InvoicePaid(ref, null, bob.address));
+      expect(logs).to.have.length(1);
+      expect(logs[0].args.amount).to.equal(usdc(42));
+    });
+
+    it("applies the same checks as transfer", async function () {
+      const { vault, token, alice, bob } = await loadFixture(deployFixture);
+      await vault.connect(alice).deposit(token, usdc(1));
+
+      await expect(vault.connect(alice).payInvoice(token, bob.address, usdc(2), ethers.ZeroHash))
+        .to.be.revertedWithCustomError(vault, "InsufficientBalance")
+        .withArgs(usdc(2), usdc(1));
+      await expect(vault.connect(alice).payInvoice(token, ethers.ZeroAddress, usdc(1), ethers.ZeroHash))
+        .to.be.revertedWithCustomError(vault, "ZeroAddress");
+    });
+  });
+
+  describe("payOut", function () {
+    it("sends tokens to the recipient without crediting their vault balance", async function () {
+      const { vault, token, alice, bob } = await loadFixture(deployFixture);
+      await vault.connect(alice).deposit(token, usdc(100));
+
+      await expect(vault.connect(alice).payOut(token, bob.address, usdc(25)))
+        .to.emit(vault, "PaidOut")
+        .withArgs(alice.address, bob.address, token, usdc(25), anyValue);
+
+      expect(await vault.balanceOf(token, alice.address)).to.equal(usdc(75));
+      expect(await vault.balanceOf(token, bob.address)).to.equal(0);
+      expect(await token.balanceOf(bob.address)).to.equal(usdc(1025));
+      expect(await vault.totalVaultBalance(token)).to.equal(usdc(75));
+    });
+
+    it("reverts on zero address, zero amount and insufficient balance", async function () {
+      const { vault, token, alice, bob } = await loadFixture(deployFixture);
+      await vault.connect(alice).deposit(token, usdc(10));
+
+      await expect(vault.connect(alice).payOut(token, ethers.ZeroAddress, usdc(1)))
+        .to.be.revertedWithCustomError(vault, "ZeroAddress");
+      await expect(vault.connect(alice).payOut(token, bob.address, 0))
+        .to.be.revertedWithCustomError(vault, "ZeroAmount");
+      await expect(vault.connect(alice).payOut(token, bob.address, usdc(11)))
+        .to.be.revertedWithCustomError(vault, "InsufficientBalance")
+        .withArgs(usdc(11), usdc(10));
+    });
+  });
+
+  describe("batchTransfer", function () {
+    it("credits every recipient and emits one event each", async function () {
+      const { vault, token, alice, bob, carol } = await loadFixture(deployFixture);
+      await vault.connect(alice).deposit(token, usdc(100));
+
+      const tx = vault.connect(alice).batchTransfer(token, [bob.address, carol.address], [usdc(30), usdc(20)]);
+      await expect(tx).to.emit(vault, "Transferred").withArgs(alice.address, bob.address, token, usdc(30), anyValue);
+      await expect(tx).to.emit(vault, "Transferred").withArgs(alice.address, carol.address, token, usdc(20), anyValue);
+
+      expect(await vault.balanceOf(token, alice.address)).to.equal(usdc(50));
+      expect(await vault.balanceOf(token, bob.address)).to.equal(usdc(30));
+      expect(await vault.balanceOf(token, carol.address)).to.equal(usdc(20));
+      expect(await token.balanceOf(bob.address)).to.equal(usdc(1000));
+    });
+
+    it("checks the total against the balance, not each row", async function () {
+      const { vault, token, alice, bob, carol } = await loadFixture(deployFixture);
+      await vault.connect(alice).deposit(token, usdc(50));
+
+      await expect(vault.connect(alice).batchTransfer(token, [bob.address, carol.address], [usdc(30), usdc(30)]))
+        .to.be.revertedWithCustomError(vault, "InsufficientBalance")
+        .withArgs(usdc(60), usdc(50));
+    });
+
+    it("rejects malformed batches", async function () {
+      const { vault, token, alice, bob } = await loadFixture(deployFixture);
+      await vault.connect(alice).deposit(token, usdc(50));
+
+      await expect(vault.connect(alice).batchTransfer(token, [bob.address], [usdc(1), usdc(2)]))
+        .to.be.revertedWithCustomError(vault, "LengthMismatch")
+        .withArgs(1, 2);
+      await expect(vault.connect(alice).batchTransfer(token, [], []))
+        .to.be.revertedWithCustomError(vault, "EmptyBatch");
+      await expect(vault.connect(alice).batchTransfer(token, [bob.address, ethers.ZeroAddress], [usdc(1), usdc(1)]))
+        .to.be.revertedWithCustomError(vault, "ZeroAddress");
+      await expect(vault.connect(alice).batchTransfer(token, [bob.address], [0]))
+        .to.be.revertedWithCustomError(vault, "ZeroAmount");
+    });
+  });
+
+  describe("batchPayOut", function () {
+    it("sends tokens to every recipient", async function () {
+      const { vault, token, alice, bob, carol } = await loadFixture(deployFixture);
+      await vault.connect(alice).deposit(token, usdc(100));
+
+      const tx = vault.connect(alice).batchPayOut(token, [bob.address, carol.address], [usdc(10), usdc(15)]);
+      await expect(tx).to.emit(vault, "PaidOut").withArgs(alice.address, bob.address, token, usdc(10), anyValue);
+      await expect(tx).to.emit(vault, "PaidOut").withArgs(alice.address, carol.address, token, usdc(15), anyValue);
+
+      expect(await vault.balanceOf(token, alice.address)).to.equal(usdc(75));
+      expect(await token.balanceOf(bob.address)).to.equal(usdc(1010));
+      expect(await token.balanceOf(carol.address)).to.equal(usdc(1015));
+      expect(await vault.totalVaultBalance(token)).to.equal(usdc(75));
+    });
+  });
+
+  describe("allowances", function () {
+    it("lets an approved spender move vault balance within the allowance", async function () {
+      const { vault, token, alice, bob, carol } = await loadFixture(deployFixture);
+      await vault.connect(alice).deposit(token, usdc(100));
+
+      await expect(vault.connect(alice).approve(token, bob.address, usdc(40)))
+        .to.emit(vault, "Approval(address,address,address,uint256,uint256)")
+        .withArgs(alice.address, bob.address, token, usdc(40), anyValue);
+      await expect(vault.connect(bob).transferFrom(token, alice.address, carol.address, usdc(25)))
+        .to.emit(vault, "Transferred")
+        .withArgs(alice.address, carol.address, token, usdc(25), anyValue);
+
+      expect(await vault.allowance(token, alice.address, bob.address)).to.equal(usdc(15));
+      expect(await vault.balanceOf(token, alice.address)).to.equal(usdc(75));
+      expect(await vault.balanceOf(token, carol.address)).to.equal(usdc(25));
+      expect(await vault.balanceOf(token, bob.address)).to.equal(0);
+      await expect(vault.connect(bob).transferFrom(token, alice.address, bob.address, usdc(16)))
+        .to.be.revertedWithCustomError(vault, "InsufficientAllowance")
+        .withArgs(usdc(16), usdc(15));
+    });
+
+    it("keeps unlimited allowances and still checks the owner's balance", async function () {
+      const { vault, token, alice, bob } = await loadFixture(deployFixture);
+      await vault.connect(alice).deposit(token, usdc(10));
+      await vault.connect(alice).approve(token, bob.address, ethers.MaxUint256);
+
+      await vault.connect(bob).transferFrom(token, alice.address, bob.address, usdc(4));
+      expect(await vault.allowance(token, alice.address, bob.address)).to.equal(ethers.MaxUint256);
+      await expect(vault.connect(bob).transferFrom(token, alice.address, bob.address, usdc(7)))
+        .to.be.revertedWithCustomError(vault, "InsufficientBalance")
+        .withArgs(usdc(7), usdc(6));
+    });
+
+    it("lists each spender once and revokes with a zero approval", async function () {
+      const { vault, token, alice, bob, carol } = await loadFixture(deployFixture);
+      await vault.connect(alice).deposit(token, usdc(10));
+      await vault.connect(alice).approve(token, bob.address, usdc(5));
+      await vault.connect(alice).approve(token, carol.address, usdc(5));
+      await vault.connect(alice).approve(token, bob.address, 0);
+
+      expect(await vault.spendersOf(alice.address)).to.deep.equal([bob.address, carol.address]);
+      expect(await vault.allowance(token, alice.address, bob.address)).to.equal(0);
+      await expect(vault.connect(bob).transferFrom(token, alice.address, bob.address, 1))
+        .to.be.revertedWithCustomError(vault, "InsufficientAllowance");
+      await expect(vault.connect(alice).approve(token, ethers.ZeroAddress, 1))
+        .to.be.revertedWithCustomError(vault, "ZeroAddress");
+    });
+
+    it("blocks transferFrom while paused but still allows revoking", async function () {
+      const { vault, token, alice, bob } = await loadFixture(deployFixture);
+      await vault.connect(alice).deposit(token, usdc(10));
+      await vault.connect(alice).approve(token, bob.address, usdc(10));
+      await vault.pause();
+
+      await expect(vault.connect(bob).transferFrom(token, alice.address, bob.address, 1))
+        .to.be.revertedWithCustomError(vault, "EnforcedPause");
+      await vault.connect(alice).approve(token, bob.address, 0);
+      expect(await vault.allowance(token, alice.address, bob.address)).to.equal(0);
+    });
+  });
+
+  describe("streams", function () {
+    // 1 USDC per second for 100 seconds, starting 10 seconds from now
+    async function streamFixture() {
+      const ctx = await deployFixture();
+      const { vault, token, alice, bob } = ctx;
+      await vault.connect(alice).deposit(token, usdc(500));
+      const start = (await time.latest()) + 10;
+      await vault.connect(alice).createStream(token, bob.address, usdc(1), start, start + 100);
+      return { ...ctx, start, id: 1n };
+    }
+
+    it("locks the full amount from the sender up front", async function () {
+      const { vault, token, alice, bob, start } = await loadFixture(streamFixture);
+
+      expect(await vault.balanceOf(token, alice.address)).to.equal(usdc(400));
+      const st = await vault.streams(1);
+      expect(st.sender).to.equal(alice.address);
+      expect(st.recipient).to.equal(bob.address);
+      expect(st.startTime).to.equal(start);
+      expect(await vault.outgoingStreams(alice.address)).to.deep.equal([1n]);
+      expect(await vault.incomingStreams(bob.address)).to.deep.equal([1n]);
+    });
+
+    it("starts now when startTime is 0", async function () {
+      const { vault, token, alice, bob } = await loadFixture(deployFixture);
+      await vault.connect(alice).deposit(token, usdc(100));
+      const now = (await time.latest()) + 1;
+      await time.setNextBlockTimestamp(now);
+
+      await expect(vault.connect(alice).createStream(token, bob.address, usdc(1), 0, now + 50))
+        .to.emit(vault, "StreamCreated")
+        .withArgs(1, alice.address, bob.address, token, usdc(1), now, now + 50);
+    });
+
+    it("rejects bad times and balances", async function () {
+      const { vault, token, alice, bob } = await loadFixture(deployFixture);
+      await vault.connect(alice).deposit(token, usdc(10));
+      const now = await time.latest();
+
+      await expect(vault.connect(alice).createStream(token, bob.address, usdc(1), now + 20, now + 20))
+        .to.be.revertedWithCustomError(vault, "InvalidStreamTime");
+      await expect(vault.connect(alice).createStream(token, bob.address, usdc(1), now - 5, now + 20))
+        .to.be.revertedWithCustomError(vault, "InvalidStreamTime");
+      await expect(vault.connect(alice).createStream(token, bob.address, usdc(1), now + 10, now + 21))
+        .to.be.revertedWithCustomError(vault, "InsufficientBalance")
+        .withArgs(usdc(11), usdc(10));
+    });
+
+    it("lets the recipient withdraw what has accrued", async function () {
+      const { vault, token, alice, bob, start, id } = await loadFixture(streamFixture);
+
+      await expect(vault.connect(bob).withdrawFromStream(id)).to.be.revertedWithCustomError(vault, "ZeroAmount");
+      await expect(vault.connect(alice).withdrawFromStream(id))
+        .to.be.revertedWithCustomError(vault, "NotStreamRecipient");
+
+      await time.setNextBlockTimestamp(start + 30);
+      await expect(vault.connect(bob).withdrawFromStream(id))
+        .to.emit(vault, "StreamWithdrawn")
+        .withArgs(id, bob.address, usdc(30), start + 30);
+      expect(await vault.balanceOf(token, bob.address)).to.equal(usdc(30));
+
+      await time.increaseTo(start + 500);
+      expect(await vault.streamWithdrawable(id)).to.equal(usdc(70));
+      await vault.connect(bob).withdrawFromStream(id);
+      expect(await vault.balanceOf(token, bob.address)).to.equal(usdc(100));
+    });
+
+    it("refunds the unstreamed part when the sender cancels", async function () {
+      const { vault, token, alice, bob, start, id } = await loadFixture(streamFixture);
+
+      await time.setNextBlockTimestamp(start + 40);
+      await vault.connect(bob).withdrawFromStream(id);
+
+      await expect(vault.connect(bob).cancelStream(id)).to.be.revertedWithCustomError(vault, "NotStreamSender");
+      await time.setNextBlockTimestamp(start + 60);
+      await expect(vault.connect(alice).cancelStream(id))
+        .to.emit(vault, "StreamCancelled")
+        .withArgs(id, alice.address, bob.address, usdc(40), usdc(20), start + 60);
+
+      expect(await vault.balanceOf(token, alice.address)).to.equal(usdc(440));
+      expect(await vault.balanceOf(token, bob.address)).to.equal(usdc(60));
+
+      await time.increaseTo(start + 500);
+      expect(await vault.streamWithdrawable(id)).to.equal(0);
+      await expect(vault.connect(alice).cancelStream(id)).to.be.revertedWithCustomError(vault, "StreamInactive");
+    });
+
+    it("refunds everything when cancelled before the start", async function () {
+      const { vault, token, alice, bob, id } = await loadFixture(streamFixture);
+
+      await vault.connect(alice).cancelStream(id);
+      expect(await vault.balanceOf(token, alice.address)).to.equal(usdc(500));
+      expect(await vault.balanceOf(token, bob.address)).to.equal(0);
+    });
+
+    it("reverts for unknown streams", async function () {
+      const { vault, token, bob } = await loadFixture(deployFixture);
+      await expect(vault.connect(bob).withdrawFromStream(7))
+        .to.be.revertedWithCustomError(vault, "StreamNotFound")
+        .withArgs(7);
+    });
+
+    it("keeps the vault solvent including locked stream funds", async function () {
+      const { vault, token, alice, bob, start, id, users } = await loadFixture(streamFixture);
+
+      await time.setNextBlockTimestamp(start + 25);
+      await vault.connect(bob).withdrawFromStream(id);
+      await vault.connect(bob).payOut(token, bob.address, usdc(25));
+      await time.setNextBlockTimestamp(start + 50);
+      await vault.connect(alice).cancelStream(id);
+      await vault.connect(bob).withdraw(token, usdc(25));
+      await vault.connect(alice).withdraw(token, usdc(450));
+
+      expect(await expectSolvent(vault, token, users)).to.equal(0);
+      expect(await vault.totalVaultBalance(token)).to.equal(0);
+    });
+  });
+
+  describe("escrow", function () {
+    const OPEN = 1n, DISPUTED = 2n, RELEASED = 3n, REFUNDED = 4n;
+
+    // alice pays bob 100 USDC, carol arbitrates, one day to deliver
+    async function escrowFixture() {
+      const ctx = await deployFixture();
+      const { vault, token, alice, bob, carol } = ctx;
+      await vault.connect(alice).deposit(token, usdc(500));
+      const deadline = (await time.latest()) + 86400;
+      await vault.connect(alice).createEscrow(token, bob.address, carol.address, usdc(100), deadline);
+      return { ...ctx, deadline, id: 1n };
+    }
+
+    it("locks the amount from the payer", async function () {
+      const { vault, token, alice, bob, carol, deadline, id } = await loadFixture(escrowFixture);
+
+      expect(await vault.balanceOf(token, alice.address)).to.equal(usdc(400));
+      const e = await vault.escrows(id);
+      expect([e.payer, e.payee, e.arbiter, e.amount, e.deadline, e.status])
+        .to.deep.equal([alice.address, bob.address, carol.address, usdc(100), BigInt(deadline), OPEN]);
+      for (const who of [alice, bob, carol]) expect(await vault.escrowsOf(who.address)).to.deep.equal([id]);
+    });
+
+    it("rejects bad parameters", async function () {
+      const { vault, token, alice, bob } = await loadFixture(deployFixture);
+      await vault.connect(alice).deposit(token, usdc(10));
+      const deadline = (await time.latest()) + 100;
+
+      await expect(vault.connect(alice).createEscrow(token, bob.address, bob.address, usdc(1), deadline))
+        .to.be.revertedWithCustomError(vault, "InvalidArbiter");
+      await expect(vault.connect(alice).createEscrow(token, bob.address, ethers.ZeroAddress, usdc(1), 1))
+        .to.be.revertedWithCustomError(vault, "InvalidDeadline");
+      await expect(vault.connect(alice).createEscrow(token, bob.address, ethers.ZeroAddress, usdc(11), deadline))
+        .to.be.revertedWithCustomError(vault, "InsufficientBalance")
+        .withArgs(usdc(11), usdc(10));
+    });
+
+    it("pays the payee when the payer releases", async function () {
+      const { vault, token, alice, bob, id } = await loadFixture(escrowFixture);
+
+      await expect(vault.connect(bob).releaseEscrow(id)).to.be.revertedWithCustomError(vault, "Unauthorized");
+      await expect(vault.connect(alice).releaseEscrow(id))
+        .to.emit(vault, "EscrowReleased")
+        .withArgs(id, bob.address, usdc(100), anyValue);
+
+      expect(await vault.balanceOf(token, bob.address)).to.equal(usdc(100));
+      expect((await vault.escrows(id)).status).to.equal(RELEASED);
+      await expect(vault.connect(alice).releaseEscrow(id)).to.be.revertedWithCustomError(vault, "EscrowClosed");
+    });
+
+    it("returns the funds when the payee refunds", async function () {
+      const { vault, token, alice, bob, id } = await loadFixture(escrowFixture);
+
+      await expect(vault.connect(alice).refundEscrow(id)).to.be.revertedWithCustomError(vault, "Unauthorized");
+      await expect(vault.connect(bob).refundEscrow(id))
+        .to.emit(vault, "EscrowRefunded")
+        .withArgs(id, alice.address, usdc(100), anyValue);
+
+      expect(await vault.balanceOf(token, alice.address)).to.equal(usdc(500));
+      expect((await vault.escrows(id)).status).to.equal(REFUNDED);
+    });
+
+    it("lets the arbiter settle a dispute either way", async function () {
+      const { vault, token, alice, bob, carol, id } = await loadFixture(escrowFixture);
+
+      await expect(vault.connect(carol).resolveEscrow(id, true))
+        .to.be.revertedWithCustomError(vault, "EscrowNotDisputed");
+      await expect(vault.connect(bob).disputeEscrow(id))
+        .to.emit(vault, "EscrowDisputed")
+        .withArgs(id, bob.address, anyValue);
+      expect((await vault.escrows(id)).status).to.equal(DISPUTED);
+
+      await expect(vault.connect(alice).resolveEscrow(id, false)).to.be.revertedWithCustomError(vault, "Unauthorized");
+      await expect(vault.connect(carol).resolveEscrow(id, false))
+        .to.emit(vault, "EscrowResolved")
+        .withArgs(id, carol.address, false, anyValue)
+        .and.to.emit(vault, "EscrowRefunded");
+      expect(await vault.balanceOf(token, alice.address)).to.equal(usdc(500));
+
+      const deadline = (await time.latest()) + 100;
+      await vault.connect(alice).createEscrow(token, bob.address, carol.address, usdc(50), deadline);
+      await vault.connect(alice).disputeEscrow(2);
+      await vault.connect(carol).resolveEscrow(2, true);
+      expect(await vault.balanceOf(token, bob.address)).to.equal(usdc(50));
+    });
+
+    it("cannot be disputed without an arbiter or after the deadline", async function () {
+      const { vault, token, alice, bob, deadline, id } = await loadFixture(escrowFixture);
+
+      await vault.connect(alice).createEscrow(token, bob.address, ethers.ZeroAddress, usdc(10), deadline);
+      await expect(vault.connect(bob).disputeEscrow(2)).to.be.revertedWithCustomError(vault, "NoArbiter");
+
+      await time.increaseTo(deadline + 1);
+      await expect(vault.connect(bob).disputeEscrow(id)).to.be.revertedWithCustomError(vault, "EscrowExpired");
+    });
+
+    it("returns expired escrows to the payer, but not disputed ones", async function () {
+      const { vault, token, alice, bob, carol, deadline, id } = await loadFixture(escrowFixture);
+
+      await vault.connect(alice).createEscrow(token, bob.address, carol.address, usdc(20), deadline);
+      await vault.connect(bob).disputeEscrow(2);
+
+      await expect(vault.connect(carol).reclaimEscrow(id)).to.be.revertedWithCustomError(vault, "EscrowNotExpired");
+      await time.increaseTo(deadline + 1);
+
+      await expect(vault.connect(carol).reclaimEscrow(id))
+        .to.emit(vault, "EscrowRefunded")
+        .withArgs(id, alice.address, usdc(100), anyValue);
+      await expect(vault.connect(alice).reclaimEscrow(2)).to.be.revertedWithCustomError(vault, "EscrowClosed");
+      expect(await vault.balanceOf(token, alice.address)).to.equal(usdc(480));
+    });
+
+    it("reverts for unknown escrows", async function () {
+      const { vault, token, alice } = await loadFixture(deployFixture);
+      await expect(vault.connect(alice).releaseEscrow(3))
+        .to.be.revertedWithCustomError(vault, "EscrowNotFound")
+        .withArgs(3);
+    });
+  });
+
+  describe("token allowlist", function () {
+    // EURC listed next to USDC; alice and bob hold and have approved both
+    async function multiTokenFixture() {
+      const ctx = await deployFixture();
+      const { vault, alice, bob } = ctx;
+      const eurc = await (await ethers.getContractFactory("MockEURC")).deploy();
+      await vault.addToken(eurc);
+      for (const user of [alice, bob]) {
+        await eurc.mint(user.address, usdc(1000));
+        await eurc.connect(user).approve(vault, ethers.MaxUint256);
+      }
+      return { ...ctx, eurc };
+    }
+
+    it("lists USDC at construction and reads decimals from the token", async function () {
+      const { vault, token, eurc } = await loadFixture(multiTokenFixture);
+
+      expect(await vault.listedTokens()).to.deep.equal([await token.getAddress(), await eurc.getAddress()]);
+      const info = await vault.tokens(eurc);
+      expect([info.listed, info.allowed, info.decimals]).to.deep.equal([true, true, 6n]);
+    });
+
+    it("keeps a separate ledger per token", async function () {
+      const { vault, token, eurc, alice, bob } = await loadFixture(multiTokenFixture);
+      await vault.connect(alice).deposit(token, usdc(100));
+
+      await expect(vault.connect(alice).deposit(eurc, usdc(80)))
+        .to.emit(vault, "Deposited")
+        .withArgs(alice.address, eurc, usdc(80), anyValue);
+      await expect(vault.connect(alice).transfer(eurc, bob.address, usdc(30)))
+        .to.emit(vault, "Transferred")
+        .withArgs(alice.address, bob.address, eurc, usdc(30), anyValue);
+
+      expect(await vault.balanceOf(token, alice.address)).to.equal(usdc(100));
+      expect(await vault.balanceOf(eurc, alice.address)).to.equal(usdc(50));
+      expect(await vault.balanceOf(eurc, bob.address)).to.equal(usdc(30));
+      await expect(vault.connect(bob).withdraw(token, usdc(1)))
+        .to.be.revertedWithCustomError(vault, "InsufficientBalance")
+        .withArgs(usdc(1), 0);
+
+      await vault.connect(bob).withdraw(eurc, usdc(30));
+      expect(await eurc.balanceOf(bob.address)).to.equal(usdc(1030));
+      expect(await vault.totalVaultBalance(eurc)).to.equal(usdc(50));
+      expect(await vault.totalVaultBalance(token)).to.equal(usdc(100));
+    });
+
+    it("streams and escrows settle in their own token", async function () {
+      const { vault, token, eurc, alice, bob } = await loadFixture(multiTokenFixture);
+      await vault.connect(alice).deposit(eurc, usdc(200));
+      const start = (await time.latest()) + 10;
+      await vault.connect(alice).createStream(eurc, bob.address, usdc(1), start, start + 50);
+      await vault.connect(alice).createEscrow(eurc, bob.address, ethers.ZeroAddress, usdc(100), start + 100);
+
+      await time.increaseTo(start + 100);
+      await vault.connect(bob).withdrawFromStream(1);
+      await vault.connect(alice).releaseEscrow(1);
+
+      expect(await vault.balanceOf(eurc, bob.address)).to.equal(usdc(150));
+      expect(await vault.balanceOf(eurc, alice.address)).to.equal(usdc(50));
+      expect(await vault.balanceOf(token, bob.address)).to.equal(0);
+    });
+
+    it("rejects deposits of unlisted or removed tokens but keeps balances withdrawable", async function () {
+      const { vault, eurc, alice } = await loadFixture(multiTokenFixture);
+      const other = await (await ethers.getContractFactory("MockEURC")).deploy();
+      await expect(vault.connect(alice).deposit(other, 1))
+        .to.be.revertedWithCustomError(vault, "TokenNotSupported")
+        .withArgs(other);
+
+      await vault.connect(alice).deposit(eurc, usdc(10));
+      await expect(vault.removeToken(eurc)).to.emit(vault, "TokenRemoved").withArgs(eurc, anyValue);
+      await expect(vault.connect(alice).deposit(eurc, usdc(1)))
+        .to.be.revertedWithCustomError(vault, "TokenNotSupported");
+
+      await vault.connect(alice).withdraw(eurc, usdc(10));
+      expect(await vault.totalVaultBalance(eurc)).to.equal(0);
+      expect(await vault.listedTokens()).to.have.length(2);
+    });
+
+    it("only the owner manages the allowlist", async function () {
+      const { vault, eurc, bob } = await loadFixture(multiTokenFixture);
+
+      await expect(vault.connect(bob).addToken(eurc))
+        .to.be.revertedWithCustomError(vault, "OwnableUnauthorizedAccount")
+        .withArgs(bob.address);
+      await expect(vault.connect(bob).removeToken(eurc))
+        .to.be.revertedWithCustomError(vault, "OwnableUnauthorizedAccount");
+      await expect(vault.addToken(ethers.ZeroAddress)).to.be.revertedWithCustomError(vault, "ZeroAddress");
+    });
+  });
+
+  describe("signed orders", function () {
+    async function orderFixture() {
+      const f = await deployFixture();
+      await f.vault.connect(f.alice).deposit(f.token, usdc(100));
+      const transfer = {
+        token: await f.token.getAddress(), from: f.alice.address, to: f.bob.address,
+        amount: usdc(30), nonce: 0n, deadline: await deadlineIn(3600),
+      };
+      return { ...f, transfer };
+    }
+
+    it("lets a relayer submit a signed transfer exactly once", async function () {
+      const { vault, token, alice, bob, carol, transfer } = await loadFixture(orderFixture);
+      const sig = await signOrder(vault, alice, "TransferOrder", transfer);
+
+      const tx = vault.connect(carol).executeTransfer(transfer, sig);
+      await expect(tx).to.emit(vault, "Transferred").withArgs(alice.address, bob.address, token, usdc(30), anyValue);
+      await expect(tx).to.emit(vault, "OrderExecuted").withArgs(alice.address, 0, carol.address, anyValue);
+      expect(await vault.balanceOf(token, bob.address)).to.equal(usdc(30));
+      expect(await vault.nonces(alice.address)).to.equal(1);
+
+      await expect(vault.connect(carol).executeTransfer(transfer, sig))
+        .to.be.revertedWithCustomError(vault, "InvalidAccountNonce")
+        .withArgs(alice.address, 1);
+    });
+
+    it("pays a signed withdrawal to the signer, even while paused", async function () {
+      const { vault, token, alice, carol, transfer } = await loadFixture(orderFixture);
+      const order = { token: transfer.token, from: alice.address, amount: usdc(40), nonce: 0n, deadline: transfer.deadline };
+      const sig = await signOrder(vault, alice, "WithdrawOrder", order);
+      await vault.pause();
+
+      await expect(vault.connect(carol).executeTransfer(transfer, await signOrder(vault, alice, "TransferOrder", transfer)))
+        .to.be.revertedWithCustomError(vault, "EnforcedPause");
+      await expect(vault.connect(carol).executeWithdraw(order, sig))
+        .to.emit(vault, "Withdrawn")
+        .withArgs(alice.address, token, usdc(40), anyValue);
+      expect(await token.balanceOf(alice.address)).to.equal(usdc(940));
+      expect(await token.balanceOf(carol.address)).to.equal(usdc(1000));
+      expect(await vault.totalLiabilities(token)).to.equal(usdc(60));
+    });
+
+    it("rejects expired, forged and tampered orders", async function () {
+      const { vault, alice, bob, carol, transfer } = await loadFixture(orderFixture);
+      const sig = await signOrder(vault, alice, "TransferOrder", transfer);
+
+      await expect(vault.connect(carol).executeTransfer({ ...transfer, amount: usdc(31) }, sig))
+        .to.be.revertedWithCustomError(vault, "InvalidSigner");
+      await expect(vault.connect(carol).executeTransfer(transfer, await signOrder(vault, bob, "TransferOrder", transfer)))
+        .to.be.revertedWithCustomError(vault, "InvalidSigner")
+        .withArgs(bob.address, alice.address);
+
+      const expired = { ...transfer, deadline: await deadlineIn(-1) };
+      await expect(vault.connect(carol).executeTransfer(expired, await signOrder(vault, alice, "TransferOrder", expired)))
+        .to.be.revertedWithCustomError(vault, "OrderExpired");
+    });
+
+    it("cancels an outstanding order by burning its nonce", async function () {
+      const { vault, alice, carol, transfer } = await loadFixture(orderFixture);
+      const sig = await signOrder(vault, alice, "TransferOrder", transfer);
+
+      await expect(vault.connect(alice).cancelNonce()).to.emit(vault, "NonceCancelled").withArgs(alice.address, 0, anyValue);
+      await expect(vault.connect(carol).executeTransfer(transfer, sig))
+        .to.be.revertedWithCustomError(vault, "InvalidAccountNonce");
+    });
+  });
+
+  describe("ERC-4626 shares", function () {
+    it("mints avUSDC shares 1:1 and redeems them for USDC", async function () {
+      const { vault, shares, token, alice } = await loadFixture(deployFixture);
+      expect(await shares.vault()).to.equal(await vault.getAddress());
+      expect(await shares.asset()).to.equal(await token.getAddress());
+      expect(await shares.symbol()).to.equal("avUSDC");
+      expect(await shares.decimals()).to.equal(6);
+
+      await expect(shares.connect(alice).deposit(usdc(100), alice.address))
+        .to.emit(shares, "Deposit")
+        .withArgs(alice.address, alice.address, usdc(100), usdc(100));
+      expect(await shares.balanceOf(alice.address)).to.equal(usdc(100));
+      expect(await vault.balanceOf(token, alice.address)).to.equal(0);
+      expect(await shares.totalAssets()).to.equal(usdc(100));
+      expect(await token.balanceOf(shares)).to.equal(usdc(100));
+      expect(await vault.totalLiabilities(token)).to.equal(0);
+
+      await shares.connect(alice).mint(usdc(20), alice.address);
+      expect(await shares.convertToAssets(usdc(120))).to.equal(usdc(120));
+
+      await expect(shares.connect(alice).redeem(usdc(70), alice.address, alice.address))
+        .to.emit(shares, "Withdraw")
+        .withArgs(alice.address, alice.address, alice.address, usdc(70), usdc(70));
+      await shares.connect(alice).withdraw(usdc(50), alice.address, alice.address);
+      expect(await shares.totalSupply()).to.equal(0);
+      expect(await shares.totalAssets()).to.equal(0);
+      expect(await token.balanceOf(alice.address)).to.equal(usdc(1000));
+    });
+
+    it("moves USDC ledger balances into shares and back", async function () {
+      const { vault, shares, token, alice, bob } = await loadFixture(deployFixture);
+      await vault.connect(alice).deposit(token, usdc(300));
+
+      await expect(vault.connect(alice).moveToShares(usdc(120)))
+        .to.emit(vault, "MovedToShares").withArgs(alice.address, usdc(120), usdc(120), anyValue)
+        .and.to.emit(shares, "Deposit").withArgs(await vault.getAddress(), alice.address, usdc(120), usdc(120));
+      expect(await vault.balanceOf(token, alice.address)).to.equal(usdc(180));
+      expect(await vault.totalLiabilities(token)).to.equal(usdc(180));
+      expect(await vault.totalVaultBalance(token)).to.equal(usdc(180));
+      expect(await shares.balanceOf(alice.address)).to.equal(usdc(120));
+      expect(await token.allowance(vault, shares)).to.equal(0);
+
+      // Shares held by anyone, however they got them, move into that holder's ledger balance.
+      await shares.connect(alice).transfer(bob.address, usdc(20));
+      await expect(vault.connect(bob).moveFromShares(usdc(20)))
+        .to.emit(vault, "MovedFromShares").withArgs(bob.address, usdc(20), usdc(20), anyValue);
+      expect(await vault.balanceOf(token, bob.address)).to.equal(usdc(20));
+      expect(await vault.totalLiabilities(token)).to.equal(usdc(200));
+      expect(await vault.totalVaultBalance(token)).to.equal(usdc(200));
+      expect(await shares.totalAssets()).to.equal(usdc(100));
+
+      await expect(vault.connect(bob).moveFromShares(usdc(1)))
+        .to.be.revertedWithCustomError(shares, "ERC4626ExceededMaxRedeem").withArgs(bob.address, usdc(1), 0);
+      await expect(vault.connect(alice).moveToShares(usdc(181)))
+        .to.be.revertedWithCustomError(vault, "InsufficientBalance").withArgs(usdc(181), usdc(180));
+      await expect(vault.connect(alice).moveToShares(0)).to.be.revertedWithCustomError(vault, "ZeroAmount");
+      await expect(shares.connect(alice).redeemToVault(alice.address, usdc(1)))
+        .to.be.revertedWithCustomError(shares, "Unauthorized").withArgs(alice.address);
+    });
+
+    it("keeps ledger balances and share assets apart", async function () {
+      const { vault, shares, token, alice, bob } = await loadFixture(deployFixture);
+      await vault.connect(alice).deposit(token, usdc(300));
+      await shares.connect(bob).deposit(usdc(100), bob.address);
+      await token.connect(bob).transfer(shares, usdc(5)); // a donation does not move the share price
+      await token.connect(bob).transfer(vault, usdc(5));
+
+      expect(await shares.totalAssets()).to.equal(usdc(100));
+      expect(await shares.previewRedeem(usdc(100))).to.equal(usdc(100));
+      expect(await vault.surplusOf(token)).to.equal(usdc(5));
+      await expect(vault.recoverERC20(token, alice.address, usdc(6))).to.be.revertedWithCustomError(vault, "ExceedsSurplus");
+
+      await expect(shares.connect(alice).withdraw(usdc(1), alice.address, alice.address))
+        .to.be.revertedWithCustomError(shares, "ERC4626ExceededMaxWithdraw");
+      await vault.connect(alice).withdraw(token, usdc(300));
+      await shares.connect(bob).redeem(usdc(100), bob.address, bob.address);
+      expect(await vault.totalVaultBalance(token)).to.equal(usdc(5));
+      expect(await token.balanceOf(shares)).to.equal(usdc(5));
+    });
+
+    it("makes positions transferable ERC-20 tokens", async function () {
+      const { shares, token, alice, bob, carol } = await loadFixture(deployFixture);
+      await shares.connect(alice).deposit(usdc(100), alice.address);
+
+      await expect(shares.connect(alice).transfer(bob.address, usdc(40)))
+        .to.emit(shares, "Transfer")
+        .withArgs(alice.address, bob.address, usdc(40));
+      await shares.connect(bob).approve(carol.address, usdc(15));
+      await shares.connect(carol).transferFrom(bob.address, carol.address, usdc(15));
+      expect(await shares.allowance(bob.address, carol.address)).to.equal(0);
+
+      // an approved spender may also redeem on the owner's behalf
+      await shares.connect(alice).approve(carol.address, usdc(10));
+      await shares.connect(carol).redeem(usdc(10), carol.address, alice.address);
+      expect(await token.balanceOf(carol.address)).to.equal(usdc(1010));
+      expect(await shares.balanceOf(alice.address)).to.equal(usdc(50));
+      expect(await shares.balanceOf(bob.address)).to.equal(usdc(25));
+    });
+
+    it("stops share deposits and transfers while paused or delisted but keeps redemptions open", async function () {
+      const { vault, shares, token, alice, bob } = await loadFixture(deployFixture);
+      await vault.connect(alice).deposit(token, usdc(10));
+      await shares.connect(alice).deposit(usdc(100), alice.address);
+      await vault.pause();
+
+      expect(await shares.maxDeposit(alice.address)).to.equal(0);
+      expect(await shares.maxMint(alice.address)).to.equal(0);
+      await expect(shares.connect(alice).deposit(usdc(1), alice.address))
+        .to.be.revertedWithCustomError(shares, "ERC4626ExceededMaxDeposit");
+      await expect(shares.connect(alice).transfer(bob.address, usdc(1)))
+        .to.be.revertedWithCustomError(shares, "EnforcedPause");
+      await expect(vault.connect(alice).moveToShares(usdc(1))).to.be.revertedWithCustomError(vault, "EnforcedPause");
+      await expect(vault.connect(alice).moveFromShares(usdc(1))).to.be.revertedWithCustomError(vault, "EnforcedPause");
+      await shares.connect(alice).redeem(usdc(40), alice.address, alice.address);
+
+      await vault.unpause();
+      await vault.removeToken(token);
+      await expect(shares.connect(alice).mint(usdc(1), alice.address))
+        .to.be.revertedWithCustomError(shares, "ERC4626ExceededMaxMint");
+      await expect(vault.connect(alice).moveToShares(usdc(1)))
+        .to.be.revertedWithCustomError(shares, "ERC4626ExceededMaxDeposit");
+      await expect(vault.connect(alice).moveFromShares(usdc(1)))
+        .to.be.revertedWithCustomError(vault, "TokenNotSupported");
+      await shares.connect(alice).redeem(usdc(60), alice.address, alice.address);
+      expect(await token.balanceOf(shares)).to.equal(0);
+    });
+  });
+
+  describe("emergency controls", function () {
+    it("hands ownership over in two steps", async function () {
+      const { vault, alice, bob } = await loadFixture(deployFixture);
+
+      await expect(vault.transferOwnership(bob.address))
+        .to.emit(vault, "OwnershipTransferStarted")
+        .withArgs(alice.address, bob.address);
+      expect(await vault.owner()).to.equal(alice.address);
+      expect(await vault.pendingOwner()).to.equal(bob.address);
+
+      await expect(vault.acceptOwnership()).to.be.revertedWithCustomError(vault, "OwnableUnauthorizedAccount");
+      await expect(vault.connect(bob).acceptOwnership())
+        .to.emit(vault, "OwnershipTransferred")
+        .withArgs(alice.address, bob.address);
+      expect(await vault.owner()).to.equal(bob.address);
+      expect(await vault.pendingOwner()).to.equal(ethers.ZeroAddress);
+    });
+
+    it("lets the owner or guardian pause, and only the owner unpause", async function () {
+      const { vault, alice, bob, carol } = await loadFixture(deployFixture);
+
+      await expect(vault.connect(bob).pause()).to.be.revertedWithCustomError(vault, "Unauthorized").withArgs(bob.address);
+      await expect(vault.connect(bob).setGuardian(bob.address))
+        .to.be.revertedWithCustomError(vault, "OwnableUnauthorizedAccount");
+      await expect(vault.setGuardian(bob.address))
+        .to.emit(vault, "GuardianChanged")
+        .withArgs(ethers.ZeroAddress, bob.address, anyValue);
+
+      await expect(vault.connect(bob).pause()).to.emit(vault, "Paused").withArgs(bob.address);
+      expect(await vault.paused()).to.equal(true);
+      await expect(vault.connect(bob).unpause()).to.be.revertedWithCustomError(vault, "OwnableUnauthorizedAccount");
+      await expect(vault.connect(carol).unpause()).to.be.revertedWithCustomError(vault, "OwnableUnauthorizedAccount");
+      await expect(vault.connect(alice).unpause()).to.emit(vault, "Unpaused").withArgs(alice.address);
+      expect(await vault.paused()).to.equal(false);
+    });
+
+    it("blocks deposits and transfers while paused but keeps exits open", async function () {
+      const { vault, token, alice, bob } = await loadFixture(deployFixture);
+      await vault.connect(alice).deposit(token, usdc(300));
+      const start = (await time.latest()) + 10;
+      await vault.connect(alice).createStream(token, bob.address, usdc(1), start, start + 100);
+      await vault.connect(alice).createEscrow(token, bob.address, ethers.ZeroAddress, usdc(50), start + 200);
+      await vault.pause();
+
+      const blocked = [
+        () => vault.connect(alice).deposit(token, usdc(1)),
+        () => vault.connect(alice).transfer(token, bob.address, usdc(1)),
+        () => vault.connect(alice).payInvoice(token, bob.address, usdc(1), ethers.ZeroHash),
+        () => vault.connect(alice).payOut(token, bob.address, usdc(1)),
+        () => vault.connect(alice).batchTransfer(token, [bob.address], [usdc(1)]),
+        () => vault.connect(alice).batchPayOut(token, [bob.address], [usdc(1)]),
+        () => vault.connect(alice).createStream(token, bob.address, 1, 0, start + 100),
+        () => vault.connect(alice).createEscrow(token, bob.address, ethers.ZeroAddress, usdc(1), start + 200),
+      ];
+      // Sent one at a time, so each rejection is awaited as it happens.
+      for (const send of blocked) await expect(send()).to.be.revertedWithCustomError(vault, "EnforcedPause");
+
+      await time.increaseTo(start + 50);
+      await vault.connect(bob).withdrawFromStream(1);
+      await vault.connect(alice).cancelStream(1);
+      await vault.connect(alice).releaseEscrow(1);
+      await vault.connect(alice).withdraw(token, await vault.balanceOf(token, alice.address));
+      await vault.connect(bob).withdraw(token, await vault.balanceOf(token, bob.address));
+      expect(await vault.totalVaultBalance(token)).to.equal(0);
+    });
+
+    it("recovers only tokens above what users are owed", async function () {
+      const { vault, token, alice, bob, carol } = await loadFixture(deployFixture);
+      const stray = await (await ethers.getContractFactory("MockEURC")).deploy();
+      await stray.mint(carol.address, usdc(40));
+      await stray.connect(carol).transfer(vault, usdc(40));
+      await vault.connect(alice).deposit(token, usdc(100));
+      await vault.connect(alice).createStream(token, bob.address, usdc(1), 0, (await time.latest()) + 60);
+      await token.connect(carol).transfer(vault, usdc(25)); // sent without deposit
+
+      expect(await vault.surplusOf(token)).to.equal(usdc(25));
+      await expect(vault.recoverERC20(token, carol.address, usdc(26)))
+        .to.be.revertedWithCustomError(vault, "ExceedsSurplus")
+        .withArgs(usdc(26), usdc(25));
+      await expect(vault.connect(bob).recoverERC20(token, bob.address, 1))
+        .to.be.revertedWithCustomError(vault, "OwnableUnauthorizedAccount");
+
+      await expect(vault.recoverERC20(token, carol.address, usdc(25)))
+        .to.emit(vault, "TokensRecovered")
+        .withArgs(token, carol.address, usdc(25), anyValue);
+      await vault.recoverERC20(stray, carol.address, usdc(40));
+      expect(await stray.balanceOf(carol.address)).to.equal(usdc(40));
+      expect(await vault.surplusOf(token)).to.equal(0);
+      expect(await vault.totalVaultBalance(token)).to.equal(usdc(100));
+    });
+  });
+
+  describe("safety rules", function () {
+    const DAY = 86400;
+    const HOUR = 3600;
+
+    // bob holds 500 USDC in the vault; alice is the vault owner
+    async function safetyFixture() {
+      const ctx = await deployFixture();
+      await ctx.vault.connect(ctx.bob).deposit(ctx.token, usdc(500));
+      return ctx;
+    }
+
+    const rulesOf = async (vault, token, account) => {
+      const [rules, pending, pendingAt, availableToday] = await vault.safetyRules(token, account.address);
+      return { rules: [...rules], pending: [...pending], pendingAt, availableToday };
+    };
+
+    it("caps outflows with a daily allowance that refills over time", async function () {
+      const { vault, token, bob, carol } = await loadFixture(safetyFixture);
+      expect((await rulesOf(vault, token, bob)).availableToday).to.equal(ethers.MaxUint256);
+      await vault.connect(bob).setSafetyRules(token, usdc(100), 0, HOUR);
+
+      await vault.connect(bob).withdraw(token, usdc(60));
+      await expect(vault.connect(bob).transfer(token, carol.address, usdc(50)))
+        .to.be.revertedWithCustomError(vault, "DailyLimitExceeded")
+        .withArgs(usdc(50), (available) => available >= usdc(40) && available < usdc(40.01)); // refilled for a few seconds
+      await vault.connect(bob).payOut(token, carol.address, usdc(40));
+      await expect(vault.connect(bob).createStream(token, carol.address, usdc(1), 0, (await time.latest()) + 100))
+        .to.be.revertedWithCustomError(vault, "DailyLimitExceeded");
+
+      await time.increase(DAY / 2);
+      expect((await rulesOf(vault, token, bob)).availableToday).to.be.closeTo(usdc(50), usdc(0.01));
+      await vault.connect(bob).withdraw(token, usdc(50));
+      await time.increase(DAY);
+      expect((await rulesOf(vault, token, bob)).availableToday).to.equal(usdc(100));
+    });
+
+    it("queues withdrawals and transfers above the lock threshold", async function () {
+      const { vault, token, bob, carol, users } = await loadFixture(safetyFixture);
+      await vault.connect(bob).setSafetyRules(token, 0, usdc(100), DAY);
+
+      await expect(vault.connect(bob).withdraw(token, usdc(150)))
+        .to.emit(vault, "WithdrawalQueued")
+        .withArgs(1, bob.address, bob.address, await token.getAddress(), usdc(150), false, (await time.latest()) + 1 + DAY)
+        .and.not.to.emit(vault, "Withdrawn");
+      await vault.connect(bob).transfer(token, carol.address, usdc(120));
+      await vault.connect(bob).withdraw(token, usdc(100)); // at the threshold: immediate
+
+      expect(await vault.balanceOf(token, bob.address)).to.equal(usdc(130));
+      expect(await vault.totalLiabilities(token)).to.equal(usdc(400));
+      await expectSolvent(vault, token, users);
+      await expect(vault.executeWithdrawal(1)).to.be.revertedWithCustomError(vault, "WithdrawalLocked");
+      // Escrows cannot wait in the queue, so funding one that large reverts.
+      await expect(vault.connect(bob).createEscrow(token, carol.address, ethers.ZeroAddress, usdc(101), await deadlineIn(DAY)))
+        .to.be.revertedWithCustomError(vault, "AboveLockThreshold")
+        .withArgs(usdc(101), usdc(100));
+
+      await time.increase(DAY);
+      await expect(vault.connect(carol).executeWithdrawal(1))
+        .to.emit(vault, "WithdrawalExecuted").withArgs(1, bob.address, usdc(150), anyValue)
+        .and.to.emit(vault, "Withdrawn").withArgs(bob.address, token, usdc(150), anyValue);
+      await expect(vault.executeWithdrawal(2))
+        .to.emit(vault, "Transferred").withArgs(bob.address, carol.address, token, usdc(120), anyValue);
+
+      expect(await token.balanceOf(bob.address)).to.equal(usdc(750));
+      expect(await vault.balanceOf(token, carol.address)).to.equal(usdc(120));
+      expect((await vault.queuedWithdrawals(1)).account).to.equal(ethers.ZeroAddress);
+      await expect(vault.executeWithdrawal(1)).to.be.revertedWithCustomError(vault, "WithdrawalNotFound");
+      expect(await vault.totalLiabilities(token)).to.equal(usdc(250));
+      await expectSolvent(vault, token, users);
+    });
+
+    it("queues payouts, invoices, batches, allowance spends and signed orders too", async function () {
+      const { vault, token, bob, carol, dave } = await loadFixture(safetyFixture);
+      await vault.connect(bob).deposit(token, usdc(300));
+      await vault.connect(bob).setSafetyRules(token, 0, usdc(100), HOUR);
+      await vault.connect(bob).approve(token, carol.address, usdc(150));
+      const ref = ethers.encodeBytes32String("INV-7");
+
+      await vault.connect(bob).payOut(token, dave.address, usdc(101));
+      await vault.connect(bob).payInvoice(token, carol.address, usdc(102), ref);
+      await vault.connect(bob).batchPayOut(token, [carol.address, dave.address], [usdc(60), usdc(50)]);
+      await vault.connect(carol).transferFrom(token, bob.address, carol.address, usdc(120));
+      const order = { token: await token.getAddress(), from: bob.address, amount: usdc(110), nonce: 0, deadline: await deadlineIn(DAY) };
+      await vault.connect(dave).executeWithdraw(order, await signOrder(vault, bob, "WithdrawOrder", order));
+
+      expect(await vault.queuedWithdrawalsOf(bob.address)).to.deep.equal([1n, 2n, 3n, 4n, 5n, 6n]);
+      expect(await vault.balanceOf(token, bob.address)).to.equal(usdc(257));
+      expect(await vault.allowance(token, bob.address, carol.address)).to.equal(usdc(30));
+      expect(await token.balanceOf(dave.address)).to.equal(usdc(1000));
+
+      await time.increase(HOUR);
+      await expect(vault.executeWithdrawal(1)).to.emit(vault, "PaidOut").withArgs(bob.address, dave.address, token, usdc(101), anyValue);
+      await expect(vault.executeWithdrawal(2))
+        .to.emit(vault, "Transferred").withArgs(bob.address, carol.address, token, usdc(102), anyValue)
+        .and.to.emit(vault, "InvoicePaid").withArgs(ref, bob.address, carol.address, token, usdc(102), anyValue);
+      for (const id of [3, 4, 5, 6]) await vault.executeWithdrawal(id);
+
+      expect(await token.balanceOf(dave.address)).to.equal(usdc(1151));
+      expect(await token.balanceOf(bob.address)).to.equal(usdc(310));
+      expect(await vault.balanceOf(token, carol.address)).to.equal(usdc(222));
+      expect(await vault.totalLiabilities(token)).to.equal(usdc(479));
+    });
+
+    it("releases queued amounts only as fast as the daily limit allows", async function () {
+      const { vault, token, bob } = await loadFixture(safetyFixture);
+      await vault.connect(bob).setSafetyRules(token, usdc(100), usdc(50), HOUR);
+      await vault.connect(bob).withdraw(token, usdc(40));
+      await vault.connect(bob).withdraw(token, usdc(450)); // a stolen key queues everything
+      await time.increase(HOUR);
+
+      // The queue draws on the same allowance: what is left of 100 goes out now.
+      await expect(vault.executeWithdrawal(1))
+        .to.emit(vault, "WithdrawalExecuted").withArgs(1, bob.address, (released) => released > usdc(63) && released < usdc(66), anyValue);
+      expect((await vault.queuedWithdrawals(1)).amount).to.be.closeTo(usdc(386), usdc(2));
+      await expect(vault.executeWithdrawal(1)) // only what refilled in the seconds since
+        .to.emit(vault, "WithdrawalExecuted").withArgs(1, bob.address, (released) => released < usdc(0.01), anyValue);
+
+      // A day later only another 100 has left, and the rest can still be cancelled.
+      await time.increase(DAY);
+      await vault.executeWithdrawal(1);
+      expect(await token.balanceOf(bob.address)).to.be.closeTo(usdc(704), usdc(2));
+      await vault.connect(bob).cancelWithdrawal(1);
+      expect(await vault.balanceOf(token, bob.address)).to.be.closeTo(usdc(296), usdc(2));
+      await expect(vault.executeWithdrawal(1)).to.be.revertedWithCustomError(vault, "WithdrawalNotFound");
+    });
+
+    it("lets only the account cancel during the delay", async function () {
+      const { vault, token, alice, bob, carol } = await loadFixture(safetyFixture);
+      await vault.connect(bob).setSafetyRules(token, 0, usdc(100), DAY);
+      await vault.connect(bob).withdraw(token, usdc(200));
+      await vault.connect(bob).withdraw(token, usdc(300));
+
+      await expect(vault.connect(carol).cancelWithdrawal(1))
+        .to.be.revertedWithCustomError(vault, "Unauthorized").withArgs(carol.address);
+      await expect(vault.connect(alice).cancelWithdrawal(2)) // not even the vault owner
+        .to.be.revertedWithCustomError(vault, "Unauthorized").withArgs(alice.address);
+      await expect(vault.connect(bob).cancelWithdrawal(1))
+        .to.emit(vault, "WithdrawalCancelled").withArgs(1, bob.address, anyValue);
+
+      expect(await vault.balanceOf(token, bob.address)).to.equal(usdc(200));
+      await time.increase(DAY);
+      await expect(vault.executeWithdrawal(1)).to.be.revertedWithCustomError(vault, "WithdrawalNotFound");
+      await vault.connect(carol).executeWithdrawal(2);
+      expect(await token.balanceOf(bob.address)).to.equal(usdc(800));
+    });
+
+    it("applies stricter rules at once and looser ones after the delay", async function () {
+      const { vault, token, bob } = await loadFixture(safetyFixture);
+      await vault.connect(bob).setSafetyRules(token, usdc(100), usdc(50), 3600);
+      expect((await rulesOf(vault, token, bob)).rules).to.deep.equal([usdc(100), usdc(50), 3600n]);
+
+      const tx = vault.connect(bob).setSafetyRules(token, usdc(200), usdc(50), 3600);
+      await expect(tx).to.emit(vault, "SafetyRulesChanged")
+        .withArgs(bob.address, token, usdc(200), usdc(50), 3600, (await time.latest()) + 1 + 3600);
+      let state = await rulesOf(vault, token, bob);
+      expect(state.rules).to.deep.equal([usdc(100), usdc(50), 3600n]);
+      expect(state.pending).to.deep.equal([usdc(200), usdc(50), 3600n]);
+      await time.increase(3600);
+      expect((await rulesOf(vault, token, bob)).rules).to.deep.equal([usdc(200), usdc(50), 3600n]);
+
+      // Turning everything off is a loosening; a stricter call meanwhile drops it.
+      await vault.connect(bob).setSafetyRules(token, 0, 0, 0);
+      expect((await rulesOf(vault, token, bob)).pending).to.deep.equal([0n, 0n, 0n]);
+      await vault.connect(bob).setSafetyRules(token, usdc(150), usdc(50), 7200);
+      state = await rulesOf(vault, token, bob);
+      expect(state.rules).to.deep.equal([usdc(150), usdc(50), 7200n]);
+      expect(state.pendingAt).to.equal(0);
+      await time.increase(7200);
+      expect((await rulesOf(vault, token, bob)).rules).to.deep.equal([usdc(150), usdc(50), 7200n]);
+
+      await expect(vault.connect(bob).setSafetyRules(token, 0, 0, 31 * DAY))
+        .to.be.revertedWithCustomError(vault, "InvalidDelay").withArgs(31 * DAY);
+    });
+
+    it("needs at least the minimum delay whenever a rule is on", async function () {
+      const { vault, token, bob } = await loadFixture(safetyFixture);
+      expect(await vault.MIN_SAFETY_DELAY()).to.equal(HOUR);
+      await expect(vault.connect(bob).setSafetyRules(token, 0, usdc(1), 0))
+        .to.be.revertedWithCustomError(vault, "InvalidDelay").withArgs(0);
+      await expect(vault.connect(bob).setSafetyRules(token, usdc(1), 0, 0))
+        .to.be.revertedWithCustomError(vault, "InvalidDelay").withArgs(0);
+      await expect(vault.connect(bob).setSafetyRules(token, usdc(1), usdc(1), HOUR - 1))
+        .to.be.revertedWithCustomError(vault, "InvalidDelay").withArgs(HOUR - 1);
+
+      // Otherwise a stolen key could lift a daily limit in the same block.
+      await vault.connect(bob).setSafetyRules(token, usdc(1), 0, HOUR);
+      await vault.connect(bob).setSafetyRules(token, 0, 0, 0);
+      expect((await rulesOf(vault, token, bob)).rules).to.deep.equal([usdc(1), 0n, BigInt(HOUR)]);
+      await expect(vault.connect(bob).withdraw(token, usdc(2))).to.be.revertedWithCustomError(vault, "DailyLimitExceeded");
+    });
+
+    it("applies USDC rules to shares leaving the account", async function () {
+      const { vault, shares, token, bob, carol } = await loadFixture(safetyFixture);
+      await vault.connect(bob).moveToShares(usdc(300));
+      await vault.connect(bob).setSafetyRules(token, usdc(100), usdc(60), HOUR);
+
+      // Share exits draw on the same daily allowance as the ledger balance.
+      await shares.connect(bob).redeem(usdc(50), bob.address, bob.address);
+      await shares.connect(bob).transfer(carol.address, usdc(30));
+      await expect(shares.connect(bob).withdraw(usdc(30), bob.address, bob.address))
+        .to.be.revertedWithCustomError(vault, "DailyLimitExceeded")
+        .withArgs(usdc(30), (available) => available >= usdc(20) && available < usdc(20.01));
+      await vault.connect(bob).withdraw(token, usdc(20));
+      await expect(shares.connect(bob).approve(carol.address, usdc(10))).to.not.be.reverted;
+      await expect(shares.connect(carol).transferFrom(bob.address, carol.address, usdc(10)))
+        .to.be.revertedWithCustomError(vault, "DailyLimitExceeded");
+
+      // Shares cannot be queued, so exits above the threshold revert.
+      await time.increase(DAY);
+      await expect(shares.connect(bob).redeem(usdc(61), bob.address, bob.address))
+        .to.be.revertedWithCustomError(vault, "AboveLockThreshold").withArgs(usdc(61), usdc(60));
+
+      // Back into the ledger is not an outflow; a large withdrawal from there is queued.
+      await vault.connect(bob).moveFromShares(usdc(200));
+      await expect(vault.connect(bob).withdraw(token, usdc(200))).to.emit(vault, "WithdrawalQueued");
+      expect(await shares.balanceOf(bob.address)).to.equal(usdc(20));
+      expect(await shares.balanceOf(carol.address)).to.equal(usdc(30));
+
+      // Only the share token may record its outflows.
+      await expect(vault.connect(bob).recordShareOutflow(bob.address, usdc(1)))
+        .to.be.revertedWithCustomError(vault, "Unauthorized").withArgs(bob.address);
+    });
+
+    it("holds queued transfers and payouts while paused but not queued withdrawals", async function () {
+      const { vault, token, alice, bob, carol } = await loadFixture(safetyFixture);
+      await vault.connect(bob).setSafetyRules(token, 0, usdc(10), HOUR);
+      await vault.connect(bob).withdraw(token, usdc(20));
+      await vault.connect(bob).transfer(token, carol.address, usdc(20));
+      await vault.connect(bob).payOut(token, carol.address, usdc(20));
+      await time.increase(HOUR);
+      await vault.connect(alice).pause();
+
+      await expect(vault.executeWithdrawal(2)).to.be.revertedWithCustomError(vault, "EnforcedPause");
+      await expect(vault.executeWithdrawal(3)).to.be.revertedWithCustomError(vault, "EnforcedPause");
+      await vault.executeWithdrawal(1);
+      await vault.connect(bob).cancelWithdrawal(2);
+      await vault.connect(bob).cancelWithdrawal(3);
+      expect(await vault.balanceOf(token, bob.address)).to.equal(usdc(480));
+    });
+  });
+
+  describe("solvency", function () {
+    it("totalVaultBalance covers the sum of user balances after every operation", async function () {
+      const { vault, shares, token, alice, bob, carol, users } = await loadFixture(deployFixture);
+
+      const steps = [
+        () => vault.connect(alice).deposit(token, usdc(300)),
+        () => vault.connect(bob).deposit(token, usdc(50)),
+        () => vault.connect(alice).transfer(token, bob.address, usdc(120)),
+        () => vault.connect(bob).payOut(token, carol.address, usdc(70)),
+        () => vault.connect(carol).deposit(token, usdc(10)),
+        () => vault.connect(bob).transfer(token, carol.address, usdc(100)),
+        () => vault.connect(carol).withdraw(token, usdc(60)),
+        () => shares.connect(carol).deposit(usdc(30), carol.address),
+        () => vault.connect(carol).moveToShares(usdc(5)),
+        () => vault.connect(carol).approve(token, bob.address, usdc(10)),
+        () => vault.connect(bob).transferFrom(token, carol.address, alice.address, usdc(10)),
+        () => vault.connect(alice).batchTransfer(token, [bob.address, carol.address], [usdc(5), usdc(5)]),
+        () => vault.connect(bob).batchPayOut(token, [alice.address, carol.address], [usdc(3), usdc(2)]),
+        () => vault.connect(alice).payOut(token, alice.address, usdc(170)),
+        () => vault.connect(carol).transfer(token, alice.address, usdc(40)),
+        () => shares.connect(carol).transfer(alice.address, usdc(10)),
+        () => vault.connect(alice).moveFromShares(usdc(10)),
+        () => vault.connect(alice).withdraw(token, usdc(60)),
+        () => shares.connect(carol).redeem(usdc(25), carol.address, carol.address),
+      ];
+
+      for (const step of steps) {
+        await step();
+        await expectSolvent(vault, token, users);
+        expect(await token.balanceOf(shares)).to.be.gte(await shares.totalAssets());
+      }
+
+      expect(await expectSolvent(vault, token, users)).to.equal(0);
+      expect(await vault.totalVaultBalance(token)).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const SALT = ethers.id("first vault");
+const MAX_CODE_SIZE = 24576; // EIP-170
+
+describe("ArcVaultFactory", function () {
+  async function deployFixture() {
+    const [alice, bob] = await ethers.getSigners();
+    const token = await (await ethers.getContractFactory("MockUSDC")).deploy();
+    const { bytecode } = await ethers.getContractFactory("ArcVault");
+    const factory = await (await ethers.getContractFactory("ArcVaultFactory")).deploy(bytecode);
+    return { factory, token, bytecode, usdcAddress: await token.getAddress(), alice, bob };
+  }
+
+  it("keeps ArcVault and the factory under the EIP-170 size limit", async function () {
+    for (const name of ["ArcVault", "ArcVaultFactory"]) {
+      const { deployedBytecode } = await artifacts.readArtifact(name);
+      expect(ethers.dataLength(deployedBytecode), name).to.be.at.most(MAX_CODE_SIZE);
+    }
+  });
+
+  it("stores the vault creation code it was given, across as many chunks as it needs", async function () {
+    const { factory, bytecode } = await loadFixture(deployFixture);
+    expect(await factory.vaultCreationCode()).to.equal(bytecode);
+    expect(await factory.vaultCodeHash()).to.equal(ethers.keccak256(bytecode));
+
+    const Factory = await ethers.getContractFactory("ArcVaultFactory");
+    const chunk = Number(await factory.CHUNK_SIZE());
+    const long = ethers.hexlify(ethers.toUtf8Bytes("arc".repeat(Math.ceil((chunk + 100) / 3))));
+    const split = await Factory.deploy(long);
+    expect(await split.vaultCreationCode()).to.equal(long);
+    expect(await split.vaultCodeHash()).to.equal(ethers.keccak256(long));
+
+    await expect(Factory.deploy("0x")).to.be.revertedWithCustomError(Factory, "EmptyCreationCode");
+  });
+
+  it("deploys a vault owned by the caller at the predicted address", async function () {
+    const { factory, usdcAddress, alice } = await loadFixture(deployFixture);
+    const predicted = await factory.predictVaultAddress(alice.address, usdcAddress, SALT);
+
+    await expect(factory.createVault(usdcAddress, SALT))
+      .to.emit(factory, "VaultCreated").withArgs(alice.address, predicted, usdcAddress, SALT);
+
+    const vault = await ethers.getContractAt("ArcVault", predicted);
+    expect(await vault.owner()).to.equal(alice.address);
+    expect(await vault.usdc()).to.equal(usdcAddress);
+    const shares = await ethers.getContractAt("ArcVaultShares", await vault.shares());
+    expect(await shares.vault()).to.equal(predicted);
+    expect(await shares.asset()).to.equal(usdcAddress);
+    expect((await vault.tokens(usdcAddress)).allowed).to.equal(true);
+  });
+
+  it("keeps a registry per creator", async function () {
+    const { factory, usdcAddress, alice, bob } = await loadFixture(deployFixture);
+    await factory.createVault(usdcAddress, SALT);
+    await factory.createVault(usdcAddress, ethers.id("second vault"));
+    await factory.connect(bob).createVault(usdcAddress, SALT);
+
+    const mine = await factory.vaultsOf(alice.address);
+    const theirs = await factory.vaultsOf(bob.address);
+    expect(mine).to.have.length(2);
+    expect(theirs).to.have.length(1);
+    expect(await factory.vaultCount()).to.equal(3);
+    expect(await factory.vaultAt(2)).to.equal(theirs[0]);
+    for (const v of [...mine, ...theirs]) expect(await factory.isVault(v)).to.equal(true);
+    expect(await factory.isVault(usdcAddress)).to.equal(false);
+    expect(await factory.vaultsOf(ethers.ZeroAddress)).to.deep.equal([]);
+  });
+
+  it("gives each creator their own addresses for the same salt", async function () {
+    const { factory, usdcAddress, alice, bob } = await loadFixture(deployFixture);
+    const forAlice = await factory.predictVaultAddress(alice.address, usdcAddress, SALT);
+    const forBob = await factory.predictVaultAddress(bob.address, usdcAddress, SALT);
+    expect(forAlice).to.not.equal(forBob);
+
+    // Bob using Alice's salt first does not take her address.
+    await factory.connect(bob).createVault(usdcAddress, SALT);
+    await expect(factory.createVault(usdcAddress, SALT)).to.emit(factory, "VaultCreated").withArgs(alice.address, forAlice, usdcAddress, SALT);
+  });
+
+  it("rejects a reused salt and a zero USDC address", async function () {
+    const { factory, usdcAddress } = await loadFixture(deployFixture);
+    await factory.createVault(usdcAddress, SALT);
+    await expect(factory.createVault(usdcAddress, SALT)).to.be.reverted;
+
+    const vault = await ethers.getContractFactory("ArcVault");
+    await expect(factory.createVault(ethers.ZeroAddress, SALT)).to.be.revertedWithCustomError(vault, "ZeroAddress");
+    expect(await factory.vaultCount()).to.equal(1);
+  });
+});
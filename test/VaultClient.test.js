@@ -0,0 +1,507 @@
+const { expect } = require("chai");
+const { ethers, network, artifacts } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const usdc = (n) => ethers.parseUnits(String(n), 6);
+
+// The SDK is plain ES modules, so it is loaded with import() once per run.
+describe("VaultClient", function () {
+  let sdk;
+  before(async function () {
+    sdk = await import("../sdk/index.js");
+  });
+
+  async function deployFixture() {
+    const [alice, bob, carol] = await ethers.getSigners();
+
+    const token = await (await ethers.getContractFactory("MockUSDC")).deploy();
+    const eurc = await (await ethers.getContractFactory("MockEURC")).deploy();
+    const vault = await (await ethers.getContractFactory("ArcVault")).deploy(await token.getAddress(), alice.address);
+    await vault.addToken(eurc);
+    const vaultAddress = await vault.getAddress();
+
+    for (const user of [alice, bob]) await token.mint(user.address, usdc(1000));
+
+    const client = new sdk.VaultClient(vaultAddress, alice);
+    return { vault, token, eurc, vaultAddress, client, alice, bob, carol, tokenAddress: await token.getAddress() };
+  }
+
+  // A client for `signer` with 100 USDC deposited through the SDK.
+  async function fundedFixture() {
+    const f = await deployFixture();
+    await (await f.client.approveDeposit(f.tokenAddress, usdc(100))).wait();
+    await (await f.client.deposit(f.tokenAddress, usdc(100))).wait();
+    return f;
+  }
+
+  describe("ABI", function () {
+    it("only declares functions and events the compiled contracts have", async function () {
+      const check = async (fragments, contractName) => {
+        const compiled = new ethers.Interface((await artifacts.readArtifact(contractName)).abi);
+        for (const fragment of new ethers.Interface(fragments).fragments) {
+          if (fragment.type === "function") {
+            // Same selector, return types and read/write kind (view and pure are interchangeable).
+            const match = compiled.getFunction(fragment.selector);
+            expect(match, fragment.format()).to.not.equal(null);
+            expect(match.outputs.map((o) => o.format()), fragment.format()).to.deep.equal(fragment.outputs.map((o) => o.format()));
+            expect(match.constant, fragment.format()).to.equal(fragment.constant);
+          } else if (fragment.type === "event") {
+            expect(compiled.getEvent(fragment.topicHash)?.format("minimal"), fragment.format()).to.equal(fragment.format("minimal"));
+          } else if (fragment.type === "error") {
+            expect(compiled.getError(fragment.selector)?.format("minimal"), fragment.format()).to.equal(fragment.format("minimal"));
+          }
+        }
+      };
+      await check(sdk.VAULT_ABI, "ArcVault");
+      await check(sdk.ERC20_ABI, "MockUSDC");
+      await check(sdk.SHARES_ABI, "ArcVaultShares");
+      await check(sdk.FACTORY_ABI, "ArcVaultFactory");
+    });
+  });
+
+  describe("reads", function () {
+    it("reports deployment, roles and listed tokens", async function () {
+      const { client, alice, tokenAddress, eurc } = await loadFixture(deployFixture);
+      expect(await client.isDeployed()).to.equal(true);
+      expect(await new sdk.VaultClient(alice.address, ethers.provider).isDeployed()).to.equal(false);
+
+      expect(await client.usdc()).to.equal(tokenAddress);
+      expect(await client.roles()).to.deep.equal({
+        owner: alice.address, pendingOwner: ethers.ZeroAddress, guardian: ethers.ZeroAddress, paused: false,
+      });
+      expect(await client.tokenInfo(tokenAddress)).to.deep.equal({ listed: true, allowed: true, decimals: 6 });
+
+      const tokens = await client.listTokens();
+      expect(tokens.map((t) => t.address)).to.deep.equal([tokenAddress, await eurc.getAddress()]);
+      expect(tokens[0]).to.include({ symbol: "USDC", decimals: 6, allowed: true });
+    });
+
+    it("works read-only through a provider", async function () {
+      const { vaultAddress, alice, tokenAddress } = await loadFixture(fundedFixture);
+      const reader = new sdk.VaultClient(vaultAddress, ethers.provider);
+      expect(await reader.balanceOf(tokenAddress, alice.address)).to.equal(usdc(100));
+      expect(await reader.totalLiabilities(tokenAddress)).to.equal(usdc(100));
+      await expect(reader.signOrder("withdraw", { token: tokenAddress, amount: 1n }))
+        .to.be.rejectedWith("VaultClient needs a signer");
+    });
+  });
+
+  describe("writes", function () {
+    it("deposits, transfers and withdraws on the per-token ledger", async function () {
+      const { client, token, alice, bob, tokenAddress, vaultAddress } = await loadFixture(fundedFixture);
+      expect(await client.balanceOf(tokenAddress, alice.address)).to.equal(usdc(100));
+      expect(await client.depositAllowance(tokenAddress, alice.address)).to.equal(0);
+
+      await (await client.transfer(tokenAddress, bob.address, usdc(30))).wait();
+      await (await client.withdraw(tokenAddress, usdc(20))).wait();
+
+      expect(await client.balanceOf(tokenAddress, alice.address)).to.equal(usdc(50));
+      expect(await client.balanceOf(tokenAddress, bob.address)).to.equal(usdc(30));
+      expect(await token.balanceOf(vaultAddress)).to.equal(usdc(80));
+      expect(await client.totalVaultBalance(tokenAddress)).to.equal(usdc(80));
+    });
+
+    it("grants and spends ledger allowances", async function () {
+      const { client, alice, bob, carol, tokenAddress } = await loadFixture(fundedFixture);
+      await (await client.approve(tokenAddress, bob.address, usdc(25))).wait();
+      expect(await client.spendersOf(alice.address)).to.deep.equal([bob.address]);
+
+      const asBob = client.connect(bob);
+      await (await asBob.transferFrom(tokenAddress, alice.address, carol.address, usdc(10))).wait();
+      expect(await client.allowance(tokenAddress, alice.address, bob.address)).to.equal(usdc(15));
+      expect(await client.balanceOf(tokenAddress, carol.address)).to.equal(usdc(10));
+    });
+
+    it("sets safety rules and runs the withdrawal queue", async function () {
+      const { client, alice, bob, tokenAddress } = await loadFixture(fundedFixture);
+      await (await client.setSafetyRules(tokenAddress, { dailyLimit: usdc(50), lockThreshold: usdc(20), delay: 3600 })).wait();
+      const state = await client.safetyRules(tokenAddress, alice.address);
+      expect(state).to.deep.include({ rules: { dailyLimit: usdc(50), lockThreshold: usdc(20), delay: 3600 }, pendingAt: 0 });
+      expect(state.availableToday).to.equal(usdc(50));
+
+      await (await client.withdraw(tokenAddress, usdc(30))).wait();
+      await (await client.transfer(tokenAddress, bob.address, usdc(25))).wait();
+      await (await client.cancelWithdrawal(1)).wait();
+      const [queued] = await client.queuedWithdrawals(alice.address);
+      expect(queued).to.deep.include({ id: 2n, account: alice.address, to: bob.address, amount: usdc(25), isTransfer: true });
+
+      await expect(client.executeWithdrawal(2)).to.be.rejected; // still locked: the pre-flight stops it
+      await time.increase(3600);
+      await (await client.connect(bob).executeWithdrawal(2)).wait();
+      expect(await client.queuedWithdrawals(alice.address)).to.deep.equal([]);
+      expect(await client.balanceOf(tokenAddress, bob.address)).to.equal(usdc(25));
+    });
+
+    it("mints and redeems ERC-4626 shares", async function () {
+      const { client, alice, token, tokenAddress } = await loadFixture(deployFixture);
+      await (await client.approveShares(usdc(40))).wait();
+      await (await client.depositShares(usdc(40))).wait();
+
+      const shares = await client.shares(alice.address);
+      expect(shares.symbol).to.equal("avUSDC");
+      expect(shares.assets).to.equal(usdc(40));
+
+      await (await client.redeemShares(shares.balance)).wait();
+      expect((await client.shares(alice.address)).balance).to.equal(0);
+      expect(await token.balanceOf(alice.address)).to.equal(usdc(1000));
+
+      // Ledger balances move into shares and back without leaving the vault's books.
+      await (await client.approveDeposit(tokenAddress, usdc(30))).wait();
+      await (await client.deposit(tokenAddress, usdc(30))).wait();
+      await (await client.moveToShares(usdc(30))).wait();
+      expect((await client.shares(alice.address)).balance).to.equal(usdc(30));
+      await (await client.moveFromShares(usdc(10))).wait();
+      expect(await client.balanceOf(tokenAddress, alice.address)).to.equal(usdc(10));
+      expect(await client.totalLiabilities(tokenAddress)).to.equal(usdc(10));
+    });
+
+    it("runs streams and escrows and lists them for each party", async function () {
+      const { client, alice, bob, carol, tokenAddress } = await loadFixture(fundedFixture);
+      const start = (await time.latest()) + 100;
+      await (await client.createStream(tokenAddress, bob.address, usdc(1) / 100n, start, start + 1000)).wait();
+      await (await client.createEscrow(tokenAddress, bob.address, carol.address, usdc(20), start + 3600)).wait();
+      await (await client.createEscrow(tokenAddress, bob.address, ethers.ZeroAddress, usdc(5), start + 3600)).wait();
+
+      const { outgoing, incoming } = await client.streamsOf(alice.address);
+      expect(incoming).to.deep.equal([]);
+      expect(outgoing).to.have.length(1);
+      expect(outgoing[0]).to.deep.include({
+        id: 1n, sender: alice.address, recipient: bob.address, ratePerSecond: usdc(1) / 100n, startTime: start, stopTime: start + 1000, cancelled: false,
+      });
+      expect((await client.streamsOf(bob.address)).incoming.map((s) => s.id)).to.deep.equal([1n]);
+
+      const asBob = client.connect(bob);
+      await time.increaseTo(start + 500);
+      await (await asBob.withdrawFromStream(1)).wait();
+      await (await client.cancelStream(1)).wait();
+      expect((await client.streamsOf(alice.address)).outgoing[0].cancelled).to.equal(true);
+
+      await (await asBob.disputeEscrow(1)).wait();
+      await (await client.connect(carol).resolveEscrow(1, true)).wait();
+      await (await client.releaseEscrow(2)).wait();
+      const escrows = await client.escrowsOf(carol.address);
+      expect(escrows).to.have.length(1);
+      expect(escrows[0]).to.deep.include({ id: 1n, payer: alice.address, arbiter: carol.address, amount: usdc(20), status: "Released" });
+      expect((await client.escrowsOf(alice.address)).map((e) => e.id)).to.deep.equal([2n, 1n]);
+      expect(await client.surplusOf(tokenAddress)).to.equal(0);
+    });
+
+    it("surfaces the vault's custom errors", async function () {
+      const { client, vault, tokenAddress } = await loadFixture(deployFixture);
+      await expect(client.withdraw(tokenAddress, usdc(1))).to.be.revertedWithCustomError(vault, "InsufficientBalance");
+      // The SDK's own ABI decodes the revert data, without the artifact.
+      const err = await client.withdraw(tokenAddress, usdc(1)).catch((e) => e);
+      expect(sdk.decodeVaultError(err)).to.deep.equal({ name: "InsufficientBalance", args: [usdc(1), 0n] });
+      await expect(client.connect((await ethers.getSigners())[1]).pause()).to.be.revertedWithCustomError(vault, "Unauthorized");
+    });
+  });
+
+  describe("pre-flight", function () {
+    it("rejects a failing write before anything is sent", async function () {
+      const { client, vault, alice, tokenAddress } = await loadFixture(fundedFixture);
+      const nonce = await ethers.provider.getTransactionCount(alice.address);
+      await expect(client.withdraw(tokenAddress, usdc(101))).to.be.rejected;
+      // Contracts built on the client's runner, as the dApp's panels are, get the same check.
+      const panel = new ethers.Contract(client.address, vault.interface, client.runner);
+      await expect(panel.payOut(tokenAddress, ethers.ZeroAddress, usdc(1))).to.be.rejected;
+      expect(await ethers.provider.getTransactionCount(alice.address)).to.equal(nonce);
+
+      // Without it, the failed transaction is mined and paid for.
+      const bare = new sdk.VaultClient(client.address, alice, { preflight: false });
+      expect(bare.runner).to.equal(alice);
+      await expect(bare.withdraw(tokenAddress, usdc(101))).to.be.rejected;
+      expect(await ethers.provider.getTransactionCount(alice.address)).to.equal(nonce + 1);
+    });
+
+    it("describes reverts with amounts in the token's units", async function () {
+      const { client, eurc, bob, tokenAddress } = await loadFixture(fundedFixture);
+      const token = { symbol: "USDC", decimals: 6 };
+      const fail = (promise) => promise.then(() => expect.fail("expected a revert"), (e) => e);
+
+      expect(sdk.describeVaultError(await fail(client.withdraw(tokenAddress, usdc(150.5))), token))
+        .to.equal("Insufficient vault balance: 150.5 USDC requested, 100.0 USDC available.");
+      expect(sdk.errorMessage(await fail(client.transfer(tokenAddress, bob.address, 0n)), token))
+        .to.equal("Enter an amount greater than zero.");
+      expect(sdk.errorMessage(await fail(client.payOut(tokenAddress, ethers.ZeroAddress, usdc(1))), token))
+        .to.equal("The zero address cannot be used here.");
+      // ERC20 errors bubble up through SafeERC20 from the token contract.
+      expect(sdk.errorMessage(await fail(client.deposit(await eurc.getAddress(), 5_000000n)), { symbol: "EURC", decimals: 6 }))
+        .to.equal("Token approval too low: 5.0 EURC needed, 0.0 EURC approved. Approve the vault first.");
+
+      expect(sdk.errorMessage({ code: "ACTION_REJECTED", message: "user rejected action" })).to.equal("Rejected in the wallet.");
+      expect(sdk.errorMessage(new Error("network down"))).to.equal("network down");
+      expect(sdk.describeVaultError(new Error("network down"))).to.equal(null);
+
+      await (await client.setSafetyRules(tokenAddress, { dailyLimit: usdc(10), delay: 3600 })).wait();
+      expect(sdk.errorMessage(await fail(client.withdraw(tokenAddress, usdc(12))), token))
+        .to.equal("Daily limit reached: 12.0 USDC requested, 10.0 USDC left for now.");
+    });
+  });
+
+  describe("factory", function () {
+    it("creates a vault at the predicted address and lists it for its creator", async function () {
+      const { alice, bob, tokenAddress } = await loadFixture(deployFixture);
+      const { bytecode } = await ethers.getContractFactory("ArcVault");
+      const deployed = await (await ethers.getContractFactory("ArcVaultFactory")).deploy(bytecode);
+      const factory = new sdk.VaultFactory(await deployed.getAddress(), alice);
+      expect(await factory.isDeployed()).to.equal(true);
+      expect(await factory.vaultCodeHash()).to.equal(ethers.keccak256(bytecode));
+
+      const salt = sdk.randomSalt();
+      const predicted = await factory.predictAddress(alice.address, tokenAddress, salt);
+      const receipt = await (await factory.createVault(tokenAddress, salt)).wait();
+      expect(factory.vaultFromReceipt(receipt)).to.equal(predicted);
+      expect(await factory.vaultsOf(alice.address)).to.deep.equal([predicted]);
+      expect(await factory.vaultsOf(bob.address)).to.deep.equal([]);
+      expect(await factory.isVault(predicted)).to.equal(true);
+
+      const vault = new sdk.VaultClient(predicted, alice);
+      expect((await vault.roles()).owner).to.equal(alice.address);
+      // A reused salt is caught before anything is sent.
+      const nonce = await ethers.provider.getTransactionCount(alice.address);
+      await expect(factory.createVault(tokenAddress, salt)).to.be.rejected;
+      expect(await ethers.provider.getTransactionCount(alice.address)).to.equal(nonce);
+    });
+  });
+
+  describe("signed orders", function () {
+    it("signs an order that another client executes exactly once", async function () {
+      const { client, vault, alice, bob, carol, tokenAddress } = await loadFixture(fundedFixture);
+      const signed = await client.signOrder("transfer", { token: tokenAddress, to: bob.address, amount: usdc(30) });
+      expect(signed.order).to.include({ from: alice.address, nonce: "0", amount: usdc(30).toString() });
+
+      // Round-trip through JSON, as a relayer would receive it.
+      const relayer = client.connect(carol);
+      const posted = JSON.parse(JSON.stringify(signed));
+      await relayer.simulateOrder(posted);
+      await expect(relayer.executeOrder(posted))
+        .to.emit(vault, "OrderExecuted").withArgs(alice.address, 0, carol.address, (ts) => ts > 0n);
+
+      expect(await client.balanceOf(tokenAddress, bob.address)).to.equal(usdc(30));
+      await expect(relayer.simulateOrder(posted))
+        .to.be.revertedWithCustomError(vault, "InvalidAccountNonce").withArgs(alice.address, 1);
+    });
+
+    it("rejects unknown kinds and cancelled nonces", async function () {
+      const { client, vault, carol, tokenAddress } = await loadFixture(fundedFixture);
+      await expect(client.signOrder("payout", {})).to.be.rejectedWith('Unknown order kind "payout"');
+
+      const signed = await client.signOrder("withdraw", { token: tokenAddress, amount: usdc(5) });
+      await (await client.cancelNonce()).wait();
+      await expect(client.connect(carol).executeOrder(signed)).to.be.revertedWithCustomError(vault, "InvalidAccountNonce");
+    });
+  });
+
+  describe("events", function () {
+    it("pages an account's history and queries raw logs", async function () {
+      const { client, alice, bob, tokenAddress } = await loadFixture(fundedFixture);
+      await (await client.transfer(tokenAddress, bob.address, usdc(30))).wait();
+
+      const page = await client.history(alice.address, tokenAddress);
+      expect(page.entries.map((e) => e.kind)).to.deep.equal(["transfer-out", "deposit"]);
+      expect(page.entries[0]).to.include({ counterparty: bob.address, amount: usdc(30).toString() });
+      expect(page.nextToBlock).to.equal(null);
+
+      const logs = await client.queryEvents("Transferred", [null, bob.address]);
+      expect(logs).to.have.length(1);
+      expect(logs[0].args.from).to.equal(alice.address);
+    });
+
+    it("reports new logs that involve the watched account", async function () {
+      const { client, token, vaultAddress, alice, bob, carol, tokenAddress } = await loadFixture(fundedFixture);
+      const start = await ethers.provider.getBlockNumber();
+      const asBob = client.connect(bob);
+      await (await asBob.approveDeposit(tokenAddress, usdc(50))).wait();
+      await (await asBob.deposit(tokenAddress, usdc(50))).wait();
+      await (await asBob.transfer(tokenAddress, alice.address, usdc(20))).wait();
+      await (await asBob.transfer(tokenAddress, carol.address, usdc(5))).wait();
+      await (await token.connect(bob).transfer(alice.address, usdc(7))).wait();
+      await (await client.withdraw(tokenAddress, usdc(10))).wait();
+
+      const watch = (fromBlock) => new Promise((resolve, reject) => {
+        const sub = sdk.watchAccount(ethers.provider, { vault: vaultAddress, tokens: [tokenAddress], account: alice.address, fromBlock },
+          (events, head) => { sub.stop(); resolve({ events, head }); }, reject);
+      });
+
+      // Bob's own deposit and his transfer to Carol are not Alice's business.
+      const { events, head } = await watch(start);
+      expect(head).to.equal(await ethers.provider.getBlockNumber());
+      expect(events.map((e) => `${e.source}:${e.name}:${e.incoming}`)).to.deep.equal([
+        "vault:Transferred:true", "token:Transfer:true", "token:Transfer:false", "vault:Withdrawn:false",
+      ]);
+      expect(events[0].args.amount).to.equal(usdc(20));
+
+      // Ranges too long to replay ask for a full re-read instead.
+      await network.provider.send("hardhat_mine", ["0x" + (sdk.LIVE_MAX_RANGE + 1).toString(16)]);
+      expect((await watch(head)).events).to.equal(null);
+    });
+
+    it("reconciles the replayed ledger with balances, liabilities and holdings", async function () {
+      const { client, vault, token, vaultAddress, alice, bob, carol, tokenAddress } = await loadFixture(fundedFixture);
+      const afterDeposit = (await ethers.provider.getBlockNumber()) + 1;
+      await (await client.transfer(tokenAddress, bob.address, usdc(30))).wait();
+      await (await vault.connect(bob).payOut(tokenAddress, carol.address, usdc(5))).wait();
+
+      const now = await time.latest();
+      await (await vault.createStream(tokenAddress, bob.address, 1000n, 0, now + 100)).wait();
+      await (await vault.connect(bob).withdrawFromStream(1)).wait();
+      await (await vault.cancelStream(1)).wait();
+      await (await vault.createEscrow(tokenAddress, carol.address, ethers.ZeroAddress, usdc(4), now + 3600)).wait();
+      await (await vault.createEscrow(tokenAddress, carol.address, ethers.ZeroAddress, usdc(10), now + 3600)).wait();
+      await (await vault.releaseEscrow(1)).wait();
+      await (await client.setSafetyRules(tokenAddress, { lockThreshold: usdc(5), delay: 3600 })).wait();
+      await (await client.withdraw(tokenAddress, usdc(6))).wait(); // stays queued
+      await (await client.transfer(tokenAddress, bob.address, usdc(7))).wait();
+      await (await client.cancelWithdrawal(2)).wait();
+      await (await client.moveToShares(usdc(15))).wait();
+      await (await client.moveFromShares(usdc(5))).wait();
+      await (await token.transfer(vaultAddress, usdc(3))).wait(); // not a deposit: surplus
+
+      const report = await sdk.reconcile(ethers.provider, vaultAddress);
+      expect(report.ok).to.equal(true);
+      const books = report.tokens.find((t) => t.token === tokenAddress);
+      expect(books).to.include({
+        symbol: "USDC",
+        decimals: 6,
+        accounts: 3,
+        ledger: usdc(69).toString(),
+        locked: usdc(16).toString(),
+        liabilities: usdc(85).toString(),
+        onChainLiabilities: usdc(85).toString(),
+        holdings: usdc(88).toString(),
+        difference: usdc(3).toString(),
+        solvent: true,
+      });
+      expect(report.tokens.find((t) => t.token !== tokenAddress)).to.include({ accounts: 0, ok: true });
+      expect(JSON.parse(JSON.stringify(report))).to.deep.equal(report);
+
+      // Starting after the deposit leaves Alice's 100 USDC unexplained.
+      const late = await sdk.reconcile(ethers.provider, vaultAddress, { fromBlock: afterDeposit });
+      expect(late.ok).to.equal(false);
+      const lateBooks = late.tokens.find((t) => t.token === tokenAddress);
+      expect(lateBooks.mismatches).to.deep.equal([{
+        account: alice.address,
+        expected: (BigInt(lateBooks.mismatches[0].actual) - usdc(100)).toString(),
+        actual: lateBooks.mismatches[0].actual,
+        difference: usdc(100).toString(),
+      }]);
+      expect(lateBooks.liabilities).to.not.equal(lateBooks.onChainLiabilities);
+      expect(late.unknownOrigin).to.deep.equal([]);
+    });
+
+    it("follows a queued withdrawal released a part at a time by the daily limit", async function () {
+      const { client, vaultAddress, alice, tokenAddress } = await loadFixture(fundedFixture);
+      await (await client.setSafetyRules(tokenAddress, { dailyLimit: usdc(10), lockThreshold: usdc(5), delay: 3600 })).wait();
+      await (await client.withdraw(tokenAddress, usdc(25))).wait();
+      await time.increase(3600);
+      await (await client.executeWithdrawal(1)).wait();
+      await time.increase(86400);
+      await (await client.executeWithdrawal(1)).wait();
+      const [left] = await client.queuedWithdrawals(alice.address);
+      expect(left.amount).to.equal(usdc(5));
+      await (await client.cancelWithdrawal(1)).wait();
+
+      const report = await sdk.reconcile(ethers.provider, vaultAddress);
+      expect(report.ok).to.equal(true);
+      expect(report.tokens.find((t) => t.token === tokenAddress)).to.include({ ledger: usdc(80).toString(), locked: "0" });
+    });
+
+    it("lists events about streams, escrows and queued withdrawals created before the replay", async function () {
+      const { client, vault, vaultAddress, bob, carol, tokenAddress } = await loadFixture(fundedFixture);
+      const now = await time.latest();
+      await (await vault.createStream(tokenAddress, bob.address, 1000n, 0, now + 100)).wait();
+      await (await vault.createEscrow(tokenAddress, carol.address, ethers.ZeroAddress, usdc(4), now + 3600)).wait();
+      await (await client.setSafetyRules(tokenAddress, { lockThreshold: usdc(5), delay: 3600 })).wait();
+      await (await client.withdraw(tokenAddress, usdc(6))).wait();
+      const afterCreation = (await ethers.provider.getBlockNumber()) + 1;
+
+      await (await vault.connect(bob).withdrawFromStream(1)).wait();
+      await (await vault.releaseEscrow(1)).wait();
+      const cancel = await (await client.cancelWithdrawal(1)).wait();
+
+      const report = await sdk.reconcile(ethers.provider, vaultAddress, { fromBlock: afterCreation });
+      expect(report.ok).to.equal(false);
+      expect(report.unknownOrigin.map(({ event, kind, id }) => ({ event, kind, id }))).to.deep.equal([
+        { event: "StreamWithdrawn", kind: "stream", id: "1" },
+        { event: "EscrowReleased", kind: "escrow", id: "1" },
+        { event: "WithdrawalCancelled", kind: "queued", id: "1" },
+      ]);
+      expect(report.unknownOrigin[2]).to.include({ blockNumber: cancel.blockNumber, transactionHash: cancel.hash });
+    });
+  });
+
+  describe("wallet and network", function () {
+    const net = {
+      chainId: 5042002, chainName: "Arc Testnet", rpcUrl: "https://rpc.testnet.arc.network",
+      nativeCurrency: { name: "USDC", symbol: "USDC", decimals: 18 }, explorer: "https://testnet.arcscan.app",
+    };
+
+    // Minimal EIP-1193 wallet that records requests; `fail` maps methods to errors.
+    function fakeWallet(fail = {}) {
+      const calls = [];
+      return {
+        calls,
+        request: async ({ method, params }) => {
+          calls.push({ method, params });
+          if (fail[method]) throw fail[method];
+          return null;
+        },
+      };
+    }
+
+    it("switches chains, adding them when the wallet does not know them", async function () {
+      expect(sdk.chainParams(net)).to.deep.equal({
+        chainId: "0x4cef52", chainName: net.chainName, rpcUrls: [net.rpcUrl],
+        nativeCurrency: net.nativeCurrency, blockExplorerUrls: [net.explorer],
+      });
+
+      const known = fakeWallet();
+      await sdk.switchWalletNetwork(known, net);
+      expect(known.calls.map((c) => c.method)).to.deep.equal(["wallet_switchEthereumChain"]);
+
+      const unknown = fakeWallet({ wallet_switchEthereumChain: Object.assign(new Error("unknown chain"), { code: 4902 }) });
+      await sdk.switchWalletNetwork(unknown, net);
+      expect(unknown.calls.map((c) => c.method)).to.deep.equal(["wallet_switchEthereumChain", "wallet_addEthereumChain"]);
+      expect(unknown.calls[1].params).to.deep.equal([sdk.chainParams(net)]);
+
+      const rejecting = fakeWallet({ wallet_switchEthereumChain: Object.assign(new Error("rejected"), { code: 4001 }) });
+      await expect(sdk.switchWalletNetwork(rejecting, net)).to.be.rejectedWith("rejected");
+      expect(rejecting.calls).to.have.length(1);
+    });
+
+    it("discovers EIP-6963 wallets, falling back to window.ethereum", async function () {
+      const provider = { request: async () => null };
+      const info = { uuid: "3b0c7a5e", name: "Test Wallet", icon: "data:image/svg+xml,<svg/>", rdns: "org.example.wallet" };
+      const target = new EventTarget();
+      target.addEventListener("eip6963:requestProvider", () => {
+        // Wallets may announce more than once; one entry per uuid.
+        for (let i = 0; i < 2; i++) {
+          target.dispatchEvent(new CustomEvent("eip6963:announceProvider", { detail: Object.freeze({ info, provider }) }));
+        }
+      });
+      const found = await sdk.discoverWallets({ target, timeout: 10 });
+      expect(found).to.have.length(1);
+      expect(found[0].info).to.deep.equal(info);
+      expect(found[0].provider).to.equal(provider);
+
+      const legacy = Object.assign(new EventTarget(), { ethereum: provider });
+      const [injected] = await sdk.discoverWallets({ target: legacy, timeout: 10 });
+      expect(injected.info.rdns).to.equal("injected");
+      expect(injected.provider).to.equal(provider);
+
+      expect(await sdk.discoverWallets({ target: new EventTarget(), timeout: 10 })).to.deep.equal([]);
+    });
+
+    it("connects through an EIP-1193 provider", async function () {
+      const [alice] = await ethers.getSigners();
+      const ethereum = { request: (args) => network.provider.request(args) };
+      const wallet = await sdk.connectWallet(ethereum, { silent: true });
+      expect(wallet.account).to.equal(alice.address);
+      expect(wallet.chainId).to.equal(network.config.chainId);
+
+      const locked = { request: (args) => (args.method === "eth_accounts" ? Promise.resolve([]) : ethereum.request(args)) };
+      expect(await sdk.connectWallet(locked, { silent: true })).to.equal(null);
+      await expect(sdk.connectWallet(undefined)).to.be.rejectedWith("No wallet found");
+    });
+  });
+});
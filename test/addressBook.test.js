@@ -0,0 +1,93 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+// Replaces hex digits of `base` (no 0x) at the given positions with `digit`.
+const vary = (base, positions, digit = "f") =>
+  ethers.getAddress("0x" + [...base].map((c, i) => (positions.includes(i) ? digit : c)).join(""));
+
+// The dApp's address book helpers are plain ES modules, loaded with import().
+describe("address book", function () {
+  let ab;
+  before(async function () {
+    ab = await import("../frontend/src/addressBook.js");
+  });
+
+  const BASE = "1234567890abcdef1234567890abcdef12345678";
+  const SAVED = ethers.getAddress("0x" + BASE);
+  const contact = (address, label) => ({ address, label });
+
+  describe("addressDistance", function () {
+    it("counts the hex digits that differ, ignoring case", async function () {
+      expect(ab.addressDistance(SAVED, SAVED.toLowerCase())).to.equal(0);
+      expect(ab.addressDistance(SAVED, vary(BASE, [0]))).to.equal(1);
+      expect(ab.addressDistance(SAVED, vary(BASE, [3, 10, 39]))).to.equal(3);
+      expect(ab.addressDistance("0x" + "0".repeat(40), "0x" + "F".repeat(40))).to.equal(40);
+    });
+  });
+
+  describe("lookAlikes", function () {
+    const book = [contact(SAVED, "Alice")];
+
+    it("flags addresses up to NEAR_DISTANCE digits from a contact", async function () {
+      // The first digits differ, so these do not shorten like the contact.
+      expect(ab.NEAR_DISTANCE).to.equal(4);
+      const near = vary(BASE, [0, 1, 2, 3]);
+      expect(ab.lookAlikes(near, book)).to.deep.equal([{ contact: book[0], distance: 4 }]);
+      expect(ab.lookAlikes(vary(BASE, [0, 1, 2, 3, 4]), book)).to.deep.equal([]);
+    });
+
+    it("flags addresses that shorten like a contact, however far apart", async function () {
+      // Same first four and last four digits, everything between different.
+      const poisoned = "0x1234" + "9".repeat(32) + "5678";
+      const [match, ...rest] = ab.lookAlikes(poisoned, book);
+      expect(rest).to.deep.equal([]);
+      expect(match.contact).to.equal(book[0]);
+      expect(match.distance).to.be.greaterThan(ab.NEAR_DISTANCE);
+      expect(ab.lookAlikes(vary(BASE, [3, 10, 20, 30, 35]), book)).to.deep.equal([]); // the prefix differs
+      expect(ab.lookAlikes(vary(BASE, [10, 20, 30, 35, 36]), book)).to.deep.equal([]); // the suffix differs
+    });
+
+    it("leaves out exact matches, sorts the closest first and ignores invalid input", async function () {
+      const other = vary(BASE, [20, 21, 22]);
+      const both = [contact(SAVED, "Alice"), contact(other, "Bob")];
+      expect(ab.lookAlikes(SAVED.toLowerCase(), both)).to.deep.equal([{ contact: both[1], distance: 3 }]);
+      expect(ab.lookAlikes(vary(BASE, [20, 21]), both).map((m) => [m.contact.label, m.distance]))
+        .to.deep.equal([["Bob", 1], ["Alice", 2]]);
+      expect(ab.lookAlikes("0x1234", both)).to.deep.equal([]);
+    });
+  });
+
+  describe("parseContacts", function () {
+    const BOB = vary(BASE, [0, 1, 2, 3, 4, 5]);
+
+    it("reads CSV with a header and labels on either side", async function () {
+      const csv = `label,address\nAlice,${SAVED.toLowerCase()}\n${BOB}, "Bob, Ltd" \n\nnobody,0x1234\n,${BOB}`;
+      const { contacts, errors } = ab.parseContacts(csv);
+      expect(contacts).to.deep.equal([contact(SAVED, "Alice"), contact(BOB, "Bob, Ltd")]);
+      expect(errors).to.deep.equal(["Line 5: no address", "Line 6: Label is empty"]);
+    });
+
+    it("reads what contactsToCsv and contactsToJson write", async function () {
+      const list = [contact(SAVED, 'Alice "A"'), contact(BOB, "Bob, Ltd")];
+      expect(ab.parseContacts(ab.contactsToCsv(list))).to.deep.equal({ contacts: list, errors: [] });
+      expect(ab.parseContacts(ab.contactsToJson(list))).to.deep.equal({ contacts: list, errors: [] });
+    });
+
+    it("reads a JSON array and reports bad entries", async function () {
+      const json = JSON.stringify([
+        { address: SAVED.toLowerCase(), label: " Alice " },
+        { address: "0x1234", label: "Short" },
+        { address: BOB, label: "x".repeat(ab.MAX_LABEL + 1) },
+        null,
+      ]);
+      const { contacts, errors } = ab.parseContacts(json);
+      expect(contacts).to.deep.equal([contact(SAVED, "Alice")]);
+      expect(errors).to.deep.equal([
+        'Entry 2: "0x1234" is not a valid address',
+        `Entry 3: Label is longer than ${ab.MAX_LABEL} characters`,
+        'Entry 4: "" is not a valid address',
+      ]);
+      expect(ab.parseContacts("[not json")).to.deep.equal({ contacts: [], errors: ["Not valid JSON"] });
+    });
+  });
+});
@@ -0,0 +1,60 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const usdc = (n) => ethers.parseUnits(String(n), 6);
+const addr = (byte) => ethers.getAddress("0x" + byte.repeat(20));
+
+// The dApp's batch CSV parser is a plain ES module, loaded with import().
+describe("parseBatchCsv", function () {
+  let parseBatchCsv, BATCH_MAX_ROWS;
+  before(async function () {
+    ({ parseBatchCsv, BATCH_MAX_ROWS } = await import("../frontend/src/batch.js"));
+  });
+
+  const A = addr("aa"), B = addr("bb"), C = addr("cc");
+
+  it("skips a leading header row, blank lines and comments", async function () {
+    const { rows, valid, total } = parseBatchCsv(`Address;Amount\n\n# payroll\n${A};1.5\n${B}\t2`, 6);
+    expect(rows.map((r) => r.line)).to.deep.equal([4, 5]);
+    expect(valid.map((r) => [r.address, r.amount])).to.deep.equal([[A, usdc(1.5)], [B, usdc(2)]]);
+    expect(total).to.equal(usdc(3.5));
+
+    // Only the first row can be a header.
+    const later = parseBatchCsv(`${A},1\naddress,amount`, 6);
+    expect(later.rows[1]).to.include({ line: 2, error: "Invalid address" });
+  });
+
+  it("flags every repeat of an address after the first, whatever its case", async function () {
+    const { rows, valid, invalidCount, total } = parseBatchCsv(`${A},1\n${B},2\n${A.toLowerCase()},3\n${A},4`, 6);
+    expect(rows.map((r) => r.error)).to.deep.equal(["", "", "Duplicate of line 1", "Duplicate of line 1"]);
+    expect(valid).to.have.length(2);
+    expect(invalidCount).to.equal(2);
+    expect(total).to.equal(usdc(3));
+  });
+
+  it("rejects extra columns but allows a trailing separator", async function () {
+    const { rows } = parseBatchCsv(`${A},1,rent\n${B},2,`, 6);
+    expect(rows[0].error).to.equal("Too many columns");
+    expect(rows[1]).to.include({ address: B, amount: usdc(2), error: "" });
+  });
+
+  it("refuses excluded addresses such as the vault or a token contract", async function () {
+    const { rows } = parseBatchCsv(`${A},1\n${B.toLowerCase()},2\n${C},3`, 6, { exclude: [B, null, C.toLowerCase()] });
+    expect(rows.map((r) => r.error)).to.deep.equal(["", "Cannot send to this address", "Cannot send to this address"]);
+  });
+
+  it("explains bad amounts", async function () {
+    const { rows } = parseBatchCsv(`${A}\n${B},0\n${C},1.0000001\n${addr("dd")},-1`, 6);
+    expect(rows.map((r) => r.error)).to.deep.equal([
+      "Missing amount", "Amount must be positive", "Invalid amount (max 6 decimals)", "Amount must be positive",
+    ]);
+  });
+
+  it("marks batches over the row limit as too many", async function () {
+    const lines = (n) => Array.from({ length: n }, (_, i) => `${ethers.zeroPadValue(ethers.toBeHex(i + 1), 20)},1`).join("\n");
+    expect(parseBatchCsv(lines(BATCH_MAX_ROWS), 6).tooMany).to.equal(false);
+    const over = parseBatchCsv(lines(BATCH_MAX_ROWS + 1), 6);
+    expect(over.tooMany).to.equal(true);
+    expect(over.valid).to.have.length(BATCH_MAX_ROWS + 1);
+  });
+});
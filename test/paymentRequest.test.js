@@ -0,0 +1,79 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const addr = (byte) => ethers.getAddress("0x" + byte.repeat(20));
+
+// The dApp's payment request helpers are plain ES modules, loaded with import().
+describe("payment requests", function () {
+  let pr;
+  before(async function () {
+    pr = await import("../frontend/src/paymentRequest.js");
+  });
+
+  const VAULT = addr("aa"), TOKEN = addr("bb"), PAYEE = addr("cc");
+  const uri = (query, fn = "payInvoice") => `ethereum:${VAULT}@5042002/${fn}?${query}`;
+
+  it("parses back the EIP-681 URI it builds", async function () {
+    const built = pr.buildPaymentUri({ vault: VAULT, chainId: 5042002, token: TOKEN, to: PAYEE, amount: "1.5", decimals: 6, ref: "INV-0042" });
+    expect(built).to.equal(uri(`address=${TOKEN}&address=${PAYEE}&uint256=1500000&bytes32=${pr.refToBytes32("INV-0042")}`));
+
+    const req = pr.parsePaymentRequest(built);
+    expect(req).to.deep.equal({
+      to: PAYEE, token: TOKEN, amount: "", rawAmount: "1500000", ref: "INV-0042", chainId: 5042002, target: VAULT,
+    });
+    expect(pr.requestAmount(req, 6)).to.equal("1.5");
+
+    // Without a reference it is a plain transfer.
+    const plain = pr.buildPaymentUri({ vault: VAULT, chainId: 5042002, token: TOKEN, to: PAYEE, amount: "2", decimals: 6 });
+    expect(plain).to.match(/\/transfer\?/);
+    expect(pr.parsePaymentRequest(plain)).to.include({ rawAmount: "2000000", ref: "" });
+  });
+
+  it("parses back the dApp link it builds, also when it wraps a URI", async function () {
+    const link = pr.buildPaymentLink({ baseUrl: "https://pay.example/app?x=1#top", token: TOKEN, to: PAYEE, amount: "12.25", ref: "INV-7" });
+    const req = pr.parsePaymentRequest(link);
+    expect(req).to.deep.include({ to: PAYEE, token: TOKEN, amount: "12.25", rawAmount: "", ref: "INV-7", target: null });
+    expect(pr.requestAmount(req, 6)).to.equal("12.25");
+    expect(() => pr.requestAmount(req, 1)).to.throw("Amount has more than 1 decimals");
+
+    const wrapped = `https://pay.example/app?uri=${encodeURIComponent(uri(`address=${TOKEN}&address=${PAYEE}&uint256=5`))}`;
+    expect(pr.parsePaymentRequest(wrapped)).to.include({ to: PAYEE, token: TOKEN, rawAmount: "5" });
+    expect(pr.parsePaymentRequest("https://pay.example/app")).to.equal(null);
+  });
+
+  it("reads amounts in scientific notation", async function () {
+    const req = pr.parsePaymentRequest(uri(`address=${TOKEN}&address=${PAYEE}&uint256=1.5e6`));
+    expect(req.rawAmount).to.equal("1500000");
+    expect(pr.requestAmount(req, 6)).to.equal("1.5");
+    expect(pr.parsePaymentRequest(uri(`address=${TOKEN}&address=${PAYEE}&uint256=2.014E18`)).rawAmount).to.equal("2014000000000000000");
+  });
+
+  it("rejects amounts that are not whole units", async function () {
+    expect(() => pr.parsePaymentRequest(uri(`address=${TOKEN}&address=${PAYEE}&uint256=1.25e1`)))
+      .to.throw('"1.25e1" is not an integer');
+    expect(() => pr.parsePaymentRequest(uri(`address=${TOKEN}&address=${PAYEE}&uint256=0.5`)))
+      .to.throw('"0.5" is not an integer');
+    expect(() => pr.parsePaymentRequest(uri(`address=${TOKEN}&address=${PAYEE}&uint256=-1`)))
+      .to.throw('Invalid number "-1"');
+  });
+
+  it("rejects references longer than 31 bytes", async function () {
+    const longest = "R".repeat(31);
+    expect(pr.isValidRef(longest)).to.equal(true);
+    expect(pr.parsePaymentRequest(`?to=${PAYEE}&ref=${longest}`).ref).to.equal(longest);
+    expect(pr.isValidRef(longest + "R")).to.equal(false);
+    expect(() => pr.parsePaymentRequest(`?to=${PAYEE}&ref=${longest}R`)).to.throw("Invoice reference is longer than 31 bytes");
+    expect(() => pr.refToBytes32(longest + "R")).to.throw();
+  });
+
+  it("reads a legacy link with one address as a USDC request to that recipient", async function () {
+    const req = pr.parsePaymentRequest(uri(`address=${PAYEE}&uint256=1e6`, "transfer"));
+    expect(req).to.include({ to: PAYEE, token: null, rawAmount: "1000000", target: VAULT });
+  });
+
+  it("rejects what is not a vault payment", async function () {
+    expect(() => pr.parsePaymentRequest(`ethereum:${VAULT}@5042002?value=1e18`)).to.throw("Plain native sends are not vault payments");
+    expect(() => pr.parsePaymentRequest(uri(`address=${PAYEE}`, "approve"))).to.throw('Unsupported function "approve"');
+    expect(() => pr.parsePaymentRequest(uri(`address=${TOKEN}&address=0x1234`))).to.throw("invalid recipient");
+  });
+});
@@ -0,0 +1,93 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { startRelayer } = require("../scripts/relayer");
+
+const usdc = (n) => ethers.parseUnits(String(n), 6);
+
+// scripts/relayer.js served in-process over real HTTP on a free port, with
+// the hardhat network behind it. Its console output is silenced.
+describe("Relayer", function () {
+  let sdk, server, url, log;
+  before(async function () {
+    sdk = await import("../sdk/index.js");
+  });
+  beforeEach(function () {
+    log = console.log;
+    console.log = () => {};
+  });
+  afterEach(async function () {
+    console.log = log;
+    if (server) await new Promise((resolve) => server.close(resolve));
+    server = null;
+  });
+
+  // alice holds 100 USDC in the vault; carol relays.
+  async function deployFixture() {
+    const [alice, bob, carol] = await ethers.getSigners();
+    const token = await (await ethers.getContractFactory("MockUSDC")).deploy();
+    const vault = await (await ethers.getContractFactory("ArcVault")).deploy(await token.getAddress(), alice.address);
+    await token.mint(alice.address, usdc(100));
+    await token.approve(vault, usdc(100));
+    await vault.deposit(token, usdc(100));
+    return { vault, token, tokenAddress: await token.getAddress(), address: await vault.getAddress(), alice, bob, carol };
+  }
+
+  async function start(f) {
+    server = await startRelayer({ address: f.address, port: 0, signer: f.carol });
+    url = `http://127.0.0.1:${server.address().port}`;
+  }
+
+  const post = async (body) => {
+    const res = await fetch(`${url}/orders`, { method: "POST", headers: { "Content-Type": "application/json" }, body });
+    return { status: res.status, body: await res.json() };
+  };
+
+  it("reports its account, vault and chain on GET /health", async function () {
+    const f = await loadFixture(deployFixture);
+    await start(f);
+
+    const res = await fetch(`${url}/health`);
+    expect(res.status).to.equal(200);
+    expect(await res.json()).to.deep.equal({ relayer: f.carol.address, vault: f.address, chainId: 31337 });
+    expect((await fetch(`${url}/nowhere`)).status).to.equal(404);
+  });
+
+  it("submits signed orders posted to /orders and pays the gas", async function () {
+    const f = await loadFixture(deployFixture);
+    await start(f);
+    const client = new sdk.VaultClient(f.address, f.alice);
+
+    const transfer = await client.signOrder("transfer", { token: f.tokenAddress, to: f.bob.address, amount: usdc(30) });
+    const sent = await post(JSON.stringify(transfer));
+    expect(sent.status).to.equal(202);
+    const receipt = await ethers.provider.getTransactionReceipt(sent.body.txHash);
+    expect(receipt.from).to.equal(f.carol.address);
+    expect(await f.vault.balanceOf(f.tokenAddress, f.bob.address)).to.equal(usdc(30));
+
+    const withdraw = await client.signOrder("withdraw", { token: f.tokenAddress, amount: usdc(20) });
+    expect((await post(JSON.stringify(withdraw))).status).to.equal(202);
+    expect(await f.token.balanceOf(f.alice.address)).to.equal(usdc(20));
+  });
+
+  it("rejects malformed and failing orders without sending anything", async function () {
+    const f = await loadFixture(deployFixture);
+    await start(f);
+    const client = new sdk.VaultClient(f.address, f.alice);
+    const nonce = await ethers.provider.getTransactionCount(f.carol.address);
+
+    expect(await post("not json")).to.deep.equal({ status: 400, body: { error: "body must be JSON" } });
+    expect((await post(JSON.stringify({ kind: "payout" }))).body.error).to.equal("kind must be one of: transfer, withdraw");
+    const signed = await client.signOrder("transfer", { token: f.tokenAddress, to: f.bob.address, amount: usdc(1) });
+    expect((await post(JSON.stringify({ ...signed, order: { ...signed.order, to: "bob" } }))).body.error).to.equal("order.to must be an address");
+
+    // Altered after signing, then replayed after it ran once.
+    const altered = await post(JSON.stringify({ ...signed, order: { ...signed.order, amount: usdc(2).toString() } }));
+    expect(altered.status).to.equal(422);
+    expect(altered.body.error).to.match(/^InvalidSigner\(/);
+    expect(await ethers.provider.getTransactionCount(f.carol.address)).to.equal(nonce);
+
+    expect((await post(JSON.stringify(signed))).status).to.equal(202);
+    expect(await post(JSON.stringify(signed))).to.deep.equal({ status: 422, body: { error: `InvalidAccountNonce(${f.alice.address}, 1)` } });
+  });
+});
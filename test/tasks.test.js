@@ -0,0 +1,113 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const { ethers } = hre;
+const usdc = (n) => ethers.parseUnits(String(n), 6);
+
+// The tasks run in-process against the hardhat network; their console
+// output is silenced and the returned values checked instead.
+describe("Hardhat tasks", function () {
+  const vaultTask = (task, args) => hre.run({ scope: "vault", task }, args);
+
+  let log;
+  beforeEach(function () {
+    log = console.log;
+    console.log = () => {};
+  });
+  afterEach(function () {
+    console.log = log;
+  });
+
+  async function deployFixture() {
+    const [alice, bob] = await ethers.getSigners();
+    const token = await (await ethers.getContractFactory("MockUSDC")).deploy();
+    const vault = await (await ethers.getContractFactory("ArcVault")).deploy(await token.getAddress(), alice.address);
+    for (const user of [alice, bob]) await token.mint(user.address, usdc(1000));
+    return { vault, token, vaultAddress: await vault.getAddress(), alice, bob };
+  }
+
+  describe("vault", function () {
+    it("approves and deposits whole-token amounts, then withdraws and transfers", async function () {
+      const { vault, token, vaultAddress, alice, bob } = await loadFixture(deployFixture);
+
+      const deposited = await vaultTask("deposit", { amount: "12.5", vault: vaultAddress });
+      expect(deposited.balance).to.equal(usdc(12.5));
+      expect(await token.allowance(alice.address, vaultAddress)).to.equal(0);
+
+      await vaultTask("withdraw", { amount: "2.25", vault: vaultAddress });
+      const moved = await vaultTask("transfer", { to: bob.address, amount: "0.000001", vault: vaultAddress });
+      expect(moved.balance).to.equal(usdc(10.25) - 1n);
+      expect(await vault.balanceOf(await token.getAddress(), bob.address)).to.equal(1n);
+
+      // --from picks another configured account.
+      await vaultTask("deposit", { amount: "3", vault: vaultAddress, from: bob.address });
+      const [row] = await vaultTask("balance", { account: bob.address, vault: vaultAddress });
+      expect(row).to.deep.include({ symbol: "USDC", wallet: usdc(997), vault: usdc(3) + 1n });
+    });
+
+    it("reports allowances and the vault's totals", async function () {
+      const { vault, token, vaultAddress, alice, bob } = await loadFixture(deployFixture);
+      await vaultTask("deposit", { amount: "20", vault: vaultAddress });
+      await token.approve(vaultAddress, usdc(5));
+      await vault.approve(await token.getAddress(), bob.address, usdc(7));
+      await token.transfer(vaultAddress, usdc(1));
+
+      expect(await vaultTask("allowance", { vault: vaultAddress })).to.deep.equal({ deposit: usdc(5) });
+      expect(await vaultTask("allowance", { owner: alice.address, spender: bob.address, vault: vaultAddress }))
+        .to.deep.equal({ deposit: usdc(5), ledger: usdc(7) });
+      const [total] = await vaultTask("total", { vault: vaultAddress });
+      expect(total).to.deep.include({ totalVaultBalance: usdc(21), totalLiabilities: usdc(20), surplus: usdc(1) });
+    });
+
+    it("reports withdrawals that are queued by the time-lock, then executes or cancels them", async function () {
+      const { vault, token, vaultAddress, alice } = await loadFixture(deployFixture);
+      await vaultTask("deposit", { amount: "50", vault: vaultAddress });
+      await vault.setSafetyRules(await token.getAddress(), 0, usdc(10), 3600);
+
+      const { queued, balance } = await vaultTask("withdraw", { amount: "20", vault: vaultAddress });
+      expect(queued.id).to.equal(1n);
+      expect(balance).to.equal(usdc(30));
+      await expect(vaultTask("execute", { id: 1, vault: vaultAddress })).to.be.rejectedWith("(WithdrawalLocked)");
+
+      await time.increase(3600);
+      const before = await token.balanceOf(alice.address);
+      expect(await vaultTask("execute", { id: 1, vault: vaultAddress })).to.deep.include({ amount: usdc(20), remaining: 0n });
+      expect(await token.balanceOf(alice.address)).to.equal(before + usdc(20));
+
+      // Below the threshold it goes straight through.
+      expect((await vaultTask("withdraw", { amount: "5", vault: vaultAddress })).queued).to.equal(null);
+      await vaultTask("withdraw", { amount: "15", vault: vaultAddress });
+      await vaultTask("cancel", { id: 2, vault: vaultAddress });
+      expect(await vault.balanceOf(await token.getAddress(), alice.address)).to.equal(usdc(25));
+    });
+
+    it("rejects bad input and explains reverts without sending", async function () {
+      const { vaultAddress, alice } = await loadFixture(deployFixture);
+      const nonce = await ethers.provider.getTransactionCount(alice.address);
+
+      await expect(vaultTask("withdraw", { amount: "5", vault: vaultAddress }))
+        .to.be.rejectedWith("Withdraw 5.0 USDC failed: Insufficient vault balance: 5.0 USDC requested, 0.0 USDC available. (InsufficientBalance)");
+      await expect(vaultTask("deposit", { amount: "1.0000001", vault: vaultAddress })).to.be.rejectedWith("USDC has 6 decimals");
+      await expect(vaultTask("deposit", { amount: "-1", vault: vaultAddress })).to.be.rejectedWith("is not a positive number of USDC");
+      await expect(vaultTask("transfer", { to: "0x1234", amount: "1", vault: vaultAddress })).to.be.rejectedWith("--to 0x1234 is not an address");
+      await expect(vaultTask("balance", { vault: alice.address })).to.be.rejectedWith(`No code at ${alice.address}`);
+      await expect(vaultTask("balance", {})).to.be.rejectedWith("No vault for hardhat");
+      expect(await ethers.provider.getTransactionCount(alice.address)).to.equal(nonce);
+    });
+  });
+
+  describe("reconcile", function () {
+    it("prints a passing report for a vault whose books add up", async function () {
+      const { vaultAddress, bob } = await loadFixture(deployFixture);
+      await vaultTask("deposit", { amount: "8", vault: vaultAddress });
+      await vaultTask("transfer", { to: bob.address, amount: "3", vault: vaultAddress });
+
+      const report = await hre.run("reconcile", { vault: vaultAddress, fromBlock: 0 });
+      expect(report.ok).to.equal(true);
+      expect(report.events).to.equal(2);
+      expect(report.tokens[0]).to.include({ accounts: 2, liabilities: usdc(8).toString(), difference: "0" });
+      expect(process.exitCode).to.not.equal(1);
+    });
+  });
+});